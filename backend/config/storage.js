@@ -0,0 +1,44 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createLocalStorage } from '../utils/storage/localStorage.js';
+import { createS3Storage } from '../utils/storage/s3Storage.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+let storage = null;
+
+/**
+ * Get the file storage adapter chosen by STORAGE_DRIVER ('local' by default, or 's3').
+ * Created on first use so the environment has been loaded by then
+ * @returns {Object} Storage adapter { name, save, read, remove, getUrl }
+ */
+const getStorage = () => {
+  if (storage) return storage;
+
+  const driver = (process.env.STORAGE_DRIVER || 'local').toLowerCase();
+
+  if (driver === 's3') {
+    storage = createS3Storage({
+      bucket: process.env.S3_BUCKET,
+      region: process.env.S3_REGION,
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      endpoint: process.env.S3_ENDPOINT,
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+      publicUrl: process.env.S3_PUBLIC_URL,
+    });
+  } else if (driver === 'local') {
+    // Same directory server.js serves at /uploads
+    storage = createLocalStorage({
+      directory: path.join(__dirname, '../../public/uploads'),
+      publicUrl: process.env.UPLOADS_PUBLIC_URL || '/uploads',
+    });
+  } else {
+    throw new Error(`Unknown STORAGE_DRIVER "${driver}" (expected "local" or "s3")`);
+  }
+
+  return storage;
+};
+
+export default getStorage;
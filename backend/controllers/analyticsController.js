@@ -2,6 +2,9 @@ import Assignment from '../models/Assignment.js';
 import Class from '../models/Class.js';
 import Quiz from '../models/Quiz.js';
 import User from '../models/User.js';
+import { getCountedSubmissions } from '../utils/attemptUtils.js';
+import { getAssignmentQuestions } from '../utils/quizVersionUtils.js';
+import { summarizeQuestionTimes, FAST_FACTOR, SLOW_FACTOR, MIN_TIMED_ANSWERS } from '../utils/questionTimingUtils.js';
 
 /**
  * Get comprehensive analytics for admin
@@ -58,7 +61,8 @@ export const getAnalyticsOverview = async (req, res) => {
       
       totalQuizzes++;
       
-      assignment.submissions.forEach(submission => {
+      // Candidates with several attempts count once, with the score the scoring rule picks
+      getCountedSubmissions(assignment).forEach(submission => {
         // Skip submissions without candidate data
         if (!submission.candidateId) {
           return;
@@ -240,6 +244,7 @@ export const getQuestionAnalytics = async (req, res) => {
       if (!assignment.quizId || !assignment.classId || !assignment.quizId.questions) {
         return;
       }
+      const countedSubmissions = getCountedSubmissions(assignment);
       
       assignment.quizId.questions.forEach(question => {
         const questionId = question._id.toString();
@@ -248,8 +253,8 @@ export const getQuestionAnalytics = async (req, res) => {
         let totalAttempts = 0;
         let correctAttempts = 0;
 
-        if (assignment.submissions && assignment.submissions.length > 0) {
-          assignment.submissions.forEach(submission => {
+        if (countedSubmissions.length > 0) {
+          countedSubmissions.forEach(submission => {
             if (submission.answers && submission.answers.length > 0) {
               const answer = submission.answers.find(a => a.questionId === questionId);
               if (answer) {
@@ -268,6 +273,7 @@ export const getQuestionAnalytics = async (req, res) => {
           questionDetails.push({
             questionId,
             questionText: question.text || 'Unknown question',
+            textFormat: question.textFormat || 'plain',
             questionType: question.type || 'unknown',
             quizTitle: assignment.quizId.title || 'Unknown Quiz',
             className: assignment.classId.title || 'Unknown Class',
@@ -338,7 +344,7 @@ export const getClassAnalytics = async (req, res) => {
 
     // Get all assignments for this class
     const assignments = await Assignment.find({ classId })
-      .populate('quizId', 'title questions')
+      .populate('quizId', 'title questions currentVersion')
       .populate('submissions.candidateId', 'name email registrationNumber');
 
     // Analyze class performance
@@ -346,7 +352,7 @@ export const getClassAnalytics = async (req, res) => {
     let totalSubmissions = 0;
 
     assignments.forEach(assignment => {
-      assignment.submissions.forEach(submission => {
+      getCountedSubmissions(assignment).forEach(submission => {
         totalSubmissions++;
         const studentId = submission.candidateId._id.toString();
         
@@ -379,6 +385,50 @@ export const getClassAnalytics = async (req, res) => {
       ? studentsArray.reduce((sum, s) => sum + s.averageScore, 0) / studentsArray.length
       : 0;
 
+    // Time per question: the class median, and answers unusually fast or slow
+    // next to it (only answers submitted since questions were timed count)
+    const questionTiming = [];
+    for (const assignment of assignments) {
+      if (!assignment.quizId) continue;
+
+      const timedAnswers = new Map();
+      getCountedSubmissions(assignment).forEach(submission => {
+        (submission.answers || []).forEach(answer => {
+          if (answer.timeSpentSeconds === null || answer.timeSpentSeconds === undefined) return;
+          if (!timedAnswers.has(answer.questionId)) timedAnswers.set(answer.questionId, []);
+          timedAnswers.get(answer.questionId).push({
+            candidateId: submission.candidateId._id.toString(),
+            name: submission.candidateId.name,
+            seconds: answer.timeSpentSeconds,
+            isCorrect: answer.isCorrect,
+          });
+        });
+      });
+      if (timedAnswers.size === 0) continue;
+
+      // The assignment's questions, then those drawn from pools, in order
+      const questions = [
+        ...(await getAssignmentQuestions(assignment)),
+        ...(assignment.attempts || []).flatMap(attempt => attempt.questions),
+      ];
+      const seen = new Set();
+      questions.forEach(question => {
+        const questionId = question._id.toString();
+        if (seen.has(questionId) || !timedAnswers.has(questionId)) return;
+        seen.add(questionId);
+
+        questionTiming.push({
+          assignmentId: assignment._id,
+          quizTitle: assignment.quizId.title || 'Unknown Quiz',
+          questionId,
+          questionText: question.text || 'Unknown question',
+          textFormat: question.textFormat || 'plain',
+          fromPool: Boolean(question.poolId),
+          ...summarizeQuestionTimes(timedAnswers.get(questionId)),
+        });
+      });
+    }
+
     res.status(200).json({
       success: true,
       data: {
@@ -391,6 +441,12 @@ export const getClassAnalytics = async (req, res) => {
         totalSubmissions,
         classAverage: parseFloat(classAverage.toFixed(2)),
         studentPerformance: studentsArray.sort((a, b) => b.averageScore - a.averageScore),
+        questionTiming,
+        questionTimingThresholds: {
+          fastFactor: FAST_FACTOR,
+          slowFactor: SLOW_FACTOR,
+          minTimedAnswers: MIN_TIMED_ANSWERS,
+        },
       },
     });
 
@@ -438,7 +494,7 @@ export const getStudentAnalytics = async (req, res) => {
     assignments.forEach(assignment => {
       if (!assignment.quizId || !assignment.submissions) return;
 
-      assignment.submissions.forEach(submission => {
+      getCountedSubmissions(assignment).forEach(submission => {
         if (submission.candidateId && submission.candidateId._id.toString() === studentId) {
           // Add to submissions list
           const totalQuestions = assignment.quizId.questions?.length || 0;
@@ -465,6 +521,7 @@ export const getStudentAnalytics = async (req, res) => {
             correctAnswers,
             incorrectAnswers,
             submittedAt: submission.submittedAt,
+            attemptCount: submission.attemptCount,
           });
 
           // Track question-level performance
@@ -481,6 +538,7 @@ export const getStudentAnalytics = async (req, res) => {
                 if (!questionPerformance[questionId]) {
                   questionPerformance[questionId] = {
                     questionText: question.text,
+                    textFormat: question.textFormat || 'plain',
                     quizTitle: assignment.quizId.title,
                     attempts: 0,
                     correct: 0,
@@ -506,6 +564,7 @@ export const getStudentAnalytics = async (req, res) => {
     const weakPoints = Object.values(questionPerformance)
       .map(qp => ({
         questionText: qp.questionText,
+        textFormat: qp.textFormat,
         quizTitle: qp.quizTitle,
         attempts: qp.attempts,
         successRate: (qp.correct / qp.attempts) * 100,
@@ -6,6 +6,19 @@
 import Assignment from '../models/Assignment.js';
 import Quiz from '../models/Quiz.js';
 import Class from '../models/Class.js';
+import ProctoringEvent from '../models/ProctoringEvent.js';
+import { ensureQuizVersion } from '../utils/quizVersionUtils.js';
+import { getCandidateQuestions } from '../utils/questionBankUtils.js';
+import { orderQuestionsForCandidate } from '../utils/shuffleUtils.js';
+import { getResultRelease, validateResultRelease, toResultRelease, toReviewItem } from '../utils/resultReleaseUtils.js';
+import { getAvailability, isWithinCloseGrace, validateAvailability, toOptionalDate } from '../utils/availabilityUtils.js';
+import { getLatePenaltyPolicy, getLatePenalty, validateLatePenalty, toLatePenalty, reapplyLatePenalties } from '../utils/latePenaltyUtils.js';
+import { getCandidateSchedule, validateExtension, markCandidateLateness } from '../utils/accommodationUtils.js';
+import { startAttemptSession, findAttemptSession, endAttemptSession, getOvertimeSeconds, getCompletionTime, saveAttemptProgress, validateAttemptProgress, getAssignmentsInProgress } from '../utils/attemptSessionUtils.js';
+import { getTimeSpent, validateQuestionTimes } from '../utils/questionTimingUtils.js';
+import { validateProctoringEvents, saveProctoringEvents, getLastProctoringEventTime, getProctoringTimeline as findProctoringTimeline } from '../utils/proctoringEventUtils.js';
+import { validateAttemptSettings, getCandidateAttempts, getAttemptStatus, getFinalScore, getCountedAttempt, getCountedSubmissions, groupAttemptsByCandidate } from '../utils/attemptUtils.js';
+import { gradeAnswer, getQuestionPoints, toPercentage, hasAnswer, formatAnswer, describeCorrectAnswer, stripAnswerKey, requiresManualGrading, recalculateSubmissionScore, hasScoreOverride, getScoringRules } from '../utils/gradingUtils.js';
 
 /**
  * Create a new assignment (assign a quiz to a class)
@@ -13,7 +26,7 @@ import Class from '../models/Class.js';
  */
 export const createAssignment = async (req, res) => {
   try {
-  const { quizId, classId, dueDate, timeLimit, weightage, weightageType, subgroup, subclasses, proctoringEnabled } = req.body;
+  const { quizId, classId, availableFrom, dueDate, closeDate, timeLimit, weightage, weightageType, subgroup, subclasses, proctoringEnabled, negativeMarking, partialCredit, shuffleQuestions, shuffleOptions, resultRelease, maxAttempts, attemptCooldown, scoringRule, latePenalty } = req.body;
     const adminId = req.user?.id || req.user?._id;
 
     // Validate input
@@ -32,6 +45,52 @@ export const createAssignment = async (req, res) => {
     }
 
     // --- Security Checks ---
+    const availabilityError = validateAvailability({ availableFrom, dueDate, closeDate });
+    if (availabilityError) {
+      return res.status(400).json({
+        success: false,
+        message: availabilityError,
+      });
+    }
+
+    if (negativeMarking !== undefined) {
+      const penalty = parseFloat(negativeMarking);
+      if (isNaN(penalty) || penalty < 0 || penalty > 1) {
+        return res.status(400).json({
+          success: false,
+          message: 'Negative marking must be a fraction between 0 and 1',
+        });
+      }
+    }
+
+    if (resultRelease !== undefined) {
+      const releaseError = validateResultRelease(resultRelease);
+      if (releaseError) {
+        return res.status(400).json({
+          success: false,
+          message: releaseError,
+        });
+      }
+    }
+
+    const attemptError = validateAttemptSettings({ maxAttempts, attemptCooldown, scoringRule });
+    if (attemptError) {
+      return res.status(400).json({
+        success: false,
+        message: attemptError,
+      });
+    }
+
+    if (latePenalty !== undefined) {
+      const penaltyError = validateLatePenalty(latePenalty);
+      if (penaltyError) {
+        return res.status(400).json({
+          success: false,
+          message: penaltyError,
+        });
+      }
+    }
+
     // Check if the admin owns the quiz
     const quiz = await Quiz.findOne({ _id: quizId, adminId: adminId });
     if (!quiz) {
@@ -51,6 +110,9 @@ export const createAssignment = async (req, res) => {
     }
     // --- End Security Checks ---
 
+    // Pin the assignment to the exact quiz content being issued
+    await ensureQuizVersion(quiz, adminId);
+
     // Filter students by subgroup and subclasses
     let filteredStudents = classData.students;
     if (subgroup) {
@@ -75,15 +137,31 @@ export const createAssignment = async (req, res) => {
     // Create the new assignment
     const newAssignment = new Assignment({
       quizId,
+      quizVersion: quiz.currentVersion || 1,
       classId,
       adminId,
+      availableFrom: toOptionalDate(availableFrom),
       dueDate: new Date(dueDate),
+      closeDate: toOptionalDate(closeDate),
       timeLimit: parseInt(timeLimit),
       weightage: weightage !== undefined ? Number(weightage) : 0,
       weightageType: weightageType || 'percentage',
       subgroup: subgroup || '',
       subclasses: subclasses || [],
       proctoringEnabled: !!proctoringEnabled,
+      negativeMarking: negativeMarking !== undefined ? parseFloat(negativeMarking) : 0,
+      partialCredit: partialCredit !== undefined ? !!partialCredit : true,
+      shuffleQuestions: shuffleQuestions !== undefined ? !!shuffleQuestions : true,
+      shuffleOptions: !!shuffleOptions,
+      maxAttempts: maxAttempts !== undefined ? Number(maxAttempts) : 1,
+      attemptCooldown: attemptCooldown !== undefined ? parseFloat(attemptCooldown) : 0,
+      scoringRule: scoringRule || 'highest',
+      // Without a policy of its own the assignment uses the class's late penalty
+      latePenalty: latePenalty !== undefined ? toLatePenalty(latePenalty) : {},
+      // Without explicit settings, results follow the class's showResults default
+      resultRelease: resultRelease !== undefined
+        ? toResultRelease(resultRelease)
+        : { level: classData.showResults ? 'score' : 'none', timing: 'immediately' },
       submissions: [], // Start with an empty list
     });
 
@@ -158,7 +236,7 @@ export const getSingleAssignment = async (req, res) => {
     const assignment = await Assignment.findById(assignmentId)
       .populate({
         path: 'quizId',
-        select: 'title questions',
+        select: 'title questions pools currentVersion',
       })
       .populate('classId', 'title');
 
@@ -253,34 +331,52 @@ export const getSingleAssignment = async (req, res) => {
       }
     }
 
-    // *** SECURITY: Remove answers before sending to frontend ***
-    const quizData = assignment.quizId.toObject();
-    // Shuffle questions for anti-cheating
-    function shuffle(array) {
-      for (let i = array.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
-        [array[i], array[j]] = [array[j], array[i]];
-      }
-      return array;
-    }
-    const shuffledQuestions = shuffle([...quizData.questions]);
-    const questionsForCandidate = shuffledQuestions.map(q => {
-      const { answer, ...questionWithoutAnswer } = q.toObject ? q.toObject() : q;
-      return questionWithoutAnswer;
-    });
-
-    // Check if candidate has already submitted
-    const existingSubmission = assignment.submissions.find(
-      sub => sub.candidateId.toString() === candidateId.toString()
-    );
-
     // Get class data to check late submission settings
     const ClassModel = (await import('../models/Class.js')).default;
     const classInfo = await ClassModel.findById(assignment.classId);
 
-    // Check if assignment is past due date
-    const isPastDue = new Date(assignment.dueDate) < new Date();
-    const allowLateSubmissions = classInfo ? classInfo.allowLateSubmissions : false;
+    // Check the candidate's earlier attempts and whether they may start another
+    const previousAttempts = getCandidateAttempts(assignment, candidateId);
+    const existingSubmission = previousAttempts[previousAttempts.length - 1];
+    // The candidate's own dates and time limit, after accommodations and extensions
+    const schedule = getCandidateSchedule(assignment, classInfo, candidateId);
+    const availability = getAvailability(schedule, classInfo);
+    const attemptStatus = getAttemptStatus(assignment, previousAttempts);
+    if (availability.state !== 'open') attemptStatus.canAttempt = false;
+    // An attempt started here or on another device can be resumed
+    const inProgress = attemptStatus.canAttempt && Boolean(await findAttemptSession(candidateId, assignment._id, previousAttempts.length + 1));
+
+    // Outside the availability window the questions are not sent; candidates
+    // who have submitted still get their status
+    if (availability.state !== 'open' && !existingSubmission) {
+      return res.status(403).json({
+        success: false,
+        message: availability.state === 'upcoming'
+          ? `This quiz opens on ${availability.availableFrom.toLocaleString()}`
+          : 'This quiz is closed and no longer accepts submissions',
+        availability: availability.state,
+        availableFrom: availability.availableFrom,
+        closesAt: availability.closesAt,
+        classId: assignment.classId._id,
+      });
+    }
+
+    // *** SECURITY: Remove answers before sending to frontend ***
+    // Candidates see the version the assignment was issued with; questions from
+    // pools are drawn the first time they open it and stay the same afterwards
+    const quizData = {
+      ...assignment.quizId.toObject(),
+      questions: await getCandidateQuestions(assignment, candidateId, { draw: !existingSubmission }),
+    };
+    // Shuffle questions (and options) for anti-cheating, in this candidate's own order
+    const orderedQuestions = orderQuestionsForCandidate(
+      quizData.questions.map(q => (q.toObject ? q.toObject() : q)),
+      assignment,
+      candidateId
+    );
+    const questionsForCandidate = orderedQuestions.map(stripAnswerKey);
+
+    const release = getResultRelease(assignment, classInfo);
     
     
     
@@ -295,16 +391,30 @@ export const getSingleAssignment = async (req, res) => {
         classId: assignment.classId._id,
         className: assignment.classId.title,
         title: quizData.title,
-        timeLimit: assignment.timeLimit,
-        dueDate: assignment.dueDate,
+        timeLimit: schedule.timeLimit,
+        timeMultiplier: schedule.timeMultiplier,
+        hasExtension: schedule.hasExtension,
+        availableFrom: availability.availableFrom,
+        dueDate: schedule.dueDate,
+        closesAt: availability.closesAt,
+        availability: availability.state,
         questions: questionsForCandidate,
         // Include updatedAt to help detect if assignment was modified
         updatedAt: assignment.updatedAt,
         // Include submission status
         hasSubmitted: !!existingSubmission,
-        submissionScore: existingSubmission ? existingSubmission.score : null,
-        isPastDue: isPastDue,
-        allowLateSubmissions: allowLateSubmissions,
+        submissionScore: existingSubmission && release.showScore
+          ? getFinalScore(previousAttempts, assignment.scoringRule)
+          : null,
+        reviewAvailable: !!existingSubmission && release.reviewAvailable,
+        resultsReleaseAt: release.released ? null : release.releaseAt,
+        // Retakes
+        ...attemptStatus,
+        inProgress,
+        scoringRule: assignment.scoringRule,
+        isPastDue: availability.isPastDue,
+        allowLateSubmissions: availability.acceptsLate,
+        latePenalty: getLatePenaltyPolicy(assignment, classInfo),
         // Include proctoring settings
         proctoringEnabled: assignment.proctoringEnabled || false,
       },
@@ -366,7 +476,7 @@ export const getAssignmentsByClass = async (req, res) => {
 export const updateAssignment = async (req, res) => {
   try {
     const { id } = req.params;
-    const { dueDate, timeLimit, weightage, weightageType, allowRetake, subgroup, proctoringEnabled } = req.body;
+    const { availableFrom, dueDate, closeDate, timeLimit, weightage, weightageType, subgroup, proctoringEnabled, negativeMarking, partialCredit, shuffleQuestions, shuffleOptions, resultRelease, maxAttempts, attemptCooldown, scoringRule, latePenalty } = req.body;
     const adminId = req.user?.id || req.user?._id;
 
     
@@ -401,6 +511,22 @@ export const updateAssignment = async (req, res) => {
       assignment.dueDate = dueDateObj;
     }
 
+    // Update the availability window (null clears the open or close date),
+    // checked against whichever dates are not being changed
+    if (availableFrom !== undefined) assignment.availableFrom = toOptionalDate(availableFrom);
+    if (closeDate !== undefined) assignment.closeDate = toOptionalDate(closeDate);
+    const availabilityError = validateAvailability({
+      availableFrom: assignment.availableFrom,
+      dueDate: assignment.dueDate,
+      closeDate: assignment.closeDate,
+    });
+    if (availabilityError) {
+      return res.status(400).json({
+        success: false,
+        message: availabilityError,
+      });
+    }
+
     if (timeLimit !== undefined) {
       const timeLimitNum = parseInt(timeLimit);
       if (isNaN(timeLimitNum) || timeLimitNum <= 0) {
@@ -457,10 +583,83 @@ export const updateAssignment = async (req, res) => {
       
     }
 
-    // If allowRetake is explicitly set to true, clear all submissions
-    if (allowRetake === true) {
-      
-      assignment.submissions = [];
+    // Update scoring rules if provided (applies to submissions made from now on)
+    if (negativeMarking !== undefined) {
+      const penalty = parseFloat(negativeMarking);
+      if (isNaN(penalty) || penalty < 0 || penalty > 1) {
+        return res.status(400).json({
+          success: false,
+          message: 'Negative marking must be a fraction between 0 and 1',
+        });
+      }
+      assignment.negativeMarking = penalty;
+    }
+
+    if (partialCredit !== undefined) {
+      assignment.partialCredit = !!partialCredit;
+    }
+
+    // Update retake settings (the scoring rule also applies to attempts already made)
+    const attemptError = validateAttemptSettings({ maxAttempts, attemptCooldown, scoringRule });
+    if (attemptError) {
+      return res.status(400).json({
+        success: false,
+        message: attemptError,
+      });
+    }
+    if (maxAttempts !== undefined) assignment.maxAttempts = Number(maxAttempts);
+    if (attemptCooldown !== undefined) assignment.attemptCooldown = parseFloat(attemptCooldown);
+    if (scoringRule !== undefined) assignment.scoringRule = scoringRule;
+
+    // Update what candidates see of their results, and from when
+    if (resultRelease !== undefined) {
+      const releaseError = validateResultRelease(resultRelease);
+      if (releaseError) {
+        return res.status(400).json({
+          success: false,
+          message: releaseError,
+        });
+      }
+
+      // Candidates who could already see their results are not told again
+      const classData = await Class.findById(assignment.classId).select('showResults');
+      if (getResultRelease(assignment, classData).showScore) {
+        const now = new Date();
+        assignment.submissions.forEach(sub => {
+          if (!sub.resultsNotifiedAt) sub.resultsNotifiedAt = now;
+        });
+      }
+      assignment.resultRelease = toResultRelease(resultRelease);
+    }
+
+    // Update the late penalty; it and due date changes apply to late submissions already made
+    if (latePenalty !== undefined) {
+      const penaltyError = validateLatePenalty(latePenalty);
+      if (penaltyError) {
+        return res.status(400).json({
+          success: false,
+          message: penaltyError,
+        });
+      }
+      assignment.latePenalty = toLatePenalty(latePenalty);
+    }
+    if (latePenalty !== undefined || dueDate) {
+      const classData = await Class.findById(assignment.classId).select('latePenalty accommodations');
+      reapplyLatePenalties(assignment, classData);
+    }
+
+    // Reports show each candidate the order they were given, so it cannot change after submissions
+    const orderingChanged = (shuffleQuestions !== undefined && !!shuffleQuestions !== assignment.shuffleQuestions)
+      || (shuffleOptions !== undefined && !!shuffleOptions !== assignment.shuffleOptions);
+    if (orderingChanged) {
+      if (assignment.submissions.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Shuffle settings cannot be changed after candidates have submitted',
+        });
+      }
+      if (shuffleQuestions !== undefined) assignment.shuffleQuestions = !!shuffleQuestions;
+      if (shuffleOptions !== undefined) assignment.shuffleOptions = !!shuffleOptions;
     }
 
     await assignment.save();
@@ -485,6 +684,121 @@ export const updateAssignment = async (req, res) => {
   }
 };
 
+/**
+ * Give a candidate an extension (later dates or their own time limit)
+ * PUT /api/assignments/:assignmentId/extensions/:candidateId
+ */
+export const setExtension = async (req, res) => {
+  try {
+    const { assignmentId, candidateId } = req.params;
+    const { dueDate, closeDate, timeLimit, note } = req.body;
+    const adminId = req.user?.id || req.user?._id;
+
+    // 1. Find the assignment and check ownership
+    const assignment = await Assignment.findById(assignmentId);
+    if (!assignment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Assignment not found',
+      });
+    }
+    if (assignment.adminId.toString() !== adminId.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this assignment',
+      });
+    }
+
+    // 2. The candidate must be in the assignment's class
+    const classData = await Class.findOne({ _id: assignment.classId, students: candidateId }).select('latePenalty accommodations');
+    if (!classData) {
+      return res.status(400).json({
+        success: false,
+        message: 'Candidate is not enrolled in this class',
+      });
+    }
+
+    // 3. Validate and replace any earlier extension
+    const extensionError = validateExtension({ dueDate, closeDate, timeLimit, note }, assignment);
+    if (extensionError) {
+      return res.status(400).json({
+        success: false,
+        message: extensionError,
+      });
+    }
+    assignment.extensions = assignment.extensions.filter(item => item.candidateId.toString() !== candidateId);
+    assignment.extensions.push({
+      candidateId,
+      dueDate: toOptionalDate(dueDate),
+      closeDate: toOptionalDate(closeDate),
+      timeLimit: timeLimit ? parseInt(timeLimit) : null,
+      note: note || '',
+    });
+
+    // 4. Submissions already made are late (and penalised) against the new due date
+    markCandidateLateness(assignment, classData, candidateId);
+    reapplyLatePenalties(assignment, classData);
+    await assignment.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Extension saved',
+      data: assignment.extensions,
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to save extension',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Remove a candidate's extension
+ * DELETE /api/assignments/:assignmentId/extensions/:candidateId
+ */
+export const removeExtension = async (req, res) => {
+  try {
+    const { assignmentId, candidateId } = req.params;
+    const adminId = req.user?.id || req.user?._id;
+
+    const assignment = await Assignment.findById(assignmentId);
+    if (!assignment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Assignment not found',
+      });
+    }
+    if (assignment.adminId.toString() !== adminId.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this assignment',
+      });
+    }
+
+    assignment.extensions = assignment.extensions.filter(item => item.candidateId.toString() !== candidateId);
+    const classData = await Class.findById(assignment.classId).select('latePenalty accommodations');
+    markCandidateLateness(assignment, classData, candidateId);
+    reapplyLatePenalties(assignment, classData);
+    await assignment.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Extension removed',
+      data: assignment.extensions,
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove extension',
+      error: error.message,
+    });
+  }
+};
+
 /**
  * Delete an assignment
  * DELETE /api/assignments/:id
@@ -514,6 +828,7 @@ export const deleteAssignment = async (req, res) => {
     }
 
     await Assignment.findByIdAndDelete(id);
+    await ProctoringEvent.deleteMany({ assignmentId: id });
     
 
     res.status(200).json({
@@ -566,8 +881,9 @@ export const getCandidateAssignments = async (req, res) => {
 
     // Find all assignments for that class
     const assignments = await Assignment.find({ classId: classId })
-      .select('dueDate timeLimit quizId submissions subgroup')
-      .populate('quizId', 'title questions')
+      .select('availableFrom dueDate closeDate timeLimit extensions quizId submissions subgroup resultRelease maxAttempts attemptCooldown scoringRule')
+      // Only the question count is needed; answers and explanations stay on the server
+      .populate('quizId', 'title questions._id')
       .sort({ dueDate: 1 }); // Sort by due date (earliest first)
 
     // Get candidate registration number
@@ -629,23 +945,42 @@ export const getCandidateAssignments = async (req, res) => {
       return isEligible;
     });
 
+    // Attempts the candidate has started and not submitted yet
+    const inProgressIds = await getAssignmentsInProgress(candidateId);
+
     // Add submission status for this candidate to each assignment
     const assignmentsWithStatus = filteredAssignments.map(assignment => {
-      const assignmentObj = assignment.toObject();
-      const candidateSubmission = assignmentObj.submissions.find(
-        sub => sub.candidateId.toString() === candidateId.toString()
-      );
+      // Other candidates' submissions and extensions are not sent back
+      const { submissions, extensions, ...assignmentObj } = assignment.toObject();
+      const candidateAttempts = getCandidateAttempts({ submissions }, candidateId);
+      const candidateSubmission = candidateAttempts[candidateAttempts.length - 1];
+      const schedule = getCandidateSchedule({ ...assignmentObj, extensions }, classData, candidateId);
       
-      // Check if class allows showing results to candidates
-      const showScore = classData.showResults && candidateSubmission;
+      // Check whether this assignment's results have been released
+      const release = getResultRelease(assignment, classData);
+      const showScore = release.showScore && candidateSubmission;
+      const availability = getAvailability(schedule, classData);
+      const attemptStatus = getAttemptStatus(assignment, candidateAttempts);
       
       return {
         ...assignmentObj,
+        dueDate: schedule.dueDate,
+        closeDate: schedule.closeDate,
+        timeLimit: schedule.timeLimit,
+        hasExtension: schedule.hasExtension,
         hasSubmitted: !!candidateSubmission,
-        submissionScore: showScore ? candidateSubmission.score : null,
+        submissionScore: showScore ? getFinalScore(candidateAttempts, assignment.scoringRule) : null,
         submittedAt: candidateSubmission ? candidateSubmission.submittedAt : null,
         isLateSubmission: candidateSubmission ? candidateSubmission.isLateSubmission : false,
-        allowLateSubmissions: classData.allowLateSubmissions,
+        allowLateSubmissions: availability.acceptsLate,
+        latePenalty: getLatePenaltyPolicy(assignment, classData),
+        availability: availability.state,
+        closesAt: availability.closesAt,
+        reviewAvailable: Boolean(candidateSubmission) && release.reviewAvailable,
+        resultsReleaseAt: release.released ? null : release.releaseAt,
+        ...attemptStatus,
+        canAttempt: attemptStatus.canAttempt && availability.state === 'open',
+        inProgress: attemptStatus.canAttempt && availability.state === 'open' && inProgressIds.has(String(assignment._id)),
       };
     });
 
@@ -666,136 +1001,427 @@ export const getCandidateAssignments = async (req, res) => {
 };
 
 /**
- * Submit a quiz for grading
- * POST /api/candidate/submit-quiz/:assignmentId
+ * Start (or resume) the candidate's next attempt, fixing its deadline on the server
+ * POST /api/candidate/start-quiz/:assignmentId
  */
-export const submitQuiz = async (req, res) => {
+export const startQuiz = async (req, res) => {
   try {
     const { assignmentId } = req.params;
-    const { answers, tabSwitchCount = 0, escCount = 0, wasFullscreen = false, proctoringData = null } = req.body; // Get the candidate's answers and anti-cheat data
     const candidateId = req.user?.id || req.user?._id;
 
-    
-    
-    if (proctoringData) {
-      
-    }
-
-    // 1. Find the assignment and the *full* quiz (with answers)
-    const assignment = await Assignment.findById(assignmentId)
-      .populate({
-        path: 'quizId',
-        model: 'Quiz', // Explicitly tell it which model
-      });
-
+    // 1. Find the assignment and check the candidate is enrolled
+    const assignment = await Assignment.findById(assignmentId).select('classId availableFrom dueDate closeDate timeLimit extensions submissions maxAttempts attemptCooldown');
     if (!assignment) {
-      
       return res.status(404).json({
         success: false,
         message: 'Assignment not found',
       });
     }
 
-    // 2. Check if user is enrolled
-    const Class = (await import('../models/Class.js')).default;
-    const classData = await Class.findOne({ 
-      _id: assignment.classId, 
-      students: candidateId 
-    });
-    
+    const classData = await Class.findOne({ _id: assignment.classId, students: candidateId });
     if (!classData) {
-      
       return res.status(403).json({
         success: false,
         message: 'You are not enrolled in this class',
       });
     }
 
-    // 3. Check if user has already submitted
-    const existingSubmission = assignment.submissions.find(
-      sub => sub.candidateId.toString() === candidateId.toString()
-    );
-    
-    if (existingSubmission) {
-      
+    // 2. Check the candidate may start another attempt now
+    const previousAttempts = getCandidateAttempts(assignment, candidateId);
+    const attemptStatus = getAttemptStatus(assignment, previousAttempts);
+    if (!attemptStatus.canAttempt) {
       return res.status(400).json({
         success: false,
-        message: 'You have already submitted this quiz',
+        message: attemptStatus.nextAttemptAt
+          ? `You can start your next attempt after ${attemptStatus.nextAttemptAt.toLocaleString()}`
+          : 'You have no attempts left for this quiz',
       });
     }
 
-    // 3.5. Check if submission is past due and late submissions are not allowed
-    const isPastDue = new Date() > new Date(assignment.dueDate);
-    const isLateSubmission = isPastDue;
-    
-    if (isPastDue && !classData.allowLateSubmissions) {
-      
+    const schedule = getCandidateSchedule(assignment, classData, candidateId);
+    const availability = getAvailability(schedule, classData);
+    if (availability.state !== 'open') {
       return res.status(403).json({
         success: false,
-        message: 'This assignment is past due and late submissions are not allowed',
+        message: availability.state === 'upcoming'
+          ? `This quiz opens on ${availability.availableFrom.toLocaleString()}`
+          : 'This quiz is closed and no longer accepts submissions',
       });
     }
-    
-    if (isLateSubmission) {
-      
-    }
 
-    // 4. --- GRADING LOGIC ---
-    const correctAnswers = assignment.quizId.questions;
-    let score = 0;
-    let totalQuestions = correctAnswers.length;
+    // 3. Start the attempt, or pick up the one already started
+    const now = new Date();
+    const { session, resumed } = await startAttemptSession(
+      candidateId,
+      assignment._id,
+      previousAttempts.length + 1,
+      { timeLimit: schedule.timeLimit, closesAt: availability.closesAt },
+      now
+    );
 
-    
+    // The server's clock is sent too, so the countdown isn't thrown off by the
+    // device's. A resumed attempt comes back with its autosaved answers
+    res.status(200).json({
+      success: true,
+      data: {
+        attemptNumber: session.attemptNumber,
+        startedAt: session.startedAt,
+        deadline: session.deadline,
+        serverTime: now,
+        resumed,
+        answers: session.answers || {},
+        flaggedQuestions: session.flaggedQuestions || [],
+        questionTimes: session.questionTimes || {},
+        savedAt: session.savedAt,
+      },
+    });
 
-    // Array to store formatted answers with correctness
-    const formattedAnswers = [];
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start quiz',
+      error: error.message,
+    });
+  }
+};
 
-    for (const question of correctAnswers) {
-      // Find the candidate's answer for this question
-      // We use question._id.toString() because the keys in 'answers' are strings
-      const candidateAnswer = answers[question._id.toString()];
-      
-      if (candidateAnswer) {
-        let isCorrect = false;
-        
-        // For short answer questions, do case-insensitive comparison
-        if (question.type === 'short_answer') {
-          isCorrect = candidateAnswer.trim().toLowerCase() === question.answer.trim().toLowerCase();
-          
-          
-        } else {
-          // For MCQ and True/False, exact match (case-sensitive)
-          isCorrect = candidateAnswer === question.answer;
-        }
-        
-        if (isCorrect) {
-          score += 1;
-        }
+/**
+ * Autosave the answers (with flagged questions and question times) of the attempt in progress
+ * PUT /api/candidate/autosave/:assignmentId
+ */
+export const autosaveQuiz = async (req, res) => {
+  try {
+    const { assignmentId } = req.params;
+    const { answers, flaggedQuestions = [], questionTimes = {} } = req.body;
+    const candidateId = req.user?.id || req.user?._id;
 
-        // Store the answer with its correctness
-        formattedAnswers.push({
-          questionId: question._id.toString(),
-          selectedAnswer: candidateAnswer,
-          isCorrect: isCorrect,
-        });
-      } else {
-        // If no answer provided, store as incorrect
-        formattedAnswers.push({
-          questionId: question._id.toString(),
-          selectedAnswer: '',
-          isCorrect: false,
-        });
-      }
+    // 1. Check what was sent
+    const progressError = validateAttemptProgress({ answers, flaggedQuestions, questionTimes });
+    if (progressError) {
+      return res.status(400).json({
+        success: false,
+        message: progressError,
+      });
     }
 
-    const percentageScore = (score / totalQuestions) * 100;
+    // 2. There must be an attempt in progress that is still within its time
+    const session = await findAttemptSession(candidateId, assignmentId);
+    if (!session) {
+      return res.status(409).json({
+        success: false,
+        message: 'There is no attempt in progress for this quiz',
+      });
+    }
+
+    const now = new Date();
+    if (getOvertimeSeconds(session, now) > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'Time is up for this attempt',
+      });
+    }
+
+    // 3. Save over the previous autosave
+    const saved = await saveAttemptProgress(session, candidateId, { answers, flaggedQuestions, questionTimes }, now);
+    if (!saved) {
+      return res.status(409).json({
+        success: false,
+        message: 'There is no attempt in progress for this quiz',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { savedAt: now },
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to save answers',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Record proctoring events of the attempt in progress, sent in batches by the quiz page
+ * POST /api/candidate/proctoring-events/:assignmentId
+ */
+export const ingestProctoringEvents = async (req, res) => {
+  try {
+    const { assignmentId } = req.params;
+    const { events } = req.body;
+    const candidateId = req.user?.id || req.user?._id;
+
+    // 1. Check what was sent
+    const eventsError = validateProctoringEvents(events);
+    if (eventsError) {
+      return res.status(400).json({
+        success: false,
+        message: eventsError,
+      });
+    }
+
+    // 2. There must be an attempt in progress; events are kept against it
+    const session = await findAttemptSession(candidateId, assignmentId);
+    if (!session) {
+      return res.status(409).json({
+        success: false,
+        message: 'There is no attempt in progress for this quiz',
+      });
+    }
+
+    // 3. Store them (timestamps outside the attempt are moved to its edges)
+    const stored = await saveProctoringEvents(session, candidateId, events);
+
+    res.status(201).json({
+      success: true,
+      data: { received: events.length, stored },
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to record proctoring events',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Submit a quiz for grading
+ * POST /api/candidate/submit-quiz/:assignmentId
+ */
+export const submitQuiz = async (req, res) => {
+  try {
+    const { assignmentId } = req.params;
+    const { answers, tabSwitchCount = 0, escCount = 0, wasFullscreen = false, proctoringData = null } = req.body; // Get the candidate's answers and anti-cheat data
+    // Sent by the browser: when the candidate finished (it may have been queued
+    // offline) and an id that makes replaying the same submission harmless
+    const { completedAt = null, clientSubmissionId = null, flaggedQuestions = [] } = req.body;
+    // Seconds spent on each question, revisits included
+    const questionTimes = validateQuestionTimes(req.body.questionTimes) ? {} : req.body.questionTimes;
+    const candidateId = req.user?.id || req.user?._id;
+    const receivedAt = new Date();
+
+    if (clientSubmissionId !== null && (typeof clientSubmissionId !== 'string' || clientSubmissionId.length > 100)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid submission id',
+      });
+    }
+
+    
+    
+    if (proctoringData) {
+      
+    }
+
+    // 1. Find the assignment and the *full* quiz (with answers)
+    const assignment = await Assignment.findById(assignmentId)
+      .populate({
+        path: 'quizId',
+        model: 'Quiz', // Explicitly tell it which model
+      });
+
+    if (!assignment) {
+      
+      return res.status(404).json({
+        success: false,
+        message: 'Assignment not found',
+      });
+    }
+
+    // 2. Check if user is enrolled
+    const Class = (await import('../models/Class.js')).default;
+    const classData = await Class.findOne({ 
+      _id: assignment.classId, 
+      students: candidateId 
+    });
+    
+    if (!classData) {
+      
+      return res.status(403).json({
+        success: false,
+        message: 'You are not enrolled in this class',
+      });
+    }
+
+    // 3. Check the candidate has an attempt left and is past any cooldown
+    const previousAttempts = getCandidateAttempts(assignment, candidateId);
+    const attemptStatus = getAttemptStatus(assignment, previousAttempts);
+
+    // A queued submission replayed after it already got through (its response
+    // was lost with the connection) is acknowledged, not recorded again
+    const recorded = clientSubmissionId
+      && previousAttempts.find(attempt => attempt.clientSubmissionId === clientSubmissionId);
+    if (recorded) {
+      return res.status(200).json({
+        success: true,
+        message: 'This submission was already recorded',
+        alreadyRecorded: true,
+        showResults: false,
+        attemptNumber: recorded.attemptNumber,
+        isLateSubmission: recorded.isLateSubmission,
+        ...attemptStatus,
+      });
+    }
+    
+    if (!attemptStatus.canAttempt) {
+      return res.status(400).json({
+        success: false,
+        message: attemptStatus.nextAttemptAt
+          ? `You can start your next attempt after ${attemptStatus.nextAttemptAt.toLocaleString()}`
+          : attemptStatus.maxAttempts > 1
+            ? `You have used all ${attemptStatus.maxAttempts} attempts for this quiz`
+            : 'You have already submitted this quiz',
+        nextAttemptAt: attemptStatus.nextAttemptAt,
+      });
+    }
+
+    // 3.5. Time the attempt against the deadline set when it was started;
+    // submissions past it (and the grace period) are kept but flagged
+    const session = await findAttemptSession(candidateId, assignment._id, previousAttempts.length + 1);
+    if (!session) {
+      return res.status(409).json({
+        success: false,
+        message: 'This attempt was never started. Please reload the quiz and try again.',
+      });
+    }
+
+    // Replayed offline submissions count from when the candidate finished
+    // (within limits); everything else from when it arrived
+    const lastEventAt = completedAt
+      ? await getLastProctoringEventTime(assignment._id, candidateId, session.attemptNumber)
+      : null;
+    const submittedAt = getCompletionTime(session, { completedAt, clientSubmissionId, lastEventAt }, receivedAt);
+
+    // 3.6. Check the assignment was open: not before availableFrom, and not
+    // after the hard close (or the due date, when late submissions are off),
+    // going by the candidate's own dates when they have an extension
+    const schedule = getCandidateSchedule(assignment, classData, candidateId);
+    const availability = getAvailability(schedule, classData, submittedAt);
+    const isLateSubmission = availability.isPastDue;
+    
+    if (availability.state === 'upcoming') {
+      return res.status(403).json({
+        success: false,
+        message: `This quiz opens on ${availability.availableFrom.toLocaleString()}`,
+      });
+    }
+
+    if (availability.state === 'closed' && !isWithinCloseGrace(availability, submittedAt)) {
+      return res.status(403).json({
+        success: false,
+        message: availability.acceptsLate
+          ? 'This assignment is closed and no longer accepts late submissions'
+          : 'This assignment is past due and late submissions are not allowed',
+      });
+    }
+
+    // 4. --- GRADING LOGIC ---
+    // Grade against the version the assignment was issued with and the
+    // questions this candidate drew from its pools
+    const correctAnswers = await getCandidateQuestions(assignment, candidateId, { draw: true });
+    let score = 0; // Number of fully correct answers
+    let pointsEarned = 0;
+    let totalPoints = 0;
+    let totalQuestions = correctAnswers.length;
+    const scoringRules = getScoringRules(assignment);
+
+    
+
+    // Array to store formatted answers with correctness
+    const formattedAnswers = [];
+    let pendingCount = 0; // Essay answers waiting for an instructor
+
+    for (const question of correctAnswers) {
+      // Find the candidate's answer for this question
+      // We use question._id.toString() because the keys in 'answers' are strings
+      const candidateAnswer = answers[question._id.toString()];
+      const { isCorrect, pointsAwarded, pointsPossible } = gradeAnswer(question, candidateAnswer, scoringRules);
+
+      totalPoints += pointsPossible;
+      pointsEarned += pointsAwarded;
+      
+      if (hasAnswer(candidateAnswer) && requiresManualGrading(question)) {
+        // Essays go to the grading queue and count 0 points until graded
+        pendingCount += 1;
+        formattedAnswers.push({
+          questionId: question._id.toString(),
+          selectedAnswer: formatAnswer(candidateAnswer),
+          isCorrect: false,
+          pointsAwarded: 0,
+          pointsPossible,
+          gradingStatus: 'pending',
+        });
+      } else if (hasAnswer(candidateAnswer)) {
+        if (isCorrect) {
+          score += 1;
+        }
+
+        // Store the answer with its correctness
+        formattedAnswers.push({
+          questionId: question._id.toString(),
+          selectedAnswer: formatAnswer(candidateAnswer),
+          ...(Array.isArray(candidateAnswer) && { selectedAnswers: candidateAnswer.map(value => String(value ?? '')) }),
+          isCorrect: isCorrect,
+          pointsAwarded,
+          pointsPossible,
+        });
+      } else {
+        // If no answer provided, store as incorrect
+        formattedAnswers.push({
+          questionId: question._id.toString(),
+          selectedAnswer: '',
+          isCorrect: false,
+          pointsAwarded: 0,
+          pointsPossible,
+        });
+      }
+    }
+
+    pointsEarned = Math.round(pointsEarned * 100) / 100;
+    const rawScore = toPercentage(pointsEarned, totalPoints);
+
+    // Time on each question, capped at the length of the attempt
+    const attemptSeconds = Math.max(0, (submittedAt - new Date(session.startedAt)) / 1000);
+    formattedAnswers.forEach(answer => {
+      answer.timeSpentSeconds = getTimeSpent(questionTimes, answer.questionId, attemptSeconds);
+    });
+
+    // 4.5. Take off the late penalty (the assignment's, or else its class's)
+    const latePenalty = isLateSubmission
+      ? getLatePenalty(getLatePenaltyPolicy(assignment, classData), schedule.dueDate, submittedAt)
+      : 0;
+    const percentageScore = Math.max(0, rawScore - latePenalty);
 
     // 5. Create the submission record with detailed answers and anti-cheat data
+    const release = getResultRelease(assignment, classData);
     const submission = {
       candidateId: candidateId,
+      attemptNumber: previousAttempts.length + 1,
       score: percentageScore,
-      submittedAt: new Date(),
+      rawScore,
+      latePenalty,
+      pointsEarned,
+      totalPoints,
+      gradingStatus: pendingCount > 0 ? 'pending' : 'complete',
+      submittedAt,
       isLateSubmission: isLateSubmission,
+      startedAt: session.startedAt,
+      deadline: session.deadline,
+      overtimeSeconds: getOvertimeSeconds(session, submittedAt),
+      receivedAt,
+      clientCompletedAt: completedAt && !isNaN(new Date(completedAt).getTime()) ? new Date(completedAt) : null,
+      clientSubmissionId,
+      // Only flags on questions this candidate was given
+      flaggedQuestions: Array.isArray(flaggedQuestions)
+        ? correctAnswers.map(question => question._id.toString()).filter(id => flaggedQuestions.includes(id))
+        : [],
+      // Candidates who see their results now need no release notification later
+      resultsNotifiedAt: release.showScore ? submittedAt : null,
       tabSwitchCount: tabSwitchCount,
       escCount: escCount,
       wasFullscreen: wasFullscreen,
@@ -811,11 +1437,13 @@ export const submitQuiz = async (req, res) => {
     // 6. Save the submission to the assignment
     assignment.submissions.push(submission);
     await assignment.save();
+    await endAttemptSession(candidateId, assignment._id);
 
     
 
-    // 7. Check if results should be shown to candidates
-    const showScore = classData.showResults;
+    // 7. Check if results should be shown to candidates yet
+    const showScore = release.showScore;
+    const attempts = [...previousAttempts, submission];
     
 
     // 8. Send the result back to the candidate (conditionally show score)
@@ -823,10 +1451,23 @@ export const submitQuiz = async (req, res) => {
       success: true,
       message: isLateSubmission ? 'Late submission recorded successfully!' : 'Quiz submitted successfully!',
       score: showScore ? percentageScore : null,
+      rawScore: showScore ? rawScore : null,
+      latePenalty: showScore ? latePenalty : null,
       totalQuestions: showScore ? totalQuestions : null,
       correctCount: showScore ? score : null,
+      pointsEarned: showScore ? pointsEarned : null,
+      totalPoints: showScore ? totalPoints : null,
+      pendingGradingCount: pendingCount,
       showResults: showScore,
+      reviewAvailable: release.reviewAvailable,
+      // When hidden results become visible (null if they are not scheduled)
+      resultsReleaseAt: release.released ? null : release.releaseAt,
       isLateSubmission: isLateSubmission,
+      // Retakes: the score that counts so far and whether another attempt is allowed
+      attemptNumber: submission.attemptNumber,
+      finalScore: showScore ? getFinalScore(attempts, assignment.scoringRule) : null,
+      scoringRule: assignment.scoringRule,
+      ...getAttemptStatus(assignment, attempts),
     });
 
   } catch (error) {
@@ -838,6 +1479,126 @@ export const submitQuiz = async (req, res) => {
   }
 };
 
+/**
+ * Review a submitted quiz: the candidate's answers marked right or wrong, with
+ * the correct answers and explanations at the 'answer_key' release level
+ * GET /api/candidate/review/:assignmentId
+ */
+export const getSubmissionReview = async (req, res) => {
+  try {
+    const { assignmentId } = req.params;
+    const candidateId = req.user?.id || req.user?._id;
+
+    // 1. Only candidates review their own submissions
+    if (req.user?.role !== 'candidate') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only candidates can review their submissions',
+      });
+    }
+
+    // 2. Find the assignment with the full quiz (answers included)
+    const assignment = await Assignment.findById(assignmentId)
+      .populate({
+        path: 'quizId',
+        select: 'title questions pools currentVersion',
+      })
+      .populate('classId', 'title');
+
+    if (!assignment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Assignment not found',
+      });
+    }
+
+    // 3. Check the candidate is enrolled and has submitted
+    const classData = await Class.findOne({ _id: assignment.classId._id, students: candidateId });
+    if (!classData) {
+      return res.status(403).json({
+        success: false,
+        message: 'You are not enrolled in the class for this assignment',
+      });
+    }
+
+    // The latest attempt unless another one is asked for (?attempt=2)
+    const attempts = getCandidateAttempts(assignment, candidateId);
+    const attemptIndex = req.query.attempt ? parseInt(req.query.attempt) - 1 : attempts.length - 1;
+    const submission = attempts[attemptIndex];
+    if (!submission) {
+      return res.status(404).json({
+        success: false,
+        message: attempts.length > 0 ? 'Attempt not found' : 'You have not submitted this quiz yet',
+      });
+    }
+
+    // 4. Check the review has been released
+    const release = getResultRelease(assignment, classData);
+    if (!release.reviewAvailable) {
+      let message = 'Answer review is not available for this assignment';
+      if (!release.released && release.releaseAt) {
+        message = 'Your results have not been released yet';
+      } else if (release.level === 'score') {
+        message = 'Only scores are released for this assignment';
+      }
+      return res.status(403).json({
+        success: false,
+        message,
+        resultLevel: release.level,
+        releaseAt: release.released ? null : release.releaseAt,
+      });
+    }
+    const showAnswerKey = release.level === 'answer_key';
+
+    // 5. Build the review in the order the candidate saw the questions
+    const questions = orderQuestionsForCandidate(
+      (await getCandidateQuestions(assignment, candidateId)).map(q => (q.toObject ? q.toObject() : q)),
+      assignment,
+      candidateId
+    );
+    const items = questions.map(question => toReviewItem(
+      question,
+      submission.answers.find(ans => ans.questionId === question._id.toString()),
+      showAnswerKey
+    ));
+
+    // 6. Send the review back
+    res.status(200).json({
+      success: true,
+      data: {
+        assignmentId: assignment._id,
+        classId: assignment.classId._id,
+        className: assignment.classId.title,
+        title: assignment.quizId.title,
+        submittedAt: submission.submittedAt,
+        isLateSubmission: submission.isLateSubmission,
+        // An instructor's whole-score override wins over the calculated score
+        score: hasScoreOverride(submission) ? submission.scoreOverride.score : submission.score,
+        // Percentage points taken off for submitting late (not shown under an override)
+        latePenalty: hasScoreOverride(submission) ? 0 : submission.latePenalty || 0,
+        pointsEarned: submission.pointsEarned,
+        totalPoints: submission.totalPoints,
+        gradingStatus: submission.gradingStatus,
+        showAnswerKey,
+        attemptNumber: attemptIndex + 1,
+        attempts: attempts.map((attempt, index) => ({
+          attemptNumber: index + 1,
+          submittedAt: attempt.submittedAt,
+          score: hasScoreOverride(attempt) ? attempt.scoreOverride.score : attempt.score,
+        })),
+        questions: items,
+      },
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load the review',
+      error: error.message,
+    });
+  }
+};
+
 /**
  * Get all submissions for a single assignment (for Admins)
  * GET /api/assignments/:assignmentId/submissions
@@ -886,9 +1647,21 @@ export const getAssignmentSubmissions = async (req, res) => {
       });
     }
 
-    
+    // 4. Work out the score that counts for each candidate across their attempts
+    const candidateResults = [...groupAttemptsByCandidate(assignment.submissions).values()].map(attempts => {
+      const counted = getCountedAttempt(attempts, assignment.scoringRule);
+      return {
+        candidateId: attempts[0].candidateId?._id || attempts[0].candidateId,
+        finalScore: counted.score,
+        latePenalty: hasScoreOverride(counted) ? 0 : counted.latePenalty || 0,
+        gradingStatus: counted.gradingStatus,
+        attemptCount: attempts.length,
+        // Averaged scores don't come from a single attempt
+        countedSubmissionId: assignment.scoringRule === 'average' && attempts.length > 1 ? null : counted._id,
+      };
+    });
 
-    // 4. Send back the assignment details with submissions
+    // 5. Send back the assignment details with submissions (one per attempt)
     res.status(200).json({
       success: true,
       data: {
@@ -896,10 +1669,16 @@ export const getAssignmentSubmissions = async (req, res) => {
         quizTitle: assignment.quizId.title,
         classTitle: assignment.classId.title,
         courseCode: assignment.classId.courseCode,
+        availableFrom: assignment.availableFrom,
         dueDate: assignment.dueDate,
+        closeDate: assignment.closeDate,
         timeLimit: assignment.timeLimit,
+        extensions: assignment.extensions,
         submissions: assignment.submissions,
         totalSubmissions: assignment.submissions.length,
+        maxAttempts: assignment.maxAttempts || 1,
+        scoringRule: assignment.scoringRule || 'highest',
+        candidateResults,
       },
     });
 
@@ -938,13 +1717,18 @@ export const getSubmissionDetails = async (req, res) => {
       .populate({
         path: 'quizId',
         model: 'Quiz',
-        select: 'title questions',
+        select: 'title questions pools currentVersion',
       })
       .populate({
         path: 'submissions.candidateId',
         model: 'User',
         select: 'name email registrationNumber',
       })
+      .populate({
+        path: 'submissions.gradeHistory.changedBy',
+        model: 'User',
+        select: 'name',
+      })
       .populate('classId', 'title courseCode');
 
     if (!assignment) {
@@ -978,7 +1762,14 @@ export const getSubmissionDetails = async (req, res) => {
     
 
     // 5. Build detailed question breakdown
-    const questionsWithAnswers = assignment.quizId.questions.map((question) => {
+    // Show the questions exactly as the candidate saw them, in their order
+    const submissionCandidateId = submission.candidateId?._id || submission.candidateId;
+    const assignmentQuestions = orderQuestionsForCandidate(
+      (await getCandidateQuestions(assignment, submissionCandidateId)).map(q => (q.toObject ? q.toObject() : q)),
+      assignment,
+      submissionCandidateId
+    );
+    const questionsWithAnswers = assignmentQuestions.map((question) => {
       // Find the candidate's answer for this question
       const candidateAnswer = submission.answers.find(
         (ans) => ans.questionId === question._id.toString()
@@ -987,11 +1778,25 @@ export const getSubmissionDetails = async (req, res) => {
       return {
         questionId: question._id,
         questionText: question.text,
+        textFormat: question.textFormat || 'plain',
         questionType: question.type,
         options: question.options || [],
-        correctAnswer: question.answer,
+        correctAnswer: describeCorrectAnswer(question),
+        correctOptions: question.correctOptions || [],
         candidateAnswer: candidateAnswer ? candidateAnswer.selectedAnswer : '',
+        candidateAnswers: candidateAnswer?.selectedAnswers || [],
         isCorrect: candidateAnswer ? candidateAnswer.isCorrect : false,
+        pointsAwarded: candidateAnswer?.pointsAwarded ?? (candidateAnswer?.isCorrect ? 1 : 0),
+        pointsPossible: candidateAnswer?.pointsPossible ?? getQuestionPoints(question),
+        gradingStatus: candidateAnswer?.gradingStatus || 'auto',
+        feedback: candidateAnswer?.feedback || '',
+        explanation: question.explanation || '',
+        overridden: candidateAnswer?.overridden || false,
+        hasStoredAnswer: Boolean(candidateAnswer),
+        // Drawn for this candidate from a question pool
+        fromPool: Boolean(question.poolId),
+        flagged: (submission.flaggedQuestions || []).includes(question._id.toString()),
+        timeSpentSeconds: candidateAnswer?.timeSpentSeconds ?? null,
       };
     });
 
@@ -1000,12 +1805,19 @@ export const getSubmissionDetails = async (req, res) => {
     const correctAnswers = questionsWithAnswers.filter(q => q.isCorrect).length;
     const incorrectAnswers = totalQuestions - correctAnswers;
 
-    // 7. Recalculate the actual percentage based on answers (for accuracy)
-    const recalculatedPercentage = totalQuestions > 0 ? (correctAnswers / totalQuestions) * 100 : 0;
-    
-    // If submission has no answers array (old submission), use the stored score
-    // Otherwise use the recalculated score for accuracy
-    const finalScore = submission.answers.length > 0 ? recalculatedPercentage : submission.score;
+    // 7. Work out the percentage from points
+    // Submissions graded with points store their totals; older ones are recalculated
+    // from correct answers (1 point each), and ones without answers keep the stored score
+    const hasPointTotals = submission.totalPoints !== null && submission.totalPoints !== undefined;
+    const pointsEarned = hasPointTotals ? submission.pointsEarned : correctAnswers;
+    const totalPoints = hasPointTotals ? submission.totalPoints : totalQuestions;
+    const recalculatedPercentage = toPercentage(pointsEarned, totalPoints);
+    const rawScore = hasPointTotals || submission.answers.length > 0 ? recalculatedPercentage : submission.score;
+    // A late penalty comes off the calculated score
+    const latePenalty = submission.latePenalty || 0;
+    const calculatedScore = Math.max(0, rawScore - latePenalty);
+    // An instructor's whole-score override wins over the calculated score
+    const finalScore = hasScoreOverride(submission) ? submission.scoreOverride.score : calculatedScore;
 
     // 8. Send back detailed report
     res.status(200).json({
@@ -1028,12 +1840,51 @@ export const getSubmissionDetails = async (req, res) => {
         },
         score: finalScore,
         submittedAt: submission.submittedAt,
+        // Server-side timing of the attempt (startedAt is null for untimed attempts)
+        startedAt: submission.startedAt,
+        deadline: submission.deadline,
+        overtimeSeconds: submission.overtimeSeconds || 0,
+        // This candidate's other attempts, for switching between them
+        attemptNumber: submission.attemptNumber || 1,
+        attempts: getCandidateAttempts(assignment, submission.candidateId._id).map(attempt => ({
+          submissionId: attempt._id,
+          attemptNumber: attempt.attemptNumber || 1,
+          score: attempt.score,
+          submittedAt: attempt.submittedAt,
+        })),
+        calculatedScore,
+        rawScore,
+        latePenalty,
+        isLateSubmission: submission.isLateSubmission || false,
+        scoreOverride: hasScoreOverride(submission) ? submission.scoreOverride : null,
+        gradeHistory: (submission.gradeHistory || []).map(change => ({
+          type: change.type,
+          questionId: change.questionId,
+          previousIsCorrect: change.previousIsCorrect,
+          newIsCorrect: change.newIsCorrect,
+          previousPoints: change.previousPoints,
+          newPoints: change.newPoints,
+          previousScore: change.previousScore,
+          newScore: change.newScore,
+          reason: change.reason,
+          changedBy: change.changedBy?.name || 'Unknown',
+          changedAt: change.changedAt,
+        })),
+        gradingStatus: submission.gradingStatus || 'complete',
+        pendingGradingCount: questionsWithAnswers.filter(q => q.gradingStatus === 'pending').length,
         statistics: {
           totalQuestions,
           correctAnswers,
           incorrectAnswers,
+          pointsEarned,
+          totalPoints,
           percentage: finalScore,
         },
+        // Questions and options are listed in the order this candidate saw them
+        ordering: {
+          shuffleQuestions: assignment.shuffleQuestions !== false,
+          shuffleOptions: !!assignment.shuffleOptions,
+        },
         questions: questionsWithAnswers,
       },
     });
@@ -1048,28 +1899,92 @@ export const getSubmissionDetails = async (req, res) => {
 };
 
 /**
- * Get all results for a class (for Results tab)
- * GET /api/assignments/class/:classId/results
+ * Get the proctoring event timeline of a submission's attempt
+ * GET /api/assignments/:assignmentId/submissions/:submissionId/proctoring-events
  */
-export const getClassResults = async (req, res) => {
+export const getProctoringTimeline = async (req, res) => {
   try {
-    const { classId } = req.params;
+    const { assignmentId, submissionId } = req.params;
     const adminId = req.user?.id || req.user?._id;
 
-    
+    // 1. Security: Only Admins can access this
+    if (req.user?.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized. Only admins can view proctoring events.',
+      });
+    }
 
-    // Verify admin owns the class
-    const classData = await Class.findOne({ _id: classId, adminId });
-    if (!classData) {
+    // 2. Find the assignment
+    const assignment = await Assignment.findById(assignmentId).select('adminId submissions');
+    if (!assignment) {
       return res.status(404).json({
         success: false,
-        message: 'Class not found or you are not authorized',
+        message: 'Assignment not found',
       });
     }
 
-    // Get all assignments for this class
-    const assignments = await Assignment.find({ classId })
-      .populate('quizId', 'title questions')
+    // 3. Security: Check if this Admin owns the assignment
+    if (assignment.adminId.toString() !== adminId.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not own this assignment',
+      });
+    }
+
+    // 4. Find the submission
+    const submission = assignment.submissions.id(submissionId);
+    if (!submission) {
+      return res.status(404).json({
+        success: false,
+        message: 'Submission not found',
+      });
+    }
+
+    // 5. Events of that attempt, oldest first
+    const events = await findProctoringTimeline(assignmentId, submission.candidateId, submission.attemptNumber);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        startedAt: submission.startedAt || null,
+        submittedAt: submission.submittedAt,
+        events,
+      },
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load proctoring events',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Get all results for a class (for Results tab)
+ * GET /api/assignments/class/:classId/results
+ */
+export const getClassResults = async (req, res) => {
+  try {
+    const { classId } = req.params;
+    const adminId = req.user?.id || req.user?._id;
+
+    
+
+    // Verify admin owns the class
+    const classData = await Class.findOne({ _id: classId, adminId });
+    if (!classData) {
+      return res.status(404).json({
+        success: false,
+        message: 'Class not found or you are not authorized',
+      });
+    }
+
+    // Get all assignments for this class
+    const assignments = await Assignment.find({ classId })
+      .populate('quizId', 'title questions')
       .lean();
 
     
@@ -1096,7 +2011,8 @@ export const getClassResults = async (req, res) => {
       const weightage = assignmentData?.weightage || 0;
       const weightageType = assignmentData?.weightageType || 'percentage';
       
-      assignment.submissions.forEach(submission => {
+      // One result per candidate: the attempt that counts under the scoring rule
+      getCountedSubmissions(assignment).forEach(submission => {
         // IMPORTANT: Only include submissions from candidates enrolled in THIS class
         // This prevents cross-class contamination if somehow a student has submissions in multiple classes
         const candidateId = submission.candidateId?._id || submission.candidateId;
@@ -1107,9 +2023,9 @@ export const getClassResults = async (req, res) => {
           return; // Skip this submission
         }
         
-        // The submission.score is already a percentage (0-100), not the count of correct answers!
-        // This was stored during quiz submission as: score = (correctAnswers / totalQuestions) * 100
-        const totalQuestions = quiz?.questions?.length || 0;
+        // The submission.score is already a percentage (0-100) of the quiz's points
+        // Answers are stored for every question the candidate was given (pools included)
+        const totalQuestions = submission.answers?.length || quiz?.questions?.length || 0;
         const quizPerformancePercentage = parseFloat(submission.score) || 0; // Already a percentage!
         
         // Calculate marks obtained based on weightage type
@@ -1124,8 +2040,15 @@ export const getClassResults = async (req, res) => {
           marksObtained = (quizPerformancePercentage / 100) * weightage;
         }
 
-        // Calculate correct answers count for display
-        const correctAnswersCount = Math.round((quizPerformancePercentage / 100) * totalQuestions);
+        // Count correct answers from the stored answers; only very old submissions
+        // without answers fall back to estimating from the percentage
+        const correctAnswersCount = submission.answers?.length > 0
+          ? submission.answers.filter(answer => answer.isCorrect).length
+          : Math.round((quizPerformancePercentage / 100) * totalQuestions);
+
+        // Real point totals (submissions made before points existed were 1 point per question)
+        const totalPoints = submission.totalPoints ?? (quiz?.questions || []).reduce((sum, q) => sum + getQuestionPoints(q), 0);
+        const pointsEarned = submission.pointsEarned ?? correctAnswersCount;
 
         allSubmissions.push({
           assignmentId: assignment._id,
@@ -1133,11 +2056,18 @@ export const getClassResults = async (req, res) => {
           candidateId: submission.candidateId,
           totalQuestions,
           score: correctAnswersCount, // Number of correct answers for display
+          pointsEarned,
+          totalPoints,
           percentage: quizPerformancePercentage, // Quiz performance percentage (0-100)
+          // Percentage points lost for submitting late (already taken off percentage)
+          latePenalty: hasScoreOverride(submission) ? 0 : submission.latePenalty || 0,
+          isLateSubmission: submission.isLateSubmission || false,
           marksObtained: marksObtained,
           weightage: weightage,
           weightageType: weightageType,
+          gradingStatus: submission.gradingStatus || 'complete', // 'pending' means the score is provisional
           submittedAt: submission.submittedAt,
+          attemptCount: submission.attemptCount,
         });
       });
     });
@@ -1177,3 +2107,462 @@ export const getClassResults = async (req, res) => {
 };
 
 
+
+/**
+ * Get the essay answers of an assignment that need manual grading
+ * GET /api/assignments/:assignmentId/grading-queue?status=pending|graded|all
+ */
+export const getGradingQueue = async (req, res) => {
+  try {
+    const { assignmentId } = req.params;
+    const { status = 'pending' } = req.query;
+    const adminId = req.user?.id || req.user?._id;
+
+    // 1. Security: Only Admins can grade
+    if (req.user?.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized. Only admins can grade submissions.',
+      });
+    }
+
+    if (!['pending', 'graded', 'all'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Status must be pending, graded or all',
+      });
+    }
+
+    // 2. Find the assignment with the quiz (for question text and model answers)
+    const assignment = await Assignment.findById(assignmentId)
+      .populate('quizId', 'title questions pools currentVersion')
+      .populate({
+        path: 'submissions.candidateId',
+        model: 'User',
+        select: 'name email registrationNumber',
+      })
+      .populate('classId', 'title courseCode');
+
+    if (!assignment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Assignment not found',
+      });
+    }
+
+    // 3. Security: Check if this Admin owns the assignment
+    if (assignment.adminId.toString() !== adminId.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not own this assignment',
+      });
+    }
+
+    // 4. Collect every manually graded answer across submissions
+    const items = [];
+    let pendingCount = 0;
+
+    for (const submission of assignment.submissions) {
+      // Each candidate may have drawn different questions from the quiz's pools
+      const questionsById = new Map(
+        (await getCandidateQuestions(assignment, submission.candidateId?._id || submission.candidateId))
+          .map(question => [question._id.toString(), question])
+      );
+
+      submission.answers.forEach(answer => {
+        if (answer.gradingStatus !== 'pending' && answer.gradingStatus !== 'graded') return;
+        if (answer.gradingStatus === 'pending') pendingCount += 1;
+        if (status !== 'all' && answer.gradingStatus !== status) return;
+
+        const question = questionsById.get(answer.questionId);
+        items.push({
+          submissionId: submission._id,
+          questionId: answer.questionId,
+          candidate: {
+            id: submission.candidateId?._id,
+            name: submission.candidateId?.name || 'Unknown',
+            email: submission.candidateId?.email || '',
+            registrationNumber: submission.candidateId?.registrationNumber || '',
+          },
+          questionText: question?.text || '(Question removed from quiz)',
+          textFormat: question?.textFormat || 'plain',
+          modelAnswer: question?.answer || '',
+          response: answer.selectedAnswer,
+          pointsAwarded: answer.pointsAwarded,
+          pointsPossible: answer.pointsPossible,
+          gradingStatus: answer.gradingStatus,
+          feedback: answer.feedback || '',
+          gradedAt: answer.gradedAt,
+          submittedAt: submission.submittedAt,
+        });
+      });
+    }
+
+    // Oldest submissions first so the queue is worked in order
+    items.sort((a, b) => new Date(a.submittedAt) - new Date(b.submittedAt));
+
+    res.status(200).json({
+      success: true,
+      data: {
+        assignmentId: assignment._id,
+        quizTitle: assignment.quizId?.title,
+        classTitle: assignment.classId?.title,
+        courseCode: assignment.classId?.courseCode,
+        pendingCount,
+        items,
+      },
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Grade a single essay answer with a score and comment
+ * PUT /api/assignments/:assignmentId/submissions/:submissionId/answers/:questionId/grade
+ */
+export const gradeSubmissionAnswer = async (req, res) => {
+  try {
+    const { assignmentId, submissionId, questionId } = req.params;
+    const { points, feedback = '' } = req.body;
+    const adminId = req.user?.id || req.user?._id;
+
+    // 1. Security: Only Admins can grade
+    if (req.user?.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized. Only admins can grade submissions.',
+      });
+    }
+
+    const assignment = await Assignment.findById(assignmentId);
+
+    if (!assignment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Assignment not found',
+      });
+    }
+
+    // 2. Security: Check if this Admin owns the assignment
+    if (assignment.adminId.toString() !== adminId.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not own this assignment',
+      });
+    }
+
+    // 3. Find the submission and the answer being graded
+    const submission = assignment.submissions.id(submissionId);
+    if (!submission) {
+      return res.status(404).json({
+        success: false,
+        message: 'Submission not found',
+      });
+    }
+
+    const answer = submission.answers.find(ans => ans.questionId === questionId);
+    if (!answer || !['pending', 'graded'].includes(answer.gradingStatus)) {
+      return res.status(404).json({
+        success: false,
+        message: 'No manually graded answer found for this question',
+      });
+    }
+
+    // 4. Validate the score against the question's points
+    const pointsAwarded = Number(points);
+    if (points === undefined || points === '' || isNaN(pointsAwarded) || pointsAwarded < 0 || pointsAwarded > answer.pointsPossible) {
+      return res.status(400).json({
+        success: false,
+        message: `Points must be between 0 and ${answer.pointsPossible}`,
+      });
+    }
+
+    // 5. Record the grade
+    const previousIsCorrect = answer.isCorrect;
+    const previousPoints = answer.pointsAwarded;
+    const previousScore = submission.score;
+
+    answer.pointsAwarded = Math.round(pointsAwarded * 100) / 100;
+    answer.isCorrect = answer.pointsAwarded === answer.pointsPossible;
+    answer.feedback = String(feedback).trim();
+    answer.gradingStatus = 'graded';
+    answer.gradedBy = adminId;
+    answer.gradedAt = new Date();
+
+    // 6. Re-total the score (final once nothing is left to grade)
+    const remaining = recalculateSubmissionScore(submission);
+
+    submission.gradeHistory.push({
+      type: 'manual_grade',
+      questionId,
+      previousIsCorrect,
+      newIsCorrect: answer.isCorrect,
+      previousPoints,
+      newPoints: answer.pointsAwarded,
+      previousScore,
+      newScore: submission.score,
+      reason: answer.feedback,
+      changedBy: adminId,
+    });
+
+    await assignment.save();
+
+    res.status(200).json({
+      success: true,
+      message: remaining > 0
+        ? `Answer graded. ${remaining} answer(s) still pending for this submission.`
+        : 'Answer graded. Submission score updated.',
+      data: {
+        submissionId: submission._id,
+        questionId,
+        pointsAwarded: answer.pointsAwarded,
+        feedback: answer.feedback,
+        gradingStatus: submission.gradingStatus,
+        remainingPending: remaining,
+        score: submission.score,
+        pointsEarned: submission.pointsEarned,
+        totalPoints: submission.totalPoints,
+      },
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Override the automatic grade of a single answer (mark it correct or incorrect)
+ * PUT /api/assignments/:assignmentId/submissions/:submissionId/answers/:questionId/override
+ */
+export const overrideAnswerGrade = async (req, res) => {
+  try {
+    const { assignmentId, submissionId, questionId } = req.params;
+    const { isCorrect, reason = '' } = req.body;
+    const adminId = req.user?.id || req.user?._id;
+
+    // 1. Security: Only Admins can regrade
+    if (req.user?.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized. Only admins can regrade submissions.',
+      });
+    }
+
+    if (typeof isCorrect !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'isCorrect must be true or false',
+      });
+    }
+
+    if (!String(reason).trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please give a reason for the override',
+      });
+    }
+
+    const assignment = await Assignment.findById(assignmentId);
+
+    if (!assignment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Assignment not found',
+      });
+    }
+
+    // 2. Security: Check if this Admin owns the assignment
+    if (assignment.adminId.toString() !== adminId.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not own this assignment',
+      });
+    }
+
+    // 3. Find the submission and the answer
+    const submission = assignment.submissions.id(submissionId);
+    if (!submission) {
+      return res.status(404).json({
+        success: false,
+        message: 'Submission not found',
+      });
+    }
+
+    const answer = submission.answers.find(ans => ans.questionId === questionId);
+    if (!answer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Answer not found in this submission',
+      });
+    }
+
+    // 4. Apply the override: full points or none (partial credit and negative marking no longer apply)
+    const previousIsCorrect = answer.isCorrect;
+    const previousPoints = answer.pointsAwarded;
+    const previousScore = submission.score;
+
+    answer.isCorrect = isCorrect;
+    answer.pointsAwarded = isCorrect ? answer.pointsPossible : 0;
+    answer.overridden = true;
+    if (answer.gradingStatus === 'pending') {
+      answer.gradingStatus = 'graded';
+      answer.gradedBy = adminId;
+      answer.gradedAt = new Date();
+    }
+
+    // 5. Re-total the score and keep the change in the history
+    recalculateSubmissionScore(submission);
+
+    submission.gradeHistory.push({
+      type: 'answer_override',
+      questionId,
+      previousIsCorrect,
+      newIsCorrect: isCorrect,
+      previousPoints,
+      newPoints: answer.pointsAwarded,
+      previousScore,
+      newScore: submission.score,
+      reason: String(reason).trim(),
+      changedBy: adminId,
+    });
+
+    await assignment.save();
+
+    res.status(200).json({
+      success: true,
+      message: `Answer marked as ${isCorrect ? 'correct' : 'incorrect'}`,
+      data: {
+        submissionId: submission._id,
+        questionId,
+        score: submission.score,
+        pointsEarned: submission.pointsEarned,
+        totalPoints: submission.totalPoints,
+      },
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Override (or clear the override of) a submission's whole score
+ * PUT /api/assignments/:assignmentId/submissions/:submissionId/score
+ */
+export const overrideSubmissionScore = async (req, res) => {
+  try {
+    const { assignmentId, submissionId } = req.params;
+    const { score, reason = '' } = req.body;
+    const adminId = req.user?.id || req.user?._id;
+
+    // 1. Security: Only Admins can regrade
+    if (req.user?.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized. Only admins can regrade submissions.',
+      });
+    }
+
+    // A null score clears the override and goes back to the calculated score
+    const clearOverride = score === null;
+    const newScore = Number(score);
+    if (!clearOverride && (score === undefined || score === '' || isNaN(newScore) || newScore < 0 || newScore > 100)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Score must be a percentage between 0 and 100',
+      });
+    }
+
+    if (!String(reason).trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please give a reason for the override',
+      });
+    }
+
+    const assignment = await Assignment.findById(assignmentId);
+
+    if (!assignment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Assignment not found',
+      });
+    }
+
+    // 2. Security: Check if this Admin owns the assignment
+    if (assignment.adminId.toString() !== adminId.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not own this assignment',
+      });
+    }
+
+    const submission = assignment.submissions.id(submissionId);
+    if (!submission) {
+      return res.status(404).json({
+        success: false,
+        message: 'Submission not found',
+      });
+    }
+
+    // 3. Apply or clear the override
+    const previousScore = submission.score;
+    submission.scoreOverride = {
+      score: clearOverride ? null : Math.round(newScore * 100) / 100,
+      reason: clearOverride ? '' : String(reason).trim(),
+    };
+
+    if (submission.answers.length > 0) {
+      recalculateSubmissionScore(submission);
+    } else {
+      // Very old submissions without answers only have the stored score;
+      // clearing restores the score from before the first override
+      const firstOverride = submission.gradeHistory.find(change => change.type === 'score_override');
+      submission.score = clearOverride
+        ? firstOverride?.previousScore ?? submission.score
+        : submission.scoreOverride.score;
+    }
+
+    // 4. Keep the change in the history
+    submission.gradeHistory.push({
+      type: 'score_override',
+      previousScore,
+      newScore: submission.score,
+      reason: String(reason).trim(),
+      changedBy: adminId,
+    });
+
+    await assignment.save();
+
+    res.status(200).json({
+      success: true,
+      message: clearOverride ? 'Score override removed' : 'Score overridden',
+      data: {
+        submissionId: submission._id,
+        score: submission.score,
+        scoreOverride: submission.scoreOverride,
+      },
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+};
@@ -3,6 +3,8 @@ import fs from 'fs';
 import User from '../models/User.js';
 import Class from '../models/Class.js';
 import { sendClassInvitation } from '../utils/emailService.js';
+import { getResultRelease } from '../utils/resultReleaseUtils.js';
+import { getCountedSubmissions } from '../utils/attemptUtils.js';
 
 /**
  * Parse uploaded Excel/CSV file and return candidate list for preview
@@ -523,9 +525,11 @@ export const getClassLeaderboard = async (req, res) => {
       });
     }
 
-    // Get all assignments for this class
-    const assignments = await Assignment.find({ classId })
-      .populate('submissions.candidateId', 'name registrationNumber');
+    // Get all assignments for this class. Assignments with release settings
+    // stay off the leaderboard until their results are out
+    const assignments = (await Assignment.find({ classId })
+      .populate('submissions.candidateId', 'name registrationNumber'))
+      .filter(assignment => !assignment.resultRelease?.level || getResultRelease(assignment, classData).showScore);
 
     // Calculate rankings
     const studentStats = {};
@@ -545,7 +549,8 @@ export const getClassLeaderboard = async (req, res) => {
 
     // Calculate scores from submissions
     assignments.forEach(assignment => {
-      assignment.submissions.forEach(submission => {
+      // One result per student, however many attempts they made
+      getCountedSubmissions(assignment).forEach(submission => {
         const studentId = submission.candidateId._id.toString();
         if (studentStats[studentId]) {
           studentStats[studentId].completedAssignments += 1;
@@ -1,4 +1,8 @@
 import Class from '../models/Class.js';
+import Assignment from '../models/Assignment.js';
+import ProctoringEvent from '../models/ProctoringEvent.js';
+import { validateLatePenalty, toLatePenalty, reapplyLatePenalties } from '../utils/latePenaltyUtils.js';
+import { validateAccommodation } from '../utils/accommodationUtils.js';
 
 /**
  * Create a new class
@@ -174,7 +178,8 @@ export const updateClass = async (req, res) => {
       autoGrading,
       showResults,
       showRosterToCandidates,
-      showLeaderboardToCandidates
+      showLeaderboardToCandidates,
+      latePenalty
     } = req.body;
 
     // First, find the class to check ownership
@@ -208,6 +213,16 @@ export const updateClass = async (req, res) => {
     if (showResults !== undefined) updateData.showResults = showResults;
     if (showRosterToCandidates !== undefined) updateData.showRosterToCandidates = showRosterToCandidates;
     if (showLeaderboardToCandidates !== undefined) updateData.showLeaderboardToCandidates = showLeaderboardToCandidates;
+    if (latePenalty !== undefined) {
+      const penaltyError = validateLatePenalty(latePenalty);
+      if (penaltyError) {
+        return res.status(400).json({
+          success: false,
+          message: penaltyError,
+        });
+      }
+      updateData.latePenalty = toLatePenalty(latePenalty);
+    }
 
     // Now update the class
     const updatedClass = await Class.findByIdAndUpdate(
@@ -216,6 +231,20 @@ export const updateClass = async (req, res) => {
       { new: true, runValidators: true }
     );
 
+    // Late submissions to assignments that use the class's penalty are re-scored
+    if (latePenalty !== undefined) {
+      const assignments = await Assignment.find({
+        classId: id,
+        'latePenalty.policy': null,
+        'submissions.isLateSubmission': true,
+      });
+      for (const assignment of assignments) {
+        if (reapplyLatePenalties(assignment, updatedClass) > 0) {
+          await assignment.save();
+        }
+      }
+    }
+
     res.status(200).json({
       success: true,
       message: 'Class updated successfully',
@@ -406,6 +435,9 @@ export const removeStudentFromClass = async (req, res) => {
     classDoc.students = classDoc.students.filter(
       (sid) => sid.toString() !== studentId.toString()
     );
+    classDoc.accommodations = classDoc.accommodations.filter(
+      (item) => item.studentId.toString() !== studentId.toString()
+    );
     await classDoc.save();
 
     // Remove all submissions from this student in assignments for this class
@@ -425,6 +457,12 @@ export const removeStudentFromClass = async (req, res) => {
       }
     }
 
+    // The proctoring events of those attempts go with them
+    await ProctoringEvent.deleteMany({
+      assignmentId: { $in: assignments.map((assignment) => assignment._id) },
+      candidateId: studentId,
+    });
+
     
     res.status(200).json({
       success: true,
@@ -441,6 +479,111 @@ export const removeStudentFromClass = async (req, res) => {
   }
 };
 
+/**
+ * Set a student's accommodation (extra time on every assignment)
+ * PUT /api/classes/:id/accommodations/:studentId
+ */
+export const setAccommodation = async (req, res) => {
+  try {
+    const { id, studentId } = req.params;
+    const { timeMultiplier, note } = req.body;
+    const adminId = req.user?.id || req.user?._id;
+
+    // 1. Find the class and verify ownership
+    const classDoc = await Class.findById(id);
+    if (!classDoc) {
+      return res.status(404).json({
+        success: false,
+        message: 'Class not found',
+      });
+    }
+    if (classDoc.adminId.toString() !== adminId.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to modify this class',
+      });
+    }
+
+    // 2. Check the student and the accommodation
+    if (!classDoc.students.some(sid => sid.toString() === studentId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Student is not enrolled in this class',
+      });
+    }
+    const accommodationError = validateAccommodation({ timeMultiplier, note });
+    if (accommodationError) {
+      return res.status(400).json({
+        success: false,
+        message: accommodationError,
+      });
+    }
+
+    // 3. Replace any earlier accommodation for the student
+    classDoc.accommodations = classDoc.accommodations.filter(item => item.studentId.toString() !== studentId);
+    classDoc.accommodations.push({
+      studentId,
+      timeMultiplier: Number(timeMultiplier),
+      note: note || '',
+    });
+    await classDoc.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Accommodation saved',
+      data: classDoc.accommodations,
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to save accommodation',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Remove a student's accommodation
+ * DELETE /api/classes/:id/accommodations/:studentId
+ */
+export const removeAccommodation = async (req, res) => {
+  try {
+    const { id, studentId } = req.params;
+    const adminId = req.user?.id || req.user?._id;
+
+    const classDoc = await Class.findById(id);
+    if (!classDoc) {
+      return res.status(404).json({
+        success: false,
+        message: 'Class not found',
+      });
+    }
+    if (classDoc.adminId.toString() !== adminId.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to modify this class',
+      });
+    }
+
+    classDoc.accommodations = classDoc.accommodations.filter(item => item.studentId.toString() !== studentId);
+    await classDoc.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Accommodation removed',
+      data: classDoc.accommodations,
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove accommodation',
+      error: error.message,
+    });
+  }
+};
+
 /**
  * Get all classes a candidate is enrolled in
  * GET /api/candidate/my-classes
@@ -0,0 +1,38 @@
+/**
+ * Image Controller
+ * Stores question and option images so quizzes only keep their URLs
+ */
+
+import { saveImage } from '../utils/imageStorage.js';
+
+/**
+ * Upload a question or option image
+ * POST /api/images
+ */
+export const uploadImage = async (req, res) => {
+  try {
+    // 1. Check an image was uploaded
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please upload an image',
+      });
+    }
+
+    // 2. Save it through the configured storage adapter
+    const { key, url } = await saveImage(req.file.buffer, req.file.mimetype);
+
+    res.status(201).json({
+      success: true,
+      data: { key, url },
+      message: 'Image uploaded successfully',
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to upload image',
+      error: error.message,
+    });
+  }
+};
@@ -0,0 +1,453 @@
+/**
+ * Question Bank Controller
+ * Reusable questions that can be copied into quizzes and kept in sync with them
+ */
+
+import BankQuestion from '../models/BankQuestion.js';
+import Quiz from '../models/Quiz.js';
+import { ensureQuizVersion, publishQuizVersion } from '../utils/quizVersionUtils.js';
+import { CONTENT_FIELDS, normalizeTags, toQuizQuestion, getPoolFilter } from '../utils/questionBankUtils.js';
+import { externalizeQuestionImages } from '../utils/imageStorage.js';
+
+// Fields that only describe the question in the bank
+const METADATA_FIELDS = ['tags', 'topic', 'difficulty', 'bloomsLevel'];
+
+const toPlain = (doc) => (doc && doc.toObject ? doc.toObject() : doc);
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const pickFields = (body, fields) => Object.fromEntries(
+  fields.filter(field => body[field] !== undefined).map(field => [field, body[field]])
+);
+
+/**
+ * Search the question bank
+ * GET /api/question-bank?search=&topic=&tag=&difficulty=&bloomsLevel=&type=
+ */
+export const getBankQuestions = async (req, res) => {
+  try {
+    const adminId = req.user?.id || req.user?._id;
+    const { search, topic, tag, difficulty, bloomsLevel, type } = req.query;
+
+    const filter = { adminId };
+    if (topic) filter.topic = topic;
+    if (tag) filter.tags = String(tag).toLowerCase();
+    if (difficulty) filter.difficulty = difficulty;
+    if (bloomsLevel) filter.bloomsLevel = bloomsLevel;
+    if (type) filter.type = type;
+    if (search && search.trim()) {
+      const pattern = new RegExp(escapeRegex(search.trim()), 'i');
+      filter.$or = [{ text: pattern }, { topic: pattern }, { tags: pattern }];
+    }
+
+    const [questions, topics, tags] = await Promise.all([
+      BankQuestion.find(filter).select('-revisions').sort({ updatedAt: -1 }),
+      BankQuestion.distinct('topic', { adminId }),
+      BankQuestion.distinct('tags', { adminId }),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: questions.length,
+      data: questions,
+      // Values for the search filters
+      facets: {
+        topics: topics.filter(Boolean).sort(),
+        tags: tags.sort(),
+      },
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch question bank',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Count the bank questions each question pool could draw from
+ * POST /api/question-bank/pool-preview
+ */
+export const previewPools = async (req, res) => {
+  try {
+    const adminId = req.user?.id || req.user?._id;
+    const { pools } = req.body;
+
+    if (!Array.isArray(pools)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Pools must be an array',
+      });
+    }
+
+    const matching = await Promise.all(
+      pools.map(pool => BankQuestion.countDocuments(getPoolFilter(pool, adminId)))
+    );
+
+    res.status(200).json({
+      success: true,
+      data: pools.map((pool, index) => ({
+        matching: matching[index],
+        // Every candidate gets fewer questions than requested when the bank runs short
+        isShort: matching[index] < Number(pool.count || 0),
+      })),
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to preview question pools',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Add a question to the bank
+ * POST /api/question-bank
+ */
+export const createBankQuestion = async (req, res) => {
+  try {
+    const adminId = req.user?.id || req.user?._id;
+
+    if (!req.body.text || !req.body.type) {
+      return res.status(400).json({
+        success: false,
+        message: 'Question text and type are required',
+      });
+    }
+
+    // Inline images are moved to file storage; the question keeps their URLs
+    const [fields] = await externalizeQuestionImages([pickFields(req.body, [...CONTENT_FIELDS, ...METADATA_FIELDS])]);
+    const question = await BankQuestion.create({
+      ...fields,
+      tags: normalizeTags(req.body.tags),
+      adminId,
+    });
+
+    res.status(201).json({
+      success: true,
+      data: question,
+      message: 'Question added to the bank',
+    });
+
+  } catch (error) {
+    const status = error.name === 'ValidationError' ? 400 : 500;
+    res.status(status).json({
+      success: false,
+      message: status === 400 ? error.message : 'Failed to create question',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Save a question from one of the admin's quizzes into the bank and link the two
+ * POST /api/question-bank/from-quiz
+ */
+export const saveQuizQuestionToBank = async (req, res) => {
+  try {
+    const adminId = req.user?.id || req.user?._id;
+    const { quizId, questionId } = req.body;
+
+    const quiz = await Quiz.findOne({ _id: quizId, adminId });
+    if (!quiz) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quiz not found or you are not the owner',
+      });
+    }
+
+    const quizQuestion = quiz.questions.id(questionId);
+    if (!quizQuestion) {
+      return res.status(404).json({
+        success: false,
+        message: 'Question not found in this quiz',
+      });
+    }
+
+    if (quizQuestion.bankQuestionId) {
+      return res.status(400).json({
+        success: false,
+        message: 'This question is already in the question bank',
+      });
+    }
+
+    const plain = toPlain(quizQuestion);
+    const bankQuestion = await BankQuestion.create({
+      ...Object.fromEntries(CONTENT_FIELDS.map(field => [field, plain[field]])),
+      ...pickFields(req.body, METADATA_FIELDS),
+      tags: normalizeTags(req.body.tags),
+      adminId,
+    });
+
+    // Linking does not change the question content, so no new quiz version is needed
+    quizQuestion.bankQuestionId = bankQuestion._id;
+    quizQuestion.bankRevision = bankQuestion.revision;
+    await quiz.save();
+
+    res.status(201).json({
+      success: true,
+      data: bankQuestion,
+      message: 'Question saved to the bank',
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to save question to the bank',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Update a bank question. Content edits bump the revision so quizzes using an
+ * older copy can be found and updated
+ * PUT /api/question-bank/:id
+ */
+export const updateBankQuestion = async (req, res) => {
+  try {
+    const adminId = req.user?.id || req.user?._id;
+
+    const question = await BankQuestion.findOne({ _id: req.params.id, adminId });
+    if (!question) {
+      return res.status(404).json({
+        success: false,
+        message: 'Question not found',
+      });
+    }
+
+    const before = toPlain(question);
+    const [fields] = await externalizeQuestionImages([pickFields(req.body, [...CONTENT_FIELDS, ...METADATA_FIELDS])]);
+    question.set(fields);
+    if (req.body.tags !== undefined) question.tags = normalizeTags(req.body.tags);
+
+    const after = toPlain(question);
+    const changedFields = CONTENT_FIELDS.filter(field => (
+      JSON.stringify(before[field] ?? null) !== JSON.stringify(after[field] ?? null)
+    ));
+
+    if (changedFields.length > 0) {
+      question.revision += 1;
+      question.revisions.push({ revision: question.revision, changedFields, editedBy: adminId });
+    }
+
+    await question.save();
+
+    res.status(200).json({
+      success: true,
+      data: question,
+      message: changedFields.length > 0
+        ? `Question updated to revision ${question.revision}`
+        : 'Question updated',
+    });
+
+  } catch (error) {
+    const status = error.name === 'ValidationError' ? 400 : 500;
+    res.status(status).json({
+      success: false,
+      message: status === 400 ? error.message : 'Failed to update question',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Delete a bank question. Quizzes keep their copies, which are unlinked
+ * DELETE /api/question-bank/:id
+ */
+export const deleteBankQuestion = async (req, res) => {
+  try {
+    const adminId = req.user?.id || req.user?._id;
+
+    const question = await BankQuestion.findOneAndDelete({ _id: req.params.id, adminId });
+    if (!question) {
+      return res.status(404).json({
+        success: false,
+        message: 'Question not found',
+      });
+    }
+
+    await Quiz.updateMany(
+      { adminId, 'questions.bankQuestionId': question._id },
+      { $set: { 'questions.$[q].bankQuestionId': null, 'questions.$[q].bankRevision': null } },
+      { arrayFilters: [{ 'q.bankQuestionId': question._id }] }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Question deleted from the bank',
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete question',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * List the quizzes that use a bank question, and whether their copy is up to date
+ * GET /api/question-bank/:id/usage
+ */
+export const getBankQuestionUsage = async (req, res) => {
+  try {
+    const adminId = req.user?.id || req.user?._id;
+
+    const question = await BankQuestion.findOne({ _id: req.params.id, adminId })
+      .populate('revisions.editedBy', 'name');
+    if (!question) {
+      return res.status(404).json({
+        success: false,
+        message: 'Question not found',
+      });
+    }
+
+    const quizzes = await Quiz.find({ adminId, 'questions.bankQuestionId': question._id })
+      .select('title currentVersion questions._id questions.bankQuestionId questions.bankRevision');
+
+    const usage = quizzes.flatMap(quiz => quiz.questions
+      .filter(q => q.bankQuestionId?.toString() === question._id.toString())
+      .map(q => ({
+        quizId: quiz._id,
+        quizTitle: quiz.title,
+        quizVersion: quiz.currentVersion || 1,
+        questionId: q._id,
+        bankRevision: q.bankRevision,
+        isOutdated: (q.bankRevision || 0) < question.revision,
+      })));
+
+    res.status(200).json({
+      success: true,
+      data: {
+        revision: question.revision,
+        revisions: question.revisions.map(r => ({
+          revision: r.revision,
+          changedFields: r.changedFields,
+          editedBy: r.editedBy?.name || 'Unknown',
+          editedAt: r.editedAt,
+        })),
+        usage,
+      },
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch question usage',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Copy bank questions into a quiz (saved as a new quiz version)
+ * POST /api/question-bank/add-to-quiz
+ */
+export const addBankQuestionsToQuiz = async (req, res) => {
+  try {
+    const adminId = req.user?.id || req.user?._id;
+    const { quizId, questionIds } = req.body;
+
+    if (!quizId || !Array.isArray(questionIds) || questionIds.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please choose a quiz and at least one question',
+      });
+    }
+
+    const quiz = await Quiz.findOne({ _id: quizId, adminId });
+    if (!quiz) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quiz not found or you are not the owner',
+      });
+    }
+
+    const bankQuestions = await BankQuestion.find({ _id: { $in: questionIds }, adminId });
+    if (bankQuestions.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'No matching questions found in your question bank',
+      });
+    }
+
+    await ensureQuizVersion(quiz, adminId);
+    bankQuestions.forEach(bankQuestion => quiz.questions.push(toQuizQuestion(bankQuestion)));
+    const version = await publishQuizVersion(
+      quiz,
+      adminId,
+      `Added ${bankQuestions.length} question(s) from the question bank`
+    );
+
+    res.status(200).json({
+      success: true,
+      data: quiz,
+      message: `${bankQuestions.length} question(s) added to "${quiz.title}" (version ${version})`,
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add questions to quiz',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Update out-of-date copies of a bank question in quizzes (each quiz gets a new version)
+ * POST /api/question-bank/:id/sync
+ */
+export const syncBankQuestion = async (req, res) => {
+  try {
+    const adminId = req.user?.id || req.user?._id;
+    const { quizIds } = req.body;
+
+    const bankQuestion = await BankQuestion.findOne({ _id: req.params.id, adminId });
+    if (!bankQuestion) {
+      return res.status(404).json({
+        success: false,
+        message: 'Question not found',
+      });
+    }
+
+    const filter = { adminId, 'questions.bankQuestionId': bankQuestion._id };
+    if (Array.isArray(quizIds) && quizIds.length > 0) filter._id = { $in: quizIds };
+    const quizzes = await Quiz.find(filter);
+
+    const content = toQuizQuestion(bankQuestion);
+    let quizzesUpdated = 0;
+
+    for (const quiz of quizzes) {
+      const outdated = quiz.questions.filter(q => (
+        q.bankQuestionId?.toString() === bankQuestion._id.toString() && (q.bankRevision || 0) < bankQuestion.revision
+      ));
+      if (outdated.length === 0) continue;
+
+      await ensureQuizVersion(quiz, adminId);
+      // Keep each copy's _id so it still lines up with earlier answers
+      outdated.forEach(q => q.set(content));
+      await publishQuizVersion(quiz, adminId, `Updated from question bank (revision ${bankQuestion.revision})`);
+      quizzesUpdated += 1;
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { quizzesUpdated },
+      message: `${quizzesUpdated} quiz(zes) updated to revision ${bankQuestion.revision}`,
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update quizzes',
+      error: error.message,
+    });
+  }
+};
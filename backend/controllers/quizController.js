@@ -4,7 +4,91 @@
  */
 
 import { GoogleGenerativeAI } from '@google/generative-ai';
+import XLSX from 'xlsx';
+import fs from 'fs';
 import Quiz from '../models/Quiz.js';
+import Assignment from '../models/Assignment.js';
+import QuizVersion from '../models/QuizVersion.js';
+import BankQuestion from '../models/BankQuestion.js';
+import { getAnswerKeySignature, getScoringRules, regradeSubmission } from '../utils/gradingUtils.js';
+import { ensureQuizVersion, publishQuizVersion, getContentSignature, diffQuizVersions, getAssignmentsInUse } from '../utils/quizVersionUtils.js';
+import { normalizePools, normalizeTags, toQuizQuestion, CONTENT_FIELDS } from '../utils/questionBankUtils.js';
+import { FORMATS, parseQuizFile, exportQuiz } from '../utils/quizFormats/index.js';
+import { parseQuestionSheet, buildQuestionTemplate } from '../utils/quizFormats/spreadsheet.js';
+import { getQuestionProblem } from '../utils/quizFormats/common.js';
+import { externalizeQuestionImages, inlineQuestionImages } from '../utils/imageStorage.js';
+
+/**
+ * Count the questions whose answer key differs between two versions of a quiz
+ * (questions are matched by _id; added and removed questions are not counted)
+ */
+const countAnswerKeyChanges = (currentQuestions, proposedQuestions) => {
+  const currentById = new Map(currentQuestions.map(q => [q._id.toString(), getAnswerKeySignature(q)]));
+  return proposedQuestions.filter(q => (
+    q._id && currentById.has(q._id.toString()) && currentById.get(q._id.toString()) !== getAnswerKeySignature(q)
+  )).length;
+};
+
+/**
+ * Re-grade every submission of every assignment that uses a quiz, and move
+ * those assignments to the quiz's current version. Assignments that
+ * candidates are taking right now are skipped, so everyone in an assignment
+ * stays graded on the same version; re-grade again once they have submitted
+ * @returns {Object} { assignmentsUpdated, submissionsRegraded, assignmentsSkipped }
+ */
+const regradeQuizSubmissions = async (quiz, adminId) => {
+  const assignments = await Assignment.find({ quizId: quiz._id, 'submissions.0': { $exists: true } });
+  const inUse = new Set((await getAssignmentsInUse(quiz._id)).map(String));
+  let assignmentsUpdated = 0;
+  let submissionsRegraded = 0;
+  let assignmentsSkipped = 0;
+
+  for (const assignment of assignments) {
+    if (inUse.has(String(assignment._id))) {
+      assignmentsSkipped += 1;
+      continue;
+    }
+
+    const scoringRules = getScoringRules(assignment);
+    const moveVersion = assignment.quizVersion !== quiz.currentVersion;
+    let changedHere = 0;
+
+    // Re-grading applies the current answer key, so the assignment now uses the current version
+    assignment.quizVersion = quiz.currentVersion;
+
+    assignment.submissions.forEach(submission => {
+      const { answersChanged, previousScore, newScore } = regradeSubmission(submission, quiz.questions, scoringRules);
+      if (answersChanged === 0) return;
+
+      submission.gradeHistory.push({
+        type: 'answer_key_regrade',
+        previousScore,
+        newScore,
+        reason: `Answer key edited: ${answersChanged} answer(s) re-graded`,
+        changedBy: adminId,
+      });
+      changedHere += 1;
+    });
+
+    if (changedHere > 0 || moveVersion) {
+      await assignment.save();
+    }
+    if (changedHere > 0) {
+      assignmentsUpdated += 1;
+      submissionsRegraded += changedHere;
+    }
+  }
+
+  return { assignmentsUpdated, submissionsRegraded, assignmentsSkipped };
+};
+
+// Result message of a re-grade, noting assignments left for later
+const describeRegrade = ({ submissionsRegraded, assignmentsSkipped }) => (
+  `${submissionsRegraded} submission(s) re-graded`
+  + (assignmentsSkipped > 0
+    ? `; ${assignmentsSkipped} assignment(s) with attempts in progress were skipped, re-grade again once they are submitted`
+    : '')
+);
 
 /**
  * Generate quiz based on prompt and save to database
@@ -88,7 +172,8 @@ export const generateQuiz = async (req, res) => {
             "text": "Your question text here?",
             "type": "${quizType}",
             "options": ["Option 1", "Option 2", "Option 3", "Option 4"],
-            "answer": "Option 1"
+            "answer": "Option 1",
+            "explanation": "One or two sentences on why the answer is correct"
           },
           ... continue for all ${questionCount} questions
         ]
@@ -102,13 +187,17 @@ export const generateQuiz = async (req, res) => {
       5. ANSWER ACCURACY: The "answer" field must match EXACTLY one of the options (including case and punctuation).
       6. DISTRACTORS: For MCQ, provide plausible but clearly incorrect distractors. Avoid obvious wrong answers.
       7. DIFFICULTY: Mix difficulty levels - include both fundamental and advanced questions.
+      8. EXPLANATION: Every question needs a short "explanation" of why the answer is correct, for candidates reviewing their results.
       
       Format rules:
       - Ensure the 'type' field in each question matches: "${quizType}"
       - For "mcq": Provide exactly 4 unique, non-overlapping options
       - For "true_false": Options must be exactly ["True", "False"]
       - For "short_answer": Provide the most accepted correct answer, options can be empty array
-      - Do NOT include markdown, code blocks, or any text outside the JSON object.
+      - Question text, options and explanations may use Markdown: **bold**, \`inline code\`, fenced code blocks with a
+        language (\`\`\`python ... \`\`\`) for programming questions, and LaTeX between $...$ (inline) or
+        $$...$$ (display) for mathematics. Escape backslashes inside JSON strings (e.g. "$\\\\frac{1}{2}$").
+      - Do NOT wrap the JSON in a code block or add any text outside the JSON object.
       - The entire response should be ONE JSON object, nothing else
       
       STEP-BY-STEP PROCESS:
@@ -145,7 +234,8 @@ export const generateQuiz = async (req, res) => {
 
     // 4. Clean and parse the JSON response
     // Sometimes the AI wraps the JSON in ```json ... ```, so we strip that.
-    text = text.replace(/```json/g, '').replace(/```/g, '').trim();
+    // Only the outer fence is removed: questions may contain code blocks
+    text = text.trim().replace(/^```(?:json)?\s*/, '').replace(/\s*```$/, '').trim();
     
     // Find the actual JSON object
     const firstBrace = text.indexOf('{');
@@ -205,6 +295,10 @@ export const generateQuiz = async (req, res) => {
         }
       }
       
+      // Generated text may use Markdown and LaTeX; it is sanitized when rendered
+      q.textFormat = 'markdown';
+      q.explanation = typeof q.explanation === 'string' ? q.explanation : '';
+
       return q;
     });
 
@@ -385,7 +479,7 @@ export const deleteQuiz = async (req, res) => {
 export const updateQuiz = async (req, res) => {
   try {
     const { id } = req.params;
-    const { title, questions, timeLimit } = req.body;
+    const { title, questions, pools, timeLimit, regradeSubmissions = false } = req.body;
     const adminId = req.user?.id || req.user?._id;
 
     const quiz = await Quiz.findById(id);
@@ -405,27 +499,46 @@ export const updateQuiz = async (req, res) => {
       });
     }
 
-    // TODO: Add check to prevent editing assigned quizzes
-    // const Assignment = require('../models/Assignment');
-    // const assignmentCount = await Assignment.countDocuments({ quizId: id });
-    // if (assignmentCount > 0) {
-    //   return res.status(400).json({
-    //     success: false,
-    //     message: 'Cannot edit a quiz that has been assigned to students',
-    //   });
-    // }
+    // Existing submissions stay graded against the version they took unless the
+    // caller asks for them to be re-graded (see POST /api/quiz/:id/regrade-preview)
+    const answerKeyChanges = questions !== undefined ? countAnswerKeyChanges(quiz.questions, questions) : 0;
+
+    // Keep the content candidates may already have seen before changing anything
+    await ensureQuizVersion(quiz, adminId);
+    const previousContent = getContentSignature(quiz.title, quiz.questions, quiz.pools);
 
     // Update the fields
     if (title !== undefined) quiz.title = title;
-    if (questions !== undefined) quiz.questions = questions;
+    if (questions !== undefined) quiz.questions = await externalizeQuestionImages(questions);
+    if (pools !== undefined) quiz.pools = normalizePools(pools);
     if (timeLimit !== undefined) quiz.timeLimit = timeLimit;
 
-    await quiz.save();
+    if (quiz.questions.length === 0 && quiz.pools.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'A quiz needs at least one question or question pool',
+      });
+    }
+
+    // Content changes become a new version; existing assignments stay on theirs
+    if (getContentSignature(quiz.title, quiz.questions, quiz.pools) !== previousContent) {
+      await publishQuizVersion(quiz, adminId, 'Edited');
+    } else {
+      await quiz.save();
+    }
+
+    let regrade = null;
+    if (regradeSubmissions && answerKeyChanges > 0) {
+      regrade = await regradeQuizSubmissions(quiz, adminId);
+    }
 
     res.status(200).json({
       success: true,
       data: quiz,
-      message: 'Quiz updated successfully',
+      regrade,
+      message: regrade
+        ? `Quiz updated and ${describeRegrade(regrade)}`
+        : 'Quiz updated successfully',
     });
 
   } catch (error) {
@@ -443,14 +556,14 @@ export const updateQuiz = async (req, res) => {
  */
 export const createManualQuiz = async (req, res) => {
   try {
-    const { title, questions, timeLimit } = req.body;
+    const { title, questions = [], pools = [], timeLimit } = req.body;
     const adminId = req.user?.id || req.user?._id;
 
     // Validation
-    if (!title || !questions || questions.length === 0) {
+    if (!title || (questions.length === 0 && pools.length === 0)) {
       return res.status(400).json({
         success: false,
-        message: 'Title and at least one question are required',
+        message: 'Title and at least one question or question pool are required',
       });
     }
 
@@ -461,10 +574,11 @@ export const createManualQuiz = async (req, res) => {
       });
     }
 
-    // Create new quiz
+    // Create new quiz (inline images are moved to file storage first)
     const newQuiz = new Quiz({
       title,
-      questions,
+      questions: await externalizeQuestionImages(questions),
+      pools: normalizePools(pools),
       timeLimit: timeLimit || 10, // Default 10 minutes if not provided
       adminId,
     });
@@ -486,3 +600,667 @@ export const createManualQuiz = async (req, res) => {
   }
 };
 
+
+/**
+ * Read an uploaded quiz file (Moodle XML, GIFT, Aiken or QTI 2.1) without saving it,
+ * listing the questions that were read and the items that could not be
+ * POST /api/quiz/import/preview
+ */
+export const previewQuizImport = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please upload a quiz file',
+      });
+    }
+
+    let parsed;
+    try {
+      parsed = parseQuizFile(req.file.buffer, req.file.originalname, req.body.format);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Could not read the quiz file',
+        error: error.message,
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: parsed,
+      message: `${parsed.questions.length} question(s) ready to import, ${parsed.errors.length} could not be read`,
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to preview quiz import',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Create a quiz from an uploaded quiz file, keeping the questions that could be read
+ * POST /api/quiz/import
+ */
+export const importQuiz = async (req, res) => {
+  try {
+    const { format, title, timeLimit } = req.body;
+    const adminId = req.user?.id || req.user?._id;
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please upload a quiz file',
+      });
+    }
+
+    // 1. Parse the file again (the preview is not kept on the server)
+    let parsed;
+    try {
+      parsed = parseQuizFile(req.file.buffer, req.file.originalname, format);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Could not read the quiz file',
+        error: error.message,
+      });
+    }
+
+    if (parsed.questions.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No questions in the file could be imported',
+        errors: parsed.errors,
+      });
+    }
+
+    // 2. Create the quiz from the questions that were read, with their
+    // embedded images moved to file storage
+    const newQuiz = new Quiz({
+      title: (title || '').trim() || parsed.title,
+      questions: await externalizeQuestionImages(parsed.questions),
+      timeLimit: timeLimit || 10,
+      adminId,
+    });
+
+    await newQuiz.save();
+
+    res.status(201).json({
+      success: true,
+      data: newQuiz,
+      errors: parsed.errors,
+      message: `Imported ${parsed.questions.length} question(s)${parsed.errors.length ? `, skipped ${parsed.errors.length}` : ''}`,
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to import quiz',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Download the spreadsheet template for bulk question import
+ * GET /api/quiz/import/spreadsheet/template
+ */
+export const downloadQuestionTemplate = (req, res) => {
+  try {
+    const buffer = buildQuestionTemplate();
+
+    res.setHeader('Content-Disposition', 'attachment; filename=question-upload-template.xlsx');
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+
+    res.send(buffer);
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate template',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Parse an uploaded question spreadsheet (XLSX/CSV) and validate it row by row
+ * POST /api/quiz/import/spreadsheet/preview
+ */
+export const previewSpreadsheetImport = async (req, res) => {
+  try {
+    // Check if file was uploaded
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'No file uploaded',
+      });
+    }
+
+    // Read the uploaded file, then delete it
+    const workbook = XLSX.readFile(req.file.path);
+    fs.unlinkSync(req.file.path);
+
+    const { questions, errors } = parseQuestionSheet(workbook);
+
+    if (questions.length === 0 && errors.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'The uploaded file is empty or has no valid data',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      questions,
+      errors,
+      message: errors.length > 0
+        ? `Parsed ${questions.length} valid questions, ${errors.length} rows had errors`
+        : `Successfully parsed ${questions.length} questions`,
+    });
+
+  } catch (error) {
+    // Clean up file if it exists
+    if (req.file && fs.existsSync(req.file.path)) {
+      fs.unlinkSync(req.file.path);
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to parse file',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Create a quiz from the rows accepted in the spreadsheet preview, optionally
+ * saving each question (with its tags) to the question bank as well
+ * POST /api/quiz/import/spreadsheet
+ */
+export const importSpreadsheetQuiz = async (req, res) => {
+  try {
+    const { title, timeLimit, questions = [], addToBank = false } = req.body;
+    const adminId = req.user?.id || req.user?._id;
+
+    // 1. Validation
+    if (!title || !title.trim() || !Array.isArray(questions) || questions.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Title and at least one question are required',
+      });
+    }
+
+    const fields = questions.map(question => Object.fromEntries(
+      CONTENT_FIELDS.filter(field => question[field] !== undefined).map(field => [field, question[field]])
+    ));
+    const invalidIndex = fields.findIndex(question => getQuestionProblem(question));
+    if (invalidIndex !== -1) {
+      return res.status(400).json({
+        success: false,
+        message: `Question ${invalidIndex + 1}: ${getQuestionProblem(fields[invalidIndex])}`,
+      });
+    }
+
+    // Images go to file storage only once every question is valid, so a
+    // rejected import leaves nothing behind
+    const contents = await externalizeQuestionImages(fields);
+
+    // 2. Save to the question bank first so the quiz copies can link to it
+    let quizQuestions = contents;
+    if (addToBank) {
+      const bankQuestions = await BankQuestion.create(contents.map((content, index) => ({
+        ...content,
+        tags: normalizeTags(questions[index].tags),
+        adminId,
+      })));
+      quizQuestions = bankQuestions.map(toQuizQuestion);
+    }
+
+    // 3. Create the quiz
+    const newQuiz = new Quiz({
+      title: title.trim(),
+      questions: quizQuestions,
+      timeLimit: timeLimit || 10,
+      adminId,
+    });
+
+    await newQuiz.save();
+
+    res.status(201).json({
+      success: true,
+      data: newQuiz,
+      message: `Imported ${quizQuestions.length} question(s)${addToBank ? ' and saved them to the question bank' : ''}`,
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to import questions',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Download a quiz's fixed questions as Moodle XML, GIFT, Aiken or QTI 2.1
+ * GET /api/quiz/:id/export?format=moodle
+ */
+export const exportQuizFile = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { format } = req.query;
+    const adminId = req.user?.id || req.user?._id;
+
+    if (!Object.hasOwn(FORMATS, format)) {
+      return res.status(400).json({
+        success: false,
+        message: `Format must be one of: ${Object.keys(FORMATS).join(', ')}`,
+      });
+    }
+
+    const quiz = await Quiz.findById(id).lean();
+
+    if (!quiz) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quiz not found',
+      });
+    }
+
+    // Security check: Only the creator can export the answer key
+    if (quiz.adminId.toString() !== adminId.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to export this quiz',
+      });
+    }
+
+    // Question pools are drawn per candidate, so only the fixed questions are exported.
+    // Stored images are embedded so the file does not depend on this server
+    const questions = await inlineQuestionImages(quiz.questions);
+    const { content, filename, mimeType, skipped } = exportQuiz({ ...quiz, questions }, format);
+
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.setHeader('Content-Type', mimeType);
+    res.setHeader('X-Skipped-Questions', String(skipped.length));
+    res.setHeader('Access-Control-Expose-Headers', 'Content-Disposition, X-Skipped-Questions');
+
+    res.send(content);
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export quiz',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Preview how an edited answer key would change the scores of existing submissions
+ * POST /api/quiz/:id/regrade-preview
+ */
+export const previewRegrade = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { questions } = req.body;
+    const adminId = req.user?.id || req.user?._id;
+
+    if (!Array.isArray(questions)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the edited questions',
+      });
+    }
+
+    const quiz = await Quiz.findById(id);
+
+    if (!quiz) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quiz not found',
+      });
+    }
+
+    // Security check: Only the creator can re-grade
+    if (quiz.adminId.toString() !== adminId.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to edit this quiz',
+      });
+    }
+
+    const changedQuestions = countAnswerKeyChanges(quiz.questions, questions);
+
+    // Grade plain copies so nothing is saved
+    const assignments = await Assignment.find({ quizId: id })
+      .populate('classId', 'title courseCode')
+      .lean();
+
+    const inUse = new Set((await getAssignmentsInUse(id)).map(String));
+
+    const breakdown = assignments.map(assignment => {
+      const scoringRules = getScoringRules(assignment);
+      // Skipped by the re-grade while candidates are taking it
+      const inProgress = inUse.has(String(assignment._id));
+      let affected = 0;
+      (inProgress ? [] : assignment.submissions).forEach(submission => {
+        const { answersChanged, previousScore, newScore } = regradeSubmission(submission, questions, scoringRules);
+        if (answersChanged > 0 && previousScore !== newScore) affected += 1;
+      });
+
+      return {
+        assignmentId: assignment._id,
+        classTitle: assignment.classId?.title || 'Unknown Class',
+        courseCode: assignment.classId?.courseCode || '',
+        totalSubmissions: assignment.submissions.length,
+        submissionsAffected: affected,
+        inProgress,
+      };
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        changedQuestions,
+        assignmentCount: assignments.length,
+        totalSubmissions: breakdown.reduce((sum, a) => sum + a.totalSubmissions, 0),
+        submissionsAffected: breakdown.reduce((sum, a) => sum + a.submissionsAffected, 0),
+        assignments: breakdown,
+      },
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to preview re-grade',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Re-grade all submissions of a quiz against its current answer key
+ * POST /api/quiz/:id/regrade
+ */
+export const regradeQuiz = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const adminId = req.user?.id || req.user?._id;
+
+    const quiz = await Quiz.findById(id);
+
+    if (!quiz) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quiz not found',
+      });
+    }
+
+    // Security check: Only the creator can re-grade
+    if (quiz.adminId.toString() !== adminId.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to edit this quiz',
+      });
+    }
+
+    const regrade = await regradeQuizSubmissions(quiz, adminId);
+
+    res.status(200).json({
+      success: true,
+      data: regrade,
+      message: describeRegrade(regrade),
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to re-grade quiz',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Get the version history of a quiz
+ * GET /api/quiz/:id/versions
+ */
+export const getQuizVersions = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const adminId = req.user?.id || req.user?._id;
+
+    const quiz = await Quiz.findById(id);
+
+    if (!quiz) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quiz not found',
+      });
+    }
+
+    // Security check: Only the creator can view the history
+    if (quiz.adminId.toString() !== adminId.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this quiz',
+      });
+    }
+
+    // Quizzes created before versioning get their first version now
+    await ensureQuizVersion(quiz, adminId);
+
+    const [versions, assignments] = await Promise.all([
+      QuizVersion.find({ quizId: id }).sort({ version: -1 }).populate('createdBy', 'name'),
+      Assignment.find({ quizId: id }).select('quizVersion'),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: versions.map(version => ({
+        version: version.version,
+        title: version.title,
+        questionCount: version.questions.length,
+        // Questions drawn per candidate from the version's pools
+        pooledQuestionCount: (version.pools || []).reduce((sum, pool) => sum + pool.count, 0),
+        note: version.note,
+        createdBy: version.createdBy?.name || 'Unknown',
+        createdAt: version.createdAt,
+        isCurrent: version.version === quiz.currentVersion,
+        // Assignments from before versioning use the live quiz, i.e. the current version
+        assignmentCount: assignments.filter(a => (a.quizVersion ?? quiz.currentVersion) === version.version).length,
+      })),
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch quiz versions',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Get a single version of a quiz
+ * GET /api/quiz/:id/versions/:version
+ */
+export const getQuizVersion = async (req, res) => {
+  try {
+    const { id, version } = req.params;
+    const adminId = req.user?.id || req.user?._id;
+
+    const quiz = await Quiz.findById(id);
+
+    if (!quiz) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quiz not found',
+      });
+    }
+
+    // Security check: Only the creator can view versions
+    if (quiz.adminId.toString() !== adminId.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this quiz',
+      });
+    }
+
+    const quizVersion = await QuizVersion.findOne({ quizId: id, version: Number(version) });
+
+    if (!quizVersion) {
+      return res.status(404).json({
+        success: false,
+        message: 'Version not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: quizVersion,
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch quiz version',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Compare two versions of a quiz
+ * GET /api/quiz/:id/versions/diff?from=1&to=2
+ */
+export const diffQuizVersion = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const from = Number(req.query.from);
+    const to = Number(req.query.to);
+    const adminId = req.user?.id || req.user?._id;
+
+    if (!from || !to) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the versions to compare (from, to)',
+      });
+    }
+
+    const quiz = await Quiz.findById(id);
+
+    if (!quiz) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quiz not found',
+      });
+    }
+
+    // Security check: Only the creator can view versions
+    if (quiz.adminId.toString() !== adminId.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this quiz',
+      });
+    }
+
+    const [fromVersion, toVersion] = await Promise.all([
+      QuizVersion.findOne({ quizId: id, version: from }),
+      QuizVersion.findOne({ quizId: id, version: to }),
+    ]);
+
+    if (!fromVersion || !toVersion) {
+      return res.status(404).json({
+        success: false,
+        message: 'Version not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        from,
+        to,
+        ...diffQuizVersions(fromVersion, toVersion),
+      },
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to compare quiz versions',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Restore an earlier version of a quiz (saved as a new version)
+ * POST /api/quiz/:id/versions/:version/restore
+ */
+export const restoreQuizVersion = async (req, res) => {
+  try {
+    const { id, version } = req.params;
+    const adminId = req.user?.id || req.user?._id;
+
+    const quiz = await Quiz.findById(id);
+
+    if (!quiz) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quiz not found',
+      });
+    }
+
+    // Security check: Only the creator can restore
+    if (quiz.adminId.toString() !== adminId.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to edit this quiz',
+      });
+    }
+
+    const quizVersion = await QuizVersion.findOne({ quizId: id, version: Number(version) });
+
+    if (!quizVersion) {
+      return res.status(404).json({
+        success: false,
+        message: 'Version not found',
+      });
+    }
+
+    if (quizVersion.version === quiz.currentVersion) {
+      return res.status(400).json({
+        success: false,
+        message: 'This is already the current version',
+      });
+    }
+
+    // Versions are immutable: restoring copies the old content into a new version
+    await ensureQuizVersion(quiz, adminId);
+    quiz.title = quizVersion.title;
+    quiz.timeLimit = quizVersion.timeLimit;
+    quiz.questions = quizVersion.questions.map(q => q.toObject());
+    quiz.pools = (quizVersion.pools || []).map(pool => pool.toObject());
+    const newVersion = await publishQuizVersion(quiz, adminId, `Restored from version ${quizVersion.version}`);
+
+    res.status(200).json({
+      success: true,
+      data: quiz,
+      message: `Version ${quizVersion.version} restored as version ${newVersion}`,
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to restore quiz version',
+      error: error.message,
+    });
+  }
+};
@@ -53,4 +53,43 @@ const upload = multer({
   }
 });
 
+// Quiz files (Moodle XML, GIFT, Aiken, QTI) are parsed straight from memory
+const quizFileFilter = (req, file, cb) => {
+  const allowedExtensions = ['.xml', '.txt', '.gift', '.zip'];
+  const ext = path.extname(file.originalname).toLowerCase();
+
+  if (allowedExtensions.includes(ext)) {
+    cb(null, true);
+  } else {
+    cb(new Error('Only Moodle XML (.xml), GIFT (.gift, .txt), Aiken (.txt) and QTI (.zip, .xml) files are allowed'), false);
+  }
+};
+
+export const quizFileUpload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: quizFileFilter,
+  limits: {
+    fileSize: 20 * 1024 * 1024 // 20MB limit (QTI packages can carry images)
+  }
+});
+
+// Question and option images are handed to the storage adapter from memory
+const imageFileFilter = (req, file, cb) => {
+  const allowedTypes = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+
+  if (allowedTypes.includes(file.mimetype)) {
+    cb(null, true);
+  } else {
+    cb(new Error('Only JPEG, PNG, GIF and WebP images are allowed'), false);
+  }
+};
+
+export const imageUpload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: imageFileFilter,
+  limits: {
+    fileSize: 5 * 1024 * 1024 // 5MB limit
+  }
+});
+
 export default upload;
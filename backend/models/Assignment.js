@@ -1,34 +1,166 @@
 // server/models/Assignment.js
 import mongoose from 'mongoose';
+import { questionSchema } from './Quiz.js';
+import { latePenaltySchema } from './Class.js';
 const { Schema } = mongoose;
 
+// How much of their submission candidates see once results are released:
+// nothing, the score, the score with which answers were right, or the full answer key
+export const RESULT_RELEASE_LEVELS = ['none', 'score', 'correctness', 'answer_key'];
+// When results are released: on submission, at the due date, or at a set date and time
+export const RESULT_RELEASE_TIMINGS = ['immediately', 'after_due', 'scheduled'];
+// Which attempt's score counts when candidates can submit more than once
+export const SCORING_RULES = ['highest', 'latest', 'average', 'first'];
+
 // Schema for storing a single answer
 const answerSchema = new Schema({
   questionId: {
     type: String, // Store as string since it's the _id from the questions array
     required: true,
   },
+  // Readable form of the answer (multi-part answers are joined with ", ")
   selectedAnswer: {
     type: String,
-    required: true,
+    default: '', // Empty when the question was left unanswered
+  },
+  // Individual values for multiple-select and fill-in-the-blank answers
+  selectedAnswers: {
+    type: [String],
+    default: undefined,
   },
   isCorrect: {
     type: Boolean,
     default: false,
   },
+  // Points earned for this answer (partial credit or negative marking can make
+  // this a fraction of pointsPossible, or below zero)
+  pointsAwarded: {
+    type: Number,
+    default: 0,
+  },
+  pointsPossible: {
+    type: Number,
+    default: 1,
+  },
+  // 'auto' answers are graded on submission; essay answers wait in the
+  // grading queue as 'pending' until an instructor marks them 'graded'
+  gradingStatus: {
+    type: String,
+    enum: ['auto', 'pending', 'graded'],
+    default: 'auto',
+  },
+  // Instructor's comment on a manually graded answer
+  feedback: {
+    type: String,
+    default: '',
+  },
+  gradedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  gradedAt: {
+    type: Date,
+    default: null,
+  },
+  // Set when an instructor overrides the automatic grade of this answer
+  overridden: {
+    type: Boolean,
+    default: false,
+  },
+  // Seconds the question was on screen, revisits included (null when it
+  // wasn't timed)
+  timeSpentSeconds: {
+    type: Number,
+    default: null,
+  },
 }, { _id: false }); // Don't create _id for each answer subdocument
 
-// Schema for a submission
+// Schema for one entry in a submission's grade history
+// (the first entry's previous values are the original auto-grade)
+const gradeChangeSchema = new Schema({
+  type: {
+    type: String,
+    enum: ['answer_override', 'score_override', 'manual_grade', 'answer_key_regrade'],
+    required: true,
+  },
+  questionId: {
+    type: String, // Only set for answer-level changes
+    default: null,
+  },
+  previousIsCorrect: { type: Boolean, default: null },
+  newIsCorrect: { type: Boolean, default: null },
+  previousPoints: { type: Number, default: null },
+  newPoints: { type: Number, default: null },
+  previousScore: { type: Number, default: null },
+  newScore: { type: Number, default: null },
+  reason: {
+    type: String,
+    default: '',
+  },
+  changedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now,
+  },
+}, { _id: false });
+
+// Schema for a submission (one per attempt, so a candidate can have several)
 const submissionSchema = new Schema({
   candidateId: {
     type: Schema.Types.ObjectId,
     ref: 'User',
     required: true,
   },
-  score: {
+  // 1 for the candidate's first attempt, 2 for their first retake, ...
+  attemptNumber: {
     type: Number,
+    default: 1,
+  },
+  score: {
+    type: Number, // Percentage (0-100) of totalPoints, after any late penalty
     required: true,
   },
+  // Score before the late penalty (null for submissions made before penalties)
+  rawScore: {
+    type: Number,
+    default: null,
+  },
+  // Percentage points taken off score for submitting late
+  latePenalty: {
+    type: Number,
+    default: 0,
+  },
+  // Raw points behind the percentage score
+  pointsEarned: {
+    type: Number,
+    default: null,
+  },
+  totalPoints: {
+    type: Number,
+    default: null,
+  },
+  // Whole-score override set by an instructor; takes precedence over the
+  // score calculated from the answers until it is cleared
+  scoreOverride: {
+    score: { type: Number, default: null, min: 0, max: 100 },
+    reason: { type: String, default: '' },
+  },
+  // Every manual change to this submission's grading, oldest first
+  gradeHistory: {
+    type: [gradeChangeSchema],
+    default: [],
+  },
+  // 'pending' while any essay answer is still waiting to be graded;
+  // score is provisional until this becomes 'complete'
+  gradingStatus: {
+    type: String,
+    enum: ['complete', 'pending'],
+    default: 'complete',
+  },
   submittedAt: {
     type: Date,
     default: Date.now,
@@ -37,6 +169,49 @@ const submissionSchema = new Schema({
     type: Boolean,
     default: false,
   },
+  // When the attempt was started and its server-side deadline (null for
+  // submissions made before attempts were timed on the server)
+  startedAt: {
+    type: Date,
+    default: null,
+  },
+  deadline: {
+    type: Date,
+    default: null,
+  },
+  // Seconds the submission arrived after its deadline (beyond the grace
+  // period); flagged for instructors rather than refused
+  overtimeSeconds: {
+    type: Number,
+    default: 0,
+  },
+  // Submissions sent while offline are queued in the browser and replayed
+  // later. submittedAt is then the time the candidate finished (when it is
+  // within the tolerance), and receivedAt when the server got it
+  receivedAt: {
+    type: Date,
+    default: null,
+  },
+  clientCompletedAt: {
+    type: Date,
+    default: null,
+  },
+  // Id the browser gives each submission, so a replayed one isn't recorded twice
+  clientSubmissionId: {
+    type: String,
+    default: null,
+  },
+  // Question ids the candidate had flagged for review when they submitted
+  flaggedQuestions: {
+    type: [String],
+    default: [],
+  },
+  // When the candidate was told their results are visible. Set on submission
+  // when they see them straight away, otherwise by the result release job
+  resultsNotifiedAt: {
+    type: Date,
+    default: null,
+  },
   // Anti-cheat tracking
   tabSwitchCount: {
     type: Number,
@@ -65,6 +240,56 @@ const submissionSchema = new Schema({
   answers: [answerSchema], // Array of candidate's answers
 }, { _id: true }); // Keep _id for each submission
 
+// Schema for a candidate's attempt, created the first time they open the quiz
+const attemptSchema = new Schema({
+  candidateId: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  // Questions drawn for this candidate from the quiz's question pools. They are
+  // fixed at first open and used for grading and review
+  questions: {
+    type: [questionSchema],
+    default: [],
+  },
+  openedAt: {
+    type: Date,
+    default: Date.now,
+  },
+}, { _id: true });
+
+// Schema for one candidate's extension on an assignment. Unset fields keep the
+// assignment's own dates, and the time limit from the class accommodation
+const extensionSchema = new Schema({
+  candidateId: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  dueDate: {
+    type: Date,
+    default: null,
+  },
+  closeDate: {
+    type: Date,
+    default: null,
+  },
+  // Minutes; replaces the time limit (and any extra time from the class)
+  timeLimit: {
+    type: Number,
+    default: null,
+    min: 1,
+  },
+  // Instructor's note; not shown to the candidate
+  note: {
+    type: String,
+    trim: true,
+    maxlength: 500,
+    default: '',
+  },
+}, { _id: false });
+
 const assignmentSchema = new Schema({
   // Link to the Quiz being assigned
   quizId: {
@@ -72,6 +297,12 @@ const assignmentSchema = new Schema({
     ref: 'Quiz',
     required: true,
   },
+  // Version of the quiz this assignment was issued with (see QuizVersion).
+  // Null for assignments created before versioning, which use the live quiz
+  quizVersion: {
+    type: Number,
+    default: null,
+  },
   // Link to the Class it's assigned to
   classId: {
     type: Schema.Types.ObjectId,
@@ -98,14 +329,36 @@ const assignmentSchema = new Schema({
     description: 'Optional subclasses for more granular assignment'
   },
   // Assignment Settings
+  // Availability window: candidates can open the quiz from availableFrom, it is
+  // due at dueDate, and nothing is accepted after closeDate
+  availableFrom: {
+    type: Date,
+    default: null,
+    description: 'When candidates can start the quiz (null = as soon as it is assigned)'
+  },
   dueDate: {
     type: Date,
     required: true,
   },
+  closeDate: {
+    type: Date,
+    default: null,
+    description: 'Hard cutoff for late submissions (null = the class\'s allowLateSubmissions setting decides)'
+  },
+  // Late penalty (policy null = the class's latePenalty applies)
+  latePenalty: {
+    type: latePenaltySchema,
+    default: () => ({}),
+  },
   timeLimit: {
     type: Number, // Time in minutes
     required: true,
   },
+  // Per-candidate extensions (later dates or a different time limit)
+  extensions: {
+    type: [extensionSchema],
+    default: [],
+  },
   // Proctoring Settings
   proctoringEnabled: {
     type: Boolean,
@@ -126,6 +379,74 @@ const assignmentSchema = new Schema({
     default: 'percentage',
     description: 'Type of weightage: percentage (0-100%) or marks-based'
   },
+  // Scoring rules
+  negativeMarking: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 1,
+    description: 'Fraction of a question\'s points deducted for a wrong answer (0 = off, 0.25 = quarter mark)'
+  },
+  partialCredit: {
+    type: Boolean,
+    default: true,
+    description: 'Award partial credit on multiple-select and fill-in-the-blank questions'
+  },
+  // Ordering (each candidate gets their own order, stable across reloads)
+  shuffleQuestions: {
+    type: Boolean,
+    default: true,
+    description: 'Show the questions in a different order to each candidate'
+  },
+  shuffleOptions: {
+    type: Boolean,
+    default: false,
+    description: 'Show multiple-choice options in a different order to each candidate'
+  },
+  // Retakes
+  maxAttempts: {
+    type: Number,
+    default: 1,
+    min: 1,
+    description: 'How many times each candidate can submit this assignment'
+  },
+  attemptCooldown: {
+    type: Number,
+    default: 0,
+    min: 0,
+    description: 'Minutes a candidate must wait after an attempt before starting the next one'
+  },
+  scoringRule: {
+    type: String,
+    enum: SCORING_RULES,
+    default: 'highest',
+    description: 'Which attempt\'s score counts: highest, latest, average or first'
+  },
+  // What candidates see of their submission, and from when
+  resultRelease: {
+    // Null for assignments from before per-assignment release, which follow
+    // the class's showResults switch
+    level: {
+      type: String,
+      enum: [...RESULT_RELEASE_LEVELS, null],
+      default: null,
+    },
+    timing: {
+      type: String,
+      enum: RESULT_RELEASE_TIMINGS,
+      default: 'immediately',
+    },
+    // Only used when timing is 'scheduled'
+    releaseAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  // Attempts opened by candidates (one per candidate; retakes reuse the drawn questions)
+  attempts: {
+    type: [attemptSchema],
+    default: [],
+  },
   // Submissions from candidates with detailed answers
   submissions: [submissionSchema],
 
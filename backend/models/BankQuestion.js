@@ -0,0 +1,68 @@
+// server/models/BankQuestion.js
+import mongoose from 'mongoose';
+import { questionSchema } from './Quiz.js';
+const { Schema } = mongoose;
+
+export const DIFFICULTY_LEVELS = ['easy', 'medium', 'hard'];
+export const BLOOMS_LEVELS = ['remember', 'understand', 'apply', 'analyze', 'evaluate', 'create'];
+
+// One entry per edit of a bank question
+const bankRevisionSchema = new Schema({
+  revision: { type: Number, required: true },
+  changedFields: { type: [String], default: [] },
+  editedBy: { type: Schema.Types.ObjectId, ref: 'User' },
+  editedAt: { type: Date, default: Date.now },
+}, { _id: false });
+
+// A reusable question. It has the same fields as a quiz question; quizzes
+// embed a copy and remember which bank question and revision it came from
+const bankQuestionSchema = questionSchema.clone();
+
+bankQuestionSchema.remove(['bankQuestionId', 'bankRevision']);
+
+bankQuestionSchema.add({
+  // Owner of the question
+  adminId: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  tags: {
+    type: [String],
+    default: [],
+  },
+  topic: {
+    type: String,
+    trim: true,
+    default: '',
+  },
+  difficulty: {
+    type: String,
+    enum: DIFFICULTY_LEVELS,
+    default: 'medium',
+  },
+  // Bloom's taxonomy level the question targets
+  bloomsLevel: {
+    type: String,
+    enum: BLOOMS_LEVELS,
+    default: 'remember',
+  },
+  // Bumped on every edit of the question content
+  revision: {
+    type: Number,
+    default: 1,
+  },
+  revisions: {
+    type: [bankRevisionSchema],
+    default: [],
+  },
+});
+
+bankQuestionSchema.set('timestamps', true);
+bankQuestionSchema.index({ adminId: 1, topic: 1 });
+bankQuestionSchema.index({ adminId: 1, tags: 1 });
+bankQuestionSchema.index({ text: 'text', topic: 'text', tags: 'text' });
+
+const BankQuestion = mongoose.model('BankQuestion', bankQuestionSchema);
+
+export default BankQuestion;
@@ -1,5 +1,67 @@
 import mongoose from 'mongoose';
 
+// How late submissions lose marks: not at all, a deduction per day late (up to
+// a cap), a flat deduction, or zero once they are more than some hours late
+export const LATE_PENALTY_POLICIES = ['none', 'per_day', 'flat', 'zero_after'];
+
+// Late penalty settings, used as the class default and per assignment.
+// Deductions are percentage points off the submission's score
+export const latePenaltySchema = new mongoose.Schema({
+  // Null on an assignment means it follows its class; on a class it means no penalty
+  policy: {
+    type: String,
+    enum: [...LATE_PENALTY_POLICIES, null],
+    default: null,
+  },
+  // Deduction per day late ('per_day'), the whole deduction ('flat'), or the
+  // deduction until the zero cutoff ('zero_after')
+  percent: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 100,
+  },
+  // Most that 'per_day' can take off in total
+  maxPercent: {
+    type: Number,
+    default: 100,
+    min: 0,
+    max: 100,
+  },
+  // Hours after the due date from which 'zero_after' scores 0
+  hours: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+}, { _id: false });
+
+// Most extra time an accommodation can give (as a multiple of the time limit)
+export const MAX_TIME_MULTIPLIER = 4;
+
+// A student's standing accommodation in a class, applied to every assignment
+export const accommodationSchema = new mongoose.Schema({
+  studentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  // Multiplies each assignment's time limit (1.5 = time and a half)
+  timeMultiplier: {
+    type: Number,
+    default: 1,
+    min: 1,
+    max: MAX_TIME_MULTIPLIER,
+  },
+  // Instructor's note (e.g. the documented reason); not shown to the student
+  note: {
+    type: String,
+    trim: true,
+    maxlength: 500,
+    default: '',
+  },
+}, { _id: false });
+
 const classSchema = new mongoose.Schema({
   title: {
     type: String,
@@ -25,6 +87,12 @@ const classSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId, 
     ref: 'User' 
   }],
+
+  // Accommodations for individual students (see accommodationSchema)
+  accommodations: {
+    type: [accommodationSchema],
+    default: [],
+  },
   
   // Unique invite code for students to join
   inviteCode: {
@@ -44,6 +112,11 @@ const classSchema = new mongoose.Schema({
     type: Boolean,
     default: true,
   },
+  // Default late penalty for the class's assignments
+  latePenalty: {
+    type: latePenaltySchema,
+    default: () => ({}),
+  },
   autoGrading: {
     type: Boolean,
     default: true,
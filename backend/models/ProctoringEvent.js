@@ -0,0 +1,72 @@
+// server/models/ProctoringEvent.js
+import mongoose from 'mongoose';
+const { Schema } = mongoose;
+
+// What the quiz page reports during an attempt: camera and microphone
+// detections from the proctoring system, and its own tab, focus and
+// fullscreen checks
+export const PROCTORING_EVENT_TYPES = [
+  'noFaceDetected',
+  'multipleFacesDetected',
+  'lookingAway',
+  'suspiciousMovements',
+  'phoneDetected',
+  'audioAnomalies',
+  'tabSwitch',
+  'focusLost',
+  'fullscreenExit',
+];
+
+// Most events kept for one attempt, so a noisy camera can't fill the database
+export const MAX_EVENTS_PER_ATTEMPT = 2000;
+
+// One proctoring event, streamed to the server while the attempt is in progress
+const proctoringEventSchema = new Schema({
+  assignmentId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Assignment',
+    required: true,
+  },
+  candidateId: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  attemptNumber: {
+    type: Number,
+    required: true,
+  },
+  type: {
+    type: String,
+    enum: PROCTORING_EVENT_TYPES,
+    required: true,
+  },
+  // When it happened (on the server's clock, within the attempt)
+  occurredAt: {
+    type: Date,
+    required: true,
+  },
+  receivedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  // Question on screen, counting from 0 (null if none was)
+  questionIndex: {
+    type: Number,
+    default: null,
+  },
+  // How sure the detector was, from 0 to 1: 1 for tab, focus and fullscreen
+  // events, null for detections that aren't scored
+  confidence: {
+    type: Number,
+    min: 0,
+    max: 1,
+    default: null,
+  },
+});
+
+proctoringEventSchema.index({ assignmentId: 1, candidateId: 1, attemptNumber: 1, occurredAt: 1 });
+
+const ProctoringEvent = mongoose.model('ProctoringEvent', proctoringEventSchema);
+
+export default ProctoringEvent;
@@ -3,25 +3,84 @@ import mongoose from 'mongoose';
 
 const { Schema } = mongoose;
 
+// Accepted answers for one blank of a fill-in-the-blank question
+const blankSchema = new Schema({
+  acceptedAnswers: {
+    type: [String],
+    default: [],
+  },
+}, { _id: false });
+
 // This is a "sub-schema" for a single question
-const questionSchema = new Schema({
+export const questionSchema = new Schema({
   text: {
     type: String,
     required: true,
   },
   type: {
     type: String,
-    enum: ['mcq', 'short_answer', 'true_false'],
+    enum: ['mcq', 'short_answer', 'true_false', 'multiple_select', 'numeric', 'fill_blank', 'essay'],
     required: true,
   },
+  // How the text and options are written: 'plain' is shown as-is, 'markdown'
+  // is rendered as Markdown with $LaTeX$ and highlighted code blocks
+  textFormat: {
+    type: String,
+    enum: ['plain', 'markdown'],
+    default: 'plain',
+  },
   options: {
     type: [String], // An array of strings
-    // This will only be required if the type is 'mcq'
+    // This will only be required if the type is 'mcq' or 'multiple_select'
     default: [],
   },
   answer: {
     type: String,
-    required: true,
+    // Multiple-select and fill-in-the-blank keys live in correctOptions/blanks,
+    // a numeric question may be graded by range alone, and for essays the
+    // answer is an optional model answer shown to the grader
+    required: function () {
+      if (['multiple_select', 'fill_blank', 'essay'].includes(this.type)) return false;
+      if (this.type === 'numeric') return this.rangeMin === null || this.rangeMax === null;
+      return true;
+    },
+  },
+  // Correct options for 'multiple_select' (select all that apply) questions
+  correctOptions: {
+    type: [String],
+    default: [],
+    validate: {
+      validator: function (value) {
+        return this.type !== 'multiple_select' || value.length > 0;
+      },
+      message: 'Multiple-select questions need at least one correct option',
+    },
+  },
+  // Numeric questions: accept answer ± tolerance, or anything in [rangeMin, rangeMax]
+  tolerance: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  rangeMin: {
+    type: Number,
+    default: null,
+  },
+  rangeMax: {
+    type: Number,
+    default: null,
+  },
+  // Fill-in-the-blank: one entry per blank (written as ___ in the text),
+  // each with every spelling that should be accepted
+  blanks: {
+    type: [blankSchema],
+    default: [],
+  },
+  // How much this question counts towards the quiz total
+  points: {
+    type: Number,
+    default: 1,
+    min: 0,
   },
   // Image support for questions
   questionImage: {
@@ -33,6 +92,79 @@ const questionSchema = new Schema({
     type: [String], // Array of base64 encoded images or URLs
     default: [],
   },
+  // Why the correct answer is correct, shown to candidates when they review
+  // their submission (written in the question's textFormat)
+  explanation: {
+    type: String,
+    default: '',
+  },
+  // Optional feedback for each option of an MCQ, in the same order as options
+  // (e.g. why a tempting wrong answer is wrong)
+  optionFeedback: {
+    type: [String],
+    default: [],
+  },
+  // Set when the question was copied from the question bank, with the bank
+  // revision it was copied at (so out-of-date copies can be found)
+  bankQuestionId: {
+    type: Schema.Types.ObjectId,
+    ref: 'BankQuestion',
+    default: null,
+  },
+  bankRevision: {
+    type: Number,
+    default: null,
+  },
+  // Set on questions drawn for a candidate from one of the quiz's question pools
+  poolId: {
+    type: Schema.Types.ObjectId,
+    default: null,
+  },
+});
+
+// A section of a quiz filled separately for each candidate with questions
+// drawn at random from the quiz owner's question bank
+export const poolSchema = new Schema({
+  title: {
+    type: String,
+    trim: true,
+    default: '',
+  },
+  // Number of questions drawn for each candidate
+  count: {
+    type: Number,
+    required: true,
+    min: 1,
+  },
+  // Bank questions must match every filter that is set
+  tags: {
+    type: [String], // A question must carry all of these tags
+    default: [],
+  },
+  topic: {
+    type: String,
+    default: '',
+  },
+  difficulty: {
+    type: String,
+    enum: ['', 'easy', 'medium', 'hard'],
+    default: '',
+  },
+  bloomsLevel: {
+    type: String,
+    enum: ['', 'remember', 'understand', 'apply', 'analyze', 'evaluate', 'create'],
+    default: '',
+  },
+  type: {
+    type: String,
+    default: '',
+  },
+  // Points for each drawn question; null keeps the bank question's own points
+  points: {
+    type: Number,
+    default: null,
+    min: 0,
+  },
 });
 
 // This is the main Quiz model
@@ -63,6 +195,18 @@ const quizSchema = new Schema({
   },
   // This embeds the array of questions
   questions: [questionSchema],
+  // Random sections drawn per candidate, in addition to the fixed questions
+  pools: {
+    type: [poolSchema],
+    default: [],
+  },
+  // Version number of the current content; every edit that changes the title,
+  // questions or pools creates a new immutable QuizVersion
+  currentVersion: {
+    type: Number,
+    default: 1,
+    min: 1,
+  },
 }, { timestamps: true });
 
 const Quiz = mongoose.model('Quiz', quizSchema);
@@ -0,0 +1,48 @@
+// server/models/QuizVersion.js
+import mongoose from 'mongoose';
+import { questionSchema, poolSchema } from './Quiz.js';
+const { Schema } = mongoose;
+
+// An immutable snapshot of a quiz's content. Assignments pin the version they
+// were issued with, so later edits never change what candidates were shown
+const quizVersionSchema = new Schema({
+  quizId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Quiz',
+    required: true,
+  },
+  version: {
+    type: Number,
+    required: true,
+    min: 1,
+  },
+  title: {
+    type: String,
+    required: true,
+  },
+  timeLimit: {
+    type: Number,
+    default: 10,
+  },
+  // Questions keep their _id across versions so answers can be matched
+  questions: [questionSchema],
+  pools: {
+    type: [poolSchema],
+    default: [],
+  },
+  // What produced this version, e.g. 'Edited' or 'Restored from version 2'
+  note: {
+    type: String,
+    default: '',
+  },
+  createdBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+  },
+}, { timestamps: true });
+
+quizVersionSchema.index({ quizId: 1, version: 1 }, { unique: true });
+
+const QuizVersion = mongoose.model('QuizVersion', quizVersionSchema);
+
+export default QuizVersion;
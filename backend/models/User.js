@@ -82,10 +82,23 @@ const userSchema = new mongoose.Schema(
         },
       },
     ],
+    // Quiz attempts the candidate has started but not submitted. The deadline
+    // is set here when the attempt starts, so clearing the browser's countdown
+    // doesn't give more time. Answers are autosaved here so the attempt can be
+    // resumed after a crash or on another device
     testsInProgress: [
       {
-        testId: { type: mongoose.Schema.Types.ObjectId, ref: 'Test' },
+        assignmentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Assignment' },
+        attemptNumber: Number,
         startedAt: Date,
+        deadline: Date,
+        // Question id => answer, as sent on submission
+        answers: { type: mongoose.Schema.Types.Mixed, default: {} },
+        // Question ids the candidate marked to come back to
+        flaggedQuestions: { type: [String], default: [] },
+        // Question id => seconds spent on it so far
+        questionTimes: { type: mongoose.Schema.Types.Mixed, default: {} },
+        savedAt: { type: Date, default: null },
       },
     ],
     // Last login tracking
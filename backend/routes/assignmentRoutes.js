@@ -7,7 +7,14 @@ import {
   deleteAssignment,
   getAssignmentSubmissions,
   getSubmissionDetails,
+  getProctoringTimeline,
   getClassResults,
+  getGradingQueue,
+  gradeSubmissionAnswer,
+  overrideAnswerGrade,
+  overrideSubmissionScore,
+  setExtension,
+  removeExtension,
 } from '../controllers/assignmentController.js';
 import { protect } from '../middleware/authMiddleware.js';
 
@@ -52,6 +59,48 @@ router.get('/:assignmentId/submissions', getAssignmentSubmissions);
  */
 router.get('/:assignmentId/submissions/:submissionId', getSubmissionDetails);
 
+/**
+ * GET /api/assignments/:assignmentId/submissions/:submissionId/proctoring-events
+ * Get the proctoring event timeline of a submission's attempt (for Admins)
+ */
+router.get('/:assignmentId/submissions/:submissionId/proctoring-events', getProctoringTimeline);
+
+/**
+ * GET /api/assignments/:assignmentId/grading-queue
+ * Get essay answers waiting for manual grading (for Admins)
+ */
+router.get('/:assignmentId/grading-queue', getGradingQueue);
+
+/**
+ * PUT /api/assignments/:assignmentId/submissions/:submissionId/answers/:questionId/grade
+ * Grade a single essay answer with a score and comment
+ */
+router.put('/:assignmentId/submissions/:submissionId/answers/:questionId/grade', gradeSubmissionAnswer);
+
+/**
+ * PUT /api/assignments/:assignmentId/submissions/:submissionId/answers/:questionId/override
+ * Mark a single answer as correct or incorrect, with a reason
+ */
+router.put('/:assignmentId/submissions/:submissionId/answers/:questionId/override', overrideAnswerGrade);
+
+/**
+ * PUT /api/assignments/:assignmentId/submissions/:submissionId/score
+ * Override the whole score with a reason (score: null clears the override)
+ */
+router.put('/:assignmentId/submissions/:submissionId/score', overrideSubmissionScore);
+
+/**
+ * PUT /api/assignments/:assignmentId/extensions/:candidateId
+ * Give a candidate later dates or their own time limit on one assignment
+ */
+router.put('/:assignmentId/extensions/:candidateId', setExtension);
+
+/**
+ * DELETE /api/assignments/:assignmentId/extensions/:candidateId
+ * Remove a candidate's extension
+ */
+router.delete('/:assignmentId/extensions/:candidateId', removeExtension);
+
 /**
  * PUT /api/assignments/:id
  * Update an assignment (edit due date and time limit)
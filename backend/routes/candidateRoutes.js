@@ -1,6 +1,6 @@
 import express from 'express';
 import { getCandidateClasses } from '../controllers/classController.js';
-import { getCandidateAssignments, getSingleAssignment, submitQuiz } from '../controllers/assignmentController.js';
+import { getCandidateAssignments, getSingleAssignment, startQuiz, autosaveQuiz, ingestProctoringEvents, submitQuiz, getSubmissionReview } from '../controllers/assignmentController.js';
 import { bulkInviteCandidates, downloadTemplate, parseFileForPreview, sendBulkInvites, getClassRoster, getClassLeaderboard } from '../controllers/candidateController.js';
 import { protect } from '../middleware/authMiddleware.js';
 import upload from '../middleware/uploadMiddleware.js';
@@ -28,12 +28,36 @@ router.get('/assignments/:classId', getCandidateAssignments);
  */
 router.get('/assignment/:assignmentId', getSingleAssignment);
 
+/**
+ * POST /api/candidate/start-quiz/:assignmentId
+ * Start (or resume) an attempt; the server sets its deadline
+ */
+router.post('/start-quiz/:assignmentId', startQuiz);
+
+/**
+ * PUT /api/candidate/autosave/:assignmentId
+ * Save the answers of the attempt in progress, so it can be resumed
+ */
+router.put('/autosave/:assignmentId', autosaveQuiz);
+
+/**
+ * POST /api/candidate/proctoring-events/:assignmentId
+ * Record proctoring events of the attempt in progress, as they happen
+ */
+router.post('/proctoring-events/:assignmentId', ingestProctoringEvents);
+
 /**
  * POST /api/candidate/submit-quiz/:assignmentId
  * Submit a quiz for grading
  */
 router.post('/submit-quiz/:assignmentId', submitQuiz);
 
+/**
+ * GET /api/candidate/review/:assignmentId
+ * Review a submitted quiz with the correct answers and explanations
+ */
+router.get('/review/:assignmentId', getSubmissionReview);
+
 /**
  * POST /api/candidate/parse-file
  * Parse Excel/CSV file and return candidate list for preview
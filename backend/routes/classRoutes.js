@@ -8,6 +8,8 @@ import {
   joinClass,
   removeStudentFromClass,
   regenerateInviteCode,
+  setAccommodation,
+  removeAccommodation,
 } from '../controllers/classController.js';
 import { protect } from '../middleware/authMiddleware.js';
 
@@ -62,6 +64,18 @@ router.get('/:id', getClassById);
  */
 router.post('/:id/remove-student', removeStudentFromClass);
 
+/**
+ * PUT /api/classes/:id/accommodations/:studentId
+ * Set a student's accommodation (extra time on every assignment)
+ */
+router.put('/:id/accommodations/:studentId', setAccommodation);
+
+/**
+ * DELETE /api/classes/:id/accommodations/:studentId
+ * Remove a student's accommodation
+ */
+router.delete('/:id/accommodations/:studentId', removeAccommodation);
+
 /**
  * PATCH /api/classes/:id/regenerate-invite
  * Regenerate invite code for a class
@@ -0,0 +1,17 @@
+import express from 'express';
+import { uploadImage } from '../controllers/imageController.js';
+import { protect } from '../middleware/authMiddleware.js';
+import { imageUpload } from '../middleware/uploadMiddleware.js';
+
+const router = express.Router();
+
+// All image routes require authentication
+router.use(protect);
+
+/**
+ * POST /api/images
+ * Upload a question or option image (multipart field "image")
+ */
+router.post('/', imageUpload.single('image'), uploadImage);
+
+export default router;
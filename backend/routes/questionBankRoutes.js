@@ -0,0 +1,74 @@
+import express from 'express';
+import {
+  getBankQuestions,
+  createBankQuestion,
+  saveQuizQuestionToBank,
+  updateBankQuestion,
+  deleteBankQuestion,
+  getBankQuestionUsage,
+  addBankQuestionsToQuiz,
+  syncBankQuestion,
+  previewPools,
+} from '../controllers/questionBankController.js';
+import { protect } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+// All question bank routes require authentication
+router.use(protect);
+
+/**
+ * GET /api/question-bank
+ * Search the authenticated admin's question bank
+ */
+router.get('/', getBankQuestions);
+
+/**
+ * POST /api/question-bank
+ * Add a question to the bank
+ */
+router.post('/', createBankQuestion);
+
+/**
+ * POST /api/question-bank/from-quiz
+ * Save a quiz question into the bank and link the two
+ */
+router.post('/from-quiz', saveQuizQuestionToBank);
+
+/**
+ * POST /api/question-bank/add-to-quiz
+ * Copy bank questions into a quiz
+ */
+router.post('/add-to-quiz', addBankQuestionsToQuiz);
+
+/**
+ * POST /api/question-bank/pool-preview
+ * Count the bank questions each question pool could draw from
+ */
+router.post('/pool-preview', previewPools);
+
+/**
+ * GET /api/question-bank/:id/usage
+ * List the quizzes that use a bank question
+ */
+router.get('/:id/usage', getBankQuestionUsage);
+
+/**
+ * POST /api/question-bank/:id/sync
+ * Update out-of-date copies of a bank question in quizzes
+ */
+router.post('/:id/sync', syncBankQuestion);
+
+/**
+ * PUT /api/question-bank/:id
+ * Update a bank question
+ */
+router.put('/:id', updateBankQuestion);
+
+/**
+ * DELETE /api/question-bank/:id
+ * Delete a bank question
+ */
+router.delete('/:id', deleteBankQuestion);
+
+export default router;
@@ -5,9 +5,22 @@ import {
   getQuizById, 
   deleteQuiz,
   updateQuiz,
-  createManualQuiz
+  createManualQuiz,
+  previewRegrade,
+  regradeQuiz,
+  getQuizVersions,
+  getQuizVersion,
+  diffQuizVersion,
+  restoreQuizVersion,
+  previewQuizImport,
+  importQuiz,
+  exportQuizFile,
+  downloadQuestionTemplate,
+  previewSpreadsheetImport,
+  importSpreadsheetQuiz
 } from '../controllers/quizController.js';
 import { protect } from '../middleware/authMiddleware.js';
+import upload, { quizFileUpload } from '../middleware/uploadMiddleware.js';
 
 const router = express.Router();
 
@@ -26,12 +39,72 @@ router.post('/generate', generateQuiz);
  */
 router.post('/manual', createManualQuiz);
 
+/**
+ * POST /api/quiz/import/preview
+ * Read an uploaded Moodle XML, GIFT, Aiken or QTI file without saving it
+ */
+router.post('/import/preview', quizFileUpload.single('file'), previewQuizImport);
+
+/**
+ * POST /api/quiz/import
+ * Create a quiz from an uploaded Moodle XML, GIFT, Aiken or QTI file
+ */
+router.post('/import', quizFileUpload.single('file'), importQuiz);
+
+/**
+ * GET /api/quiz/import/spreadsheet/template
+ * Download the XLSX template for bulk question import
+ */
+router.get('/import/spreadsheet/template', downloadQuestionTemplate);
+
+/**
+ * POST /api/quiz/import/spreadsheet/preview
+ * Validate an uploaded question spreadsheet (XLSX/CSV) row by row
+ */
+router.post('/import/spreadsheet/preview', upload.single('file'), previewSpreadsheetImport);
+
+/**
+ * POST /api/quiz/import/spreadsheet
+ * Create a quiz from the validated spreadsheet rows
+ */
+router.post('/import/spreadsheet', importSpreadsheetQuiz);
+
 /**
  * GET /api/quiz
  * Get all quizzes created by the authenticated admin
  */
 router.get('/', getQuizzes);
 
+/**
+ * GET /api/quiz/:id/export?format=moodle|gift|aiken|qti
+ * Download a quiz in another quiz format
+ */
+router.get('/:id/export', exportQuizFile);
+
+/**
+ * GET /api/quiz/:id/versions
+ * Get the version history of a quiz
+ */
+router.get('/:id/versions', getQuizVersions);
+
+/**
+ * GET /api/quiz/:id/versions/diff?from=1&to=2
+ * Compare two versions of a quiz
+ */
+router.get('/:id/versions/diff', diffQuizVersion);
+
+/**
+ * GET /api/quiz/:id/versions/:version
+ * Get a single version of a quiz
+ */
+router.get('/:id/versions/:version', getQuizVersion);
+
+/**
+ * POST /api/quiz/:id/versions/:version/restore
+ * Restore an earlier version (saved as a new version)
+ */
+router.post('/:id/versions/:version/restore', restoreQuizVersion);
+
 /**
  * GET /api/quiz/:id
  * Get a single quiz by ID
@@ -44,6 +117,18 @@ router.get('/:id', getQuizById);
  */
 router.put('/:id', updateQuiz);
 
+/**
+ * POST /api/quiz/:id/regrade-preview
+ * Preview how an edited answer key would change existing submission scores
+ */
+router.post('/:id/regrade-preview', previewRegrade);
+
+/**
+ * POST /api/quiz/:id/regrade
+ * Re-grade every submission of the quiz against its current answer key
+ */
+router.post('/:id/regrade', regradeQuiz);
+
 /**
  * DELETE /api/quiz/:id
  * Delete a quiz
@@ -0,0 +1,120 @@
+/**
+ * Move Base64 question images into file storage
+ *
+ * Quizzes, quiz versions, bank questions and candidates' drawn questions used to
+ * keep images inline as data URIs. This saves each one through the configured
+ * storage adapter (see STORAGE_DRIVER) and replaces it with the image URL.
+ * Identical images end up as one stored file, and running the script again
+ * only touches documents that still have inline images.
+ *
+ * Usage: npm run migrate:images [-- --dry-run]
+ */
+
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import Quiz from '../models/Quiz.js';
+import QuizVersion from '../models/QuizVersion.js';
+import BankQuestion from '../models/BankQuestion.js';
+import Assignment from '../models/Assignment.js';
+import { isDataUri, hasInlineImages, storeDataUriImage } from '../utils/imageStorage.js';
+
+dotenv.config();
+
+const dryRun = process.argv.includes('--dry-run');
+const stats = { images: 0, failed: 0 };
+
+const INLINE = /^data:/;
+const inlineImageQuery = (prefix) => ({
+  $or: [
+    { [`${prefix}questionImage`]: INLINE },
+    { [`${prefix}optionImages`]: INLINE },
+  ],
+});
+
+// Store one image; images that cannot be stored are left inline and reported
+const migrateImage = async (value, where) => {
+  if (!isDataUri(value)) return value;
+  stats.images += 1;
+  if (dryRun) return value;
+
+  try {
+    return await storeDataUriImage(value);
+  } catch (error) {
+    stats.failed += 1;
+    console.warn(`  ${where}: ${error.message}`);
+    return value;
+  }
+};
+
+const migrateQuestion = async (question, where) => {
+  if (!hasInlineImages(question)) return question;
+  return {
+    ...question,
+    questionImage: await migrateImage(question.questionImage, where),
+    optionImages: await Promise.all((question.optionImages || []).map((image, i) => (
+      migrateImage(image, `${where} option ${i + 1}`)
+    ))),
+  };
+};
+
+const migrateQuestions = (questions, where) => Promise.all(
+  (questions || []).map((question, i) => migrateQuestion(question, `${where} question ${i + 1}`))
+);
+
+/**
+ * Migrate every document of a model that has inline images
+ * @param {Object} Model - Mongoose model
+ * @param {Object} query - Finds documents with inline images
+ * @param {Function} migrate - (doc) => Promise<Object> fields to $set
+ * @returns {Promise<Number>} Documents updated
+ */
+const migrateCollection = async (Model, query, migrate) => {
+  let updated = 0;
+  const cursor = Model.find(query).lean().cursor();
+
+  for await (const doc of cursor) {
+    const changes = await migrate(doc);
+    if (!dryRun) {
+      // updateOne skips save hooks, so no new quiz versions or bank revisions are created
+      await Model.updateOne({ _id: doc._id }, { $set: changes });
+    }
+    updated += 1;
+  }
+
+  console.log(`${Model.modelName}: ${updated} document(s) ${dryRun ? 'to migrate' : 'migrated'}`);
+  return updated;
+};
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log(`Moving inline images to ${process.env.STORAGE_DRIVER || 'local'} storage${dryRun ? ' (dry run)' : ''}`);
+
+  await migrateCollection(Quiz, inlineImageQuery('questions.'), async (quiz) => ({
+    questions: await migrateQuestions(quiz.questions, `Quiz ${quiz._id}`),
+  }));
+
+  await migrateCollection(QuizVersion, inlineImageQuery('questions.'), async (version) => ({
+    questions: await migrateQuestions(version.questions, `QuizVersion ${version._id}`),
+  }));
+
+  await migrateCollection(BankQuestion, inlineImageQuery(''), async (question) => {
+    const migrated = await migrateQuestion(question, `BankQuestion ${question._id}`);
+    return { questionImage: migrated.questionImage, optionImages: migrated.optionImages };
+  });
+
+  await migrateCollection(Assignment, inlineImageQuery('attempts.questions.'), async (assignment) => ({
+    attempts: await Promise.all(assignment.attempts.map(async (attempt) => ({
+      ...attempt,
+      questions: await migrateQuestions(attempt.questions, `Assignment ${assignment._id} attempt ${attempt._id}`),
+    }))),
+  }));
+
+  console.log(`${stats.images} inline image(s) found${dryRun ? '' : `, ${stats.images - stats.failed} moved, ${stats.failed} left inline`}`);
+};
+
+run()
+  .catch((error) => {
+    console.error('Image migration failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
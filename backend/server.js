@@ -14,7 +14,13 @@ import classRoutes from './routes/classRoutes.js';
 import candidateRoutes from './routes/candidateRoutes.js';
 import assignmentRoutes from './routes/assignmentRoutes.js';
 import analyticsRoutes from './routes/analyticsRoutes.js';
+import questionBankRoutes from './routes/questionBankRoutes.js';
+import imageRoutes from './routes/imageRoutes.js';
 import { protect } from './middleware/authMiddleware.js';
+import { startResultReleaseNotifier } from './utils/resultReleaseNotifier.js';
+import { getAvailability } from './utils/availabilityUtils.js';
+import { getCandidateSchedule } from './utils/accommodationUtils.js';
+import { getCandidateAttempts, getAttemptStatus } from './utils/attemptUtils.js';
 import Class from './models/Class.js';
 import Quiz from './models/Quiz.js';
 import Assignment from './models/Assignment.js';
@@ -44,9 +50,9 @@ const corsOptions = {
 
 // Middleware
 app.use(cors(corsOptions));
-// Increase payload size limit to handle Base64 encoded images
-app.use(express.json({ limit: '50mb' }));
-app.use(express.urlencoded({ extended: true, limit: '50mb' }));
+// Images are uploaded to /api/images and stored as files, so JSON bodies stay small
+app.use(express.json({ limit: '2mb' }));
+app.use(express.urlencoded({ extended: true, limit: '2mb' }));
 app.use(cookieParser());
 
 // Session configuration (required for passport)
@@ -77,6 +83,8 @@ app.use('/api/classes', classRoutes);
 app.use('/api/candidate', candidateRoutes);
 app.use('/api/assignments', assignmentRoutes);
 app.use('/api/analytics', analyticsRoutes);
+app.use('/api/question-bank', questionBankRoutes);
+app.use('/api/images', imageRoutes);
 
 // Dashboard Stats Route
 // @route   GET /api/admin/dashboard/stats
@@ -121,9 +129,12 @@ app.get('/api/admin/dashboard/stats', protect, async (req, res) => {
   }
 });
 
+// Closed assignments stay on the dashboard for this long after they close
+const RECENTLY_CLOSED_DAYS = 7;
+
 // Candidate Dashboard Route
 // @route   GET /api/candidate/dashboard
-// @desc    Get all upcoming assignments for a Candidate
+// @desc    Get a Candidate's upcoming, open and recently closed assignments
 app.get('/api/candidate/dashboard', protect, async (req, res) => {
   try {
     const candidateId = req.user?.id || req.user?._id;
@@ -138,21 +149,62 @@ app.get('/api/candidate/dashboard', protect, async (req, res) => {
     }
 
     // 1. Find all classes the candidate is in
-    const classes = await Class.find({ students: candidateId, isActive: true }).select('_id');
+    const classes = await Class.find({ students: candidateId, isActive: true }).select('_id allowLateSubmissions accommodations');
     const classIds = classes.map(cls => cls._id);
+    const classesById = new Map(classes.map(cls => [String(cls._id), cls]));
 
-    // 2. Find all assignments for those classes
+    // 2. Find the assignments for those classes that are not long finished
+    // (without a close date, the class's late submission setting decides), and
+    // any the candidate has an extension on
+    const now = new Date();
+    const cutoff = new Date(now.getTime() - RECENTLY_CLOSED_DAYS * 24 * 60 * 60 * 1000);
     const assignments = await Assignment.find({
       classId: { $in: classIds }, // $in operator matches any value in the array
-      dueDate: { $gte: new Date() } // $gte = "greater than or equal to" today (upcoming)
+      $or: [
+        { dueDate: { $gte: cutoff } },
+        { closeDate: { $gte: cutoff } },
+        { closeDate: null },
+        { 'extensions.candidateId': candidateId },
+      ],
     })
-    .populate('quizId', 'title questions') // Get quiz title and questions
+    .populate('quizId', 'title questions._id') // Only the question count is needed
     .populate('classId', 'title courseCode') // Get class title and course code
     .sort({ dueDate: 1 }); // Sort by due date (1 = ascending)
 
+    // 3. Work out each assignment's state for this candidate
+    const dashboard = [];
+    for (const assignment of assignments) {
+      // Other candidates' submissions and extensions are not sent back
+      const { submissions, extensions, ...assignmentObj } = assignment.toObject();
+
+      // Going by the candidate's own dates and time limit
+      const classData = classesById.get(String(assignment.classId?._id));
+      const schedule = getCandidateSchedule({ ...assignmentObj, extensions }, classData, candidateId);
+      const availability = getAvailability(schedule, classData, now);
+      if (availability.state === 'closed' && availability.closesAt < cutoff) continue;
+
+      const attempts = getCandidateAttempts({ submissions }, candidateId);
+      const attemptStatus = getAttemptStatus(assignment, attempts, now);
+      // Overdue work the candidate has already finished is not a task any more
+      if (availability.state === 'open' && availability.isPastDue && attempts.length > 0 && !attemptStatus.canAttempt) continue;
+
+      dashboard.push({
+        ...assignmentObj,
+        dueDate: schedule.dueDate,
+        closeDate: schedule.closeDate,
+        timeLimit: schedule.timeLimit,
+        hasExtension: schedule.hasExtension,
+        availability: availability.state,
+        closesAt: availability.closesAt,
+        isPastDue: availability.isPastDue,
+        hasSubmitted: attempts.length > 0,
+        canAttempt: attemptStatus.canAttempt && availability.state === 'open',
+      });
+    }
+
     res.status(200).json({
       success: true,
-      data: assignments,
+      data: dashboard,
     });
 
   } catch (error) {
@@ -239,6 +291,8 @@ app.use((req, res) => {
 const PORT = process.env.PORT || 5000;
 
 app.listen(PORT, () => {
+  // Email candidates when scheduled results are released
+  startResultReleaseNotifier();
   });
 
 // Handle unhandled promise rejections
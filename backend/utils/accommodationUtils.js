@@ -0,0 +1,120 @@
+/**
+ * Accommodation and extension helpers
+ * A student's class accommodation multiplies every assignment's time limit; an
+ * extension on one assignment gives a candidate later dates or their own time
+ * limit. getCandidateSchedule puts both together, and its result can be passed
+ * to getAvailability in place of the assignment
+ */
+
+import { MAX_TIME_MULTIPLIER } from '../models/Class.js';
+
+const matches = (id, candidateId) => id?.toString() === candidateId?.toString();
+
+/**
+ * A student's accommodation in a class
+ * @param {Object} classData - Class with accommodations
+ * @param {String} candidateId
+ * @returns {Object|null}
+ */
+export const getAccommodation = (classData, candidateId) => (
+  classData?.accommodations?.find(item => matches(item.studentId, candidateId)) || null
+);
+
+/**
+ * A candidate's extension on an assignment
+ * @param {Object} assignment - Assignment with extensions
+ * @param {String} candidateId
+ * @returns {Object|null}
+ */
+export const getExtension = (assignment, candidateId) => (
+  assignment.extensions?.find(item => matches(item.candidateId, candidateId)) || null
+);
+
+/**
+ * The dates and time limit that apply to one candidate
+ * @param {Object} assignment - Assignment with availableFrom, dueDate, closeDate, timeLimit and extensions
+ * @param {Object} classData - The assignment's class
+ * @param {String} candidateId
+ * @returns {Object} { availableFrom, dueDate, closeDate, timeLimit, timeMultiplier, hasExtension }
+ */
+export const getCandidateSchedule = (assignment, classData, candidateId) => {
+  const accommodation = getAccommodation(classData, candidateId);
+  const extension = getExtension(assignment, candidateId);
+  const timeMultiplier = accommodation?.timeMultiplier || 1;
+
+  const dueDate = extension?.dueDate || assignment.dueDate;
+  // A hard close never falls before the candidate's own due date
+  let closeDate = extension?.closeDate || assignment.closeDate || null;
+  if (closeDate && new Date(closeDate) < new Date(dueDate)) {
+    closeDate = dueDate;
+  }
+
+  return {
+    availableFrom: assignment.availableFrom || null,
+    dueDate,
+    closeDate,
+    timeLimit: extension?.timeLimit || Math.round(assignment.timeLimit * timeMultiplier),
+    timeMultiplier,
+    hasExtension: Boolean(extension),
+  };
+};
+
+/**
+ * Flag a candidate's submissions as late or on time against their own due
+ * date, after their extension changed (penalties are reapplied separately)
+ * @param {Object} assignment - Assignment document (modified in place)
+ * @param {Object} classData - The assignment's class
+ * @param {String} candidateId
+ */
+export const markCandidateLateness = (assignment, classData, candidateId) => {
+  const { dueDate } = getCandidateSchedule(assignment, classData, candidateId);
+  assignment.submissions.forEach(submission => {
+    if (matches(submission.candidateId, candidateId)) {
+      submission.isLateSubmission = new Date(submission.submittedAt) > new Date(dueDate);
+    }
+  });
+};
+
+/**
+ * Check an accommodation sent by an admin
+ * @param {Object} accommodation - { timeMultiplier, note }
+ * @returns {String|null} Error message, or null when it is valid
+ */
+export const validateAccommodation = ({ timeMultiplier, note } = {}) => {
+  const multiplier = Number(timeMultiplier);
+  if (!(multiplier >= 1 && multiplier <= MAX_TIME_MULTIPLIER)) {
+    return `Extra time must be between 1x and ${MAX_TIME_MULTIPLIER}x the time limit`;
+  }
+  if (note && String(note).length > 500) {
+    return 'Notes can be at most 500 characters';
+  }
+  return null;
+};
+
+/**
+ * Check an extension sent by an admin
+ * @param {Object} extension - { dueDate, closeDate, timeLimit, note }
+ * @param {Object} assignment - The assignment it extends
+ * @returns {String|null} Error message, or null when it is valid
+ */
+export const validateExtension = ({ dueDate, closeDate, timeLimit, note } = {}, assignment) => {
+  if (!dueDate && !closeDate && !timeLimit) {
+    return 'An extension needs a due date, a close date or a time limit';
+  }
+  for (const [label, value] of [['due', dueDate], ['close', closeDate]]) {
+    if (value && isNaN(new Date(value).getTime())) {
+      return `Invalid ${label} date format`;
+    }
+  }
+  const effectiveDue = dueDate ? new Date(dueDate) : new Date(assignment.dueDate);
+  if (closeDate && new Date(closeDate) < effectiveDue) {
+    return 'The close date cannot be before the due date';
+  }
+  if (timeLimit && !(parseInt(timeLimit) > 0)) {
+    return 'Time limit must be a positive number';
+  }
+  if (note && String(note).length > 500) {
+    return 'Notes can be at most 500 characters';
+  }
+  return null;
+};
@@ -0,0 +1,196 @@
+/**
+ * Attempt session helpers
+ * Starting a quiz records the attempt in the candidate's testsInProgress with
+ * its start time and deadline (the time limit from the start, or the hard
+ * close if that comes first). Submissions are timed against that deadline
+ * rather than the countdown in the browser. A submission queued while the
+ * candidate was offline is timed by when they finished, if it reaches the
+ * server within OFFLINE_SUBMISSION_TOLERANCE_MINUTES and before the deadline
+ */
+
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import { validateQuestionTimes } from './questionTimingUtils.js';
+
+// Submissions arriving this soon after the deadline (e.g. an auto-submit at
+// the end of the countdown) are still on time
+const DEADLINE_GRACE_MS = 30 * 1000;
+
+// How long a submission may take to reach the server after the candidate
+// finished, e.g. while it waits for the Wi-Fi to come back (default 30 minutes)
+const getOfflineTolerance = () => (
+  (Number(process.env.OFFLINE_SUBMISSION_TOLERANCE_MINUTES) || 30) * 60 * 1000
+);
+
+const sameId = (a, b) => a?.toString() === b?.toString();
+const toObjectId = (id) => new mongoose.Types.ObjectId(String(id));
+
+/**
+ * Deadline for an attempt starting now
+ * @param {Date} startedAt
+ * @param {Number} timeLimit - Minutes (the candidate's own, after accommodations)
+ * @param {Date|null} closesAt - Hard close, if any
+ * @returns {Date}
+ */
+export const getAttemptDeadline = (startedAt, timeLimit, closesAt) => {
+  const deadline = new Date(new Date(startedAt).getTime() + timeLimit * 60 * 1000);
+  return closesAt && new Date(closesAt) < deadline ? new Date(closesAt) : deadline;
+};
+
+/**
+ * The candidate's session for an attempt, if they have started it
+ * @param {String} candidateId
+ * @param {String} assignmentId
+ * @param {Number} attemptNumber - Optional; without it, whichever attempt is in progress
+ * @returns {Promise<Object|null>} { assignmentId, attemptNumber, startedAt, deadline, answers, flaggedQuestions, questionTimes, savedAt }
+ */
+export const findAttemptSession = async (candidateId, assignmentId, attemptNumber) => {
+  const user = await User.findById(candidateId).select('testsInProgress');
+  return user?.testsInProgress.find(
+    session => sameId(session.assignmentId, assignmentId)
+      && (attemptNumber === undefined || session.attemptNumber === attemptNumber)
+  ) || null;
+};
+
+/**
+ * Assignments the candidate has an attempt in progress on
+ * @param {String} candidateId
+ * @returns {Promise<Set>} Assignment ids (as strings)
+ */
+export const getAssignmentsInProgress = async (candidateId) => {
+  const user = await User.findById(candidateId).select('testsInProgress.assignmentId');
+  return new Set((user?.testsInProgress || []).map(session => String(session.assignmentId)));
+};
+
+/**
+ * Start an attempt, or return it unchanged if it was already started (so
+ * reloading the page or switching device keeps the same deadline)
+ * @param {String} candidateId
+ * @param {String} assignmentId
+ * @param {Number} attemptNumber
+ * @param {Object} timing - { timeLimit, closesAt }
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} { session, resumed }
+ */
+export const startAttemptSession = async (candidateId, assignmentId, attemptNumber, { timeLimit, closesAt }, now = new Date()) => {
+  const id = toObjectId(assignmentId);
+
+  // Sessions left from earlier attempts at this assignment are dropped
+  await User.updateOne(
+    { _id: candidateId },
+    { $pull: { testsInProgress: { assignmentId: id, attemptNumber: { $ne: attemptNumber } } } }
+  );
+
+  // Only added if this attempt has no session yet
+  const result = await User.updateOne(
+    { _id: candidateId, testsInProgress: { $not: { $elemMatch: { assignmentId: id, attemptNumber } } } },
+    {
+      $push: {
+        testsInProgress: {
+          assignmentId: id,
+          attemptNumber,
+          startedAt: now,
+          deadline: getAttemptDeadline(now, timeLimit, closesAt),
+        },
+      },
+    }
+  );
+
+  const session = await findAttemptSession(candidateId, assignmentId, attemptNumber);
+  return { session, resumed: result.modifiedCount === 0 };
+};
+
+/**
+ * Autosave the answers, flags and question times of an attempt in progress
+ * @param {Object} session - From findAttemptSession
+ * @param {String} candidateId
+ * @param {Object} progress - { answers, flaggedQuestions, questionTimes }
+ * @param {Date} now - Current time
+ * @returns {Promise<Boolean>} Whether the session was still there to save to
+ */
+export const saveAttemptProgress = async (session, candidateId, { answers, flaggedQuestions, questionTimes = {} }, now = new Date()) => {
+  const result = await User.updateOne(
+    {
+      _id: candidateId,
+      testsInProgress: { $elemMatch: { assignmentId: session.assignmentId, attemptNumber: session.attemptNumber } },
+    },
+    {
+      $set: {
+        'testsInProgress.$.answers': answers,
+        'testsInProgress.$.flaggedQuestions': flaggedQuestions,
+        'testsInProgress.$.questionTimes': questionTimes,
+        'testsInProgress.$.savedAt': now,
+      },
+    }
+  );
+  return result.matchedCount > 0;
+};
+
+/**
+ * Check autosaved progress sent by a candidate
+ * @param {Object} progress - { answers, flaggedQuestions, questionTimes }
+ * @returns {String|null} Error message, or null when it is valid
+ */
+export const validateAttemptProgress = ({ answers, flaggedQuestions = [], questionTimes } = {}) => {
+  if (!answers || typeof answers !== 'object' || Array.isArray(answers)) {
+    return 'Answers must be an object of question ids and answers';
+  }
+  if (!Object.keys(answers).every(key => /^[A-Za-z0-9_-]+$/.test(key))) {
+    return 'Answers must be keyed by question id';
+  }
+  const isAnswer = (value) => ['string', 'number', 'boolean'].includes(typeof value)
+    || (Array.isArray(value) && value.every(item => ['string', 'number'].includes(typeof item)));
+  if (!Object.values(answers).every(value => value === null || isAnswer(value))) {
+    return 'Answers must be text, numbers or lists of options';
+  }
+  if (!Array.isArray(flaggedQuestions) || !flaggedQuestions.every(id => typeof id === 'string')) {
+    return 'Flagged questions must be a list of question ids';
+  }
+  return validateQuestionTimes(questionTimes);
+};
+
+/**
+ * Remove the candidate's session for an assignment once it is submitted
+ * @param {String} candidateId
+ * @param {String} assignmentId
+ */
+export const endAttemptSession = async (candidateId, assignmentId) => {
+  await User.updateOne({ _id: candidateId }, { $pull: { testsInProgress: { assignmentId: toObjectId(assignmentId) } } });
+};
+
+/**
+ * When a submission counts as made. Only a queued submission replayed after
+ * the candidate was offline (sent with its clientSubmissionId and the
+ * completedAt it was queued with) may count from when they finished, and only
+ * if that is within the attempt, before the deadline (and grace period) and
+ * within the offline tolerance. It is never earlier than the last autosave or
+ * proctoring event, when the candidate was evidently still working.
+ * Everything else counts from when the server received it
+ * @param {Object} session - From findAttemptSession
+ * @param {Object} claim - { completedAt, clientSubmissionId, lastEventAt } (lastEventAt: last proctoring event of the attempt)
+ * @param {Date} receivedAt - When the server got the submission
+ * @returns {Date}
+ */
+export const getCompletionTime = (session, { completedAt, clientSubmissionId, lastEventAt } = {}, receivedAt = new Date()) => {
+  const claimed = clientSubmissionId && completedAt ? new Date(completedAt) : null;
+  if (!claimed || isNaN(claimed.getTime())) return receivedAt;
+
+  const latestCompletion = new Date(session.deadline).getTime() + DEADLINE_GRACE_MS;
+  const isWithinAttempt = claimed >= new Date(session.startedAt) && claimed <= receivedAt && claimed <= latestCompletion;
+  const isWithinTolerance = receivedAt - claimed <= getOfflineTolerance();
+  if (!isWithinAttempt || !isWithinTolerance) return receivedAt;
+
+  const lastActivity = Math.max(new Date(session.savedAt || 0).getTime(), new Date(lastEventAt || 0).getTime());
+  return claimed.getTime() < lastActivity ? new Date(lastActivity) : claimed;
+};
+
+/**
+ * How far past its deadline a submission arrived
+ * @param {Object} session - From findAttemptSession
+ * @param {Date} submittedAt
+ * @returns {Number} Whole seconds over the deadline; 0 when on time or within the grace period
+ */
+export const getOvertimeSeconds = (session, submittedAt) => {
+  const overMs = new Date(submittedAt) - new Date(session.deadline);
+  return overMs > DEADLINE_GRACE_MS ? Math.round(overMs / 1000) : 0;
+};
@@ -0,0 +1,27 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getCompletionTime } from './attemptSessionUtils.js';
+
+const at = (minutes) => new Date(Date.UTC(2025, 0, 1, 10, minutes));
+const session = { startedAt: at(0), deadline: at(30), savedAt: at(20) };
+const receivedAt = at(40);
+
+test('a submission sent straight away counts from when it arrived', () => {
+  assert.deepEqual(getCompletionTime(session, { completedAt: at(25) }, receivedAt), receivedAt);
+});
+
+test('a replayed offline submission counts from when the candidate finished', () => {
+  const claim = { completedAt: at(25), clientSubmissionId: 'replay-1' };
+  assert.deepEqual(getCompletionTime(session, claim, receivedAt), at(25));
+});
+
+test('a replayed submission is never earlier than the last autosave or proctoring event', () => {
+  assert.deepEqual(getCompletionTime(session, { completedAt: at(10), clientSubmissionId: 'replay-1' }, receivedAt), at(20));
+  const claim = { completedAt: at(22), clientSubmissionId: 'replay-1', lastEventAt: at(24) };
+  assert.deepEqual(getCompletionTime(session, claim, receivedAt), at(24));
+});
+
+test('a finish time past the deadline is not trusted', () => {
+  const claim = { completedAt: at(35), clientSubmissionId: 'replay-1' };
+  assert.deepEqual(getCompletionTime(session, claim, receivedAt), receivedAt);
+});
@@ -0,0 +1,147 @@
+/**
+ * Attempt helpers
+ * Every attempt a candidate submits is kept as its own entry in the assignment's
+ * submissions. The assignment's scoring rule decides which score counts, and
+ * maxAttempts and attemptCooldown decide when another attempt may start
+ */
+
+import { SCORING_RULES } from '../models/Assignment.js';
+
+const candidateKey = (submission) => String(submission.candidateId?._id || submission.candidateId);
+
+const toPlain = (submission) => (submission?.toObject ? submission.toObject() : submission);
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Check retake settings sent by an admin (each one is optional)
+ * @param {Object} settings - { maxAttempts, attemptCooldown, scoringRule }
+ * @returns {String|null} Error message, or null when the settings are valid
+ */
+export const validateAttemptSettings = ({ maxAttempts, attemptCooldown, scoringRule }) => {
+  if (maxAttempts !== undefined && (!Number.isInteger(Number(maxAttempts)) || Number(maxAttempts) < 1)) {
+    return 'Maximum attempts must be a whole number of at least 1';
+  }
+  if (attemptCooldown !== undefined && (isNaN(parseFloat(attemptCooldown)) || parseFloat(attemptCooldown) < 0)) {
+    return 'Cooldown between attempts must be zero or more minutes';
+  }
+  if (scoringRule !== undefined && !SCORING_RULES.includes(scoringRule)) {
+    return `Scoring rule must be one of: ${SCORING_RULES.join(', ')}`;
+  }
+  return null;
+};
+
+/**
+ * A candidate's submitted attempts, oldest first
+ * @param {Object} assignment - Assignment with submissions
+ * @param {String|Object} candidateId
+ * @returns {Array} Submission subdocuments
+ */
+export const getCandidateAttempts = (assignment, candidateId) => assignment.submissions
+  .filter(sub => candidateKey(sub) === String(candidateId))
+  .sort((a, b) => new Date(a.submittedAt) - new Date(b.submittedAt));
+
+/**
+ * Group submissions by candidate
+ * @param {Array} submissions - An assignment's submissions
+ * @returns {Map} Candidate id => their attempts, oldest first
+ */
+export const groupAttemptsByCandidate = (submissions = []) => {
+  const groups = new Map();
+  submissions.forEach(sub => {
+    const key = candidateKey(sub);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(sub);
+  });
+  groups.forEach(attempts => attempts.sort((a, b) => new Date(a.submittedAt) - new Date(b.submittedAt)));
+  return groups;
+};
+
+/**
+ * The score that counts for a candidate
+ * @param {Array} attempts - The candidate's attempts, oldest first
+ * @param {String} scoringRule - 'highest', 'latest', 'average' or 'first'
+ * @returns {Number|null} Percentage score, or null without attempts
+ */
+export const getFinalScore = (attempts, scoringRule = 'highest') => {
+  if (attempts.length === 0) return null;
+  const scores = attempts.map(sub => sub.score || 0);
+
+  switch (scoringRule) {
+    case 'latest':
+      return scores[scores.length - 1];
+    case 'first':
+      return scores[0];
+    case 'average':
+      return round2(scores.reduce((sum, score) => sum + score, 0) / scores.length);
+    default:
+      return Math.max(...scores);
+  }
+};
+
+/**
+ * The attempt that counts for a candidate, as a plain object with attemptCount
+ * added. Under 'average' this is the latest attempt carrying the averaged score
+ * @param {Array} attempts - The candidate's attempts, oldest first
+ * @param {String} scoringRule
+ * @returns {Object|null}
+ */
+export const getCountedAttempt = (attempts, scoringRule = 'highest') => {
+  if (attempts.length === 0) return null;
+
+  let counted;
+  if (scoringRule === 'first') {
+    counted = attempts[0];
+  } else if (scoringRule === 'highest') {
+    // The earliest of equally good attempts
+    counted = attempts.reduce((best, sub) => ((sub.score || 0) > (best.score || 0) ? sub : best));
+  } else {
+    counted = attempts[attempts.length - 1];
+  }
+
+  const result = { ...toPlain(counted), attemptCount: attempts.length };
+  if (scoringRule === 'average' && attempts.length > 1) {
+    result.score = getFinalScore(attempts, 'average');
+    result.rawScore = round2(attempts.reduce((sum, sub) => sum + (sub.rawScore ?? sub.score ?? 0), 0) / attempts.length);
+    result.latePenalty = round2(attempts.reduce((sum, sub) => sum + (sub.latePenalty || 0), 0) / attempts.length);
+    if (attempts.every(sub => sub.pointsEarned !== null && sub.pointsEarned !== undefined)) {
+      result.pointsEarned = round2(attempts.reduce((sum, sub) => sum + sub.pointsEarned, 0) / attempts.length);
+    }
+    // Provisional while any averaged attempt still has essays to grade
+    if (attempts.some(sub => sub.gradingStatus === 'pending')) result.gradingStatus = 'pending';
+  }
+  return result;
+};
+
+/**
+ * One counted result per candidate, for reports and analytics
+ * @param {Object} assignment - Assignment with submissions and scoringRule
+ * @returns {Array} Plain submission objects (see getCountedAttempt)
+ */
+export const getCountedSubmissions = (assignment) => (
+  [...groupAttemptsByCandidate(assignment.submissions).values()]
+    .map(attempts => getCountedAttempt(attempts, assignment.scoringRule))
+);
+
+/**
+ * Whether a candidate may start another attempt
+ * @param {Object} assignment - Assignment with maxAttempts and attemptCooldown
+ * @param {Array} attempts - The candidate's attempts, oldest first
+ * @param {Date} now - Current time
+ * @returns {Object} { canAttempt, attemptsUsed, maxAttempts, nextAttemptAt }
+ *   (nextAttemptAt is set while a cooldown is running)
+ */
+export const getAttemptStatus = (assignment, attempts, now = new Date()) => {
+  const maxAttempts = assignment.maxAttempts || 1;
+  const status = { canAttempt: false, attemptsUsed: attempts.length, maxAttempts, nextAttemptAt: null };
+
+  if (attempts.length >= maxAttempts) return status;
+
+  const cooldownMs = (assignment.attemptCooldown || 0) * 60 * 1000;
+  if (attempts.length > 0 && cooldownMs > 0) {
+    const nextAttemptAt = new Date(new Date(attempts[attempts.length - 1].submittedAt).getTime() + cooldownMs);
+    if (now < nextAttemptAt) return { ...status, nextAttemptAt };
+  }
+
+  return { ...status, canAttempt: true };
+};
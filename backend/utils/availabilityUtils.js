@@ -0,0 +1,86 @@
+/**
+ * Availability window helpers
+ * An assignment opens at availableFrom (straight away when unset), is due at
+ * dueDate, and stops taking submissions at closeDate. Without a close date the
+ * class's allowLateSubmissions switch decides: late submissions are taken
+ * indefinitely, or not at all
+ */
+
+// Submissions sent while the quiz was closing (e.g. an auto-submit at the
+// cutoff) are still accepted if they arrive this soon after it
+const CLOSE_GRACE_MS = 30 * 1000;
+
+/**
+ * Work out whether candidates can take an assignment
+ * @param {Object} assignment - Assignment with availableFrom, dueDate and closeDate
+ * @param {Object} classData - The assignment's class
+ * @param {Date} now - Current time
+ * @returns {Object} { state: 'upcoming'|'open'|'closed', availableFrom, closesAt, isPastDue, acceptsLate }
+ *   (closesAt is null when late submissions are taken indefinitely)
+ */
+export const getAvailability = (assignment, classData, now = new Date()) => {
+  const availableFrom = assignment.availableFrom ? new Date(assignment.availableFrom) : null;
+  const dueDate = new Date(assignment.dueDate);
+
+  let closesAt = null;
+  if (assignment.closeDate) {
+    closesAt = new Date(assignment.closeDate);
+  } else if (!classData?.allowLateSubmissions) {
+    closesAt = dueDate;
+  }
+
+  let state = 'open';
+  if (availableFrom && now < availableFrom) {
+    state = 'upcoming';
+  } else if (closesAt && now > closesAt) {
+    state = 'closed';
+  }
+
+  return {
+    state,
+    availableFrom,
+    closesAt,
+    isPastDue: now > dueDate,
+    acceptsLate: !closesAt || closesAt > dueDate,
+  };
+};
+
+/**
+ * Whether a submission arriving now is still on time for the hard cutoff
+ * @param {Object} availability - From getAvailability
+ * @param {Date} now - Current time
+ * @returns {Boolean}
+ */
+export const isWithinCloseGrace = (availability, now = new Date()) => (
+  availability.state === 'closed' && now - availability.closesAt <= CLOSE_GRACE_MS
+);
+
+/**
+ * Check an availability window sent by an admin
+ * @param {Object} window - { availableFrom, dueDate, closeDate } (null clears an
+ *   optional date)
+ * @returns {String|null} Error message, or null when the window is valid
+ */
+export const validateAvailability = ({ availableFrom, dueDate, closeDate }) => {
+  const dates = { availableFrom, dueDate, closeDate };
+  for (const [field, value] of Object.entries(dates)) {
+    if (value && isNaN(new Date(value).getTime())) {
+      return field === 'dueDate' ? 'Invalid due date format' : `Invalid ${field === 'availableFrom' ? 'open' : 'close'} date format`;
+    }
+  }
+
+  if (availableFrom && dueDate && new Date(availableFrom) >= new Date(dueDate)) {
+    return 'The open date must be before the due date';
+  }
+  if (closeDate && dueDate && new Date(closeDate) < new Date(dueDate)) {
+    return 'The close date cannot be before the due date';
+  }
+  return null;
+};
+
+/**
+ * Date for an optional window field from a request body
+ * @param {String|null} value
+ * @returns {Date|null}
+ */
+export const toOptionalDate = (value) => (value ? new Date(value) : null);
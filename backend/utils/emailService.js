@@ -161,6 +161,101 @@ The TheodoraQ Team
   }
 };
 
+// What each result release level lets the candidate see
+const RESULT_LEVEL_DESCRIPTIONS = {
+  score: 'your score',
+  correctness: 'your score and which answers you got right',
+  answer_key: 'your score, the correct answers and explanations',
+};
+
+/**
+ * Tell a candidate that the results of a quiz they submitted are now visible
+ * @param {string} recipientEmail - Email address of the candidate
+ * @param {string} recipientName - Name of the candidate
+ * @param {Object} resultInfo - { quizTitle, className, level, classId }
+ */
+export const sendResultsReleasedEmail = async (recipientEmail, recipientName, resultInfo) => {
+  try {
+    const transporter = createTransporter();
+
+    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
+    const assignmentsUrl = `${frontendUrl}/candidate/class/${resultInfo.classId}/assignments`;
+    const visible = RESULT_LEVEL_DESCRIPTIONS[resultInfo.level] || RESULT_LEVEL_DESCRIPTIONS.score;
+
+    const mailOptions = {
+      from: `"${process.env.APP_NAME || 'TheodoraQ'}" <${process.env.EMAIL_USER}>`,
+      to: recipientEmail,
+      subject: `Results released: ${resultInfo.quizTitle}`,
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background-color: #1976d2; color: white; padding: 30px; text-align: center; border-radius: 8px 8px 0 0; }
+            .content { background-color: #f9f9f9; padding: 30px; border-radius: 0 0 8px 8px; }
+            .button { display: inline-block; background-color: #1976d2; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; margin: 20px 0; font-weight: bold; }
+            .info-box { background-color: #e3f2fd; padding: 15px; border-left: 4px solid #1976d2; margin: 20px 0; }
+            .footer { text-align: center; color: #666; font-size: 12px; margin-top: 30px; padding-top: 20px; border-top: 1px solid #ddd; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>📊 Results Released</h1>
+            </div>
+            <div class="content">
+              <p>Hi ${recipientName},</p>
+
+              <p>The results of a quiz you submitted are now available.</p>
+
+              <div class="info-box">
+                <strong>📝 Quiz:</strong> ${resultInfo.quizTitle}<br>
+                <strong>📚 Class:</strong> ${resultInfo.className}
+              </div>
+
+              <p>You can now see ${visible}.</p>
+
+              <p style="text-align: center;">
+                <a href="${assignmentsUrl}" class="button">View Results</a>
+              </p>
+
+              <p>Best regards,<br>
+              The TheodoraQ Team</p>
+            </div>
+
+            <div class="footer">
+              <p>This is an automated email. Please do not reply to this message.</p>
+            </div>
+          </div>
+        </body>
+        </html>
+      `,
+      text: `
+Hi ${recipientName},
+
+The results of a quiz you submitted are now available.
+
+Quiz: ${resultInfo.quizTitle}
+Class: ${resultInfo.className}
+
+You can now see ${visible}:
+${assignmentsUrl}
+
+Best regards,
+The TheodoraQ Team
+      `
+    };
+
+    const info = await transporter.sendMail(mailOptions);
+    return { success: true, messageId: info.messageId };
+
+  } catch (error) {
+    throw new Error(`Failed to send email: ${error.message}`);
+  }
+};
+
 /**
  * Send test email to verify configuration
  */
@@ -0,0 +1,345 @@
+/**
+ * Grading helpers shared by submission and report controllers
+ */
+
+// Blanks in fill-in-the-blank question text are written as three or more underscores
+const BLANK_PATTERN = /_{3,}/g;
+
+// Fields that reveal the answer key and must never reach a candidate
+const ANSWER_KEY_FIELDS = ['answer', 'correctOptions', 'tolerance', 'rangeMin', 'rangeMax', 'blanks'];
+
+// Fields that give the answer away; they are only shown once the review is released
+const EXPLANATION_FIELDS = ['explanation', 'optionFeedback'];
+
+const normalizeText = (value) => String(value ?? '').trim().toLowerCase();
+
+// Numeric questions graded by range need both bounds
+const hasRange = (question) =>
+  question.rangeMin !== null && question.rangeMin !== undefined &&
+  question.rangeMax !== null && question.rangeMax !== undefined;
+
+/**
+ * Count the blanks in a fill-in-the-blank question
+ * @param {String} text - Question text
+ * @returns {Number} Number of blanks
+ */
+export const countBlanks = (text) => (String(text || '').match(BLANK_PATTERN) || []).length;
+
+/**
+ * Check whether the candidate gave any answer at all
+ * @param {String|Array} candidateAnswer - Raw answer from the request body
+ * @returns {Boolean}
+ */
+export const hasAnswer = (candidateAnswer) => {
+  if (Array.isArray(candidateAnswer)) {
+    return candidateAnswer.some(value => String(value ?? '').trim() !== '');
+  }
+  return candidateAnswer !== undefined && candidateAnswer !== null && String(candidateAnswer).trim() !== '';
+};
+
+/**
+ * Work out what fraction of a question's credit an answer earns
+ * @param {Object} question - Quiz question (with answer key)
+ * @param {String|Array} candidateAnswer - Raw answer from the request body
+ * @param {Boolean} partialCredit - Award part of the credit for multi-part answers
+ * @returns {Number} Credit between 0 and 1
+ */
+export const getAnswerCredit = (question, candidateAnswer, partialCredit = false) => {
+  if (!hasAnswer(candidateAnswer)) return 0;
+
+  switch (question.type) {
+    case 'short_answer':
+      // Case-insensitive comparison
+      return normalizeText(candidateAnswer) === normalizeText(question.answer) ? 1 : 0;
+
+    case 'multiple_select': {
+      const selected = new Set([].concat(candidateAnswer));
+      const correct = new Set(question.correctOptions || []);
+      if (correct.size === 0) return 0;
+
+      const hits = [...correct].filter(option => selected.has(option)).length;
+      const misses = [...selected].filter(option => !correct.has(option)).length;
+
+      // Every correct option must be selected, and nothing else
+      if (hits === correct.size && misses === 0) return 1;
+      if (!partialCredit) return 0;
+      // Each wrong selection cancels out one right one
+      return Math.max(0, (hits - misses) / correct.size);
+    }
+
+    case 'numeric': {
+      const value = parseFloat(candidateAnswer);
+      if (isNaN(value)) return 0;
+
+      // A range takes precedence over answer ± tolerance
+      if (hasRange(question)) {
+        return value >= question.rangeMin && value <= question.rangeMax ? 1 : 0;
+      }
+      const expected = parseFloat(question.answer);
+      if (isNaN(expected)) return 0;
+      return Math.abs(value - expected) <= (question.tolerance || 0) ? 1 : 0;
+    }
+
+    case 'fill_blank': {
+      const responses = [].concat(candidateAnswer);
+      const blanks = question.blanks || [];
+      if (blanks.length === 0) return 0;
+
+      // Each blank is case-insensitive and may accept several spellings
+      const filledCorrectly = blanks.filter((blank, index) =>
+        (blank.acceptedAnswers || [])
+          .map(normalizeText)
+          .filter(Boolean)
+          .includes(normalizeText(responses[index]))
+      ).length;
+
+      if (filledCorrectly === blanks.length) return 1;
+      return partialCredit ? filledCorrectly / blanks.length : 0;
+    }
+
+    case 'essay':
+      // Essays earn nothing until an instructor grades them
+      return 0;
+
+    default:
+      // For MCQ and True/False, exact match (case-sensitive)
+      return candidateAnswer === question.answer ? 1 : 0;
+  }
+};
+
+/**
+ * Decide whether a candidate's answer is fully correct for a question
+ * @param {Object} question - Quiz question (with answer key)
+ * @param {String|Array} candidateAnswer - Raw answer from the request body
+ * @returns {Boolean} True if the answer is correct
+ */
+export const isAnswerCorrect = (question, candidateAnswer) => getAnswerCredit(question, candidateAnswer) === 1;
+
+/**
+ * Check whether a question has to be graded by an instructor
+ * @param {Object} question - Quiz question
+ * @returns {Boolean}
+ */
+export const requiresManualGrading = (question) => question.type === 'essay';
+
+/**
+ * Points a question is worth (quizzes created before points existed count 1 each)
+ * @param {Object} question - Quiz question
+ * @returns {Number}
+ */
+export const getQuestionPoints = (question) => (
+  typeof question.points === 'number' && question.points >= 0 ? question.points : 1
+);
+
+/**
+ * Scoring rules configured on an assignment
+ * @param {Object} assignment - Assignment document or plain object
+ * @returns {Object} { partialCredit, negativeMarking }
+ */
+export const getScoringRules = (assignment) => ({
+  partialCredit: assignment.partialCredit ?? true,
+  negativeMarking: assignment.negativeMarking || 0,
+});
+
+/**
+ * Grade a single answer using the assignment's scoring rules
+ * @param {Object} question - Quiz question (with answer key)
+ * @param {String|Array} candidateAnswer - Raw answer from the request body
+ * @param {Object} options - { partialCredit, negativeMarking } from the assignment
+ * @returns {Object} { isCorrect, pointsAwarded, pointsPossible }
+ */
+export const gradeAnswer = (question, candidateAnswer, { partialCredit = false, negativeMarking = 0 } = {}) => {
+  const pointsPossible = getQuestionPoints(question);
+  const credit = getAnswerCredit(question, candidateAnswer, partialCredit);
+  let pointsAwarded = credit * pointsPossible;
+
+  // Negative marking only applies to answered questions that earned nothing
+  // (essays have no credit until an instructor grades them)
+  if (credit === 0 && hasAnswer(candidateAnswer) && negativeMarking > 0 && !requiresManualGrading(question)) {
+    pointsAwarded = -negativeMarking * pointsPossible;
+  }
+
+  return {
+    isCorrect: credit === 1,
+    pointsAwarded: Math.round(pointsAwarded * 100) / 100,
+    pointsPossible,
+  };
+};
+
+/**
+ * Turn earned and possible points into a percentage score (never below 0)
+ * @param {Number} pointsEarned - Sum of points awarded
+ * @param {Number} totalPoints - Sum of points possible
+ * @returns {Number} Percentage (0-100)
+ */
+export const toPercentage = (pointsEarned, totalPoints) => (
+  totalPoints > 0 ? (Math.max(0, pointsEarned) / totalPoints) * 100 : 0
+);
+
+/**
+ * Check whether an instructor has overridden a submission's whole score
+ * @param {Object} submission - Submission subdocument
+ * @returns {Boolean}
+ */
+export const hasScoreOverride = (submission) => (
+  submission.scoreOverride?.score !== null && submission.scoreOverride?.score !== undefined
+);
+
+// Whether an answer was stored without pointsAwarded (a subdocument loads
+// the schema default of 0 for it; a plain object leaves it out)
+const isMissingPoints = (answer) => (
+  typeof answer.$isDefault === 'function' ? answer.$isDefault('pointsAwarded') : answer.pointsAwarded === undefined
+);
+
+/**
+ * Give the answers of a submission made before per-question points their
+ * points from isCorrect, so re-totalling doesn't drop it to 0. Answers given
+ * points since (overridden, graded or re-graded) are kept
+ * @param {Object} submission - Submission subdocument (modified in place)
+ */
+export const fillLegacyAnswerPoints = (submission) => {
+  const isLegacy = submission.totalPoints === null || submission.totalPoints === undefined;
+  if (!isLegacy) return;
+
+  submission.answers.forEach(answer => {
+    if (!isMissingPoints(answer)) return;
+    answer.pointsPossible = answer.pointsPossible ?? 1;
+    answer.pointsAwarded = answer.isCorrect ? answer.pointsPossible : 0;
+  });
+};
+
+/**
+ * Re-total a submission from its stored answers. While essay answers are
+ * still pending the result is provisional (they count 0 points so far). The
+ * submission's late penalty comes off the total; an instructor's score
+ * override replaces both
+ * @param {Object} submission - Submission subdocument (modified in place)
+ * @returns {Number} Number of answers still pending grading
+ */
+export const recalculateSubmissionScore = (submission) => {
+  fillLegacyAnswerPoints(submission);
+  const pendingCount = submission.answers.filter(answer => answer.gradingStatus === 'pending').length;
+  const pointsEarned = submission.answers.reduce((sum, answer) => sum + (answer.pointsAwarded || 0), 0);
+  const totalPoints = submission.answers.reduce((sum, answer) => sum + (answer.pointsPossible ?? 1), 0);
+
+  submission.pointsEarned = Math.round(pointsEarned * 100) / 100;
+  submission.totalPoints = totalPoints;
+  submission.rawScore = toPercentage(submission.pointsEarned, totalPoints);
+  submission.score = hasScoreOverride(submission)
+    ? submission.scoreOverride.score
+    : Math.max(0, submission.rawScore - (submission.latePenalty || 0));
+  submission.gradingStatus = pendingCount > 0 ? 'pending' : 'complete';
+  return pendingCount;
+};
+
+/**
+ * Fingerprint of everything about a question that affects grading
+ * @param {Object} question - Quiz question (with answer key)
+ * @returns {String}
+ */
+export const getAnswerKeySignature = (question) => JSON.stringify({
+  type: question.type,
+  points: getQuestionPoints(question),
+  answer: question.answer ?? '',
+  correctOptions: [...(question.correctOptions || [])].sort(),
+  tolerance: question.tolerance || 0,
+  rangeMin: question.rangeMin ?? null,
+  rangeMax: question.rangeMax ?? null,
+  blanks: (question.blanks || []).map(blank => [...(blank.acceptedAnswers || [])]),
+});
+
+/**
+ * Re-grade the automatically graded answers of a submission against a
+ * (possibly edited) answer key. Overridden and manually graded answers are kept
+ * @param {Object} submission - Submission subdocument or plain object (modified in place)
+ * @param {Array} questions - Quiz questions with the answer key to grade against
+ * @param {Object} scoringRules - { partialCredit, negativeMarking } from the assignment
+ * @returns {Object} { answersChanged, previousScore, newScore }
+ */
+export const regradeSubmission = (submission, questions, scoringRules) => {
+  const questionsById = new Map(questions.filter(q => q._id).map(q => [q._id.toString(), q]));
+  const previousScore = submission.score;
+  let answersChanged = 0;
+
+  (submission.answers || []).forEach(answer => {
+    const question = questionsById.get(answer.questionId);
+    if (!question || answer.overridden || (answer.gradingStatus || 'auto') !== 'auto' || requiresManualGrading(question)) {
+      return;
+    }
+
+    // Multi-part answers were stored value by value
+    const storedAnswer = answer.selectedAnswers?.length ? [...answer.selectedAnswers] : answer.selectedAnswer;
+    const { isCorrect, pointsAwarded, pointsPossible } = gradeAnswer(question, storedAnswer, scoringRules);
+
+    if (isCorrect !== answer.isCorrect || pointsAwarded !== answer.pointsAwarded || pointsPossible !== answer.pointsPossible) {
+      answer.isCorrect = isCorrect;
+      answer.pointsAwarded = pointsAwarded;
+      answer.pointsPossible = pointsPossible;
+      answersChanged += 1;
+    }
+  });
+
+  if (answersChanged > 0) {
+    recalculateSubmissionScore(submission);
+  }
+
+  return { answersChanged, previousScore, newScore: submission.score };
+};
+
+/**
+ * Format a candidate's answer as a single readable string (stored as selectedAnswer)
+ * @param {String|Array} candidateAnswer - Raw answer from the request body
+ * @returns {String}
+ */
+export const formatAnswer = (candidateAnswer) => {
+  if (!hasAnswer(candidateAnswer)) return '';
+  if (Array.isArray(candidateAnswer)) {
+    return candidateAnswer.map(value => String(value ?? '').trim()).join(', ');
+  }
+  return String(candidateAnswer);
+};
+
+/**
+ * Describe the correct answer of a question for reports
+ * @param {Object} question - Quiz question (with answer key)
+ * @returns {String}
+ */
+export const describeCorrectAnswer = (question) => {
+  switch (question.type) {
+    case 'multiple_select':
+      return (question.correctOptions || []).join(', ');
+
+    case 'numeric':
+      if (hasRange(question)) {
+        return `Between ${question.rangeMin} and ${question.rangeMax}`;
+      }
+      return question.tolerance ? `${question.answer} (± ${question.tolerance})` : String(question.answer ?? '');
+
+    case 'fill_blank':
+      return (question.blanks || [])
+        .map((blank, index) => `Blank ${index + 1}: ${(blank.acceptedAnswers || []).join(' / ')}`)
+        .join('; ');
+
+    case 'essay':
+      return question.answer ? `Graded manually (model answer: ${question.answer})` : 'Graded manually';
+
+    default:
+      return question.answer;
+  }
+};
+
+/**
+ * Remove the answer key from a question before sending it to a candidate
+ * @param {Object} question - Plain question object
+ * @returns {Object} Question without answer fields or explanations
+ */
+export const stripAnswerKey = (question) => {
+  const questionWithoutAnswer = { ...question };
+  [...ANSWER_KEY_FIELDS, ...EXPLANATION_FIELDS].forEach(field => delete questionWithoutAnswer[field]);
+
+  if (question.type === 'fill_blank') {
+    questionWithoutAnswer.blankCount = countBlanks(question.text);
+  }
+
+  return questionWithoutAnswer;
+};
@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Assignment from '../models/Assignment.js';
+import { recalculateSubmissionScore } from './gradingUtils.js';
+
+// A submission as stored before per-question points: answers only have isCorrect
+const loadLegacySubmission = () => {
+  const assignment = Assignment.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    submissions: [{
+      _id: new mongoose.Types.ObjectId(),
+      score: 75,
+      answers: [
+        { questionId: 'q1', isCorrect: true },
+        { questionId: 'q2', isCorrect: true },
+        { questionId: 'q3', isCorrect: true },
+        { questionId: 'q4', isCorrect: false },
+      ],
+    }],
+  });
+  return assignment.submissions[0];
+};
+
+test('re-totalling a legacy submission keeps its score', () => {
+  const submission = loadLegacySubmission();
+  recalculateSubmissionScore(submission);
+  assert.equal(submission.score, 75);
+  assert.equal(submission.pointsEarned, 3);
+  assert.equal(submission.totalPoints, 4);
+});
+
+test('overriding one answer of a legacy submission keeps the others', () => {
+  const submission = loadLegacySubmission();
+  const answer = submission.answers[3];
+  answer.isCorrect = true;
+  answer.pointsAwarded = answer.pointsPossible;
+  answer.overridden = true;
+  recalculateSubmissionScore(submission);
+  assert.equal(submission.score, 100);
+});
+
+test('overriding a correct legacy answer to incorrect takes only its point off', () => {
+  const submission = loadLegacySubmission();
+  const answer = submission.answers[0];
+  answer.isCorrect = false;
+  answer.pointsAwarded = 0;
+  answer.overridden = true;
+  recalculateSubmissionScore(submission);
+  assert.equal(submission.score, 50);
+});
+
+test('clearing a score override on a legacy submission restores its score', () => {
+  const submission = loadLegacySubmission();
+  submission.scoreOverride = { score: 90, reason: 'Appeal' };
+  recalculateSubmissionScore(submission);
+  assert.equal(submission.score, 90);
+  submission.scoreOverride = { score: null, reason: '' };
+  recalculateSubmissionScore(submission);
+  assert.equal(submission.score, 75);
+});
@@ -0,0 +1,130 @@
+/**
+ * Question image storage
+ * Question and option images are saved through the storage adapter and the
+ * questions keep only the image URL. Images are named after a hash of their
+ * content, so saving the same image twice stores it once
+ */
+
+import crypto from 'crypto';
+import { Buffer } from 'buffer';
+import getStorage from '../config/storage.js';
+
+export const IMAGE_TYPES = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/gif': 'gif',
+  'image/webp': 'webp',
+};
+
+export const MAX_IMAGE_SIZE = 5 * 1024 * 1024; // 5MB
+
+const IMAGE_FOLDER = 'question-images';
+const KEY_PATTERN = new RegExp(`^${IMAGE_FOLDER}/[a-f0-9]{64}\\.(${Object.values(IMAGE_TYPES).join('|')})$`);
+const DATA_URI_PATTERN = /^data:([^;,]+)((?:;[^;,]+)*),(.*)$/s;
+
+/**
+ * Whether a stored image value is an inline data URI rather than a URL
+ * @param {String} value - questionImage or optionImages entry
+ * @returns {Boolean}
+ */
+export const isDataUri = (value) => typeof value === 'string' && value.startsWith('data:');
+
+/**
+ * Save an image and get its URL
+ * @param {Buffer} buffer - Image content
+ * @param {String} contentType - Image MIME type
+ * @returns {Promise<Object>} { key, url }
+ * @throws {Error} When the image type is not supported or the image is too large
+ */
+export const saveImage = async (buffer, contentType) => {
+  const extension = IMAGE_TYPES[String(contentType).toLowerCase()];
+  if (!extension) {
+    throw new Error(`Unsupported image type "${contentType}" (use JPEG, PNG, GIF or WebP)`);
+  }
+  if (buffer.length > MAX_IMAGE_SIZE) {
+    throw new Error('Images must be 5MB or smaller');
+  }
+
+  const hash = crypto.createHash('sha256').update(buffer).digest('hex');
+  const key = `${IMAGE_FOLDER}/${hash}.${extension}`;
+  const url = await getStorage().save(key, buffer, contentType);
+  return { key, url };
+};
+
+/**
+ * Save an inline (data URI) image and return its URL. URLs and empty values
+ * are returned unchanged
+ * @param {String} value - Data URI, URL or ''
+ * @returns {Promise<String>}
+ */
+export const storeDataUriImage = async (value) => {
+  if (!isDataUri(value)) return value;
+
+  const match = DATA_URI_PATTERN.exec(value);
+  if (!match) throw new Error('Invalid inline image');
+  const [, contentType, parameters, data] = match;
+  const buffer = /;base64/i.test(parameters)
+    ? Buffer.from(data, 'base64')
+    : Buffer.from(decodeURIComponent(data), 'utf8');
+
+  const { url } = await saveImage(buffer, contentType);
+  return url;
+};
+
+/**
+ * Whether a question still carries inline (data URI) images
+ * @param {Object} question - Quiz or bank question
+ * @returns {Boolean}
+ */
+export const hasInlineImages = (question) => (
+  isDataUri(question.questionImage) || (question.optionImages || []).some(isDataUri)
+);
+
+/**
+ * Move any inline images in a list of questions into storage
+ * @param {Array} questions - Quiz or bank questions (plain objects)
+ * @returns {Promise<Array>} The questions with image URLs in place of data URIs
+ */
+export const externalizeQuestionImages = async (questions) => {
+  if (!Array.isArray(questions)) return questions;
+
+  return Promise.all(questions.map(async (question) => {
+    if (!question || !hasInlineImages(question)) return question;
+    return {
+      ...question,
+      questionImage: await storeDataUriImage(question.questionImage),
+      optionImages: await Promise.all((question.optionImages || []).map(storeDataUriImage)),
+    };
+  }));
+};
+
+// Storage key of an image saved by saveImage, or null for any other URL
+const keyFromUrl = (url) => {
+  const prefix = getStorage().getUrl('');
+  if (typeof url !== 'string' || !url.startsWith(prefix)) return null;
+  const key = url.slice(prefix.length);
+  return KEY_PATTERN.test(key) ? key : null;
+};
+
+// Stored image back to a data URI, for file formats that carry their images
+const toInlineImage = async (url) => {
+  const key = keyFromUrl(url);
+  if (!key) return url;
+
+  const extension = key.split('.').pop();
+  const contentType = Object.keys(IMAGE_TYPES).find(type => IMAGE_TYPES[type] === extension);
+  const buffer = await getStorage().read(key);
+  return `data:${contentType};base64,${buffer.toString('base64')}`;
+};
+
+/**
+ * Replace stored image URLs with data URIs, so exported quiz files embed
+ * the images instead of linking to this server
+ * @param {Array} questions - Quiz questions (plain objects)
+ * @returns {Promise<Array>}
+ */
+export const inlineQuestionImages = async (questions) => Promise.all(questions.map(async (question) => ({
+  ...question,
+  questionImage: question.questionImage ? await toInlineImage(question.questionImage) : question.questionImage,
+  optionImages: await Promise.all((question.optionImages || []).map(image => (image ? toInlineImage(image) : image))),
+})));
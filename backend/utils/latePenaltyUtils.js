@@ -0,0 +1,135 @@
+/**
+ * Late penalty helpers
+ * A late submission loses percentage points off its score under its
+ * assignment's late penalty, or its class's when the assignment has none. The
+ * score before the penalty is kept as the submission's rawScore
+ */
+
+import { LATE_PENALTY_POLICIES } from '../models/Class.js';
+import { recalculateSubmissionScore, hasScoreOverride } from './gradingUtils.js';
+import { getCandidateSchedule } from './accommodationUtils.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const NO_PENALTY = { policy: 'none', percent: 0, maxPercent: 100, hours: 0 };
+
+/**
+ * The late penalty that applies to an assignment
+ * @param {Object} assignment - Assignment with latePenalty
+ * @param {Object} classData - The assignment's class (its latePenalty is the default)
+ * @returns {Object} { policy, percent, maxPercent, hours }
+ */
+export const getLatePenaltyPolicy = (assignment, classData) => {
+  const settings = assignment.latePenalty?.policy ? assignment.latePenalty : classData?.latePenalty;
+  if (!settings?.policy || settings.policy === 'none') return NO_PENALTY;
+
+  return {
+    policy: settings.policy,
+    percent: settings.percent || 0,
+    maxPercent: settings.maxPercent ?? 100,
+    hours: settings.hours || 0,
+  };
+};
+
+/**
+ * Percentage points taken off a submission
+ * @param {Object} policy - From getLatePenaltyPolicy
+ * @param {Date} dueDate
+ * @param {Date} submittedAt
+ * @returns {Number} Deduction (0-100); 0 when the submission was on time
+ */
+export const getLatePenalty = (policy, dueDate, submittedAt) => {
+  const lateMs = new Date(submittedAt) - new Date(dueDate);
+  if (lateMs <= 0) return 0;
+
+  switch (policy.policy) {
+    case 'per_day':
+      // Each started day counts
+      return Math.min(Math.ceil(lateMs / DAY_MS) * policy.percent, policy.maxPercent);
+    case 'flat':
+      return policy.percent;
+    case 'zero_after':
+      return lateMs > policy.hours * HOUR_MS ? 100 : policy.percent;
+    default:
+      return 0;
+  }
+};
+
+/**
+ * Check late penalty settings sent by an admin
+ * @param {Object} latePenalty - { policy, percent, maxPercent, hours }
+ * @returns {String|null} Error message, or null when the settings are valid
+ */
+export const validateLatePenalty = (latePenalty) => {
+  if (!latePenalty || typeof latePenalty !== 'object') {
+    return 'Late penalty settings are missing';
+  }
+
+  const { policy, percent, maxPercent, hours } = latePenalty;
+  if (policy && !LATE_PENALTY_POLICIES.includes(policy)) {
+    return `Late penalty must be one of: ${LATE_PENALTY_POLICIES.join(', ')}`;
+  }
+  const isPercent = (value) => value === undefined || value === null || (Number(value) >= 0 && Number(value) <= 100);
+  if (!isPercent(percent) || !isPercent(maxPercent)) {
+    return 'Late penalty deductions must be between 0 and 100 percent';
+  }
+  if (hours !== undefined && hours !== null && !(Number(hours) >= 0)) {
+    return 'Late penalty hours must be zero or more';
+  }
+  return null;
+};
+
+/**
+ * Normalise late penalty settings from a request body
+ * @param {Object} latePenalty - { policy, percent, maxPercent, hours }
+ * @returns {Object} Value for the latePenalty field
+ */
+export const toLatePenalty = ({ policy, percent, maxPercent, hours }) => ({
+  policy: policy || null,
+  percent: Number(percent) || 0,
+  maxPercent: maxPercent === undefined || maxPercent === null || maxPercent === '' ? 100 : Number(maxPercent),
+  hours: Number(hours) || 0,
+});
+
+// Very old submissions without answers can't be re-totalled: the penalty
+// comes off the score they were stored with (from before any override)
+const applyPenaltyToStoredScore = (submission, penalty) => {
+  if (submission.rawScore === null || submission.rawScore === undefined) {
+    const firstOverride = submission.gradeHistory?.find(change => change.type === 'score_override');
+    submission.rawScore = firstOverride ? firstOverride.previousScore : submission.score;
+  }
+  submission.latePenalty = penalty;
+  if (!hasScoreOverride(submission)) {
+    submission.score = Math.max(0, submission.rawScore - penalty);
+  }
+};
+
+/**
+ * Work out the penalties on an assignment's late submissions again, after its
+ * penalty, its class's penalty, its due date or a candidate's extension changed
+ * @param {Object} assignment - Assignment document (modified in place)
+ * @param {Object} classData - The assignment's class
+ * @returns {Number} Submissions whose penalty changed
+ */
+export const reapplyLatePenalties = (assignment, classData) => {
+  const policy = getLatePenaltyPolicy(assignment, classData);
+  let changed = 0;
+
+  assignment.submissions.forEach(submission => {
+    if (!submission.isLateSubmission && !submission.latePenalty) return;
+    const { dueDate } = getCandidateSchedule(assignment, classData, submission.candidateId);
+    const penalty = submission.isLateSubmission ? getLatePenalty(policy, dueDate, submission.submittedAt) : 0;
+    if (penalty !== (submission.latePenalty || 0)) {
+      if (submission.answers.length > 0) {
+        submission.latePenalty = penalty;
+        recalculateSubmissionScore(submission);
+      } else {
+        applyPenaltyToStoredScore(submission, penalty);
+      }
+      changed += 1;
+    }
+  });
+
+  return changed;
+};
@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Assignment from '../models/Assignment.js';
+import { reapplyLatePenalties } from './latePenaltyUtils.js';
+
+const dueDate = new Date('2025-03-01T12:00:00Z');
+const flatPenalty = { latePenalty: { policy: 'flat', percent: 10 } };
+
+// A late submission stored before per-question points and late penalties
+const loadLegacyAssignment = (answers) => Assignment.hydrate({
+  _id: new mongoose.Types.ObjectId(),
+  dueDate,
+  submissions: [{
+    _id: new mongoose.Types.ObjectId(),
+    candidateId: new mongoose.Types.ObjectId(),
+    score: 75,
+    isLateSubmission: true,
+    submittedAt: new Date('2025-03-01T15:00:00Z'),
+    answers,
+  }],
+});
+
+test('a new late policy takes its penalty off a legacy submission\'s own score', () => {
+  const assignment = loadLegacyAssignment([
+    { questionId: 'q1', isCorrect: true },
+    { questionId: 'q2', isCorrect: true },
+    { questionId: 'q3', isCorrect: true },
+    { questionId: 'q4', isCorrect: false },
+  ]);
+  assert.equal(reapplyLatePenalties(assignment, flatPenalty), 1);
+  assert.equal(assignment.submissions[0].rawScore, 75);
+  assert.equal(assignment.submissions[0].score, 65);
+});
+
+test('a legacy submission without answers keeps its stored score as the raw score', () => {
+  const assignment = loadLegacyAssignment([]);
+  reapplyLatePenalties(assignment, flatPenalty);
+  assert.equal(assignment.submissions[0].rawScore, 75);
+  assert.equal(assignment.submissions[0].score, 65);
+
+  // Removing the penalty again restores it
+  reapplyLatePenalties(assignment, { latePenalty: { policy: 'none' } });
+  assert.equal(assignment.submissions[0].score, 75);
+});
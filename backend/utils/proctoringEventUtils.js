@@ -0,0 +1,102 @@
+/**
+ * Proctoring event helpers
+ * The quiz page streams proctoring events (camera and microphone detections,
+ * tab switches, lost focus, leaving fullscreen) in small batches while the
+ * attempt is in progress. They are stored per attempt and shown to
+ * instructors as a timeline
+ */
+
+import ProctoringEvent, { PROCTORING_EVENT_TYPES, MAX_EVENTS_PER_ATTEMPT } from '../models/ProctoringEvent.js';
+
+// Most events accepted in one request
+export const MAX_EVENTS_PER_REQUEST = 100;
+
+/**
+ * Check a batch of events sent by the quiz page
+ * @param {Array} events - { type, timestamp, questionIndex, confidence }
+ * @returns {String|null} Error message, or null when they are valid
+ */
+export const validateProctoringEvents = (events) => {
+  if (!Array.isArray(events) || events.length === 0) {
+    return 'Events must be a non-empty list';
+  }
+  if (events.length > MAX_EVENTS_PER_REQUEST) {
+    return `At most ${MAX_EVENTS_PER_REQUEST} events can be sent at once`;
+  }
+  for (const event of events) {
+    if (!PROCTORING_EVENT_TYPES.includes(event?.type)) {
+      return `Unknown event type: ${event?.type}`;
+    }
+    if (isNaN(new Date(event.timestamp).getTime())) {
+      return 'Every event needs a valid timestamp';
+    }
+    const { questionIndex = null, confidence = null } = event;
+    if (questionIndex !== null && !(Number.isInteger(questionIndex) && questionIndex >= 0)) {
+      return 'Question index must be a whole number from 0';
+    }
+    if (confidence !== null && !(typeof confidence === 'number' && confidence >= 0 && confidence <= 1)) {
+      return 'Confidence must be between 0 and 1';
+    }
+  }
+  return null;
+};
+
+/**
+ * Store a batch of events for an attempt in progress. Timestamps are kept
+ * within the attempt, and events past MAX_EVENTS_PER_ATTEMPT are dropped
+ * @param {Object} session - From findAttemptSession
+ * @param {String} candidateId
+ * @param {Array} events - Validated with validateProctoringEvents
+ * @param {Date} receivedAt - When the server got them
+ * @returns {Promise<Number>} How many were stored
+ */
+export const saveProctoringEvents = async (session, candidateId, events, receivedAt = new Date()) => {
+  const attempt = { assignmentId: session.assignmentId, candidateId, attemptNumber: session.attemptNumber };
+  const room = MAX_EVENTS_PER_ATTEMPT - await ProctoringEvent.countDocuments(attempt);
+  if (room <= 0) return 0;
+
+  const startedAt = new Date(session.startedAt);
+  const documents = events.slice(0, room).map(event => {
+    const timestamp = new Date(event.timestamp);
+    return {
+      ...attempt,
+      type: event.type,
+      occurredAt: timestamp < startedAt ? startedAt : timestamp > receivedAt ? receivedAt : timestamp,
+      receivedAt,
+      questionIndex: event.questionIndex ?? null,
+      confidence: event.confidence ?? null,
+    };
+  });
+
+  await ProctoringEvent.insertMany(documents);
+  return documents.length;
+};
+
+/**
+ * When the last event of an attempt happened
+ * @param {String} assignmentId
+ * @param {String} candidateId
+ * @param {Number} attemptNumber
+ * @returns {Promise<Date|null>}
+ */
+export const getLastProctoringEventTime = async (assignmentId, candidateId, attemptNumber) => {
+  const last = await ProctoringEvent.findOne({ assignmentId, candidateId, attemptNumber })
+    .sort({ occurredAt: -1 })
+    .select('occurredAt')
+    .lean();
+  return last?.occurredAt || null;
+};
+
+/**
+ * The events of one attempt, oldest first
+ * @param {String} assignmentId
+ * @param {String} candidateId
+ * @param {Number} attemptNumber
+ * @returns {Promise<Array>} { type, occurredAt, questionIndex, confidence }
+ */
+export const getProctoringTimeline = (assignmentId, candidateId, attemptNumber) => (
+  ProctoringEvent.find({ assignmentId, candidateId, attemptNumber })
+    .sort({ occurredAt: 1 })
+    .select('type occurredAt questionIndex confidence -_id')
+    .lean()
+);
@@ -0,0 +1,141 @@
+/**
+ * Question bank helpers
+ * Copying bank questions into quizzes and drawing random questions for
+ * question pools
+ */
+
+import BankQuestion from '../models/BankQuestion.js';
+import Assignment from '../models/Assignment.js';
+import { getAssignmentQuestions, getAssignmentPools } from './quizVersionUtils.js';
+
+// Fields that make up a question's content (copied into quizzes)
+export const CONTENT_FIELDS = [
+  'text', 'textFormat', 'type', 'options', 'answer', 'correctOptions', 'tolerance',
+  'rangeMin', 'rangeMax', 'blanks', 'points', 'questionImage', 'optionImages',
+  'explanation', 'optionFeedback',
+];
+
+const toPlain = (doc) => (doc && doc.toObject ? doc.toObject() : doc);
+
+/**
+ * Normalize tags for storage and matching (trimmed, lowercase, no duplicates)
+ * @param {Array|String} tags - Array of tags or a comma-separated string
+ * @returns {Array<String>}
+ */
+export const normalizeTags = (tags) => {
+  const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+  return [...new Set(list.map(tag => String(tag).trim().toLowerCase()).filter(Boolean))];
+};
+
+/**
+ * Normalize question pools sent by the quiz editor
+ * @param {Array} pools - Pools from the request body
+ * @returns {Array}
+ */
+export const normalizePools = (pools) => (pools || []).map(pool => ({
+  ...pool,
+  count: Number(pool.count),
+  tags: normalizeTags(pool.tags),
+  points: pool.points === '' || pool.points === undefined || pool.points === null ? null : Number(pool.points),
+}));
+
+/**
+ * Copy a bank question's content into a quiz question
+ * @param {Object} bankQuestion - BankQuestion document
+ * @returns {Object} Quiz question linked to the bank question and its revision
+ */
+export const toQuizQuestion = (bankQuestion) => {
+  const plain = toPlain(bankQuestion);
+  const question = Object.fromEntries(CONTENT_FIELDS.map(field => [field, plain[field]]));
+  question.bankQuestionId = bankQuestion._id;
+  question.bankRevision = bankQuestion.revision;
+  return question;
+};
+
+/**
+ * Build the BankQuestion filter for a question pool
+ * @param {Object} pool - Question pool
+ * @param {String} adminId - Owner of the question bank
+ * @returns {Object} Mongo filter
+ */
+export const getPoolFilter = (pool, adminId) => {
+  const filter = { adminId };
+  const tags = normalizeTags(pool.tags);
+  if (tags.length > 0) filter.tags = { $all: tags };
+  if (pool.topic) filter.topic = pool.topic;
+  if (pool.difficulty) filter.difficulty = pool.difficulty;
+  if (pool.bloomsLevel) filter.bloomsLevel = pool.bloomsLevel;
+  if (pool.type) filter.type = pool.type;
+  return filter;
+};
+
+/**
+ * Draw random bank questions for each pool. A bank question is drawn at most
+ * once, and never when it is already one of the quiz's fixed questions
+ * @param {Array} pools - Question pools
+ * @param {String} adminId - Owner of the question bank
+ * @param {Array} excludeIds - Bank question ids that must not be drawn
+ * @returns {Promise<Array>} Quiz questions (each keeps its bank question's _id)
+ */
+export const drawPoolQuestions = async (pools, adminId, excludeIds = []) => {
+  const used = new Set(excludeIds.map(id => id.toString()));
+  const drawn = [];
+
+  for (const pool of pools) {
+    const matches = (await BankQuestion.find(getPoolFilter(pool, adminId)).select('-revisions'))
+      .filter(question => !used.has(question._id.toString()));
+
+    // Fisher-Yates shuffle, then take the first `count`
+    for (let i = matches.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [matches[i], matches[j]] = [matches[j], matches[i]];
+    }
+
+    matches.slice(0, pool.count).forEach(bankQuestion => {
+      used.add(bankQuestion._id.toString());
+      drawn.push({
+        ...toQuizQuestion(bankQuestion),
+        _id: bankQuestion._id,
+        poolId: pool._id,
+        points: pool.points ?? bankQuestion.points,
+      });
+    });
+  }
+
+  return drawn;
+};
+
+/**
+ * Questions a candidate is given: the assignment's fixed questions followed by
+ * the questions drawn for them from the quiz's pools
+ * @param {Object} assignment - Assignment with quizId populated (including pools and currentVersion)
+ * @param {String} candidateId - Candidate's user id
+ * @param {Object} options - { draw: true to draw the candidate's pool questions if they have none yet }
+ * @returns {Promise<Array>}
+ */
+export const getCandidateQuestions = async (assignment, candidateId, { draw = false } = {}) => {
+  const questions = await getAssignmentQuestions(assignment);
+  const findAttempt = (attempts) => (attempts || []).find(
+    attempt => attempt.candidateId.toString() === candidateId.toString()
+  );
+
+  const attempt = findAttempt(assignment.attempts);
+  if (attempt) return [...questions, ...attempt.questions];
+  if (!draw) return questions;
+
+  const pools = await getAssignmentPools(assignment);
+  if (pools.length === 0) return questions;
+
+  const fixedBankIds = questions.map(question => question.bankQuestionId).filter(Boolean);
+  const drawn = await drawPoolQuestions(pools, assignment.adminId, fixedBankIds);
+
+  // Only the first open stores its draw, so concurrent requests agree
+  const result = await Assignment.updateOne(
+    { _id: assignment._id, 'attempts.candidateId': { $ne: candidateId } },
+    { $push: { attempts: { candidateId, questions: drawn, openedAt: new Date() } } }
+  );
+  if (result.modifiedCount > 0) return [...questions, ...drawn];
+
+  const stored = await Assignment.findById(assignment._id).select('attempts');
+  return [...questions, ...(findAttempt(stored?.attempts)?.questions || [])];
+};
@@ -0,0 +1,73 @@
+/**
+ * Question timing helpers
+ * The quiz page times each question while it is on screen (revisits add up)
+ * and sends the totals with the submission. Class analytics compare each
+ * answer's time with the median for that question across the class
+ */
+
+// Answers taking under a quarter of the question's median time, or over three
+// times it, are unusually fast or slow
+export const FAST_FACTOR = 0.25;
+export const SLOW_FACTOR = 3;
+
+// Too few timed answers say nothing about what is usual for a question
+export const MIN_TIMED_ANSWERS = 3;
+
+/**
+ * Median of a list of numbers
+ * @param {Array<Number>} values
+ * @returns {Number|null} null for an empty list
+ */
+export const getMedian = (values) => {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+/**
+ * Time a candidate spent on a question, as sent with their submission
+ * @param {Object} questionTimes - Question id => seconds
+ * @param {String} questionId
+ * @param {Number} maxSeconds - Length of the attempt; no question takes longer
+ * @returns {Number|null} Whole seconds, or null when it wasn't timed
+ */
+export const getTimeSpent = (questionTimes, questionId, maxSeconds = Infinity) => {
+  const seconds = Number(questionTimes?.[questionId]);
+  if (!Number.isFinite(seconds) || seconds < 0) return null;
+  return Math.round(Math.min(seconds, maxSeconds));
+};
+
+/**
+ * Check question times sent by a candidate
+ * @param {Object} questionTimes - Question id => seconds
+ * @returns {String|null} Error message, or null when they are valid
+ */
+export const validateQuestionTimes = (questionTimes) => {
+  if (questionTimes === undefined) return null;
+  if (!questionTimes || typeof questionTimes !== 'object' || Array.isArray(questionTimes)) {
+    return 'Question times must be an object of question ids and seconds';
+  }
+  const isValid = Object.entries(questionTimes).every(
+    ([key, seconds]) => /^[A-Za-z0-9_-]+$/.test(key) && Number.isFinite(seconds) && seconds >= 0
+  );
+  return isValid ? null : 'Question times must be a number of seconds for each question id';
+};
+
+/**
+ * Median time on a question and the answers far from it
+ * @param {Array} answers - { seconds, ... } for each timed answer to the question
+ * @returns {Object} { medianSeconds, timedAnswers, fast, slow } (fast and slow
+ *   hold the answers as given, and stay empty below MIN_TIMED_ANSWERS)
+ */
+export const summarizeQuestionTimes = (answers) => {
+  const medianSeconds = getMedian(answers.map(answer => answer.seconds));
+  const hasCohort = answers.length >= MIN_TIMED_ANSWERS && medianSeconds > 0;
+
+  return {
+    medianSeconds,
+    timedAnswers: answers.length,
+    fast: hasCohort ? answers.filter(answer => answer.seconds < medianSeconds * FAST_FACTOR) : [],
+    slow: hasCohort ? answers.filter(answer => answer.seconds > medianSeconds * SLOW_FACTOR) : [],
+  };
+};
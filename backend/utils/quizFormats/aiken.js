@@ -0,0 +1,122 @@
+/**
+ * Aiken import/export (single-answer multiple choice only)
+ * https://docs.moodle.org/en/Aiken_format
+ */
+
+import { createQuestion, snippet } from './common.js';
+
+const OPTION_PATTERN = /^([A-Z])[.)]\s+(.*)$/;
+const ANSWER_PATTERN = /^ANSWER:\s*([A-Z])\s*$/i;
+
+const isTrueFalse = (options) => options.length === 2
+  && options[0].toLowerCase() === 'true' && options[1].toLowerCase() === 'false';
+
+/**
+ * Parse an Aiken question file
+ * @param {String} source - File content
+ * @returns {Object} { title, questions, errors }
+ */
+export const parseAiken = (source) => {
+  const lines = String(source).replace(/^\uFEFF/, '').split(/\r?\n/);
+  const questions = [];
+  const errors = [];
+  let current = null;
+  // After an error, the rest of that question is skipped
+  let isSkipping = false;
+
+  const fail = (reason) => {
+    errors.push({ line: current.line, snippet: snippet(current.text.join(' ')), reason });
+    current = null;
+    isSkipping = true;
+  };
+
+  lines.forEach((line, index) => {
+    const trimmed = line.trim();
+    if (isSkipping) {
+      if (!trimmed || ANSWER_PATTERN.test(trimmed)) isSkipping = false;
+      return;
+    }
+    if (!trimmed) {
+      // A question cut short by a blank line never got its ANSWER line
+      if (current?.options.length) {
+        fail('Missing "ANSWER:" line');
+        isSkipping = false;
+      }
+      return;
+    }
+
+    if (!current) current = { line: index + 1, text: [], options: [], letters: [] };
+
+    const answer = ANSWER_PATTERN.exec(trimmed);
+    if (answer) {
+      const letter = answer[1].toUpperCase();
+      const optionIndex = current.letters.indexOf(letter);
+      const problem = (current.text.length === 0 && 'Question text is empty')
+        || (current.options.length < 2 && 'Questions need at least two options')
+        || (optionIndex === -1 && `Answer ${letter} is not one of the options`);
+      if (problem) {
+        fail(problem);
+        isSkipping = false;
+        return;
+      }
+
+      const options = current.options;
+      questions.push(createQuestion({
+        text: current.text.join('\n'),
+        type: isTrueFalse(options) ? 'true_false' : 'mcq',
+        options: isTrueFalse(options) ? ['True', 'False'] : options,
+        answer: isTrueFalse(options) ? ['True', 'False'][optionIndex] : options[optionIndex],
+      }));
+      current = null;
+      return;
+    }
+
+    const option = OPTION_PATTERN.exec(trimmed);
+    if (option && current.text.length > 0) {
+      current.letters.push(option[1]);
+      current.options.push(option[2].trim());
+    } else if (current.options.length > 0) {
+      fail(`Unexpected line "${snippet(trimmed, 40)}" after the options`);
+    } else {
+      current.text.push(trimmed);
+    }
+  });
+
+  if (current) fail('Missing "ANSWER:" line');
+
+  return { title: '', questions, errors };
+};
+
+const LETTERS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+const flatten = (text) => String(text ?? '').replace(/\s*\r?\n\s*/g, ' ').trim();
+
+/**
+ * Export a quiz as an Aiken question file
+ * Aiken only holds single-answer multiple choice, so other types are skipped
+ * @param {Object} quiz - Quiz with title and questions
+ * @returns {Object} { content, skipped }
+ */
+export const exportAiken = (quiz) => {
+  const skipped = [];
+  const blocks = [];
+
+  quiz.questions.forEach((question, index) => {
+    if (!['mcq', 'true_false'].includes(question.type)) {
+      skipped.push({ item: index + 1, reason: 'Aiken only supports multiple choice and true/false questions' });
+      return;
+    }
+    const options = question.type === 'true_false' ? ['True', 'False'] : question.options;
+    const answerIndex = options.findIndex(option => option.toLowerCase() === String(question.answer).toLowerCase());
+    if (options.length > LETTERS.length || answerIndex === -1) {
+      skipped.push({ item: index + 1, reason: 'The answer key could not be written in Aiken' });
+      return;
+    }
+    blocks.push([
+      flatten(question.text),
+      ...options.map((option, i) => `${LETTERS[i]}. ${flatten(option)}`),
+      `ANSWER: ${LETTERS[answerIndex]}`,
+    ].join('\n'));
+  });
+
+  return { content: `${blocks.join('\n\n')}\n`, skipped };
+};
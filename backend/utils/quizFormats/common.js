@@ -0,0 +1,117 @@
+/**
+ * Helpers shared by the quiz import/export formats
+ */
+
+import Quiz from '../../models/Quiz.js';
+import { countBlanks } from '../gradingUtils.js';
+
+const IMAGE_MIME_TYPES = {
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  svg: 'image/svg+xml',
+};
+
+/**
+ * A quiz question with every field at its default
+ * @param {Object} fields - Fields to set
+ * @returns {Object}
+ */
+export const createQuestion = (fields) => ({
+  options: [],
+  answer: '',
+  correctOptions: [],
+  tolerance: 0,
+  rangeMin: null,
+  rangeMax: null,
+  blanks: [],
+  points: 1,
+  textFormat: 'plain',
+  questionImage: '',
+  optionImages: [],
+  explanation: '',
+  optionFeedback: [],
+  ...fields,
+});
+
+/**
+ * Shorten source text for error messages
+ * @param {String} text
+ * @param {Number} length
+ * @returns {String}
+ */
+export const snippet = (text, length = 80) => {
+  const flat = String(text || '').replace(/\s+/g, ' ').trim();
+  return flat.length > length ? `${flat.slice(0, length - 1)}…` : flat;
+};
+
+/**
+ * Build a data URI for base64 image content
+ * @param {String} filename - Used to work out the image type
+ * @param {String} base64 - Image content
+ * @returns {String}
+ */
+export const toDataUri = (filename, base64) => {
+  const extension = String(filename).split('.').pop().toLowerCase();
+  return `data:${IMAGE_MIME_TYPES[extension] || 'application/octet-stream'};base64,${String(base64).replace(/\s+/g, '')}`;
+};
+
+/**
+ * Split a data URI into a filename and base64 content (null for URLs)
+ * @param {String} uri - Data URI or URL
+ * @param {String} basename - Filename without extension
+ * @returns {Object|null} { filename, base64 }
+ */
+export const fromDataUri = (uri, basename) => {
+  const match = /^data:([^;,]+);base64,(.*)$/s.exec(String(uri || ''));
+  if (!match) return null;
+  const extension = Object.keys(IMAGE_MIME_TYPES).find(ext => IMAGE_MIME_TYPES[ext] === match[1]) || 'bin';
+  return { filename: `${basename}.${extension}`, base64: match[2] };
+};
+
+/**
+ * Numeric questions graded by range are exported as answer ± tolerance
+ * @param {Object} question - Numeric question
+ * @returns {Object} { answer, tolerance }
+ */
+export const toNumericTolerance = (question) => {
+  if (question.rangeMin !== null && question.rangeMin !== undefined && question.rangeMax !== null && question.rangeMax !== undefined) {
+    return {
+      answer: (question.rangeMin + question.rangeMax) / 2,
+      tolerance: (question.rangeMax - question.rangeMin) / 2,
+    };
+  }
+  return { answer: Number(question.answer), tolerance: question.tolerance || 0 };
+};
+
+/**
+ * Format a grade fraction for Moodle-style formats, which only accept certain
+ * values (100 / n is one of them for n up to 10)
+ * @param {Number} value - Percentage
+ * @returns {String}
+ */
+export const formatFraction = (value) => Number(value.toFixed(5)).toString();
+
+/**
+ * Check an imported question the way the quiz editor does before saving
+ * @param {Object} question - Question built by an importer
+ * @returns {String|null} What is wrong with it, or null when it can be saved
+ */
+export const getQuestionProblem = (question) => {
+  const error = new Quiz({ title: 'Import', questions: [question] }).validateSync();
+  const questionError = Object.entries(error?.errors || {}).find(([errorPath]) => errorPath.startsWith('questions.'));
+  if (questionError) return questionError[1].message;
+
+  if (question.type === 'mcq' && !question.options.includes(question.answer)) {
+    return 'The answer must match one of the options';
+  }
+  if (question.type === 'multiple_select' && question.correctOptions.some(option => !question.options.includes(option))) {
+    return 'Correct options must match the options';
+  }
+  if (question.type === 'fill_blank' && countBlanks(question.text) !== question.blanks.length) {
+    return 'Every blank needs its accepted answers';
+  }
+  return null;
+};
@@ -0,0 +1,283 @@
+/**
+ * GIFT import/export
+ * https://docs.moodle.org/en/GIFT_format
+ */
+
+import { htmlToText, escapeXml } from './xmlUtils.js';
+import { createQuestion, snippet, toNumericTolerance, formatFraction } from './common.js';
+
+// Escaped special characters are swapped for private-use placeholders while parsing
+const SPECIAL_CHARACTERS = ['~', '=', '#', '{', '}', ':', '\\'];
+const PLACEHOLDER_BASE = 0xE000;
+
+const protectEscapes = (text) => text.replace(/\\([~=#{}:\\])/g, (match, char) => (
+  String.fromCharCode(PLACEHOLDER_BASE + SPECIAL_CHARACTERS.indexOf(char))
+)).replace(/\\n/g, '\n');
+
+const restoreEscapes = (text) => text.replace(/[\uE000-\uE006]/g, (char) => (
+  SPECIAL_CHARACTERS[char.charCodeAt(0) - PLACEHOLDER_BASE]
+));
+
+// Question text in [html] format may carry an image
+const readText = (text, format) => {
+  const restored = restoreEscapes(text).trim();
+  if (format !== 'html') return { text: restored, image: '' };
+  const match = /<img[^>]+src=["']([^"']+)["']/i.exec(restored);
+  return { text: htmlToText(restored), image: match ? match[1] : '' };
+};
+
+// Split "=a ~b ~%50%c#feedback" into answers
+const parseChoices = (body) => (body.match(/[=~][^=~]*/g) || []).map(part => {
+  const weight = /^~%(-?\d+(?:\.\d+)?)%/.exec(part);
+  const [text, feedback = ''] = part.slice(weight ? weight[0].length : 1).split(/#(.*)$/s);
+  return {
+    text: restoreEscapes(text).trim(),
+    feedback: restoreEscapes(feedback).trim(),
+    fraction: part[0] === '=' ? 100 : parseFloat(weight?.[1] || '0'),
+    isEqualsAnswer: part[0] === '=',
+  };
+});
+
+const parseNumeric = (body) => {
+  // "#=3.14:0.01 =%50%3" lists several answers; the first full-credit one is used
+  const answers = body.includes('=') ? parseChoices(body).filter(a => a.fraction === 100) : [{ text: restoreEscapes(body.replace(/#.*$/s, '')).trim() }];
+  if (answers.length === 0) throw new Error('Numeric question has no fully correct answer');
+  const value = answers[0].text;
+
+  const range = /^(-?[\d.]+)\.\.(-?[\d.]+)$/.exec(value);
+  if (range) {
+    const [rangeMin, rangeMax] = [Number(range[1]), Number(range[2])];
+    if (Number.isNaN(rangeMin) || Number.isNaN(rangeMax) || rangeMin > rangeMax) throw new Error(`Invalid numeric range "${value}"`);
+    return { type: 'numeric', answer: '', rangeMin, rangeMax };
+  }
+
+  const [answer, tolerance = '0'] = value.split(':');
+  if (answer === '' || Number.isNaN(Number(answer)) || Number.isNaN(Number(tolerance))) {
+    throw new Error(`Invalid numeric answer "${value}"`);
+  }
+  return { type: 'numeric', answer: String(Number(answer)), tolerance: Math.abs(Number(tolerance)) };
+};
+
+const parseAnswers = (body) => {
+  const trimmed = body.trim();
+
+  if (trimmed === '') return { type: 'essay' };
+
+  const trueFalse = /^(T|TRUE|F|FALSE)(#.*)?$/is.exec(trimmed);
+  if (trueFalse) {
+    return { type: 'true_false', options: ['True', 'False'], answer: trueFalse[1][0].toUpperCase() === 'T' ? 'True' : 'False' };
+  }
+
+  if (trimmed.startsWith('#')) return parseNumeric(trimmed.slice(1));
+
+  if (trimmed.includes('->')) throw new Error('Matching questions are not supported');
+
+  const choices = parseChoices(trimmed);
+  if (choices.length === 0) throw new Error('Could not read the answers');
+
+  // Only "=" answers: every one is an accepted short answer
+  if (choices.every(choice => choice.isEqualsAnswer)) {
+    return { type: 'short_answer', accepted: choices.map(choice => choice.text) };
+  }
+
+  const correct = choices.filter(choice => choice.fraction > 0);
+  if (correct.length === 0) throw new Error('No answer is marked correct');
+  const options = choices.map(choice => choice.text);
+  if (correct.length === 1) {
+    const optionFeedback = choices.some(choice => choice.feedback) ? choices.map(choice => choice.feedback) : [];
+    return { type: 'mcq', options, answer: correct[0].text, optionFeedback };
+  }
+  return { type: 'multiple_select', options, correctOptions: correct.map(choice => choice.text) };
+};
+
+// Work out the question fields from the text inside { }
+const parseAnswerBlock = (block) => {
+  // "####..." at the end is general feedback, imported as the explanation
+  const [body, generalFeedback] = block.split(/####(.*)$/s);
+  const explanation = restoreEscapes(generalFeedback || '').trim();
+  return { ...parseAnswers(body), explanation };
+};
+
+const convertQuestion = (source) => {
+  let rest = source.trim();
+
+  // Optional ::title:: and [format]
+  const titleMatch = /^::(.*?)::/s.exec(rest);
+  if (titleMatch) rest = rest.slice(titleMatch[0].length).trim();
+  const formatMatch = /^\[(html|moodle|plain|markdown)\]/i.exec(rest);
+  const format = formatMatch ? formatMatch[1].toLowerCase() : 'moodle';
+  if (formatMatch) rest = rest.slice(formatMatch[0].length);
+
+  const open = rest.indexOf('{');
+  const close = rest.indexOf('}', open);
+  if (open === -1) throw new Error('No answer block ({...}) found');
+  if (close === -1) throw new Error('Answer block is not closed');
+
+  const before = readText(rest.slice(0, open), format);
+  const after = readText(rest.slice(close + 1), format);
+  const fields = parseAnswerBlock(rest.slice(open + 1, close));
+  const questionImage = before.image || after.image;
+  const textFormat = format === 'markdown' ? 'markdown' : 'plain';
+
+  // Text after the answer block makes it a "missing word" question
+  if (after.text) {
+    const text = `${before.text} ___ ${after.text}`.trim();
+    if (fields.type === 'short_answer') {
+      return createQuestion({ text, type: 'fill_blank', blanks: [{ acceptedAnswers: fields.accepted }], explanation: fields.explanation, questionImage, textFormat });
+    }
+    if (!['mcq', 'multiple_select', 'true_false'].includes(fields.type)) {
+      throw new Error('Only choices or short answers can appear in the middle of a question');
+    }
+    return createQuestion({ text, ...fields, questionImage, textFormat });
+  }
+
+  if (!before.text) throw new Error('Question text is empty');
+  if (fields.type === 'short_answer') {
+    const { accepted, ...shortAnswer } = fields;
+    return createQuestion({ text: before.text, ...shortAnswer, answer: accepted[0], questionImage, textFormat });
+  }
+  return createQuestion({ text: before.text, ...fields, questionImage, textFormat });
+};
+
+/**
+ * Parse a GIFT question file
+ * @param {String} source - File content
+ * @returns {Object} { title, questions, errors }
+ */
+export const parseGift = (source) => {
+  const lines = protectEscapes(String(source).replace(/^\uFEFF/, '')).split(/\r?\n/);
+  const questions = [];
+  const errors = [];
+  let title = '';
+  let block = [];
+  let blockStart = 0;
+
+  const flush = () => {
+    const text = block.join('\n').trim();
+    block = [];
+    if (!text) return;
+    try {
+      questions.push(convertQuestion(text));
+    } catch (error) {
+      errors.push({ line: blockStart, snippet: snippet(restoreEscapes(text)), reason: error.message });
+    }
+  };
+
+  lines.forEach((line, index) => {
+    const trimmed = line.trim();
+    if (trimmed.startsWith('//')) return;
+
+    if (trimmed.startsWith('$CATEGORY:')) {
+      flush();
+      title = restoreEscapes(trimmed.slice('$CATEGORY:'.length)).trim().split('/').pop() || title;
+      return;
+    }
+
+    // Questions are separated by blank lines, except inside an open answer block
+    const isInsideBlock = block.join('\n').split('{').length > block.join('\n').split('}').length;
+    if (trimmed === '' && !isInsideBlock) {
+      flush();
+      return;
+    }
+
+    if (block.length === 0) blockStart = index + 1;
+    block.push(line);
+  });
+  flush();
+
+  return { title, questions, errors };
+};
+
+const escapeGift = (text) => String(text ?? '').replace(/([~=#{}:\\])/g, '\\$1').replace(/\r?\n/g, '\\n');
+
+const questionText = (text, image, textFormat) => {
+  if (!image) return `${textFormat === 'markdown' ? '[markdown]' : ''}${escapeGift(text)}`;
+  // Images need the HTML format
+  return `[html]${escapeGift(`<p>${escapeXml(text).replace(/\n/g, '<br>')}</p><p><img src="${escapeXml(image)}" alt=""></p>`)}`;
+};
+
+// "#feedback" after a choice
+const choiceFeedback = (feedback) => (feedback ? `#${escapeGift(feedback)}` : '');
+
+const exportQuestion = (question, index) => {
+  const prefix = `::Question ${index + 1}:: `;
+  const text = questionText(question.text, question.questionImage, question.textFormat);
+  // The explanation is exported as general feedback
+  const general = question.explanation ? `####${escapeGift(question.explanation)}` : '';
+  const closeList = general ? `\n  ${general}\n}` : '\n}';
+
+  switch (question.type) {
+    case 'mcq':
+      return `${prefix}${text} {\n${question.options.map((option, i) => (
+        `  ${option === question.answer ? '=' : '~'}${escapeGift(option)}${choiceFeedback(question.optionFeedback?.[i])}`
+      )).join('\n')}${closeList}`;
+
+    case 'multiple_select': {
+      const correct = question.correctOptions || [];
+      const weight = formatFraction(100 / correct.length);
+      return `${prefix}${text} {\n${question.options.map(option => (
+        `  ~%${correct.includes(option) ? weight : `-${weight}`}%${escapeGift(option)}`
+      )).join('\n')}${closeList}`;
+    }
+
+    case 'true_false':
+      return `${prefix}${text} {${String(question.answer).toLowerCase() === 'true' ? 'TRUE' : 'FALSE'}${general}}`;
+
+    case 'short_answer':
+      return `${prefix}${text} {=${escapeGift(question.answer)}${general}}`;
+
+    case 'numeric': {
+      if (question.rangeMin !== null && question.rangeMin !== undefined && question.rangeMax !== null && question.rangeMax !== undefined) {
+        return `${prefix}${text} {#${question.rangeMin}..${question.rangeMax}${general}}`;
+      }
+      const { answer, tolerance } = toNumericTolerance(question);
+      return `${prefix}${text} {#${answer}${tolerance ? `:${tolerance}` : ''}${general}}`;
+    }
+
+    case 'essay':
+      return `${prefix}${text} {${general}}`;
+
+    case 'fill_blank': {
+      // GIFT has room for a single missing word per question
+      const parts = String(question.text).split(/_{3,}/);
+      if (parts.length !== 2 || question.questionImage) return null;
+      const accepted = question.blanks?.[0]?.acceptedAnswers || [];
+      return `${prefix}${escapeGift(parts[0].trim())} {${accepted.map(answer => `=${escapeGift(answer)}`).join(' ')}${general}} ${escapeGift(parts[1].trim())}`;
+    }
+
+    default:
+      return null;
+  }
+};
+
+/**
+ * Export a quiz as a GIFT question file
+ * @param {Object} quiz - Quiz with title and questions
+ * @returns {Object} { content, skipped }
+ */
+export const exportGift = (quiz) => {
+  const skipped = [];
+  const blocks = quiz.questions.map((question, index) => {
+    const gift = exportQuestion(question, index);
+    if (!gift) {
+      skipped.push({
+        item: index + 1,
+        reason: question.type === 'fill_blank'
+          ? 'GIFT supports one blank per question, without an image'
+          : `Question type "${question.type}" cannot be exported`,
+      });
+    }
+    return gift;
+  }).filter(Boolean);
+
+  const content = [
+    `// ${quiz.title.replace(/\r?\n/g, ' ')}`,
+    ...skipped.map(s => `// Question ${s.item} was not exported: ${s.reason}`),
+    `$CATEGORY: $course$/${quiz.title.replace(/\r?\n/g, ' ')}`,
+    '',
+    blocks.join('\n\n'),
+    '',
+  ].join('\n');
+
+  return { content, skipped };
+};
@@ -0,0 +1,122 @@
+/**
+ * Quiz import/export formats
+ * Each format turns a file into quiz questions (plus the items it could not
+ * read) and turns a quiz back into a file (plus the questions it had to skip)
+ */
+
+import path from 'path';
+import { parseMoodleXml, exportMoodleXml } from './moodleXml.js';
+import { parseGift, exportGift } from './gift.js';
+import { parseAiken, exportAiken } from './aiken.js';
+import { parseQti, exportQti } from './qti.js';
+import { snippet, getQuestionProblem } from './common.js';
+
+export const FORMATS = {
+  moodle: {
+    label: 'Moodle XML',
+    mimeType: 'application/xml',
+    parse: (buffer) => parseMoodleXml(buffer.toString('utf8')),
+    export: exportMoodleXml,
+  },
+  gift: {
+    label: 'GIFT',
+    mimeType: 'text/plain',
+    parse: (buffer) => parseGift(buffer.toString('utf8')),
+    export: exportGift,
+  },
+  aiken: {
+    label: 'Aiken',
+    mimeType: 'text/plain',
+    parse: (buffer) => parseAiken(buffer.toString('utf8')),
+    export: exportAiken,
+  },
+  qti: {
+    label: 'QTI 2.1',
+    mimeType: 'application/zip',
+    parse: parseQti,
+    export: exportQti,
+  },
+};
+
+/**
+ * Guess a file's format from its name and content
+ * @param {String} filename - Original file name
+ * @param {Buffer} buffer - File content
+ * @returns {String|null} Format key, or null when it cannot be told
+ */
+export const detectFormat = (filename, buffer) => {
+  const extension = path.extname(filename || '').toLowerCase();
+  const head = buffer.subarray(0, 4096).toString('utf8');
+
+  if (extension === '.zip') return 'qti';
+  if (extension === '.gift') return 'gift';
+  if (extension === '.xml') {
+    if (/<quiz[\s>]/.test(head)) return 'moodle';
+    if (/assessmentItem|imsqti/.test(head)) return 'qti';
+    return null;
+  }
+  if (extension === '.txt') {
+    if (/^\s*ANSWER:\s*[A-Z]\s*$/im.test(head)) return 'aiken';
+    if (/\{[^}]*\}/.test(head)) return 'gift';
+  }
+  return null;
+};
+
+/**
+ * Parse an uploaded quiz file into questions
+ * @param {Buffer} buffer - File content
+ * @param {String} filename - Original file name
+ * @param {String} format - Format key, or 'auto' to detect it
+ * @returns {Object} { format, title, questions, errors }
+ * @throws {Error} When the format is unknown or the file cannot be read at all
+ */
+export const parseQuizFile = (buffer, filename, format = 'auto') => {
+  const formatKey = format === 'auto' || !format ? detectFormat(filename, buffer) : format;
+  if (!Object.hasOwn(FORMATS, formatKey)) {
+    throw new Error('Could not tell the file format; please choose one');
+  }
+
+  const parsed = FORMATS[formatKey].parse(buffer);
+  const questions = [];
+  const errors = [...parsed.errors];
+
+  // Questions that were read but would not save are reported like parse errors
+  parsed.questions.forEach((question, index) => {
+    const problem = getQuestionProblem(question);
+    if (problem) {
+      errors.push({ item: `#${index + 1}`, snippet: snippet(question.text), reason: problem });
+    } else {
+      questions.push(question);
+    }
+  });
+
+  return {
+    format: formatKey,
+    title: parsed.title || path.basename(filename || 'Imported quiz', path.extname(filename || '')),
+    questions,
+    errors,
+  };
+};
+
+/**
+ * Export a quiz's questions in one of the formats
+ * @param {Object} quiz - Quiz with title and questions
+ * @param {String} format - Format key
+ * @returns {Object} { content, filename, mimeType, skipped }
+ * @throws {Error} When the format is unknown
+ */
+export const exportQuiz = (quiz, format) => {
+  if (!Object.hasOwn(FORMATS, format)) throw new Error(`Unknown export format "${format}"`);
+  const definition = FORMATS[format];
+
+  const { content, skipped } = definition.export(quiz);
+  const basename = quiz.title.replace(/[^\w\- ]+/g, '').trim().replace(/\s+/g, '-') || 'quiz';
+  const extension = { moodle: 'xml', gift: 'gift', aiken: 'txt', qti: 'zip' }[format];
+
+  return {
+    content,
+    filename: `${basename}-${format}.${extension}`,
+    mimeType: definition.mimeType,
+    skipped,
+  };
+};
@@ -0,0 +1,322 @@
+/**
+ * Moodle XML import/export
+ * https://docs.moodle.org/en/Moodle_XML_format
+ */
+
+import {
+  parseXml, childElement, childElements, textContent, htmlToText, escapeXml,
+} from './xmlUtils.js';
+import {
+  createQuestion, snippet, toDataUri, fromDataUri, toNumericTolerance, formatFraction,
+} from './common.js';
+
+// Cloze sub-question types that behave like a fill-in-the-blank answer
+const CLOZE_TEXT_TYPES = ['SHORTANSWER', 'SA', 'MW', 'SHORTANSWER_C', 'SAC', 'MWC'];
+const CLOZE_PATTERN = /\{(\d*):([A-Z_]+):((?:\\.|[^}])*)\}/g;
+
+const elementText = (element, name) => textContent(childElement(childElement(element, name), 'text')).trim();
+
+// Images embedded with @@PLUGINFILE@@ references become data URIs
+const extractImage = (html, container) => {
+  const match = /<img[^>]+src=["']([^"']+)["']/i.exec(html || '');
+  if (!match) return '';
+  const src = match[1];
+  if (!src.startsWith('@@PLUGINFILE@@/')) return src;
+
+  const filename = decodeURIComponent(src.slice('@@PLUGINFILE@@/'.length));
+  const file = childElements(container, 'file').find(f => f.attributes.name === filename);
+  return file ? toDataUri(filename, textContent(file)) : '';
+};
+
+const parseAnswers = (element) => childElements(element, 'answer').map(answer => {
+  const html = textContent(childElement(answer, 'text'));
+  return {
+    text: htmlToText(html),
+    image: extractImage(html, answer),
+    feedback: htmlToText(elementText(answer, 'feedback')),
+    fraction: parseFloat(answer.attributes.fraction || '0'),
+    tolerance: parseFloat(textContent(childElement(answer, 'tolerance')) || '0'),
+  };
+});
+
+// Cloze answers look like "=Paris~%50%paris~wrong#feedback"
+const parseClozeAnswers = (body) => body.split(/(?<!\\)~/)
+  .map(part => {
+    const match = /^(=|%(-?\d+(?:\.\d+)?)%)?(.*)$/s.exec(part);
+    const fraction = match[1] === '=' ? 100 : parseFloat(match[2] || '0');
+    const text = match[3].replace(/(?<!\\)#.*$/s, '').replace(/\\(.)/g, '$1').trim();
+    return { text, fraction };
+  })
+  .filter(answer => answer.fraction > 0 && answer.text);
+
+const convertQuestion = (element) => {
+  const type = element.attributes.type;
+  const html = elementText(element, 'questiontext');
+  const text = htmlToText(html);
+  const points = parseFloat(textContent(childElement(element, 'defaultgrade')) || '1');
+  const questionImage = extractImage(html, childElement(element, 'questiontext'));
+  const answers = parseAnswers(element);
+
+  if (!text && type !== 'multianswer') throw new Error('Question text is empty');
+
+  switch (type) {
+    case 'multichoice': {
+      const single = textContent(childElement(element, 'single')).trim() !== 'false';
+      const correct = answers.filter(a => a.fraction > 0);
+      if (answers.length < 2) throw new Error('Multiple choice questions need at least two answers');
+      if (correct.length === 0) throw new Error('No answer has a positive grade');
+      const options = answers.map(a => a.text);
+      const optionImages = answers.some(a => a.image) ? answers.map(a => a.image) : [];
+      if (single) {
+        const best = correct.reduce((a, b) => (b.fraction > a.fraction ? b : a));
+        const optionFeedback = answers.some(a => a.feedback) ? answers.map(a => a.feedback) : [];
+        return createQuestion({ text, type: 'mcq', options, answer: best.text, points, questionImage, optionImages, optionFeedback });
+      }
+      return createQuestion({
+        text, type: 'multiple_select', options, correctOptions: correct.map(a => a.text), points, questionImage, optionImages,
+      });
+    }
+
+    case 'truefalse': {
+      const correct = answers.find(a => a.fraction > 0);
+      if (!correct) throw new Error('No answer has a positive grade');
+      return createQuestion({
+        text,
+        type: 'true_false',
+        options: ['True', 'False'],
+        answer: correct.text.toLowerCase() === 'true' ? 'True' : 'False',
+        points,
+        questionImage,
+      });
+    }
+
+    case 'shortanswer': {
+      const correct = answers.filter(a => a.fraction > 0).sort((a, b) => b.fraction - a.fraction);
+      if (correct.length === 0) throw new Error('No answer has a positive grade');
+      return createQuestion({ text, type: 'short_answer', answer: correct[0].text, points, questionImage });
+    }
+
+    case 'numerical': {
+      const correct = answers.find(a => a.fraction === 100) || answers.find(a => a.fraction > 0);
+      if (!correct || correct.text === '' || Number.isNaN(Number(correct.text))) {
+        throw new Error('No numeric answer with a positive grade');
+      }
+      return createQuestion({
+        text, type: 'numeric', answer: String(Number(correct.text)), tolerance: Math.abs(correct.tolerance || 0), points, questionImage,
+      });
+    }
+
+    case 'essay':
+      return createQuestion({ text, type: 'essay', answer: htmlToText(elementText(element, 'graderinfo')), points, questionImage });
+
+    case 'multianswer': {
+      const blanks = [];
+      let unsupported = null;
+      const clozeText = htmlToText(html.replace(CLOZE_PATTERN, (match, weight, subType, body) => {
+        if (!CLOZE_TEXT_TYPES.includes(subType)) unsupported = subType;
+        blanks.push({ acceptedAnswers: parseClozeAnswers(body).filter(a => a.fraction === 100).map(a => a.text) });
+        return '___';
+      }));
+      if (unsupported) throw new Error(`Embedded ${unsupported} answers are not supported (only short-answer blanks)`);
+      if (blanks.length === 0) throw new Error('Cloze question has no blanks');
+      if (blanks.some(blank => blank.acceptedAnswers.length === 0)) throw new Error('A blank has no fully correct answer');
+      return createQuestion({ text: clozeText, type: 'fill_blank', blanks, points, questionImage });
+    }
+
+    default:
+      throw new Error(`Question type "${type}" is not supported`);
+  }
+};
+
+/**
+ * Parse a Moodle XML question file
+ * @param {String} source - File content
+ * @returns {Object} { title, questions, errors }
+ */
+export const parseMoodleXml = (source) => {
+  const quizElement = childElement(parseXml(source), 'quiz');
+  if (!quizElement) throw new Error('Not a Moodle XML file (missing <quiz> element)');
+
+  const questions = [];
+  const errors = [];
+  let title = '';
+
+  childElements(quizElement, 'question').forEach((element, index) => {
+    const type = element.attributes.type;
+    // Categories and descriptions carry no question to import
+    if (type === 'category') {
+      const path = textContent(childElement(element, 'category')).trim();
+      title = path.split('/').pop().replace(/^\$\w+\$$/, '') || title;
+      return;
+    }
+    if (type === 'description') return;
+
+    try {
+      // General feedback is shown to candidates after they answer, like an explanation
+      questions.push({ ...convertQuestion(element), explanation: htmlToText(elementText(element, 'generalfeedback')) });
+    } catch (error) {
+      errors.push({
+        item: index + 1,
+        title: elementText(element, 'name') || snippet(htmlToText(elementText(element, 'questiontext'))),
+        reason: error.message,
+      });
+    }
+  });
+
+  return { title, questions, errors };
+};
+
+const cdata = (html) => `<![CDATA[${String(html).replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+
+const textToHtml = (text) => escapeXml(text).replace(/\n/g, '<br>');
+
+// Question or answer text, with its image embedded as a plugin file
+const htmlBlock = (tag, text, image, name, attributes = ' format="html"') => {
+  const file = fromDataUri(image, name);
+  const img = image ? `<p><img src="${file ? `@@PLUGINFILE@@/${file.filename}` : escapeXml(image)}" alt=""></p>` : '';
+  const fileXml = file ? `\n      <file name="${file.filename}" path="/" encoding="base64">${file.base64}</file>` : '';
+  return `<${tag}${attributes}>\n      <text>${cdata(`<p>${textToHtml(text)}</p>${img}`)}</text>${fileXml}\n    </${tag}>`;
+};
+
+const answerXml = (fraction, text, image, name, extra = '') => (
+  `    ${htmlBlock('answer', text, image, name, ` fraction="${fraction}" format="html"`).replace('\n    </answer>', `${extra}\n    </answer>`)}`
+);
+
+const feedbackXml = (feedback) => (
+  feedback ? `\n      <feedback format="html"><text>${cdata(`<p>${textToHtml(feedback)}</p>`)}</text></feedback>` : ''
+);
+
+const escapeCloze = (text) => String(text).replace(/([}#~/"\\=])/g, '\\$1');
+
+const exportQuestion = (question, index) => {
+  const name = `q${index + 1}`;
+  const header = (type) => [
+    `  <question type="${type}">`,
+    `    <name><text>${escapeXml(`Question ${index + 1}`)}</text></name>`,
+  ];
+  const footer = [
+    ...(question.explanation ? [`    <generalfeedback format="html"><text>${cdata(`<p>${textToHtml(question.explanation)}</p>`)}</text></generalfeedback>`] : []),
+    `    <defaultgrade>${question.points ?? 1}</defaultgrade>`,
+    '  </question>',
+  ];
+  const questionText = `    ${htmlBlock('questiontext', question.text, question.questionImage, name)}`;
+  const optionImage = (i) => question.optionImages?.[i] || '';
+
+  switch (question.type) {
+    case 'mcq':
+      return [
+        ...header('multichoice'),
+        questionText,
+        '    <single>true</single>',
+        '    <shuffleanswers>true</shuffleanswers>',
+        ...question.options.map((option, i) => answerXml(
+          option === question.answer ? 100 : 0,
+          option,
+          optionImage(i),
+          `${name}-option${i + 1}`,
+          feedbackXml(question.optionFeedback?.[i])
+        )),
+        ...footer,
+      ].join('\n');
+
+    case 'multiple_select': {
+      const correct = question.correctOptions || [];
+      const wrong = question.options.filter(option => !correct.includes(option));
+      return [
+        ...header('multichoice'),
+        questionText,
+        '    <single>false</single>',
+        '    <shuffleanswers>true</shuffleanswers>',
+        ...question.options.map((option, i) => answerXml(
+          correct.includes(option) ? formatFraction(100 / correct.length) : (wrong.length ? formatFraction(-100 / correct.length) : 0),
+          option,
+          optionImage(i),
+          `${name}-option${i + 1}`
+        )),
+        ...footer,
+      ].join('\n');
+    }
+
+    case 'true_false': {
+      const isTrue = String(question.answer).toLowerCase() === 'true';
+      return [
+        ...header('truefalse'),
+        questionText,
+        `    <answer fraction="${isTrue ? 100 : 0}"><text>true</text></answer>`,
+        `    <answer fraction="${isTrue ? 0 : 100}"><text>false</text></answer>`,
+        ...footer,
+      ].join('\n');
+    }
+
+    case 'short_answer':
+      return [
+        ...header('shortanswer'),
+        questionText,
+        '    <usecase>0</usecase>',
+        `    <answer fraction="100"><text>${escapeXml(question.answer)}</text></answer>`,
+        ...footer,
+      ].join('\n');
+
+    case 'numeric': {
+      const { answer, tolerance } = toNumericTolerance(question);
+      return [
+        ...header('numerical'),
+        questionText,
+        `    <answer fraction="100"><text>${answer}</text><tolerance>${tolerance}</tolerance></answer>`,
+        ...footer,
+      ].join('\n');
+    }
+
+    case 'essay':
+      return [
+        ...header('essay'),
+        questionText,
+        `    <graderinfo format="html"><text>${cdata(textToHtml(question.answer || ''))}</text></graderinfo>`,
+        '    <responseformat>editor</responseformat>',
+        ...footer,
+      ].join('\n');
+
+    case 'fill_blank': {
+      let blankIndex = 0;
+      const clozeText = String(question.text).replace(/_{3,}/g, () => {
+        const accepted = question.blanks?.[blankIndex++]?.acceptedAnswers || [];
+        return `{1:SHORTANSWER:${accepted.map(a => `=${escapeCloze(a)}`).join('~')}}`;
+      });
+      return [
+        ...header('multianswer'),
+        `    ${htmlBlock('questiontext', clozeText, question.questionImage, name)}`,
+        ...footer,
+      ].join('\n');
+    }
+
+    default:
+      return null;
+  }
+};
+
+/**
+ * Export a quiz as a Moodle XML question file
+ * @param {Object} quiz - Quiz with title and questions
+ * @returns {Object} { content, skipped }
+ */
+export const exportMoodleXml = (quiz) => {
+  const skipped = [];
+  const questionsXml = quiz.questions.map((question, index) => {
+    const xml = exportQuestion(question, index);
+    if (!xml) skipped.push({ item: index + 1, reason: `Question type "${question.type}" cannot be exported` });
+    return xml;
+  }).filter(Boolean);
+
+  const content = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<quiz>',
+    '  <question type="category">',
+    `    <category><text>$course$/${escapeXml(quiz.title)}</text></category>`,
+    '  </question>',
+    ...questionsXml,
+    '</quiz>',
+    '',
+  ].join('\n');
+
+  return { content, skipped };
+};
@@ -0,0 +1,427 @@
+/**
+ * IMS QTI 2.1 import/export
+ * Imports a content package (.zip with imsmanifest.xml) or a single
+ * assessmentItem XML file; exports a content package
+ * https://www.imsglobal.org/question/qtiv2p1/imsqti_infov2p1.html
+ */
+
+import path from 'path';
+import { Buffer } from 'buffer';
+import XLSX from 'xlsx';
+import {
+  parseXml, childElement, childElements, descendantElements, textContent, serializeXml, htmlToText, escapeXml,
+} from './xmlUtils.js';
+import { createQuestion, snippet, toDataUri, fromDataUri, toNumericTolerance } from './common.js';
+
+// The xlsx package bundles a zip reader/writer
+const { CFB } = XLSX;
+
+const QTI_NAMESPACE = 'http://www.imsglobal.org/xsd/imsqti_v2p1';
+const INTERACTIONS = [
+  'choiceInteraction', 'textEntryInteraction', 'extendedTextInteraction', 'orderInteraction', 'matchInteraction',
+  'associateInteraction', 'gapMatchInteraction', 'inlineChoiceInteraction', 'hottextInteraction', 'hotspotInteraction',
+  'selectPointInteraction', 'graphicOrderInteraction', 'sliderInteraction', 'uploadInteraction', 'drawingInteraction',
+];
+const NUMERIC_BASE_TYPES = ['float', 'integer'];
+
+const isZip = (buffer) => buffer.length > 4 && buffer[0] === 0x50 && buffer[1] === 0x4B;
+
+// Zip entries keyed by their path inside the archive
+const readZip = (buffer) => {
+  const archive = CFB.read(buffer, { type: 'buffer' });
+  const files = {};
+  archive.FullPaths.forEach((fullPath, index) => {
+    const entry = archive.FileIndex[index];
+    if (entry.type !== 2 || !entry.content) return;
+    files[fullPath.replace(/^Root Entry\//, '')] = Buffer.from(entry.content);
+  });
+  return files;
+};
+
+const getResponseDeclarations = (item) => Object.fromEntries(childElements(item, 'responseDeclaration').map(declaration => [
+  declaration.attributes.identifier,
+  {
+    baseType: declaration.attributes.baseType,
+    cardinality: declaration.attributes.cardinality,
+    correct: childElements(childElement(declaration, 'correctResponse'), 'value').map(value => textContent(value).trim()),
+    mapped: descendantElements(declaration, 'mapEntry')
+      .filter(entry => parseFloat(entry.attributes.mappedValue) > 0)
+      .map(entry => entry.attributes.mapKey),
+  },
+]));
+
+const getMaxScore = (item) => {
+  const outcome = childElements(item, 'outcomeDeclaration').find(o => o.attributes.identifier === 'MAXSCORE');
+  const value = parseFloat(textContent(childElement(childElement(outcome, 'defaultValue'), 'value')));
+  return Number.isNaN(value) ? 1 : value;
+};
+
+// Item body as HTML, with interactions swapped out by `replace`
+const renderBody = (node, replace) => {
+  if (typeof node === 'string') return escapeXml(node);
+  if (INTERACTIONS.includes(node.name)) return replace(node);
+  const inner = node.children.map(child => renderBody(child, replace)).join('');
+  const attributes = Object.entries(node.attributes).map(([key, value]) => ` ${key}="${escapeXml(value)}"`).join('');
+  return `<${node.name}${attributes}>${inner}</${node.name}>`;
+};
+
+// Interactions in document order (so text entries line up with their blanks)
+const findInteractions = (node) => childElements(node).flatMap(child => (
+  INTERACTIONS.includes(child.name) ? [child] : findInteractions(child)
+));
+
+// Whether an interaction sits alone in its parent element, rather than inside a sentence
+const isStandalone = (node, interaction) => childElements(node).some(child => (
+  child === interaction
+    ? node.children.every(other => other === interaction || (typeof other === 'string' && !other.trim()))
+    : isStandalone(child, interaction)
+));
+
+const convertItem = (item, resolveImage) => {
+  const body = childElement(item, 'itemBody');
+  if (!body) throw new Error('Item has no itemBody');
+
+  const declarations = getResponseDeclarations(item);
+  const interactions = findInteractions(body);
+  const kinds = [...new Set(interactions.map(interaction => interaction.name))];
+  const points = getMaxScore(item);
+
+  if (kinds.length === 0) throw new Error('Item has no interaction');
+  const unsupported = kinds.find(kind => !['choiceInteraction', 'textEntryInteraction', 'extendedTextInteraction'].includes(kind));
+  if (unsupported) throw new Error(`${unsupported} is not supported`);
+  if (kinds.length > 1 || (kinds[0] !== 'textEntryInteraction' && interactions.length > 1)) {
+    throw new Error('Items with more than one kind of interaction are not supported');
+  }
+
+  const imageOf = (node) => resolveImage(descendantElements(node, 'img')[0]?.attributes.src);
+  const interaction = interactions[0];
+  const declaration = declarations[interaction.attributes.responseIdentifier] || { correct: [], mapped: [] };
+
+  switch (kinds[0]) {
+    case 'choiceInteraction': {
+      // The prompt stays with the question text
+      const html = renderBody(body, node => renderBody(childElement(node, 'prompt') || '', () => ''));
+      const text = htmlToText(html);
+      const choices = childElements(interaction, 'simpleChoice');
+      const options = choices.map(choice => htmlToText(choice.children.map(serializeXml).join('')));
+      const optionImages = choices.some(choice => descendantElements(choice, 'img').length)
+        ? choices.map(imageOf)
+        : [];
+      const correct = choices
+        .filter(choice => declaration.correct.includes(choice.attributes.identifier))
+        .map(choice => options[choices.indexOf(choice)]);
+
+      if (!text) throw new Error('Question text is empty');
+      if (options.length < 2) throw new Error('Choice questions need at least two choices');
+      if (correct.length === 0) throw new Error('No correct response is declared');
+
+      const questionImage = resolveImage(descendantElements(body, 'img').find(img => !choices.some(choice => descendantElements(choice, 'img').includes(img)))?.attributes.src);
+      const isSingle = declaration.cardinality !== 'multiple' && interaction.attributes.maxChoices === '1';
+
+      if (isSingle && options.length === 2 && options.every((option, i) => option.toLowerCase() === ['true', 'false'][i])) {
+        return createQuestion({
+          text, type: 'true_false', options: ['True', 'False'], answer: correct[0].toLowerCase() === 'true' ? 'True' : 'False', points, questionImage,
+        });
+      }
+      if (isSingle) {
+        return createQuestion({ text, type: 'mcq', options, answer: correct[0], points, questionImage, optionImages });
+      }
+      return createQuestion({ text, type: 'multiple_select', options, correctOptions: correct, points, questionImage, optionImages });
+    }
+
+    case 'extendedTextInteraction': {
+      const text = htmlToText(renderBody(body, node => renderBody(childElement(node, 'prompt') || '', () => '')));
+      if (!text) throw new Error('Question text is empty');
+      return createQuestion({ text, type: 'essay', answer: declaration.correct[0] || '', points, questionImage: imageOf(body) });
+    }
+
+    default: {
+      // textEntryInteraction: each entry is a blank in the text
+      const html = renderBody(body, () => ' ___ ');
+      const text = htmlToText(html).replace(/[ \t]+/g, ' ');
+      const questionImage = imageOf(body);
+      const entries = interactions.map(entry => declarations[entry.attributes.responseIdentifier] || { correct: [], mapped: [] });
+
+      if (entries.length === 1 && NUMERIC_BASE_TYPES.includes(entries[0].baseType)) {
+        const answer = Number(entries[0].correct[0]);
+        if (entries[0].correct.length === 0 || Number.isNaN(answer)) throw new Error('No numeric correct response is declared');
+        const equal = descendantElements(childElement(item, 'responseProcessing'), 'equal')[0];
+        const tolerance = equal?.attributes.toleranceMode === 'absolute'
+          ? Math.abs(parseFloat(String(equal.attributes.tolerance).split(/\s+/)[0]) || 0)
+          : 0;
+        return createQuestion({ text: text.replace(/\s*___\s*$/, ''), type: 'numeric', answer: String(answer), tolerance, points, questionImage });
+      }
+
+      const accepted = entries.map(entry => [...new Set([...entry.correct, ...entry.mapped])].filter(Boolean));
+      if (accepted.some(answers => answers.length === 0)) throw new Error('A text entry has no correct response');
+
+      // A single entry in a paragraph of its own reads as a short-answer question
+      if (entries.length === 1 && isStandalone(body, interaction)) {
+        return createQuestion({ text: text.replace(/\s*___$/, ''), type: 'short_answer', answer: accepted[0][0], points, questionImage });
+      }
+      return createQuestion({
+        text, type: 'fill_blank', blanks: accepted.map(acceptedAnswers => ({ acceptedAnswers })), points, questionImage,
+      });
+    }
+  }
+};
+
+/**
+ * Parse a QTI 2.1 content package or a single assessmentItem file
+ * @param {Buffer} buffer - File content
+ * @returns {Object} { title, questions, errors }
+ */
+export const parseQti = (buffer) => {
+  const questions = [];
+  const errors = [];
+  let title = '';
+  let itemFiles;
+  let files = {};
+
+  if (isZip(buffer)) {
+    files = readZip(buffer);
+    const manifest = files['imsmanifest.xml'];
+    const resources = manifest
+      ? descendantElements(parseXml(manifest.toString('utf8')), 'resource')
+      : [];
+    itemFiles = resources.length
+      ? resources.map(resource => resource.attributes.href).filter(href => href && files[href])
+      : Object.keys(files).filter(name => name.endsWith('.xml')).sort();
+  } else {
+    files = { 'item.xml': buffer };
+    itemFiles = ['item.xml'];
+  }
+
+  itemFiles.forEach(file => {
+    let root;
+    try {
+      root = parseXml(files[file].toString('utf8'));
+    } catch (error) {
+      errors.push({ item: file, reason: `Could not read XML: ${error.message}` });
+      return;
+    }
+
+    const test = childElement(root, 'assessmentTest');
+    if (test) {
+      title = test.attributes.title || title;
+      return;
+    }
+
+    const item = childElement(root, 'assessmentItem');
+    if (!item) return;
+
+    // Images are resolved relative to the item file
+    const resolveImage = (src) => {
+      if (!src) return '';
+      if (/^(https?:|data:)/i.test(src)) return src;
+      const imagePath = path.posix.normalize(path.posix.join(path.posix.dirname(file), decodeURIComponent(src)));
+      return files[imagePath] ? toDataUri(imagePath, files[imagePath].toString('base64')) : '';
+    };
+
+    try {
+      questions.push(convertItem(item, resolveImage));
+    } catch (error) {
+      errors.push({
+        item: item.attributes.identifier || file,
+        title: item.attributes.title || snippet(htmlToText(serializeXml(childElement(item, 'itemBody') || ''))),
+        reason: error.message,
+      });
+    }
+  });
+
+  if (!isZip(buffer) && questions.length === 0 && errors.length === 0) {
+    throw new Error('No QTI assessmentItem found in the file');
+  }
+
+  return { title, questions, errors };
+};
+
+const textToHtml = (text) => `<p>${escapeXml(text).replace(/\n/g, '<br/>')}</p>`;
+
+const outcomes = (points) => [
+  '  <outcomeDeclaration identifier="SCORE" cardinality="single" baseType="float"><defaultValue><value>0</value></defaultValue></outcomeDeclaration>',
+  `  <outcomeDeclaration identifier="MAXSCORE" cardinality="single" baseType="float"><defaultValue><value>${points}</value></defaultValue></outcomeDeclaration>`,
+];
+
+const responseDeclaration = (identifier, cardinality, baseType, values, mapKeys = []) => [
+  `  <responseDeclaration identifier="${identifier}" cardinality="${cardinality}" baseType="${baseType}">`,
+  `    <correctResponse>${values.map(value => `<value>${escapeXml(value)}</value>`).join('')}</correctResponse>`,
+  ...(mapKeys.length ? [
+    '    <mapping defaultValue="0">',
+    ...mapKeys.map(key => `      <mapEntry mapKey="${escapeXml(key)}" mappedValue="1" caseSensitive="false"/>`),
+    '    </mapping>',
+  ] : []),
+  '  </responseDeclaration>',
+];
+
+const RESPONSE_TEMPLATES = {
+  match: '  <responseProcessing template="http://www.imsglobal.org/question/qti_v2p1/rptemplates/match_correct"/>',
+  map: '  <responseProcessing template="http://www.imsglobal.org/question/qti_v2p1/rptemplates/map_response"/>',
+};
+
+const toleranceProcessing = (tolerance) => [
+  '  <responseProcessing>',
+  '    <responseCondition>',
+  '      <responseIf>',
+  `        <equal toleranceMode="absolute" tolerance="${tolerance} ${tolerance}"><variable identifier="RESPONSE"/><correct identifier="RESPONSE"/></equal>`,
+  '        <setOutcomeValue identifier="SCORE"><variable identifier="MAXSCORE"/></setOutcomeValue>',
+  '      </responseIf>',
+  '    </responseCondition>',
+  '  </responseProcessing>',
+].join('\n');
+
+// Item XML plus the image files it refers to
+const exportItem = (question, identifier) => {
+  const images = [];
+  const imageTag = (image, name) => {
+    if (!image) return '';
+    const file = fromDataUri(image, name);
+    if (!file) return `<img src="${escapeXml(image)}" alt=""/>`;
+    images.push({ path: `items/images/${file.filename}`, content: Buffer.from(file.base64, 'base64') });
+    return `<img src="images/${file.filename}" alt=""/>`;
+  };
+  const questionImage = question.questionImage ? `<p>${imageTag(question.questionImage, identifier)}</p>` : '';
+  let declarations;
+  let body;
+  let processing;
+
+  switch (question.type) {
+    case 'mcq':
+    case 'multiple_select':
+    case 'true_false': {
+      const options = question.type === 'true_false' ? ['True', 'False'] : question.options;
+      const correct = question.type === 'multiple_select'
+        ? question.correctOptions || []
+        : [options.find(option => option.toLowerCase() === String(question.answer).toLowerCase())];
+      const isMultiple = question.type === 'multiple_select';
+      declarations = responseDeclaration(
+        'RESPONSE',
+        isMultiple ? 'multiple' : 'single',
+        'identifier',
+        options.map((option, i) => (correct.includes(option) ? `choice-${i + 1}` : null)).filter(Boolean)
+      );
+      body = [
+        `    ${textToHtml(question.text)}${questionImage}`,
+        `    <choiceInteraction responseIdentifier="RESPONSE" shuffle="${question.type !== 'true_false'}" maxChoices="${isMultiple ? 0 : 1}">`,
+        ...options.map((option, i) => (
+          `      <simpleChoice identifier="choice-${i + 1}">${escapeXml(option)}${imageTag(question.optionImages?.[i], `${identifier}-option${i + 1}`)}</simpleChoice>`
+        )),
+        '    </choiceInteraction>',
+      ];
+      processing = RESPONSE_TEMPLATES.match;
+      break;
+    }
+
+    case 'short_answer':
+      declarations = responseDeclaration('RESPONSE', 'single', 'string', [question.answer], [question.answer]);
+      body = [`    ${textToHtml(question.text)}${questionImage}`, '    <p><textEntryInteraction responseIdentifier="RESPONSE"/></p>'];
+      processing = RESPONSE_TEMPLATES.map;
+      break;
+
+    case 'numeric': {
+      const { answer, tolerance } = toNumericTolerance(question);
+      declarations = responseDeclaration('RESPONSE', 'single', 'float', [String(answer)]);
+      body = [`    ${textToHtml(question.text)}${questionImage}`, '    <p><textEntryInteraction responseIdentifier="RESPONSE"/></p>'];
+      processing = toleranceProcessing(tolerance);
+      break;
+    }
+
+    case 'essay':
+      declarations = responseDeclaration('RESPONSE', 'single', 'string', question.answer ? [question.answer] : []);
+      body = [`    ${textToHtml(question.text)}${questionImage}`, '    <extendedTextInteraction responseIdentifier="RESPONSE"/>'];
+      processing = '';
+      break;
+
+    case 'fill_blank': {
+      let blankIndex = 0;
+      declarations = (question.blanks || []).flatMap((blank, i) => responseDeclaration(
+        `RESPONSE-${i + 1}`, 'single', 'string', blank.acceptedAnswers.slice(0, 1), blank.acceptedAnswers
+      ));
+      const html = textToHtml(question.text).replace(/_{3,}/g, () => `<textEntryInteraction responseIdentifier="RESPONSE-${++blankIndex}"/>`);
+      body = [`    ${html}${questionImage}`];
+      processing = RESPONSE_TEMPLATES.map;
+      break;
+    }
+
+    default:
+      return null;
+  }
+
+  const xml = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<assessmentItem xmlns="${QTI_NAMESPACE}" identifier="${identifier}" title="${escapeXml(snippet(question.text, 60))}" adaptive="false" timeDependent="false">`,
+    ...declarations,
+    ...outcomes(question.points ?? 1),
+    '  <itemBody>',
+    ...body,
+    '  </itemBody>',
+    ...(processing ? [processing] : []),
+    '</assessmentItem>',
+    '',
+  ].join('\n');
+
+  return { xml, images };
+};
+
+/**
+ * Export a quiz as a QTI 2.1 content package
+ * @param {Object} quiz - Quiz with title and questions
+ * @returns {Object} { content (zip Buffer), skipped }
+ */
+export const exportQti = (quiz) => {
+  const skipped = [];
+  const items = [];
+
+  quiz.questions.forEach((question, index) => {
+    const identifier = `item-${index + 1}`;
+    const item = exportItem(question, identifier);
+    if (!item) {
+      skipped.push({ item: index + 1, reason: `Question type "${question.type}" cannot be exported` });
+      return;
+    }
+    items.push({ identifier, href: `items/${identifier}.xml`, ...item });
+  });
+
+  const test = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<assessmentTest xmlns="${QTI_NAMESPACE}" identifier="test" title="${escapeXml(quiz.title)}">`,
+    '  <testPart identifier="part-1" navigationMode="nonlinear" submissionMode="simultaneous">',
+    '    <assessmentSection identifier="section-1" title="Questions" visible="true">',
+    ...items.map(item => `      <assessmentItemRef identifier="${item.identifier}" href="${item.href}"/>`),
+    '    </assessmentSection>',
+    '  </testPart>',
+    '</assessmentTest>',
+    '',
+  ].join('\n');
+
+  const manifest = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<manifest xmlns="http://www.imsglobal.org/xsd/imscp_v1p1" identifier="manifest">',
+    '  <metadata><schema>QTIv2.1 Package</schema><schemaversion>1.0.0</schemaversion></metadata>',
+    '  <organizations/>',
+    '  <resources>',
+    '    <resource identifier="test" type="imsqti_test_xmlv2p1" href="assessment.xml">',
+    '      <file href="assessment.xml"/>',
+    ...items.map(item => `      <dependency identifierref="${item.identifier}"/>`),
+    '    </resource>',
+    ...items.flatMap(item => [
+      `    <resource identifier="${item.identifier}" type="imsqti_item_xmlv2p1" href="${item.href}">`,
+      `      <file href="${item.href}"/>`,
+      ...item.images.map(image => `      <file href="${image.path}"/>`),
+      '    </resource>',
+    ]),
+    '  </resources>',
+    '</manifest>',
+    '',
+  ].join('\n');
+
+  const archive = CFB.utils.cfb_new();
+  CFB.utils.cfb_add(archive, '/imsmanifest.xml', Buffer.from(manifest, 'utf8'));
+  CFB.utils.cfb_add(archive, '/assessment.xml', Buffer.from(test, 'utf8'));
+  items.forEach(item => {
+    CFB.utils.cfb_add(archive, `/${item.href}`, Buffer.from(item.xml, 'utf8'));
+    item.images.forEach(image => CFB.utils.cfb_add(archive, `/${image.path}`, image.content));
+  });
+
+  return { content: Buffer.from(CFB.write(archive, { fileType: 'zip', type: 'buffer' })), skipped };
+};
@@ -0,0 +1,240 @@
+/**
+ * Spreadsheet (XLSX/CSV) question import
+ * One question per row, with columns for text, type, options, answer, points,
+ * tags and an optional explanation
+ */
+
+import XLSX from 'xlsx';
+import { normalizeTags } from '../questionBankUtils.js';
+import { countBlanks } from '../gradingUtils.js';
+import { createQuestion, getQuestionProblem } from './common.js';
+
+export const SHEET_COLUMNS = ['text', 'type', 'options', 'answer', 'points', 'tags', 'explanation'];
+
+// Other headings people use for the same columns
+const COLUMN_ALIASES = {
+  question: 'text',
+  questiontext: 'text',
+  questiontype: 'type',
+  choices: 'options',
+  correctanswer: 'answer',
+  correct: 'answer',
+  answers: 'answer',
+  marks: 'points',
+  score: 'points',
+  tag: 'tags',
+  feedback: 'explanation',
+  rationale: 'explanation',
+};
+
+const TYPE_ALIASES = {
+  mcq: 'mcq',
+  mc: 'mcq',
+  multiplechoice: 'mcq',
+  choice: 'mcq',
+  multipleselect: 'multiple_select',
+  multiselect: 'multiple_select',
+  selectall: 'multiple_select',
+  checkbox: 'multiple_select',
+  multipleanswer: 'multiple_select',
+  truefalse: 'true_false',
+  tf: 'true_false',
+  shortanswer: 'short_answer',
+  short: 'short_answer',
+  numeric: 'numeric',
+  numerical: 'numeric',
+  number: 'numeric',
+  fillblank: 'fill_blank',
+  fillblanks: 'fill_blank',
+  fillintheblank: 'fill_blank',
+  fillintheblanks: 'fill_blank',
+  cloze: 'fill_blank',
+  essay: 'essay',
+  longanswer: 'essay',
+};
+
+const LIST_SEPARATOR = /\s*\|\s*|\s*\r?\n\s*/;
+const LETTER_PATTERN = /^[A-Z]$/i;
+
+const toKey = (value) => String(value).toLowerCase().replace(/[^a-z]/g, '');
+
+const splitList = (value) => String(value ?? '').split(LIST_SEPARATOR).map(item => item.trim()).filter(Boolean);
+
+// Answers may be written out in full or as the option's letter (A, B, ...)
+const resolveOption = (answer, options) => {
+  const match = options.find(option => option.toLowerCase() === answer.toLowerCase());
+  if (match) return match;
+  if (LETTER_PATTERN.test(answer)) return options[answer.toUpperCase().charCodeAt(0) - 65];
+  return undefined;
+};
+
+// Several correct options, separated by | or written as letters ("A, C")
+const splitAnswers = (answer, options) => (
+  /^[A-Z](\s*,\s*[A-Z])+$/i.test(answer) && !resolveOption(answer, options)
+    ? answer.split(',').map(letter => letter.trim())
+    : splitList(answer)
+);
+
+const parseNumericAnswer = (answer) => {
+  const range = /^(-?[\d.]+)\s*\.\.\s*(-?[\d.]+)$/.exec(answer);
+  if (range) {
+    const [rangeMin, rangeMax] = [Number(range[1]), Number(range[2])];
+    if (Number.isNaN(rangeMin) || Number.isNaN(rangeMax)) throw new Error(`"${answer}" is not a valid range`);
+    if (rangeMin > rangeMax) throw new Error('Range minimum cannot be greater than the maximum');
+    return { answer: '', rangeMin, rangeMax };
+  }
+
+  const [value, tolerance = '0'] = answer.split(/\s*(?:±|\+\/-|\+-)\s*/);
+  if (value === '' || Number.isNaN(Number(value)) || Number.isNaN(Number(tolerance))) {
+    throw new Error('Numeric answers must be a number, "number ± tolerance" or "min..max"');
+  }
+  return { answer: String(Number(value)), tolerance: Math.abs(Number(tolerance)) };
+};
+
+// Build a quiz question from one row; throws with the reason the row cannot be used
+const convertRow = (row) => {
+  const text = String(row.text ?? '').trim();
+  const options = splitList(row.options);
+  const answer = String(row.answer ?? '').trim();
+  const rawType = String(row.type ?? '').trim();
+
+  if (!text) throw new Error('Question text is empty');
+
+  // Without a type, options mean multiple choice (several answers: multiple select)
+  let type = TYPE_ALIASES[toKey(rawType)];
+  if (rawType && !type) throw new Error(`Unknown question type "${rawType}"`);
+  if (!type) type = options.length === 0 ? 'short_answer' : (splitAnswers(answer, options).length > 1 ? 'multiple_select' : 'mcq');
+
+  let points = 1;
+  if (String(row.points ?? '').trim() !== '') {
+    points = Number(row.points);
+    if (Number.isNaN(points) || points < 0) throw new Error('Points must be a number of 0 or more');
+  }
+
+  const base = { text, type, points, explanation: String(row.explanation ?? '').trim() };
+
+  switch (type) {
+    case 'mcq': {
+      if (options.length < 2) throw new Error('Multiple choice questions need at least two options (separated by |)');
+      const correct = resolveOption(answer, options);
+      if (!correct) throw new Error('The answer must match one of the options (or be its letter)');
+      return createQuestion({ ...base, options, answer: correct });
+    }
+
+    case 'multiple_select': {
+      if (options.length < 2) throw new Error('Multiple select questions need at least two options (separated by |)');
+      const answers = splitAnswers(answer, options);
+      if (answers.length === 0) throw new Error('List the correct options in the answer column (separated by |)');
+      const correctOptions = answers.map(item => resolveOption(item, options));
+      const unknown = answers.find((item, i) => !correctOptions[i]);
+      if (unknown) throw new Error(`"${unknown}" is not one of the options`);
+      return createQuestion({ ...base, options, correctOptions: [...new Set(correctOptions)] });
+    }
+
+    case 'true_false': {
+      const key = toKey(answer);
+      if (!['true', 't', 'yes', 'false', 'f', 'no'].includes(key) && !['1', '0'].includes(answer)) {
+        throw new Error('True/false answers must be True or False');
+      }
+      const isTrue = ['true', 't', 'yes'].includes(key) || answer === '1';
+      return createQuestion({ ...base, options: ['True', 'False'], answer: isTrue ? 'True' : 'False' });
+    }
+
+    case 'short_answer':
+      if (!answer) throw new Error('Short answer questions need an answer');
+      return createQuestion({ ...base, answer });
+
+    case 'numeric':
+      if (!answer) throw new Error('Numeric questions need an answer');
+      return createQuestion({ ...base, ...parseNumericAnswer(answer) });
+
+    case 'fill_blank': {
+      // Blanks are separated by |, accepted spellings of one blank by ;
+      const blanks = String(answer).split(/\s*\|\s*/).filter(Boolean).map(blank => ({
+        acceptedAnswers: blank.split(/\s*;\s*/).map(item => item.trim()).filter(Boolean),
+      }));
+      const blankCount = countBlanks(text);
+      if (blankCount === 0) throw new Error('Add at least one blank (___) to the question text');
+      if (blanks.length !== blankCount) {
+        throw new Error(`The text has ${blankCount} blank(s) but the answer column lists ${blanks.length}`);
+      }
+      return createQuestion({ ...base, blanks });
+    }
+
+    default:
+      // Essays: the answer column holds an optional model answer
+      return createQuestion({ ...base, answer });
+  }
+};
+
+/**
+ * Read the question rows of an uploaded spreadsheet
+ * @param {Object} workbook - Workbook read with XLSX
+ * @returns {Object} { questions: [{ row, tags, ...question }], errors: [{ row, text, reason }] }
+ */
+export const parseQuestionSheet = (workbook) => {
+  const worksheet = workbook.Sheets[workbook.SheetNames[0]];
+  const rows = XLSX.utils.sheet_to_json(worksheet, { defval: '', raw: false });
+  const questions = [];
+  const errors = [];
+
+  rows.forEach((rawRow, index) => {
+    // Row numbers as shown in the spreadsheet (skipped blank rows included)
+    const rowNumber = (rawRow.__rowNum__ ?? index + 1) + 1;
+    const row = {};
+    Object.entries(rawRow).forEach(([heading, value]) => {
+      const key = toKey(heading);
+      const column = COLUMN_ALIASES[key] || key;
+      if (SHEET_COLUMNS.includes(column) && row[column] === undefined) row[column] = value;
+    });
+
+    try {
+      const question = convertRow(row);
+      const problem = getQuestionProblem(question);
+      if (problem) throw new Error(problem);
+      questions.push({ row: rowNumber, tags: normalizeTags(row.tags), ...question });
+    } catch (error) {
+      errors.push({ row: rowNumber, text: String(row.text ?? '').trim(), reason: error.message });
+    }
+  });
+
+  return { questions, errors };
+};
+
+/**
+ * Build the question spreadsheet template: an example of each question type
+ * and a sheet explaining the columns
+ * @returns {Buffer} XLSX file
+ */
+export const buildQuestionTemplate = () => {
+  const examples = [
+    { text: 'What is the capital of France?', type: 'mcq', options: 'Berlin | Paris | Madrid | Rome', answer: 'Paris', points: 1, tags: 'geography, europe', explanation: 'Paris is the capital and largest city of France.' },
+    { text: 'Which of these are prime numbers?', type: 'multiple_select', options: '2 | 4 | 5 | 9', answer: '2 | 5', points: 2, tags: 'maths' },
+    { text: 'The Earth orbits the Sun.', type: 'true_false', options: '', answer: 'True', points: 1, tags: 'science' },
+    { text: 'Which gas do plants absorb from the air?', type: 'short_answer', options: '', answer: 'Carbon dioxide', points: 1, tags: 'science, biology' },
+    { text: 'What is the value of pi to two decimal places?', type: 'numeric', options: '', answer: '3.14 ± 0.01', points: 1, tags: 'maths' },
+    { text: 'Water boils at ___ degrees Celsius and freezes at ___.', type: 'fill_blank', options: '', answer: '100 | 0; zero', points: 2, tags: 'science' },
+    { text: 'Explain the causes of the First World War.', type: 'essay', options: '', answer: 'Optional model answer for graders', points: 5, tags: 'history' },
+  ];
+
+  const instructions = [
+    { column: 'text', description: 'Question text (required). For fill in the blanks, write ___ wherever a blank goes.' },
+    { column: 'type', description: 'mcq, multiple_select, true_false, short_answer, numeric, fill_blank or essay. Left empty: mcq when there are options, short_answer otherwise.' },
+    { column: 'options', description: 'Choices for mcq and multiple_select, separated by | (or one per line).' },
+    { column: 'answer', description: 'mcq: the correct option or its letter (A, B, ...). multiple_select: correct options separated by |. true_false: True or False. numeric: a number, "number ± tolerance" or "min..max". fill_blank: one answer per blank separated by |, other accepted spellings of a blank separated by ;. essay: optional model answer.' },
+    { column: 'points', description: 'Points for the question (default 1).' },
+    { column: 'tags', description: 'Comma separated tags, used when the questions are also saved to the question bank.' },
+    { column: 'explanation', description: 'Optional. Why the answer is correct, shown to candidates when they review their submission.' },
+  ];
+
+  const wb = XLSX.utils.book_new();
+  const questionSheet = XLSX.utils.json_to_sheet(examples, { header: SHEET_COLUMNS });
+  questionSheet['!cols'] = [{ wch: 50 }, { wch: 16 }, { wch: 36 }, { wch: 30 }, { wch: 8 }, { wch: 24 }, { wch: 40 }];
+  const instructionSheet = XLSX.utils.json_to_sheet(instructions);
+  instructionSheet['!cols'] = [{ wch: 12 }, { wch: 120 }];
+
+  XLSX.utils.book_append_sheet(wb, questionSheet, 'Questions');
+  XLSX.utils.book_append_sheet(wb, instructionSheet, 'Instructions');
+
+  return XLSX.write(wb, { type: 'buffer', bookType: 'xlsx' });
+};
@@ -0,0 +1,158 @@
+/**
+ * Minimal XML helpers for the quiz import/export formats
+ * Enough of XML for Moodle XML and QTI files: elements, attributes, text,
+ * CDATA and entities. Namespaces are ignored (prefixes are stripped)
+ */
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: '\u00A0' };
+
+/**
+ * Replace XML/HTML entities with the characters they stand for
+ * @param {String} text
+ * @returns {String}
+ */
+export const decodeEntities = (text) => String(text).replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+  if (entity[0] === '#') {
+    const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+    return Number.isNaN(code) ? match : String.fromCodePoint(code);
+  }
+  return ENTITIES[entity.toLowerCase()] ?? match;
+});
+
+/**
+ * Escape text for use in XML content or attributes
+ * @param {String} text
+ * @returns {String}
+ */
+export const escapeXml = (text) => String(text ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+const localName = (name) => name.slice(name.indexOf(':') + 1);
+
+/**
+ * Parse an XML document into a tree of { name, attributes, children }
+ * (children are elements or strings)
+ * @param {String} xml - XML source
+ * @returns {Object} Root element
+ * @throws {Error} When the document is not well formed
+ */
+export const parseXml = (xml) => {
+  const root = { name: '#document', attributes: {}, children: [] };
+  const stack = [root];
+  const source = String(xml).replace(/^\uFEFF/, '');
+  let pos = 0;
+
+  // Position just after the next `marker`
+  const skipPast = (marker, from) => {
+    const end = source.indexOf(marker, from);
+    if (end === -1) throw new Error(`Unterminated markup near "${source.slice(from, from + 30)}"`);
+    return end + marker.length;
+  };
+
+  while (pos < source.length) {
+    const current = stack[stack.length - 1];
+    const next = source.indexOf('<', pos);
+
+    if (next === -1) {
+      current.children.push(decodeEntities(source.slice(pos)));
+      break;
+    }
+    if (next > pos) current.children.push(decodeEntities(source.slice(pos, next)));
+
+    if (source.startsWith('<!--', next)) {
+      pos = skipPast('-->', next);
+    } else if (source.startsWith('<![CDATA[', next)) {
+      pos = skipPast(']]>', next);
+      current.children.push(source.slice(next + 9, pos - 3));
+    } else if (source.startsWith('<?', next)) {
+      pos = skipPast('?>', next);
+    } else if (source.startsWith('<!', next)) {
+      // DOCTYPE (internal subsets are not supported)
+      pos = skipPast('>', next);
+    } else if (source[next + 1] === '/') {
+      pos = skipPast('>', next);
+      const name = localName(source.slice(next + 2, pos - 1).trim());
+      if (stack.length === 1 || current.name !== name) {
+        throw new Error(`Unexpected closing tag </${name}>`);
+      }
+      stack.pop();
+    } else {
+      const match = /^<([^\s/>]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/.exec(source.slice(next));
+      if (!match) throw new Error(`Malformed tag near "${source.slice(next, next + 30)}"`);
+
+      const element = { name: localName(match[1]), attributes: {}, children: [] };
+      const attributePattern = /([^\s=]+)\s*=\s*("([^"]*)"|'([^']*)')/g;
+      let attribute;
+      while ((attribute = attributePattern.exec(match[2])) !== null) {
+        element.attributes[localName(attribute[1])] = decodeEntities(attribute[3] ?? attribute[4]);
+      }
+
+      current.children.push(element);
+      if (!match[3]) stack.push(element);
+      pos = next + match[0].length;
+    }
+  }
+
+  if (stack.length > 1) throw new Error(`Missing closing tag for <${stack[stack.length - 1].name}>`);
+  return root;
+};
+
+const isElement = (node) => typeof node === 'object' && node !== null;
+
+/**
+ * Child elements with the given name (all child elements when no name is given)
+ */
+export const childElements = (element, name) => (element?.children || [])
+  .filter(child => isElement(child) && (!name || child.name === name));
+
+/**
+ * First child element with the given name
+ */
+export const childElement = (element, name) => childElements(element, name)[0] || null;
+
+/**
+ * Every descendant element with the given name, in document order
+ */
+export const descendantElements = (element, name) => childElements(element).flatMap(child => [
+  ...(child.name === name ? [child] : []),
+  ...descendantElements(child, name),
+]);
+
+/**
+ * Concatenated text of an element and its descendants
+ */
+export const textContent = (element) => (element?.children || [])
+  .map(child => (isElement(child) ? textContent(child) : child))
+  .join('');
+
+/**
+ * Serialize an element back to XML (used to keep markup such as HTML inside question text)
+ */
+export const serializeXml = (node) => {
+  if (!isElement(node)) return escapeXml(node);
+  const attributes = Object.entries(node.attributes)
+    .map(([key, value]) => ` ${key}="${escapeXml(value)}"`)
+    .join('');
+  if (node.children.length === 0) return `<${node.name}${attributes}/>`;
+  return `<${node.name}${attributes}>${node.children.map(serializeXml).join('')}</${node.name}>`;
+};
+
+/**
+ * Convert question HTML to the plain text the quiz editor uses
+ * @param {String} html
+ * @returns {String}
+ */
+export const htmlToText = (html) => decodeEntities(
+  String(html || '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|li|h[1-6])>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+)
+  .replace(/\u00A0/g, ' ')
+  .replace(/[ \t]+\n/g, '\n')
+  .replace(/\n{3,}/g, '\n\n')
+  .trim();
@@ -0,0 +1,187 @@
+/**
+ * Quiz versioning helpers
+ * Assignments pin the quiz version they were issued with; these helpers keep
+ * the version snapshots in step with the live quiz
+ */
+
+import QuizVersion from '../models/QuizVersion.js';
+import Assignment from '../models/Assignment.js';
+import User from '../models/User.js';
+import { getAnswerKeySignature, describeCorrectAnswer } from './gradingUtils.js';
+
+// Question fields compared when diffing versions (answer key fields are compared via their signature)
+const DISPLAY_FIELDS = ['text', 'textFormat', 'type', 'options', 'questionImage', 'optionImages', 'explanation', 'optionFeedback'];
+
+const toPlain = (doc) => (doc && doc.toObject ? doc.toObject() : doc);
+
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+// Pool settings that decide which questions a candidate can draw
+const POOL_FIELDS = ['title', 'count', 'tags', 'topic', 'difficulty', 'bloomsLevel', 'type', 'points'];
+
+const poolSettings = (pools) => (pools || []).map(pool => (
+  Object.fromEntries(POOL_FIELDS.map(field => [field, pool[field] ?? null]))
+));
+
+/**
+ * Fingerprint of a quiz's content (title, everything about its questions, and its pools)
+ * @param {String} title - Quiz title
+ * @param {Array} questions - Quiz questions
+ * @param {Array} pools - Question pools
+ * @returns {String}
+ */
+export const getContentSignature = (title, questions, pools = []) => JSON.stringify({
+  title,
+  questions: (questions || []).map(question => ({
+    ...Object.fromEntries(DISPLAY_FIELDS.map(field => [field, question[field] ?? null])),
+    answerKey: getAnswerKeySignature(question),
+  })),
+  pools: poolSettings(pools),
+});
+
+/**
+ * Make sure the quiz's current content is stored as a version
+ * @param {Object} quiz - Quiz document
+ * @param {String} adminId - Who is responsible for the snapshot
+ * @param {String} note - Why the version was created
+ * @returns {Promise<Object>} The QuizVersion for quiz.currentVersion
+ */
+export const ensureQuizVersion = async (quiz, adminId, note = 'Original') => {
+  const version = quiz.currentVersion || 1;
+  const existing = await QuizVersion.findOne({ quizId: quiz._id, version });
+  if (existing) return existing;
+
+  return QuizVersion.create({
+    quizId: quiz._id,
+    version,
+    title: quiz.title,
+    timeLimit: quiz.timeLimit,
+    questions: quiz.questions.map(toPlain),
+    pools: (quiz.pools || []).map(toPlain),
+    note,
+    createdBy: adminId || quiz.adminId,
+  });
+};
+
+/**
+ * Assignments of a quiz that candidates are taking right now. Moving these to
+ * a newer version would grade them against questions they never saw
+ * @param {String} quizId
+ * @returns {Promise<Array>} Assignment ids
+ */
+export const getAssignmentsInUse = async (quizId) => {
+  const assignmentIds = await Assignment.find({ quizId }).distinct('_id');
+  const inProgress = await User.distinct('testsInProgress.assignmentId', { 'testsInProgress.assignmentId': { $in: assignmentIds } });
+  const ids = new Set(assignmentIds.map(String));
+  return inProgress.filter(id => ids.has(String(id)));
+};
+
+/**
+ * Store new content for a quiz as the next version. The quiz is saved, and
+ * assignments nobody has submitted yet move to the new version
+ * @param {Object} quiz - Quiz document with the new content already applied
+ * @param {String} adminId - Who made the change
+ * @param {String} note - Why the version was created
+ * @returns {Promise<Number>} The new version number
+ */
+export const publishQuizVersion = async (quiz, adminId, note = 'Edited') => {
+  // Assignments from before versioning were issued with the content being replaced
+  await Assignment.updateMany(
+    { quizId: quiz._id, quizVersion: null },
+    { quizVersion: quiz.currentVersion || 1 }
+  );
+
+  const latest = await QuizVersion.findOne({ quizId: quiz._id }).sort({ version: -1 }).select('version');
+  quiz.currentVersion = Math.max(quiz.currentVersion || 1, latest?.version || 0) + 1;
+  await quiz.save();
+  await ensureQuizVersion(quiz, adminId, note);
+
+  // Only assignments nobody has submitted or is taking move to the new version
+  const inUse = await getAssignmentsInUse(quiz._id);
+  await Assignment.updateMany(
+    { quizId: quiz._id, _id: { $nin: inUse }, 'submissions.0': { $exists: false } },
+    { quizVersion: quiz.currentVersion }
+  );
+
+  return quiz.currentVersion;
+};
+
+// The content an assignment was issued with: its pinned version, or the live quiz
+const getIssuedContent = async (assignment) => {
+  const quiz = assignment.quizId;
+  if (!quiz) return null;
+
+  const pinned = assignment.quizVersion;
+  if (!pinned || pinned === (quiz.currentVersion || 1)) return quiz;
+
+  const version = await QuizVersion.findOne({ quizId: quiz._id, version: pinned });
+  return version || quiz;
+};
+
+/**
+ * Questions an assignment was issued with
+ * @param {Object} assignment - Assignment with quizId populated (including currentVersion)
+ * @returns {Promise<Array>} Questions of the pinned version, or the live quiz's questions
+ */
+export const getAssignmentQuestions = async (assignment) => {
+  const content = await getIssuedContent(assignment);
+  return content?.questions || [];
+};
+
+/**
+ * Question pools an assignment was issued with
+ * @param {Object} assignment - Assignment with quizId populated (including pools and currentVersion)
+ * @returns {Promise<Array>} Pools of the pinned version, or the live quiz's pools
+ */
+export const getAssignmentPools = async (assignment) => {
+  const content = await getIssuedContent(assignment);
+  return content?.pools || [];
+};
+
+/**
+ * Compare two versions of a quiz question by question
+ * @param {Object} from - Older QuizVersion
+ * @param {Object} to - Newer QuizVersion
+ * @returns {Object} { title, pools, added, removed, changed }
+ */
+export const diffQuizVersions = (from, to) => {
+  const fromQuestions = new Map(from.questions.map(q => [q._id.toString(), toPlain(q)]));
+  const toQuestions = new Map(to.questions.map(q => [q._id.toString(), toPlain(q)]));
+
+  const added = [];
+  const changed = [];
+  toQuestions.forEach((question, id) => {
+    const previous = fromQuestions.get(id);
+    if (!previous) {
+      added.push({ questionId: id, text: question.text });
+      return;
+    }
+
+    const fields = DISPLAY_FIELDS.filter(field => !sameValue(previous[field], question[field]));
+    if (getAnswerKeySignature(previous) !== getAnswerKeySignature(question)) {
+      fields.push('answerKey');
+    }
+    if (fields.length > 0) {
+      changed.push({
+        questionId: id,
+        fields,
+        before: { text: previous.text, type: previous.type, options: previous.options, answer: describeCorrectAnswer(previous) },
+        after: { text: question.text, type: question.type, options: question.options, answer: describeCorrectAnswer(question) },
+      });
+    }
+  });
+
+  const removed = [...fromQuestions.entries()]
+    .filter(([id]) => !toQuestions.has(id))
+    .map(([id, question]) => ({ questionId: id, text: question.text }));
+
+  return {
+    title: from.title === to.title ? null : { before: from.title, after: to.title },
+    pools: sameValue(poolSettings(from.pools), poolSettings(to.pools))
+      ? null
+      : { before: poolSettings(from.pools), after: poolSettings(to.pools) },
+    added,
+    removed,
+    changed,
+  };
+};
@@ -0,0 +1,108 @@
+/**
+ * Result release notifications
+ * Candidates who submitted while an assignment's results were still hidden get
+ * an email once the results are released. server.js runs the check on an
+ * interval (RESULT_RELEASE_CHECK_MINUTES, every 5 minutes by default)
+ */
+
+import Assignment, { RESULT_RELEASE_LEVELS } from '../models/Assignment.js';
+import { getResultRelease } from './resultReleaseUtils.js';
+import { sendResultsReleasedEmail } from './emailService.js';
+
+const VISIBLE_LEVELS = RESULT_RELEASE_LEVELS.filter(level => level !== 'none');
+
+let isRunning = false;
+
+/**
+ * Email every candidate whose results have been released since they submitted
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} { notified, errors } (errors: { email, reason } for
+ *   each email that failed; those candidates are tried again on the next run)
+ */
+export const notifyReleasedResults = async (now = new Date()) => {
+  // Assignments from before per-assignment release (level null) follow the
+  // class's showResults switch, which never notifies
+  const assignments = await Assignment.find({
+    'resultRelease.level': { $in: VISIBLE_LEVELS },
+    submissions: { $elemMatch: { resultsNotifiedAt: null } },
+  })
+    .select('quizId classId dueDate resultRelease submissions._id submissions.candidateId submissions.resultsNotifiedAt')
+    .populate('quizId', 'title')
+    .populate('classId', 'title')
+    .populate('submissions.candidateId', 'name email')
+    .lean();
+
+  const results = { notified: 0, errors: [] };
+
+  for (const assignment of assignments) {
+    const release = getResultRelease(assignment, assignment.classId, now);
+    if (!release.released) continue;
+
+    // One email per candidate, however many of their attempts are waiting
+    const waiting = new Map();
+    for (const submission of assignment.submissions) {
+      if (submission.resultsNotifiedAt || !submission.candidateId) continue;
+      const key = String(submission.candidateId._id);
+      if (!waiting.has(key)) waiting.set(key, { candidate: submission.candidateId, ids: [] });
+      waiting.get(key).ids.push(submission._id);
+    }
+
+    const notifiedIds = [];
+    for (const { candidate, ids } of waiting.values()) {
+      if (candidate.email) {
+        try {
+          await sendResultsReleasedEmail(candidate.email, candidate.name, {
+            quizTitle: assignment.quizId?.title || 'Quiz',
+            className: assignment.classId?.title || '',
+            classId: assignment.classId?._id,
+            level: release.level,
+          });
+        } catch (error) {
+          // Left unmarked, so the next run tries again
+          results.errors.push({ email: candidate.email, reason: error.message });
+          continue;
+        }
+      }
+      // Candidates without an email address are marked too, so they are not retried forever
+      notifiedIds.push(...ids);
+      results.notified += 1;
+    }
+
+    if (notifiedIds.length > 0) {
+      // updateOne keeps this from racing with submissions saved meanwhile
+      await Assignment.updateOne(
+        { _id: assignment._id },
+        { $set: { 'submissions.$[sub].resultsNotifiedAt': now } },
+        { arrayFilters: [{ 'sub._id': { $in: notifiedIds } }] }
+      );
+    }
+  }
+
+  return results;
+};
+
+/**
+ * Check for released results on an interval. Does nothing when email is not configured
+ * @returns {Object|null} The interval timer, or null when not started
+ */
+export const startResultReleaseNotifier = () => {
+  if (!process.env.EMAIL_USER) return null;
+
+  const minutes = Number(process.env.RESULT_RELEASE_CHECK_MINUTES) || 5;
+  const timer = setInterval(async () => {
+    // Skip a tick rather than overlap a slow run
+    if (isRunning) return;
+    isRunning = true;
+    try {
+      await notifyReleasedResults();
+    } catch {
+      // Candidates not marked as notified yet are tried again on the next run
+    } finally {
+      isRunning = false;
+    }
+  }, minutes * 60 * 1000);
+
+  // Don't keep the process alive just for this
+  timer.unref();
+  return timer;
+};
@@ -0,0 +1,117 @@
+/**
+ * Result release helpers
+ * Each assignment decides how much of a submission candidates see (nothing, the
+ * score, which answers were right, or the full answer key) and from when
+ */
+
+import { RESULT_RELEASE_LEVELS, RESULT_RELEASE_TIMINGS } from '../models/Assignment.js';
+import { describeCorrectAnswer, getQuestionPoints } from './gradingUtils.js';
+
+// Levels that let candidates go through their answers question by question
+const REVIEW_LEVELS = ['correctness', 'answer_key'];
+
+/**
+ * Work out what candidates can see of their submissions to an assignment
+ * @param {Object} assignment - Assignment with resultRelease and dueDate
+ * @param {Object} classData - The assignment's class (its showResults switch is
+ *   used by assignments from before per-assignment release)
+ * @param {Date} now - Current time
+ * @returns {Object} { level, released, releaseAt, showScore, reviewAvailable }
+ *   (releaseAt is null when results are released on submission or never)
+ */
+export const getResultRelease = (assignment, classData, now = new Date()) => {
+  const settings = assignment.resultRelease || {};
+  const level = settings.level || (classData?.showResults ? 'score' : 'none');
+
+  let releaseAt = null;
+  if (level !== 'none' && settings.timing === 'after_due') {
+    releaseAt = new Date(assignment.dueDate);
+  } else if (level !== 'none' && settings.timing === 'scheduled' && settings.releaseAt) {
+    releaseAt = new Date(settings.releaseAt);
+  }
+
+  const released = level !== 'none' && (!releaseAt || now >= releaseAt);
+  return {
+    level,
+    released,
+    releaseAt,
+    showScore: released,
+    reviewAvailable: released && REVIEW_LEVELS.includes(level),
+  };
+};
+
+/**
+ * Check result release settings sent by an admin
+ * @param {Object} resultRelease - { level, timing, releaseAt }
+ * @returns {String|null} Error message, or null when the settings are valid
+ */
+export const validateResultRelease = (resultRelease) => {
+  if (!resultRelease || typeof resultRelease !== 'object') {
+    return 'Result release settings must be an object';
+  }
+  const { level, timing, releaseAt } = resultRelease;
+  if (!RESULT_RELEASE_LEVELS.includes(level)) {
+    return `Result release level must be one of: ${RESULT_RELEASE_LEVELS.join(', ')}`;
+  }
+  if (timing !== undefined && !RESULT_RELEASE_TIMINGS.includes(timing)) {
+    return `Result release timing must be one of: ${RESULT_RELEASE_TIMINGS.join(', ')}`;
+  }
+  if (timing === 'scheduled' && (!releaseAt || isNaN(new Date(releaseAt).getTime()))) {
+    return 'A release date and time is required for scheduled results';
+  }
+  return null;
+};
+
+/**
+ * Turn validated result release settings into what is stored on the assignment
+ * @param {Object} resultRelease - { level, timing, releaseAt }
+ * @returns {Object}
+ */
+export const toResultRelease = ({ level, timing = 'immediately', releaseAt }) => ({
+  level,
+  timing,
+  releaseAt: timing === 'scheduled' ? new Date(releaseAt) : null,
+});
+
+/**
+ * Build one question of a candidate's review
+ * @param {Object} question - Plain question object, as the candidate saw it
+ * @param {Object} answer - The candidate's stored answer (undefined when there is none)
+ * @param {Boolean} answerKey - Include the correct answers, explanations and
+ *   option feedback (false at the 'correctness' level)
+ * @returns {Object}
+ */
+export const toReviewItem = (question, answer, answerKey = true) => {
+  const isEssay = question.type === 'essay';
+  const item = {
+    questionId: question._id,
+    questionText: question.text,
+    textFormat: question.textFormat || 'plain',
+    questionType: question.type,
+    questionImage: question.questionImage || '',
+    options: question.options || [],
+    optionImages: question.optionImages || [],
+    optionFeedback: question.optionFeedback || [],
+    // Essays have a model answer for graders, not an answer key
+    correctAnswer: isEssay ? '' : describeCorrectAnswer(question),
+    correctOptions: question.type === 'mcq' || question.type === 'true_false'
+      ? [question.answer]
+      : question.correctOptions || [],
+    candidateAnswer: answer ? answer.selectedAnswer : '',
+    candidateAnswers: answer?.selectedAnswers || [],
+    isCorrect: answer ? answer.isCorrect : false,
+    pointsAwarded: answer?.pointsAwarded ?? 0,
+    pointsPossible: answer?.pointsPossible ?? getQuestionPoints(question),
+    gradingStatus: answer?.gradingStatus || 'auto',
+    feedback: answer?.feedback || '',
+    explanation: question.explanation || '',
+  };
+
+  if (!answerKey) {
+    item.correctAnswer = '';
+    item.correctOptions = [];
+    item.optionFeedback = [];
+    item.explanation = '';
+  }
+  return item;
+};
@@ -0,0 +1,72 @@
+/**
+ * Seeded shuffling helpers
+ * Each candidate gets their own question and option order, derived from the
+ * assignment and candidate ids so it is the same on every load
+ */
+
+// Option order is only shuffled where it carries no meaning
+const SHUFFLABLE_OPTION_TYPES = ['mcq', 'multiple_select'];
+
+// Turn a string into a 32-bit seed (FNV-1a)
+const hashString = (value) => {
+  let hash = 2166136261;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+};
+
+// Small seeded PRNG (mulberry32) returning numbers in [0, 1)
+const createRandom = (seed) => {
+  let state = seed;
+  return () => {
+    state = (state + 0x6D2B79F5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Shuffle a copy of an array with a seeded Fisher-Yates shuffle
+ * @param {Array} array - Items to shuffle
+ * @param {String} seed - Same seed, same order
+ * @returns {Array}
+ */
+export const seededShuffle = (array, seed) => {
+  const random = createRandom(hashString(seed));
+  const shuffled = [...array];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+};
+
+/**
+ * Put a candidate's questions (and their options) in that candidate's order
+ * @param {Array} questions - Plain question objects, in quiz order
+ * @param {Object} assignment - Assignment with shuffleQuestions / shuffleOptions settings
+ * @param {String} candidateId - Candidate's user id
+ * @returns {Array} New question objects in the candidate's order
+ */
+export const orderQuestionsForCandidate = (questions, assignment, candidateId) => {
+  const seed = `${assignment._id}:${candidateId}`;
+  const ordered = assignment.shuffleQuestions === false ? [...questions] : seededShuffle(questions, seed);
+
+  if (!assignment.shuffleOptions) return ordered;
+
+  return ordered.map(question => {
+    if (!SHUFFLABLE_OPTION_TYPES.includes(question.type) || !question.options?.length) return question;
+
+    // Option images and feedback travel with their options
+    const order = seededShuffle(question.options.map((_, index) => index), `${seed}:${question._id}`);
+    return {
+      ...question,
+      options: order.map(index => question.options[index]),
+      optionImages: question.optionImages?.length ? order.map(index => question.optionImages[index] || '') : question.optionImages,
+      optionFeedback: question.optionFeedback?.length ? order.map(index => question.optionFeedback[index] || '') : question.optionFeedback,
+    };
+  });
+};
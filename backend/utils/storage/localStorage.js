@@ -0,0 +1,50 @@
+/**
+ * Local disk storage adapter
+ * Files are written under a directory the server already serves statically
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * Create a storage adapter that keeps files on the local disk
+ * @param {Object} options
+ * @param {String} options.directory - Directory files are written to
+ * @param {String} options.publicUrl - URL the directory is served from (e.g. '/uploads')
+ * @returns {Object} Storage adapter { name, save, read, remove, getUrl }
+ */
+export const createLocalStorage = ({ directory, publicUrl }) => {
+  const root = path.resolve(directory);
+
+  // Keys are relative paths; never let one point outside the storage directory
+  const resolveKey = (key) => {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(root + path.sep)) {
+      throw new Error(`Invalid storage key "${key}"`);
+    }
+    return filePath;
+  };
+
+  const getUrl = (key) => `${publicUrl.replace(/\/$/, '')}/${key}`;
+
+  return {
+    name: 'local',
+
+    async save(key, buffer) {
+      const filePath = resolveKey(key);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, buffer);
+      return getUrl(key);
+    },
+
+    async read(key) {
+      return fs.readFile(resolveKey(key));
+    },
+
+    async remove(key) {
+      await fs.rm(resolveKey(key), { force: true });
+    },
+
+    getUrl,
+  };
+};
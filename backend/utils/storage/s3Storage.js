@@ -0,0 +1,174 @@
+/**
+ * S3-compatible storage adapter
+ * Talks to the S3 REST API directly (PUT/DELETE object, signed with AWS
+ * Signature Version 4), so it works with AWS S3 and with stand-ins such as
+ * MinIO or LocalStack
+ */
+
+import crypto from 'crypto';
+import { Buffer } from 'buffer';
+
+const sha256Hex = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+// Percent-encode everything except the characters S3 leaves unreserved
+const encodeRfc3986 = (value) => encodeURIComponent(value)
+  .replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+
+// 20130524T000000Z
+const toAmzDate = (date) => date.toISOString().replace(/[:-]|\.\d{3}/g, '');
+
+/**
+ * Sign a request with AWS Signature Version 4
+ * @param {Object} request
+ * @param {String} request.method - HTTP method
+ * @param {URL} request.url - Full request URL
+ * @param {Object} request.headers - Headers to sign (host is added automatically)
+ * @param {String} request.payloadHash - Hex SHA-256 of the request body
+ * @param {String} request.region - Signing region
+ * @param {String} request.accessKeyId - Access key
+ * @param {String} request.secretAccessKey - Secret key
+ * @param {Date} request.date - Signing time (defaults to now)
+ * @param {String} request.service - Service name (defaults to 's3')
+ * @returns {Object} Headers to send, including Authorization
+ */
+export const signRequest = ({
+  method,
+  url,
+  headers = {},
+  payloadHash,
+  region,
+  accessKeyId,
+  secretAccessKey,
+  date = new Date(),
+  service = 's3',
+}) => {
+  const amzDate = toAmzDate(date);
+  const dateStamp = amzDate.slice(0, 8);
+
+  const signedHeaderValues = {
+    ...Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), String(value).trim()])),
+    host: url.host,
+    'x-amz-content-sha256': payloadHash,
+    'x-amz-date': amzDate,
+  };
+  const headerNames = Object.keys(signedHeaderValues).sort();
+  const signedHeaders = headerNames.join(';');
+
+  // 1. Canonical request
+  const canonicalUri = url.pathname
+    .split('/')
+    .map(segment => encodeRfc3986(decodeURIComponent(segment)))
+    .join('/');
+  const canonicalQuery = [...url.searchParams.entries()]
+    .map(([name, value]) => [encodeRfc3986(name), encodeRfc3986(value)])
+    .sort(([a, aValue], [b, bValue]) => (a === b ? (aValue < bValue ? -1 : 1) : (a < b ? -1 : 1)))
+    .map(([name, value]) => `${name}=${value}`)
+    .join('&');
+  const canonicalHeaders = headerNames.map(name => `${name}:${signedHeaderValues[name]}\n`).join('');
+  const canonicalRequest = [
+    method,
+    canonicalUri,
+    canonicalQuery,
+    canonicalHeaders,
+    signedHeaders,
+    payloadHash,
+  ].join('\n');
+
+  // 2. String to sign
+  const scope = `${dateStamp}/${region}/${service}/aws4_request`;
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+
+  // 3. Signature, from a key derived for this day, region and service
+  const signingKey = hmac(hmac(hmac(hmac(`AWS4${secretAccessKey}`, dateStamp), region), service), 'aws4_request');
+  const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+  // fetch sets Host itself
+  const sendHeaders = { ...signedHeaderValues };
+  delete sendHeaders.host;
+  return {
+    ...sendHeaders,
+    Authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`,
+  };
+};
+
+/**
+ * Create a storage adapter for an S3-compatible bucket
+ * @param {Object} options
+ * @param {String} options.bucket - Bucket name
+ * @param {String} options.region - Region (MinIO accepts any, usually 'us-east-1')
+ * @param {String} options.accessKeyId - Access key
+ * @param {String} options.secretAccessKey - Secret key
+ * @param {String} options.endpoint - Service URL; defaults to AWS S3 for the region
+ * @param {Boolean} options.forcePathStyle - Address objects as endpoint/bucket/key (needed by most stand-ins)
+ * @param {String} options.publicUrl - Base URL objects are read from, if not the bucket itself (e.g. a CDN)
+ * @returns {Object} Storage adapter { name, save, read, remove, getUrl }
+ */
+export const createS3Storage = ({
+  bucket,
+  region = 'us-east-1',
+  accessKeyId,
+  secretAccessKey,
+  endpoint,
+  forcePathStyle = false,
+  publicUrl,
+}) => {
+  if (!bucket || !accessKeyId || !secretAccessKey) {
+    throw new Error('S3 storage needs a bucket, access key and secret key');
+  }
+
+  const serviceUrl = new URL(endpoint || `https://s3.${region}.amazonaws.com`);
+  const basePath = serviceUrl.pathname.replace(/\/$/, '');
+
+  const objectUrl = (key) => {
+    const encodedKey = key.split('/').map(encodeRfc3986).join('/');
+    return forcePathStyle
+      ? new URL(`${serviceUrl.protocol}//${serviceUrl.host}${basePath}/${bucket}/${encodedKey}`)
+      : new URL(`${serviceUrl.protocol}//${bucket}.${serviceUrl.host}${basePath}/${encodedKey}`);
+  };
+
+  const send = async (method, key, body, headers = {}) => {
+    const url = objectUrl(key);
+    const signedHeaders = signRequest({
+      method,
+      url,
+      headers,
+      payloadHash: sha256Hex(body || ''),
+      region,
+      accessKeyId,
+      secretAccessKey,
+    });
+
+    const response = await fetch(url, { method, headers: signedHeaders, body });
+    if (!response.ok && !(method === 'DELETE' && response.status === 404)) {
+      const detail = await response.text();
+      throw new Error(`S3 ${method} ${key} failed with ${response.status}: ${detail.slice(0, 200)}`);
+    }
+    return response;
+  };
+
+  const getUrl = (key) => (
+    publicUrl ? `${publicUrl.replace(/\/$/, '')}/${key}` : objectUrl(key).toString()
+  );
+
+  return {
+    name: 's3',
+
+    async save(key, buffer, contentType = 'application/octet-stream') {
+      await send('PUT', key, buffer, { 'content-type': contentType });
+      return getUrl(key);
+    },
+
+    async read(key) {
+      const response = await send('GET', key);
+      return Buffer.from(await response.arrayBuffer());
+    },
+
+    async remove(key) {
+      await send('DELETE', key);
+    },
+
+    getUrl,
+  };
+};
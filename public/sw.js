@@ -0,0 +1,66 @@
+/**
+ * Service worker
+ * Keeps the app loading without a connection, so a quiz that is already open
+ * can be finished and its submission queued (see src/utils/offlineQuiz.js).
+ * Pages, built assets and uploaded images are fetched from the network first
+ * and from the cache when it is down; API requests always go to the network
+ */
+
+const CACHE_NAME = 'theodoraq-app-v2';
+
+/**
+ * Same-origin scripts, stylesheets and icons the page links to
+ * @param {String} html - the page's HTML
+ * @returns {Array} URLs to cache
+ */
+const getPageAssets = (html) => {
+  const urls = [...html.matchAll(/<(?:script|link)\b[^>]*?\b(?:src|href)="([^"]+)"/g)]
+    .map(match => new URL(match[1], self.location.origin));
+  return [...new Set(urls.filter(url => url.origin === self.location.origin).map(url => url.href))];
+};
+
+// Cache the page together with its built assets, so a reload without a
+// connection still has everything it needs to start
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    fetch('/')
+      .then(response => {
+        if (!response.ok) throw new Error('Failed to fetch the page');
+        return response.clone().text()
+          .then(html => caches.open(CACHE_NAME)
+            .then(cache => Promise.all([cache.put('/', response), cache.addAll(getPageAssets(html))])));
+      })
+  );
+  self.skipWaiting();
+});
+
+// Drop caches from earlier versions
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== 'GET' || url.origin !== self.location.origin || url.pathname.startsWith('/api/')) {
+    return;
+  }
+
+  event.respondWith(
+    fetch(request)
+      .then(response => {
+        if (response.ok) {
+          const copy = response.clone();
+          caches.open(CACHE_NAME).then(cache => cache.put(request, copy));
+        }
+        return response;
+      })
+      // Every route is the same single-page app
+      .catch(() => caches.match(request)
+        .then(cached => cached || (request.mode === 'navigate' ? caches.match('/') : Response.error())))
+  );
+});
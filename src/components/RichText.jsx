@@ -0,0 +1,58 @@
+import React, { useMemo } from 'react';
+import { Typography } from '@mui/material';
+import 'katex/dist/katex.min.css';
+import 'highlight.js/styles/github.css';
+import { renderRichText } from '../utils/richText';
+
+const richTextStyles = {
+  '& > :first-of-type': { mt: 0 },
+  '& > :last-child': { mb: 0 },
+  '& p': { my: 1 },
+  '& pre': {
+    p: 1.5,
+    my: 1,
+    bgcolor: '#f6f8fa',
+    borderRadius: 1,
+    overflowX: 'auto',
+    fontSize: '0.875rem',
+  },
+  '& code': { fontFamily: 'monospace', fontSize: '0.9em' },
+  '& :not(pre) > code': { px: 0.5, bgcolor: '#f0f0f0', borderRadius: 0.5 },
+  '& img': { maxWidth: '100%' },
+  '& table': { borderCollapse: 'collapse', my: 1 },
+  '& th, & td': { border: '1px solid #e0e0e0', px: 1, py: 0.5 },
+  '& .rich-text-math': { overflowX: 'auto' },
+  '& .rich-text-blank': { letterSpacing: '0.1em' },
+};
+
+/**
+ * Question text, an option or an explanation. Plain text is shown as written;
+ * text in the 'markdown' format is rendered as sanitized Markdown with LaTeX
+ * and highlighted code
+ */
+const RichText = ({ text, format = 'plain', inline = false, variant = 'body1', component, sx }) => {
+  const html = useMemo(
+    () => (format === 'markdown' ? renderRichText(text, { inline }) : null),
+    [text, format, inline]
+  );
+
+  if (html === null) {
+    return (
+      <Typography variant={variant} component={component || (inline ? 'span' : 'p')} sx={sx}>
+        {text}
+      </Typography>
+    );
+  }
+
+  return (
+    <Typography
+      variant={variant}
+      component={component || (inline ? 'span' : 'div')}
+      className="rich-text"
+      sx={{ ...richTextStyles, ...sx }}
+      dangerouslySetInnerHTML={{ __html: html }}
+    />
+  );
+};
+
+export default RichText;
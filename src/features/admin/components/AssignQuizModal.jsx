@@ -6,16 +6,31 @@ import {
   Autocomplete, Chip, Box, Switch
 } from '@mui/material';
 import { useAuth } from '../../auth/contexts/AuthContext';
+import ResultReleaseField from './ResultReleaseField';
+import RetakeSettingsFields from './RetakeSettingsFields';
+import LatePenaltyField from './LatePenaltyField';
+import { EMPTY_RESULT_RELEASE, getResultReleaseError, toResultReleasePayload } from '../../../utils/resultRelease';
+import { getAvailabilityError, toOptionalISODate } from '../../../utils/availability';
+import { EMPTY_LATE_PENALTY, getLatePenaltyError, toLatePenaltyPayload } from '../../../utils/latePenalty';
 
 const AssignQuizModal = ({ open, onClose, quiz, classId, onSuccess, token }) => {
   const [classes, setClasses] = useState([]); // Admin's classes
   const [selectedClass, setSelectedClass] = useState('');
+  const [availableFrom, setAvailableFrom] = useState(''); // Optional: when candidates can start
   const [dueDate, setDueDate] = useState('');
+  const [closeDate, setCloseDate] = useState(''); // Optional: hard cutoff for late submissions
   const [timeLimit, setTimeLimit] = useState(60); // Default 60 mins
   const [weightage, setWeightage] = useState(0); // Weightage value
   const [weightageType, setWeightageType] = useState('percentage'); // 'percentage' or 'marks'
   const [selectedBranches, setSelectedBranches] = useState([]); // Array of selected branches
   const [proctoringEnabled, setProctoringEnabled] = useState(false); // AI Proctoring toggle
+  const [negativeMarking, setNegativeMarking] = useState(0); // Fraction of points deducted per wrong answer
+  const [partialCredit, setPartialCredit] = useState(true); // Partial credit on multi-part answers
+  const [shuffleQuestions, setShuffleQuestions] = useState(true); // Per-candidate question order
+  const [shuffleOptions, setShuffleOptions] = useState(false); // Per-candidate option order
+  const [resultRelease, setResultRelease] = useState(EMPTY_RESULT_RELEASE); // What candidates see of their results, and when
+  const [retakes, setRetakes] = useState({ maxAttempts: 1, attemptCooldown: 0, scoringRule: 'highest' }); // Attempts per candidate
+  const [latePenalty, setLatePenalty] = useState(EMPTY_LATE_PENALTY); // Blank policy = class default
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
   const [isLoading, setIsLoading] = useState(false);
@@ -76,12 +91,21 @@ const AssignQuizModal = ({ open, onClose, quiz, classId, onSuccess, token }) =>
     } else {
       // Reset form when modal closes
       setSelectedClass('');
+      setAvailableFrom('');
       setDueDate('');
+      setCloseDate('');
       setTimeLimit(60);
       setWeightage(0);
       setWeightageType('percentage');
       setSelectedBranches([]);
       setProctoringEnabled(false);
+      setNegativeMarking(0);
+      setPartialCredit(true);
+      setShuffleQuestions(true);
+      setShuffleOptions(false);
+      setResultRelease(EMPTY_RESULT_RELEASE);
+      setRetakes({ maxAttempts: 1, attemptCooldown: 0, scoringRule: 'highest' });
+      setLatePenalty(EMPTY_LATE_PENALTY);
       setError('');
       setSuccess('');
     }
@@ -96,6 +120,12 @@ const AssignQuizModal = ({ open, onClose, quiz, classId, onSuccess, token }) =>
       return;
     }
 
+    const availabilityError = getAvailabilityError({ availableFrom, dueDate, closeDate });
+    if (availabilityError) {
+      setError(availabilityError);
+      return;
+    }
+
     // Validate weightage based on type
     if (weightageType === 'percentage' && (weightage < 0 || weightage > 100)) {
       setError('Weightage percentage must be between 0 and 100.');
@@ -107,6 +137,34 @@ const AssignQuizModal = ({ open, onClose, quiz, classId, onSuccess, token }) =>
       return;
     }
 
+    if (negativeMarking < 0 || negativeMarking > 1) {
+      setError('Negative marking must be between 0 and 1.');
+      return;
+    }
+
+    const maxAttemptsNum = Number(retakes.maxAttempts);
+    if (!Number.isInteger(maxAttemptsNum) || maxAttemptsNum < 1) {
+      setError('Maximum attempts must be a whole number of at least 1.');
+      return;
+    }
+
+    if (Number(retakes.attemptCooldown) < 0) {
+      setError('Cooldown between attempts cannot be negative.');
+      return;
+    }
+
+    const penaltyError = getLatePenaltyError(latePenalty);
+    if (penaltyError) {
+      setError(penaltyError);
+      return;
+    }
+
+    const releaseError = getResultReleaseError(resultRelease);
+    if (releaseError) {
+      setError(releaseError);
+      return;
+    }
+
     setIsLoading(true);
 
     // Determine subgroup value to send to backend
@@ -129,12 +187,23 @@ const AssignQuizModal = ({ open, onClose, quiz, classId, onSuccess, token }) =>
         body: JSON.stringify({
           quizId: quiz._id,
           classId: selectedClass,
-          dueDate,
+          availableFrom: toOptionalISODate(availableFrom),
+          dueDate: new Date(dueDate).toISOString(),
+          closeDate: toOptionalISODate(closeDate),
           timeLimit: Number(timeLimit),
           weightage: Number(weightage),
           weightageType: weightageType,
           subgroup: subgroupValue,
-          proctoringEnabled: proctoringEnabled
+          proctoringEnabled: proctoringEnabled,
+          negativeMarking: Number(negativeMarking),
+          partialCredit: partialCredit,
+          shuffleQuestions: shuffleQuestions,
+          shuffleOptions: shuffleOptions,
+          maxAttempts: Number(retakes.maxAttempts),
+          attemptCooldown: Number(retakes.attemptCooldown) || 0,
+          scoringRule: retakes.scoringRule,
+          latePenalty: toLatePenaltyPayload(latePenalty),
+          resultRelease: toResultReleasePayload(resultRelease)
         })
       });
 
@@ -273,6 +342,18 @@ const AssignQuizModal = ({ open, onClose, quiz, classId, onSuccess, token }) =>
           </Typography>
         </Alert>
         
+        <TextField
+          label="Opens At"
+          type="datetime-local"
+          fullWidth
+          margin="normal"
+          value={availableFrom}
+          onChange={(e) => setAvailableFrom(e.target.value)}
+          InputLabelProps={{ shrink: true }}
+          disabled={isLoading || !!success}
+          helperText="Leave blank to open the quiz as soon as it is assigned"
+        />
+
         <TextField
           label="Due Date & Time *"
           type="datetime-local"
@@ -284,6 +365,18 @@ const AssignQuizModal = ({ open, onClose, quiz, classId, onSuccess, token }) =>
           disabled={isLoading || !!success}
         />
 
+        <TextField
+          label="Closes At"
+          type="datetime-local"
+          fullWidth
+          margin="normal"
+          value={closeDate}
+          onChange={(e) => setCloseDate(e.target.value)}
+          InputLabelProps={{ shrink: true }}
+          disabled={isLoading || !!success}
+          helperText="No submissions, even late ones, are accepted after this. Leave blank to follow the class's late submission setting"
+        />
+
         <TextField
           label="Time Limit (minutes) *"
           type="number"
@@ -337,6 +430,76 @@ const AssignQuizModal = ({ open, onClose, quiz, classId, onSuccess, token }) =>
           }
         />
 
+        {/* Scoring Rules */}
+        <TextField
+          label="Negative Marking (fraction of points)"
+          type="number"
+          fullWidth
+          margin="normal"
+          value={negativeMarking}
+          onChange={(e) => setNegativeMarking(e.target.value)}
+          inputProps={{ min: 0, max: 1, step: 0.05 }}
+          disabled={isLoading || !!success}
+          helperText="Deducted from a question's points for each wrong answer (e.g., 0.25 = quarter mark). Unanswered questions are never penalised. Leave as 0 to turn off."
+        />
+
+        <FormControlLabel
+          control={
+            <Switch
+              checked={partialCredit}
+              onChange={(e) => setPartialCredit(e.target.checked)}
+              color="primary"
+              disabled={isLoading || !!success}
+            />
+          }
+          label="Partial credit for multiple-select and fill-in-the-blank questions"
+          sx={{ mb: 1 }}
+        />
+
+        {/* Ordering */}
+        <FormControlLabel
+          control={
+            <Switch
+              checked={shuffleQuestions}
+              onChange={(e) => setShuffleQuestions(e.target.checked)}
+              color="primary"
+              disabled={isLoading || !!success}
+            />
+          }
+          label="Shuffle question order for each candidate"
+        />
+        <FormControlLabel
+          control={
+            <Switch
+              checked={shuffleOptions}
+              onChange={(e) => setShuffleOptions(e.target.checked)}
+              color="primary"
+              disabled={isLoading || !!success}
+            />
+          }
+          label="Shuffle answer options for each candidate"
+          sx={{ mb: 1 }}
+        />
+
+        <RetakeSettingsFields
+          {...retakes}
+          onChange={(field, value) => setRetakes(prev => ({ ...prev, [field]: value }))}
+          disabled={isLoading || !!success}
+        />
+
+        <LatePenaltyField
+          value={latePenalty}
+          onChange={setLatePenalty}
+          classDefault
+          disabled={isLoading || !!success}
+        />
+
+        <ResultReleaseField
+          value={resultRelease}
+          onChange={setResultRelease}
+          disabled={isLoading || !!success}
+        />
+
         {/* AI Proctoring Section */}
         <Box>
           <FormControlLabel
@@ -28,7 +28,9 @@ import VisibilityIcon from '@mui/icons-material/Visibility';
 import OpenInNewIcon from '@mui/icons-material/OpenInNew';
 import EditIcon from '@mui/icons-material/Edit';
 import EditNoteIcon from '@mui/icons-material/EditNote';
+import MoreTimeIcon from '@mui/icons-material/MoreTime';
 import EditAssignmentDialog from './EditAssignmentDialog';
+import ExtensionsDialog from './ExtensionsDialog';
 import Loader from '../../../components/Loader';
 import DeleteIcon from '@mui/icons-material/Delete';
 
@@ -49,6 +51,9 @@ const AssignmentsTab = ({ classId }) => {
   const [editDialogOpen, setEditDialogOpen] = useState(false);
   const [assignmentToEdit, setAssignmentToEdit] = useState(null);
 
+  // Extensions dialog state
+  const [assignmentForExtensions, setAssignmentForExtensions] = useState(null);
+
   // Delete confirmation dialog state
   const [deleteDialogOpen, setDeleteDialogOpen] = useState(false);
   const [assignmentToDelete, setAssignmentToDelete] = useState(null);
@@ -248,6 +253,8 @@ const AssignmentsTab = ({ classId }) => {
                 ? calculateAverageScore(assignment.submissions) 
                 : '-';
               const isOverdue = new Date(assignment.dueDate) < new Date();
+              const isUpcoming = assignment.availableFrom && new Date(assignment.availableFrom) > new Date();
+              const isClosed = assignment.closeDate && new Date(assignment.closeDate) < new Date();
 
               return (
                 <TableRow key={assignment._id} hover>
@@ -324,8 +331,13 @@ const AssignmentsTab = ({ classId }) => {
                   <TableCell align="center">
                     <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'center', gap: 1 }}>
                       {formatDate(assignment.dueDate)}
+                      {isUpcoming && (
+                        <Tooltip title={`Opens ${formatDate(assignment.availableFrom)}`}>
+                          <Chip label="Upcoming" color="info" size="small" />
+                        </Tooltip>
+                      )}
                       {isOverdue && (
-                        <Chip label="Overdue" color="error" size="small" />
+                        <Chip label={isClosed ? 'Closed' : 'Overdue'} color="error" size="small" />
                       )}
                     </Box>
                   </TableCell>
@@ -351,6 +363,15 @@ const AssignmentsTab = ({ classId }) => {
                           <EditIcon fontSize="small" />
                         </IconButton>
                       </Tooltip>
+                      <Tooltip title={assignment.extensions?.length ? `Extensions (${assignment.extensions.length})` : 'Extensions'}>
+                        <IconButton
+                          color={assignment.extensions?.length ? 'secondary' : 'default'}
+                          size="small"
+                          onClick={() => setAssignmentForExtensions(assignment)}
+                        >
+                          <MoreTimeIcon fontSize="small" />
+                        </IconButton>
+                      </Tooltip>
                       <Button
                         variant="outlined"
                         size="small"
@@ -505,6 +526,17 @@ const AssignmentsTab = ({ classId }) => {
         onSuccess={handleEditSuccess}
       />
 
+      {/* Extensions Dialog (the list is refreshed once it closes) */}
+      <ExtensionsDialog
+        open={Boolean(assignmentForExtensions)}
+        onClose={() => {
+          setAssignmentForExtensions(null);
+          fetchAssignments();
+        }}
+        assignment={assignmentForExtensions}
+        classId={classId}
+      />
+
       {/* Delete Confirmation Dialog */}
       <Dialog
         open={deleteDialogOpen}
@@ -0,0 +1,375 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  TextField,
+  Grid,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  Checkbox,
+  IconButton,
+  Box,
+  Typography,
+  Alert,
+} from '@mui/material';
+import AddIcon from '@mui/icons-material/Add';
+import DeleteIcon from '@mui/icons-material/Delete';
+import {
+  QUESTION_TYPES,
+  DIFFICULTY_LEVELS,
+  BLOOMS_LEVELS,
+  syncBlanks,
+  validateAnswerKey,
+  normalizeQuestion,
+} from '../../../utils/questionTypes';
+import TextFormatSwitch from './TextFormatSwitch';
+import RichTextPreview from './RichTextPreview';
+import QuestionFeedbackFields from './QuestionFeedbackFields';
+
+const EMPTY_QUESTION = {
+  text: '',
+  textFormat: 'plain',
+  type: 'mcq',
+  options: ['', '', '', ''],
+  answer: '',
+  correctOptions: [],
+  tolerance: 0,
+  rangeMin: null,
+  rangeMax: null,
+  blanks: [],
+  points: 1,
+  explanation: '',
+  optionFeedback: [],
+  tags: [],
+  topic: '',
+  difficulty: 'medium',
+  bloomsLevel: 'remember',
+};
+
+// Options used by each question type when switching types
+const defaultOptionsFor = (type) => {
+  if (type === 'true_false') return ['True', 'False'];
+  if (type === 'mcq' || type === 'multiple_select') return ['', '', '', ''];
+  return [];
+};
+
+/**
+ * Create or edit a question in the question bank
+ */
+const BankQuestionDialog = ({ open, onClose, question, token, onSaved }) => {
+  const [form, setForm] = useState(EMPTY_QUESTION);
+  const [tagsInput, setTagsInput] = useState('');
+  const [error, setError] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    if (open) {
+      setForm(question ? { ...EMPTY_QUESTION, ...question } : EMPTY_QUESTION);
+      setTagsInput((question?.tags || []).join(', '));
+      setError('');
+    }
+  }, [open, question]);
+
+  const handleChange = (field, value) => {
+    setForm(prev => {
+      const next = { ...prev, [field]: value };
+      if (field === 'type') {
+        next.options = defaultOptionsFor(value);
+        next.answer = '';
+        next.correctOptions = [];
+        next.optionFeedback = [];
+        next.blanks = syncBlanks(next);
+      }
+      if (field === 'text' && prev.type === 'fill_blank') {
+        next.blanks = syncBlanks(next);
+      }
+      return next;
+    });
+  };
+
+  const handleOptionChange = (index, value) => {
+    setForm(prev => {
+      const options = [...prev.options];
+      const previous = options[index];
+      options[index] = value;
+      return {
+        ...prev,
+        options,
+        answer: prev.answer === previous ? value : prev.answer,
+        correctOptions: (prev.correctOptions || []).map(opt => (opt === previous ? value : opt)),
+      };
+    });
+  };
+
+  // Removes the option together with its feedback
+  const handleDeleteOption = (index) => {
+    setForm(prev => ({
+      ...prev,
+      options: prev.options.filter((_, i) => i !== index),
+      optionFeedback: (prev.optionFeedback || []).filter((_, i) => i !== index),
+    }));
+  };
+
+  const handleToggleCorrectOption = (option) => {
+    setForm(prev => {
+      const current = prev.correctOptions || [];
+      return {
+        ...prev,
+        correctOptions: current.includes(option) ? current.filter(opt => opt !== option) : [...current, option],
+      };
+    });
+  };
+
+  const handleBlankChange = (index, value) => {
+    setForm(prev => {
+      const blanks = syncBlanks(prev);
+      // Alternative spellings are entered separated by "|"
+      blanks[index] = { acceptedAnswers: value.split('|') };
+      return { ...prev, blanks };
+    });
+  };
+
+  const handleSave = async () => {
+    if (!form.text.trim()) {
+      setError('Question text is required');
+      return;
+    }
+    const answerKeyError = validateAnswerKey(form);
+    if (answerKeyError) {
+      setError(answerKeyError);
+      return;
+    }
+
+    setIsSaving(true);
+    setError('');
+    try {
+      const url = question?._id
+        ? `http://localhost:5000/api/question-bank/${question._id}`
+        : 'http://localhost:5000/api/question-bank';
+      const response = await fetch(url, {
+        method: question?._id ? 'PUT' : 'POST',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ ...normalizeQuestion(form), tags: tagsInput }),
+      });
+
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.message || 'Failed to save question');
+      }
+
+      onSaved(result.data);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const hasOptions = ['mcq', 'multiple_select', 'true_false'].includes(form.type);
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="md" fullWidth>
+      <DialogTitle>{question?._id ? `Edit Bank Question (revision ${question.revision})` : 'New Bank Question'}</DialogTitle>
+      <DialogContent dividers>
+        {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+
+        <Grid container spacing={2}>
+          <Grid size={{ xs: 12 }}>
+            <TextField
+              fullWidth
+              multiline
+              minRows={2}
+              label="Question Text"
+              value={form.text}
+              onChange={(e) => handleChange('text', e.target.value)}
+              helperText={form.type === 'fill_blank' ? 'Type ___ wherever a blank should appear' : ''}
+            />
+            <Box sx={{ mt: 1 }}>
+              <TextFormatSwitch format={form.textFormat} onChange={(textFormat) => handleChange('textFormat', textFormat)} />
+            </Box>
+            <RichTextPreview question={form} />
+          </Grid>
+          <Grid size={{ xs: 12, sm: 6 }}>
+            <FormControl fullWidth>
+              <InputLabel>Question Type</InputLabel>
+              <Select value={form.type} label="Question Type" onChange={(e) => handleChange('type', e.target.value)}>
+                {QUESTION_TYPES.map(t => <MenuItem key={t.value} value={t.value}>{t.label}</MenuItem>)}
+              </Select>
+            </FormControl>
+          </Grid>
+          <Grid size={{ xs: 12, sm: 6 }}>
+            <TextField
+              fullWidth
+              type="number"
+              label="Points"
+              value={form.points ?? 1}
+              onChange={(e) => handleChange('points', e.target.value)}
+              inputProps={{ min: 0, step: 0.5 }}
+            />
+          </Grid>
+
+          {/* Options and answer key */}
+          {hasOptions && (
+            <Grid size={{ xs: 12 }}>
+              <Typography variant="subtitle2" gutterBottom>
+                Options {form.type === 'multiple_select' ? '(tick every correct option)' : '(pick the correct option)'}
+              </Typography>
+              {form.options.map((option, index) => (
+                <Box key={index} sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 1 }}>
+                  {form.type === 'multiple_select' ? (
+                    <Checkbox
+                      checked={(form.correctOptions || []).includes(option) && option !== ''}
+                      onChange={() => handleToggleCorrectOption(option)}
+                      disabled={!option}
+                    />
+                  ) : (
+                    <Checkbox
+                      checked={form.answer === option && option !== ''}
+                      onChange={() => handleChange('answer', option)}
+                      disabled={!option}
+                    />
+                  )}
+                  <TextField
+                    fullWidth
+                    size="small"
+                    value={option}
+                    onChange={(e) => handleOptionChange(index, e.target.value)}
+                    disabled={form.type === 'true_false'}
+                    placeholder={`Option ${index + 1}`}
+                  />
+                  {form.type !== 'true_false' && form.options.length > 2 && (
+                    <IconButton
+                      size="small"
+                      onClick={() => handleDeleteOption(index)}
+                    >
+                      <DeleteIcon fontSize="small" />
+                    </IconButton>
+                  )}
+                </Box>
+              ))}
+              {form.type !== 'true_false' && (
+                <Button size="small" startIcon={<AddIcon />} onClick={() => handleChange('options', [...form.options, ''])}>
+                  Add Option
+                </Button>
+              )}
+            </Grid>
+          )}
+
+          {form.type === 'numeric' && (
+            <>
+              <Grid size={{ xs: 6, sm: 3 }}>
+                <TextField fullWidth type="number" label="Correct Value" value={form.answer ?? ''}
+                  onChange={(e) => handleChange('answer', e.target.value)} inputProps={{ step: 'any' }} />
+              </Grid>
+              <Grid size={{ xs: 6, sm: 3 }}>
+                <TextField fullWidth type="number" label="Tolerance" value={form.tolerance ?? 0}
+                  onChange={(e) => handleChange('tolerance', e.target.value)} inputProps={{ min: 0, step: 'any' }} />
+              </Grid>
+              <Grid size={{ xs: 6, sm: 3 }}>
+                <TextField fullWidth type="number" label="Range Min" value={form.rangeMin ?? ''}
+                  onChange={(e) => handleChange('rangeMin', e.target.value)} inputProps={{ step: 'any' }} />
+              </Grid>
+              <Grid size={{ xs: 6, sm: 3 }}>
+                <TextField fullWidth type="number" label="Range Max" value={form.rangeMax ?? ''}
+                  onChange={(e) => handleChange('rangeMax', e.target.value)} inputProps={{ step: 'any' }} />
+              </Grid>
+            </>
+          )}
+
+          {form.type === 'fill_blank' && (
+            <Grid size={{ xs: 12 }}>
+              {syncBlanks(form).map((blank, index) => (
+                <TextField
+                  key={index}
+                  fullWidth
+                  size="small"
+                  label={`Blank ${index + 1}`}
+                  value={(blank.acceptedAnswers || []).join('|')}
+                  onChange={(e) => handleBlankChange(index, e.target.value)}
+                  helperText="Separate alternative accepted answers with |"
+                  sx={{ mb: 1 }}
+                />
+              ))}
+            </Grid>
+          )}
+
+          {(form.type === 'short_answer' || form.type === 'essay') && (
+            <Grid size={{ xs: 12 }}>
+              <TextField
+                fullWidth
+                multiline
+                minRows={2}
+                label={form.type === 'essay' ? 'Model Answer / Grading Notes (optional)' : 'Expected Answer'}
+                value={form.answer || ''}
+                onChange={(e) => handleChange('answer', e.target.value)}
+              />
+            </Grid>
+          )}
+
+          <Grid size={{ xs: 12 }}>
+            <QuestionFeedbackFields question={form} onChange={handleChange} />
+          </Grid>
+
+          {/* Bank metadata */}
+          <Grid size={{ xs: 12, sm: 6 }}>
+            <TextField
+              fullWidth
+              label="Topic"
+              value={form.topic}
+              onChange={(e) => handleChange('topic', e.target.value)}
+              placeholder="e.g., Cell Biology"
+            />
+          </Grid>
+          <Grid size={{ xs: 12, sm: 6 }}>
+            <TextField
+              fullWidth
+              label="Tags"
+              value={tagsInput}
+              onChange={(e) => setTagsInput(e.target.value)}
+              placeholder="e.g., mitosis, chapter-3"
+              helperText="Separate tags with commas"
+            />
+          </Grid>
+          <Grid size={{ xs: 12, sm: 6 }}>
+            <FormControl fullWidth>
+              <InputLabel>Difficulty</InputLabel>
+              <Select value={form.difficulty} label="Difficulty" onChange={(e) => handleChange('difficulty', e.target.value)}>
+                {DIFFICULTY_LEVELS.map(d => <MenuItem key={d.value} value={d.value}>{d.label}</MenuItem>)}
+              </Select>
+            </FormControl>
+          </Grid>
+          <Grid size={{ xs: 12, sm: 6 }}>
+            <FormControl fullWidth>
+              <InputLabel>Bloom's Level</InputLabel>
+              <Select value={form.bloomsLevel} label="Bloom's Level" onChange={(e) => handleChange('bloomsLevel', e.target.value)}>
+                {BLOOMS_LEVELS.map(b => <MenuItem key={b.value} value={b.value}>{b.label}</MenuItem>)}
+              </Select>
+            </FormControl>
+          </Grid>
+        </Grid>
+
+        {question?._id && (
+          <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mt: 2 }}>
+            Content changes create a new revision. Quizzes using this question can then be updated from its usage list.
+          </Typography>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose} disabled={isSaving}>Cancel</Button>
+        <Button variant="contained" onClick={handleSave} disabled={isSaving}>
+          {isSaving ? 'Saving...' : 'Save'}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default BankQuestionDialog;
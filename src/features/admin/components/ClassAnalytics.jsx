@@ -27,6 +27,8 @@ import {
   IconButton,
 } from '@mui/material';
 import Loader from '../../../components/Loader';
+import RichText from '../../../components/RichText';
+import QuestionTimingTable from './QuestionTimingTable';
 import {
   Chart as ChartJS,
   CategoryScale,
@@ -168,7 +170,15 @@ const ClassAnalytics = ({ classId, token }) => {
     );
   }
 
-  const { classInfo, totalAssignments, totalSubmissions, classAverage, studentPerformance } = analyticsData;
+  const {
+    classInfo,
+    totalAssignments,
+    totalSubmissions,
+    classAverage,
+    studentPerformance,
+    questionTiming = [],
+    questionTimingThresholds,
+  } = analyticsData;
 
   // Student Performance Line Chart (Wave Chart)
   const performanceLineData = {
@@ -448,6 +458,11 @@ const ClassAnalytics = ({ classId, token }) => {
         </Box>
       </Paper>
 
+      {/* Time per Question */}
+      {questionTimingThresholds && (
+        <QuestionTimingTable questions={questionTiming} thresholds={questionTimingThresholds} />
+      )}
+
       {/* Student Rankings Table */}
       <Paper sx={{ p: { xs: 2, sm: 3 }, overflowX: 'auto' }}>
         <Typography variant="h6" fontWeight="600" gutterBottom>
@@ -629,9 +644,12 @@ const ClassAnalytics = ({ classId, token }) => {
                     {studentDetails.weakPoints.map((weak, index) => (
                       <Paper key={index} sx={{ p: 2, border: '1px solid', borderColor: 'divider' }}>
                         <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'start', mb: 1 }}>
-                          <Typography variant="body2" fontWeight="600" sx={{ flex: 1, pr: 2 }}>
-                            {weak.questionText}
-                          </Typography>
+                          <RichText
+                            text={weak.questionText}
+                            format={weak.textFormat}
+                            variant="body2"
+                            sx={{ flex: 1, pr: 2, fontWeight: 600 }}
+                          />
                           <Chip 
                             label={`${weak.successRate.toFixed(0)}%`}
                             size="small"
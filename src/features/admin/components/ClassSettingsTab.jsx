@@ -26,6 +26,8 @@ import ContentCopyIcon from '@mui/icons-material/ContentCopy';
 import RefreshIcon from '@mui/icons-material/Refresh';
 import { useNavigate } from 'react-router-dom';
 import { useAuth } from '../../auth/contexts/AuthContext';
+import LatePenaltyField from './LatePenaltyField';
+import { latePenaltyFromSettings, getLatePenaltyError, toLatePenaltyPayload } from '../../../utils/latePenalty';
 
 const ClassSettingsTab = ({ classData, onClassUpdated }) => {
   const { token } = useAuth();
@@ -43,6 +45,11 @@ const ClassSettingsTab = ({ classData, onClassUpdated }) => {
   const [showResults, setShowResults] = useState(classData?.showResults ?? true);
   const [showRosterToCandidates, setShowRosterToCandidates] = useState(classData?.showRosterToCandidates ?? false);
   const [showLeaderboardToCandidates, setShowLeaderboardToCandidates] = useState(classData?.showLeaderboardToCandidates ?? false);
+  // Classes without a late penalty show "No penalty" rather than a blank policy
+  const [latePenalty, setLatePenalty] = useState(() => {
+    const settings = latePenaltyFromSettings(classData?.latePenalty);
+    return { ...settings, policy: settings.policy || 'none' };
+  });
   
   // UI states
   const [isUpdating, setIsUpdating] = useState(false);
@@ -54,10 +61,17 @@ const ClassSettingsTab = ({ classData, onClassUpdated }) => {
 
   // Handle update class details
   const handleUpdateClass = async () => {
-    setIsUpdating(true);
     setSuccessMessage('');
     setErrorMessage('');
 
+    const penaltyError = getLatePenaltyError(latePenalty);
+    if (penaltyError) {
+      setErrorMessage(penaltyError);
+      return;
+    }
+
+    setIsUpdating(true);
+
     try {
       const response = await fetch(`/api/classes/${classData._id}`, {
         method: 'PUT',
@@ -72,6 +86,7 @@ const ClassSettingsTab = ({ classData, onClassUpdated }) => {
           semester,
           academicYear,
           allowLateSubmissions,
+          latePenalty: toLatePenaltyPayload(latePenalty),
           showResults,
           showRosterToCandidates,
           showLeaderboardToCandidates,
@@ -279,6 +294,9 @@ const ClassSettingsTab = ({ classData, onClassUpdated }) => {
               }
             />
 
+            {/* Also applies to assignments with their own close date */}
+            <LatePenaltyField value={latePenalty} onChange={setLatePenalty} />
+
             <FormControlLabel
               control={
                 <Switch
@@ -290,7 +308,7 @@ const ClassSettingsTab = ({ classData, onClassUpdated }) => {
                 <Box>
                   <Typography variant="body1">Show Results to Candidates</Typography>
                   <Typography variant="caption" color="text.secondary">
-                    Candidates can view their quiz results immediately after submission
+                    Default for new assignments; each assignment can set what candidates see and when
                   </Typography>
                 </Box>
               }
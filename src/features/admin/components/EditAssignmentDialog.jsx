@@ -12,7 +12,6 @@ import {
   Chip,
   Stack,
   FormControlLabel,
-  Checkbox,
   RadioGroup,
   Radio,
   FormLabel,
@@ -25,28 +24,54 @@ import { AdapterDateFns } from '@mui/x-date-pickers/AdapterDateFns';
 import AccessTimeIcon from '@mui/icons-material/AccessTime';
 import EventIcon from '@mui/icons-material/Event';
 import ScaleIcon from '@mui/icons-material/Scale';
+import ResultReleaseField from './ResultReleaseField';
+import RetakeSettingsFields from './RetakeSettingsFields';
+import LatePenaltyField from './LatePenaltyField';
+import { EMPTY_RESULT_RELEASE, resultReleaseFromAssignment, getResultReleaseError, toResultReleasePayload } from '../../../utils/resultRelease';
+import { getAvailabilityError, toOptionalISODate } from '../../../utils/availability';
+import { EMPTY_LATE_PENALTY, latePenaltyFromSettings, getLatePenaltyError, toLatePenaltyPayload } from '../../../utils/latePenalty';
 
 const EditAssignmentDialog = ({ open, onClose, assignment, onSuccess }) => {
+  const [availableFrom, setAvailableFrom] = useState(null);
   const [dueDate, setDueDate] = useState(null);
+  const [closeDate, setCloseDate] = useState(null);
   const [timeLimit, setTimeLimit] = useState('');
   const [weightage, setWeightage] = useState('');
   const [weightageType, setWeightageType] = useState('percentage');
-  const [allowRetake, setAllowRetake] = useState(false);
   const [subgroup, setSubgroup] = useState('');
   const [proctoringEnabled, setProctoringEnabled] = useState(false);
+  const [negativeMarking, setNegativeMarking] = useState('0');
+  const [partialCredit, setPartialCredit] = useState(true);
+  const [shuffleQuestions, setShuffleQuestions] = useState(true);
+  const [shuffleOptions, setShuffleOptions] = useState(false);
+  const [resultRelease, setResultRelease] = useState(EMPTY_RESULT_RELEASE);
+  const [retakes, setRetakes] = useState({ maxAttempts: '1', attemptCooldown: '0', scoringRule: 'highest' });
+  const [latePenalty, setLatePenalty] = useState(EMPTY_LATE_PENALTY);
   const [error, setError] = useState('');
   const [isSubmitting, setIsSubmitting] = useState(false);
 
   // Initialize values when dialog opens
   useEffect(() => {
     if (assignment) {
+      setAvailableFrom(assignment.availableFrom ? new Date(assignment.availableFrom) : null);
       setDueDate(new Date(assignment.dueDate));
+      setCloseDate(assignment.closeDate ? new Date(assignment.closeDate) : null);
       setTimeLimit(assignment.timeLimit.toString());
       setWeightage((assignment.weightage || 0).toString());
       setWeightageType(assignment.weightageType || 'percentage');
-      setAllowRetake(false);
       setSubgroup(assignment.subgroup || '');
       setProctoringEnabled(assignment.proctoringEnabled || false);
+      setNegativeMarking((assignment.negativeMarking || 0).toString());
+      setPartialCredit(assignment.partialCredit ?? true);
+      setShuffleQuestions(assignment.shuffleQuestions ?? true);
+      setShuffleOptions(assignment.shuffleOptions || false);
+      setResultRelease(resultReleaseFromAssignment(assignment));
+      setLatePenalty(latePenaltyFromSettings(assignment.latePenalty));
+      setRetakes({
+        maxAttempts: (assignment.maxAttempts || 1).toString(),
+        attemptCooldown: (assignment.attemptCooldown || 0).toString(),
+        scoringRule: assignment.scoringRule || 'highest',
+      });
       setError('');
     }
   }, [assignment]);
@@ -62,6 +87,8 @@ const EditAssignmentDialog = ({ open, onClose, assignment, onSuccess }) => {
     const newDate = new Date();
     newDate.setDate(newDate.getDate() + days);
     setDueDate(newDate);
+    // A close date before the new due date would keep it closed
+    if (closeDate && closeDate < newDate) setCloseDate(null);
   };
 
   // Handle form submission
@@ -77,6 +104,13 @@ const EditAssignmentDialog = ({ open, onClose, assignment, onSuccess }) => {
         return;
       }
 
+      const availabilityError = getAvailabilityError({ availableFrom, dueDate, closeDate });
+      if (availabilityError) {
+        setError(availabilityError);
+        setIsSubmitting(false);
+        return;
+      }
+
       const timeLimitNum = parseInt(timeLimit);
       if (isNaN(timeLimitNum) || timeLimitNum <= 0) {
         setError('Time limit must be a positive number');
@@ -98,6 +132,41 @@ const EditAssignmentDialog = ({ open, onClose, assignment, onSuccess }) => {
         return;
       }
 
+      const negativeMarkingNum = parseFloat(negativeMarking);
+      if (isNaN(negativeMarkingNum) || negativeMarkingNum < 0 || negativeMarkingNum > 1) {
+        setError('Negative marking must be between 0 and 1');
+        setIsSubmitting(false);
+        return;
+      }
+
+      const maxAttemptsNum = Number(retakes.maxAttempts);
+      if (!Number.isInteger(maxAttemptsNum) || maxAttemptsNum < 1) {
+        setError('Maximum attempts must be a whole number of at least 1');
+        setIsSubmitting(false);
+        return;
+      }
+
+      const attemptCooldownNum = parseFloat(retakes.attemptCooldown) || 0;
+      if (attemptCooldownNum < 0) {
+        setError('Cooldown between attempts cannot be negative');
+        setIsSubmitting(false);
+        return;
+      }
+
+      const penaltyError = getLatePenaltyError(latePenalty);
+      if (penaltyError) {
+        setError(penaltyError);
+        setIsSubmitting(false);
+        return;
+      }
+
+      const releaseError = getResultReleaseError(resultRelease);
+      if (releaseError) {
+        setError(releaseError);
+        setIsSubmitting(false);
+        return;
+      }
+
       // Check if due date is in the past
       if (dueDate < new Date()) {
         const confirmPast = window.confirm(
@@ -122,13 +191,23 @@ const EditAssignmentDialog = ({ open, onClose, assignment, onSuccess }) => {
             'Authorization': `Bearer ${token}`,
           },
           body: JSON.stringify({
+            availableFrom: toOptionalISODate(availableFrom),
             dueDate: dueDate.toISOString(),
+            closeDate: toOptionalISODate(closeDate),
             timeLimit: timeLimitNum,
             weightage: weightageNum,
             weightageType: weightageType,
-            allowRetake: allowRetake,
             subgroup: subgroup.trim(),
             proctoringEnabled: proctoringEnabled,
+            negativeMarking: negativeMarkingNum,
+            partialCredit: partialCredit,
+            shuffleQuestions: shuffleQuestions,
+            shuffleOptions: shuffleOptions,
+            maxAttempts: maxAttemptsNum,
+            attemptCooldown: attemptCooldownNum,
+            scoringRule: retakes.scoringRule,
+            latePenalty: toLatePenaltyPayload(latePenalty),
+            resultRelease: toResultReleasePayload(resultRelease),
           }),
         }
       );
@@ -162,6 +241,9 @@ const EditAssignmentDialog = ({ open, onClose, assignment, onSuccess }) => {
 
   if (!assignment) return null;
 
+  // The order candidates were given is fixed once they have submitted
+  const hasSubmissions = (assignment.submissions?.length || 0) > 0;
+
   const isOverdue = new Date(assignment.dueDate) < new Date();
 
   return (
@@ -192,6 +274,26 @@ const EditAssignmentDialog = ({ open, onClose, assignment, onSuccess }) => {
           )}
 
           <Box sx={{ display: 'flex', flexDirection: 'column', gap: 3, mt: 2 }}>
+            {/* Open Date Picker */}
+            <Box>
+              <Typography variant="subtitle2" sx={{ mb: 1, display: 'flex', alignItems: 'center', gap: 0.5 }}>
+                <EventIcon fontSize="small" />
+                Opens At
+              </Typography>
+              <DateTimePicker
+                value={availableFrom}
+                onChange={(newValue) => setAvailableFrom(newValue)}
+                slotProps={{
+                  field: { clearable: true },
+                  textField: {
+                    fullWidth: true,
+                    variant: 'outlined',
+                    helperText: 'Leave blank to keep the quiz open from when it was assigned',
+                  },
+                }}
+              />
+            </Box>
+
             {/* Due Date Picker */}
             <Box>
               <Typography variant="subtitle2" sx={{ mb: 1, display: 'flex', alignItems: 'center', gap: 0.5 }}>
@@ -242,6 +344,26 @@ const EditAssignmentDialog = ({ open, onClose, assignment, onSuccess }) => {
               )}
             </Box>
 
+            {/* Close Date Picker */}
+            <Box>
+              <Typography variant="subtitle2" sx={{ mb: 1, display: 'flex', alignItems: 'center', gap: 0.5 }}>
+                <EventIcon fontSize="small" />
+                Closes At
+              </Typography>
+              <DateTimePicker
+                value={closeDate}
+                onChange={(newValue) => setCloseDate(newValue)}
+                slotProps={{
+                  field: { clearable: true },
+                  textField: {
+                    fullWidth: true,
+                    variant: 'outlined',
+                    helperText: "No submissions, even late ones, are accepted after this. Leave blank to follow the class's late submission setting",
+                  },
+                }}
+              />
+            </Box>
+
             {/* Time Limit Input */}
             <Box>
               <Typography variant="subtitle2" sx={{ mb: 1, display: 'flex', alignItems: 'center', gap: 0.5 }}>
@@ -437,6 +559,91 @@ const EditAssignmentDialog = ({ open, onClose, assignment, onSuccess }) => {
 
             <Divider />
 
+            {/* Scoring Rules Section */}
+            <Box>
+              <Typography variant="subtitle2" sx={{ mb: 1 }}>
+                Scoring Rules
+              </Typography>
+              <TextField
+                fullWidth
+                type="number"
+                label="Negative Marking (fraction of points)"
+                value={negativeMarking}
+                onChange={(e) => setNegativeMarking(e.target.value)}
+                inputProps={{ min: 0, max: 1, step: 0.05 }}
+                helperText="Deducted from a question's points for each wrong answer (e.g., 0.25). 0 turns it off. Applies to new submissions."
+              />
+              <FormControlLabel
+                control={
+                  <Switch
+                    checked={partialCredit}
+                    onChange={(e) => setPartialCredit(e.target.checked)}
+                    color="primary"
+                  />
+                }
+                label="Partial credit for multiple-select and fill-in-the-blank questions"
+                sx={{ mt: 1 }}
+              />
+            </Box>
+
+            <Divider />
+
+            {/* Ordering */}
+            <Box>
+              <Typography variant="subtitle2" sx={{ mb: 1 }}>
+                Question Order
+              </Typography>
+              <FormControlLabel
+                control={
+                  <Switch
+                    checked={shuffleQuestions}
+                    onChange={(e) => setShuffleQuestions(e.target.checked)}
+                    color="primary"
+                    disabled={hasSubmissions}
+                  />
+                }
+                label="Shuffle question order for each candidate"
+              />
+              <FormControlLabel
+                control={
+                  <Switch
+                    checked={shuffleOptions}
+                    onChange={(e) => setShuffleOptions(e.target.checked)}
+                    color="primary"
+                    disabled={hasSubmissions}
+                  />
+                }
+                label="Shuffle answer options for each candidate"
+              />
+              <Typography variant="caption" color="text.secondary" sx={{ display: 'block' }}>
+                {hasSubmissions
+                  ? 'Locked because candidates have already submitted.'
+                  : 'Each candidate keeps the same order every time they open the quiz.'}
+              </Typography>
+            </Box>
+
+            <Divider />
+
+            <RetakeSettingsFields
+              {...retakes}
+              onChange={(field, value) => setRetakes(prev => ({ ...prev, [field]: value }))}
+            />
+
+            <Divider />
+
+            <LatePenaltyField value={latePenalty} onChange={setLatePenalty} classDefault />
+            {hasSubmissions && (
+              <Typography variant="caption" color="text.secondary" sx={{ mt: -2 }}>
+                Changing the penalty or the due date re-scores late submissions already made.
+              </Typography>
+            )}
+
+            <Divider />
+
+            <ResultReleaseField value={resultRelease} onChange={setResultRelease} />
+
+            <Divider />
+
             {/* Summary */}
             <Box sx={{ p: 2, bgcolor: 'background.default', borderRadius: 1 }}>
               <Typography variant="caption" color="text.secondary">
@@ -455,31 +662,6 @@ const EditAssignmentDialog = ({ open, onClose, assignment, onSuccess }) => {
                 <strong>Submissions:</strong> {assignment.submissions?.length || 0}
               </Typography>
             </Box>
-
-            {/* Allow Retake Checkbox */}
-            {assignment.submissions && assignment.submissions.length > 0 && (
-              <Box sx={{ p: 2, bgcolor: 'warning.lighter', borderRadius: 1, border: '1px solid', borderColor: 'warning.main' }}>
-                <FormControlLabel
-                  control={
-                    <Checkbox
-                      checked={allowRetake}
-                      onChange={(e) => setAllowRetake(e.target.checked)}
-                      color="warning"
-                    />
-                  }
-                  label={
-                    <Box>
-                      <Typography variant="body2" fontWeight="bold">
-                        Clear all submissions and allow retakes
-                      </Typography>
-                      <Typography variant="caption" color="text.secondary">
-                        ⚠️ This will delete all {assignment.submissions.length} existing submission(s) and let students retake the quiz
-                      </Typography>
-                    </Box>
-                  }
-                />
-              </Box>
-            )}
           </Box>
         </DialogContent>
 
@@ -20,6 +20,9 @@ import {
   Alert,
   Divider,
   FormHelperText,
+  FormControlLabel,
+  FormGroup,
+  Checkbox,
 } from '@mui/material';
 import {
   Add as AddIcon,
@@ -28,6 +31,12 @@ import {
   ArrowUpward as ArrowUpwardIcon,
   ArrowDownward as ArrowDownwardIcon,
 } from '@mui/icons-material';
+import { QUESTION_TYPES, syncBlanks, validateAnswerKey, normalizeQuestion } from '../../../utils/questionTypes';
+import RegradePreviewDialog from './RegradePreviewDialog';
+import { uploadImage } from '../../../utils/imageUpload';
+import TextFormatSwitch from './TextFormatSwitch';
+import RichTextPreview from './RichTextPreview';
+import QuestionFeedbackFields from './QuestionFeedbackFields';
 
 const EditQuizModal = ({ open, onClose, quiz, onSave, token }) => {
   const [title, setTitle] = useState('');
@@ -36,6 +45,7 @@ const EditQuizModal = ({ open, onClose, quiz, onSave, token }) => {
   const [weightageType, setWeightageType] = useState('percentage');
   const [error, setError] = useState('');
   const [isSaving, setIsSaving] = useState(false);
+  const [regradePreview, setRegradePreview] = useState(null);
 
   // Initialize form with quiz data or empty state
   useEffect(() => {
@@ -59,6 +69,7 @@ const EditQuizModal = ({ open, onClose, quiz, onSave, token }) => {
       type: 'mcq',
       options: ['', '', '', ''],
       answer: '',
+      points: 1,
       questionImage: '',
       optionImages: ['', '', '', ''],
     };
@@ -84,20 +95,39 @@ const EditQuizModal = ({ open, onClose, quiz, onSave, token }) => {
     const newQuestions = [...questions];
     newQuestions[index] = { ...newQuestions[index], [field]: value };
     
+    // Keep one answer slot per blank while the text is edited
+    if (field === 'text' && newQuestions[index].type === 'fill_blank') {
+      newQuestions[index].blanks = syncBlanks(newQuestions[index]);
+    }
+    
     // Auto-adjust options based on question type
     if (field === 'type') {
-      if (value === 'mcq') {
+      newQuestions[index].optionFeedback = [];
+      if (value === 'mcq' || value === 'multiple_select') {
         newQuestions[index].options = ['', '', '', ''];
         newQuestions[index].optionImages = ['', '', '', ''];
+        newQuestions[index].correctOptions = [];
       } else if (value === 'true_false') {
         newQuestions[index].options = ['True', 'False'];
         newQuestions[index].optionImages = ['', ''];
         if (!['True', 'False'].includes(newQuestions[index].answer)) {
           newQuestions[index].answer = '';
         }
-      } else if (value === 'short_answer') {
+      } else if (value === 'short_answer' || value === 'essay') {
+        newQuestions[index].options = [];
+        newQuestions[index].optionImages = [];
+      } else if (value === 'numeric') {
+        newQuestions[index].options = [];
+        newQuestions[index].optionImages = [];
+        newQuestions[index].answer = '';
+        newQuestions[index].tolerance = 0;
+        newQuestions[index].rangeMin = null;
+        newQuestions[index].rangeMax = null;
+      } else if (value === 'fill_blank') {
         newQuestions[index].options = [];
         newQuestions[index].optionImages = [];
+        newQuestions[index].answer = '';
+        newQuestions[index].blanks = syncBlanks(newQuestions[index]);
       }
     }
     
@@ -106,7 +136,33 @@ const EditQuizModal = ({ open, onClose, quiz, onSave, token }) => {
 
   const handleOptionChange = (qIndex, optIndex, value) => {
     const newQuestions = [...questions];
+    const previous = newQuestions[qIndex].options[optIndex];
     newQuestions[qIndex].options[optIndex] = value;
+    // Keep multiple-select answer keys pointing at the renamed option
+    if (newQuestions[qIndex].correctOptions?.includes(previous)) {
+      newQuestions[qIndex].correctOptions = newQuestions[qIndex].correctOptions.map(opt => (opt === previous ? value : opt));
+    }
+    setQuestions(newQuestions);
+  };
+
+  const handleToggleCorrectOption = (qIndex, option) => {
+    const newQuestions = [...questions];
+    const current = newQuestions[qIndex].correctOptions || [];
+    newQuestions[qIndex] = {
+      ...newQuestions[qIndex],
+      correctOptions: current.includes(option)
+        ? current.filter(opt => opt !== option)
+        : [...current, option],
+    };
+    setQuestions(newQuestions);
+  };
+
+  const handleBlankChange = (qIndex, blankIndex, value) => {
+    const newQuestions = [...questions];
+    const blanks = syncBlanks(newQuestions[qIndex]);
+    // Alternative spellings are entered separated by "|"
+    blanks[blankIndex] = { acceptedAnswers: value.split('|') };
+    newQuestions[qIndex] = { ...newQuestions[qIndex], blanks };
     setQuestions(newQuestions);
   };
 
@@ -115,33 +171,31 @@ const EditQuizModal = ({ open, onClose, quiz, onSave, token }) => {
     input.type = 'file';
     input.accept = 'image/*';
     
-    input.onchange = (e) => {
+    input.onchange = async (e) => {
       const file = e.target.files[0];
       if (!file) return;
       
-      // Validate file size (max 2MB)
-      if (file.size > 2 * 1024 * 1024) {
-        setError('Image size must be less than 2MB');
+      // Upload the image; the question only keeps its URL
+      let url;
+      try {
+        url = await uploadImage(file, token);
+      } catch (err) {
+        setError(err.message);
         return;
       }
       
-      const reader = new FileReader();
-      reader.onload = (event) => {
-        const base64 = event.target.result;
-        const newQuestions = [...questions];
-        
-        if (field === 'questionImage') {
-          newQuestions[qIndex].questionImage = base64;
-        } else if (field === 'optionImage' && optIndex !== null) {
-          if (!newQuestions[qIndex].optionImages) {
-            newQuestions[qIndex].optionImages = [];
-          }
-          newQuestions[qIndex].optionImages[optIndex] = base64;
+      const newQuestions = [...questions];
+      
+      if (field === 'questionImage') {
+        newQuestions[qIndex].questionImage = url;
+      } else if (field === 'optionImage' && optIndex !== null) {
+        if (!newQuestions[qIndex].optionImages) {
+          newQuestions[qIndex].optionImages = [];
         }
-        
-        setQuestions(newQuestions);
-      };
-      reader.readAsDataURL(file);
+        newQuestions[qIndex].optionImages[optIndex] = url;
+      }
+      
+      setQuestions(newQuestions);
     };
     
     input.click();
@@ -182,8 +236,9 @@ const EditQuizModal = ({ open, onClose, quiz, onSave, token }) => {
         setError(`Question ${i + 1}: Question text is required`);
         return false;
       }
-      if (!q.answer || !q.answer.trim()) {
-        setError(`Question ${i + 1}: Answer is required`);
+      const answerKeyError = validateAnswerKey(q);
+      if (answerKeyError) {
+        setError(`Question ${i + 1}: ${answerKeyError}`);
         return false;
       }
       if (q.type === 'mcq') {
@@ -206,13 +261,47 @@ const EditQuizModal = ({ open, onClose, quiz, onSave, token }) => {
     return true;
   };
 
+  // Ask the server how the edited answer key would change existing scores
+  const fetchRegradePreview = async () => {
+    try {
+      const response = await fetch(`http://localhost:5000/api/quiz/${quiz._id}/regrade-preview`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ questions: questions.map(normalizeQuestion) }),
+      });
+      const result = await response.json();
+      return result.success ? result.data : null;
+    } catch {
+      // Without a preview the quiz is saved as before
+      return null;
+    }
+  };
+
   const handleSave = async () => {
     setError('');
     
     if (!validateQuiz()) {
       return;
     }
-    
+
+    // Editing the answer key of a quiz that has been taken needs a decision about re-grading
+    if (quiz && quiz._id) {
+      setIsSaving(true);
+      const preview = await fetchRegradePreview();
+      setIsSaving(false);
+      if (preview && preview.changedQuestions > 0 && preview.totalSubmissions > 0) {
+        setRegradePreview(preview);
+        return;
+      }
+    }
+
+    await saveQuiz();
+  };
+
+  const saveQuiz = async (regradeSubmissions = false) => {
     setIsSaving(true);
     
     try {
@@ -234,9 +323,10 @@ const EditQuizModal = ({ open, onClose, quiz, onSave, token }) => {
         body: JSON.stringify({
           title,
           timeLimit: 10, // Default time limit, can be changed during assignment
-          questions,
+          questions: questions.map(normalizeQuestion),
           weightage: Number(weightage),
           weightageType,
+          regradeSubmissions,
         }),
       });
       
@@ -254,6 +344,7 @@ const EditQuizModal = ({ open, onClose, quiz, onSave, token }) => {
       setError('Failed to save quiz. Please try again.');
     } finally {
       setIsSaving(false);
+      setRegradePreview(null);
     }
   };
 
@@ -423,6 +514,21 @@ const EditQuizModal = ({ open, onClose, quiz, onSave, token }) => {
                         required
                         placeholder="Enter your question here..."
                       />
+                      <TextFormatSwitch
+                        format={question.textFormat}
+                        onChange={(textFormat) => handleQuestionChange(qIndex, 'textFormat', textFormat)}
+                      />
+                      <RichTextPreview question={question} />
+                    </Grid>
+                    <Grid item xs={12} md={2}>
+                      <TextField
+                        fullWidth
+                        type="number"
+                        label="Points"
+                        value={question.points ?? 1}
+                        onChange={(e) => handleQuestionChange(qIndex, 'points', e.target.value)}
+                        inputProps={{ min: 0, step: 0.5 }}
+                      />
                     </Grid>
                     <Grid item xs={12} md={4}>
                       <FormControl fullWidth>
@@ -432,12 +538,19 @@ const EditQuizModal = ({ open, onClose, quiz, onSave, token }) => {
                           label="Question Type"
                           onChange={(e) => handleQuestionChange(qIndex, 'type', e.target.value)}
                         >
-                          <MenuItem value="mcq">Multiple Choice</MenuItem>
-                          <MenuItem value="true_false">True/False</MenuItem>
-                          <MenuItem value="short_answer">Short Answer</MenuItem>
+                          {QUESTION_TYPES.map(({ value, label }) => (
+                            <MenuItem key={value} value={value}>{label}</MenuItem>
+                          ))}
                         </Select>
                       </FormControl>
                     </Grid>
+                    {question.type === 'fill_blank' && (
+                      <Grid item xs={12}>
+                        <FormHelperText>
+                          Type three underscores (___) in the question text wherever a blank should appear.
+                        </FormHelperText>
+                      </Grid>
+                    )}
                     
                     {/* Question Image */}
                     <Grid item xs={12}>
@@ -478,8 +591,8 @@ const EditQuizModal = ({ open, onClose, quiz, onSave, token }) => {
                   </Grid>
                 </Box>
                 
-                {/* Options Section (for MCQ and True/False) */}
-                {(question.type === 'mcq' || question.type === 'true_false') && (
+                {/* Options Section (for MCQ, Multiple Select and True/False) */}
+                {(question.type === 'mcq' || question.type === 'multiple_select' || question.type === 'true_false') && (
                   <Box sx={{ mb: 3, p: 2, bgcolor: 'action.hover', borderRadius: 1 }}>
                     <Typography variant="subtitle2" color="text.secondary" sx={{ mb: 2, fontWeight: 600 }}>
                       Answer Options
@@ -509,7 +622,7 @@ const EditQuizModal = ({ open, onClose, quiz, onSave, token }) => {
                           required
                           placeholder={`Enter option ${String.fromCharCode(65 + optIndex)}`}
                         />
-                        {question.type === 'mcq' && (
+                        {(question.type === 'mcq' || question.type === 'multiple_select') && (
                           <Box sx={{ ml: 1 }}>
                             {question.optionImages?.[optIndex] ? (
                               <Box sx={{ position: 'relative', width: 48, height: 48 }}>
@@ -588,6 +701,116 @@ const EditQuizModal = ({ open, onClose, quiz, onSave, token }) => {
                       </Select>
                       <FormHelperText>Choose which option is the correct answer</FormHelperText>
                     </FormControl>
+                  ) : question.type === 'multiple_select' ? (
+                    <FormControl component="fieldset" fullWidth>
+                      <FormGroup>
+                        {question.options.map((option, idx) => (
+                          <FormControlLabel
+                            key={idx}
+                            control={
+                              <Checkbox
+                                size="small"
+                                checked={(question.correctOptions || []).includes(option)}
+                                onChange={() => handleToggleCorrectOption(qIndex, option)}
+                                disabled={!option.trim()}
+                              />
+                            }
+                            label={
+                              <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                                <Chip 
+                                  label={String.fromCharCode(65 + idx)} 
+                                  size="small" 
+                                  color="primary"
+                                />
+                                {option || `Option ${idx + 1}`}
+                              </Box>
+                            }
+                          />
+                        ))}
+                      </FormGroup>
+                      <FormHelperText>Tick every option that is correct. Candidates must select exactly these.</FormHelperText>
+                    </FormControl>
+                  ) : question.type === 'numeric' ? (
+                    <Grid container spacing={2}>
+                      <Grid item xs={12} md={4}>
+                        <TextField
+                          fullWidth
+                          size="small"
+                          type="number"
+                          label="Correct Value"
+                          value={question.answer ?? ''}
+                          onChange={(e) => handleQuestionChange(qIndex, 'answer', e.target.value)}
+                          inputProps={{ step: 'any' }}
+                          helperText="Graded as value ± tolerance"
+                        />
+                      </Grid>
+                      <Grid item xs={12} md={2}>
+                        <TextField
+                          fullWidth
+                          size="small"
+                          type="number"
+                          label="Tolerance"
+                          value={question.tolerance ?? 0}
+                          onChange={(e) => handleQuestionChange(qIndex, 'tolerance', e.target.value)}
+                          inputProps={{ min: 0, step: 'any' }}
+                        />
+                      </Grid>
+                      <Grid item xs={12} md={3}>
+                        <TextField
+                          fullWidth
+                          size="small"
+                          type="number"
+                          label="Range Min"
+                          value={question.rangeMin ?? ''}
+                          onChange={(e) => handleQuestionChange(qIndex, 'rangeMin', e.target.value)}
+                          inputProps={{ step: 'any' }}
+                          helperText="Optional"
+                        />
+                      </Grid>
+                      <Grid item xs={12} md={3}>
+                        <TextField
+                          fullWidth
+                          size="small"
+                          type="number"
+                          label="Range Max"
+                          value={question.rangeMax ?? ''}
+                          onChange={(e) => handleQuestionChange(qIndex, 'rangeMax', e.target.value)}
+                          inputProps={{ step: 'any' }}
+                          helperText="Overrides value ± tolerance"
+                        />
+                      </Grid>
+                    </Grid>
+                  ) : question.type === 'fill_blank' ? (
+                    (question.blanks || []).length === 0 ? (
+                      <Typography variant="body2" color="text.secondary">
+                        No blanks yet. Add ___ to the question text.
+                      </Typography>
+                    ) : (
+                      question.blanks.map((blank, blankIndex) => (
+                        <TextField
+                          key={blankIndex}
+                          fullWidth
+                          size="small"
+                          label={`Blank ${blankIndex + 1}`}
+                          value={(blank.acceptedAnswers || []).join('|')}
+                          onChange={(e) => handleBlankChange(qIndex, blankIndex, e.target.value)}
+                          placeholder="e.g., mitochondria|mitochondrion"
+                          helperText="Separate alternative accepted answers with |"
+                          sx={{ mb: 1.5 }}
+                        />
+                      ))
+                    )
+                  ) : question.type === 'essay' ? (
+                    <TextField
+                      fullWidth
+                      size="small"
+                      multiline
+                      rows={3}
+                      label="Model Answer / Grading Notes (optional)"
+                      value={question.answer || ''}
+                      onChange={(e) => handleQuestionChange(qIndex, 'answer', e.target.value)}
+                      helperText="Shown to graders in the grading queue. Essay answers are scored manually."
+                    />
                   ) : (
                     <TextField
                       fullWidth
@@ -601,6 +824,11 @@ const EditQuizModal = ({ open, onClose, quiz, onSave, token }) => {
                     />
                   )}
                 </Box>
+
+                <QuestionFeedbackFields
+                  question={question}
+                  onChange={(field, value) => handleQuestionChange(qIndex, field, value)}
+                />
               </CardContent>
             </Card>
         ))
@@ -634,6 +862,15 @@ const EditQuizModal = ({ open, onClose, quiz, onSave, token }) => {
           {isSaving ? 'Saving...' : quiz?._id ? 'Save Changes' : 'Create Quiz'}
         </Button>
       </DialogActions>
+
+      <RegradePreviewDialog
+        open={Boolean(regradePreview)}
+        preview={regradePreview}
+        isSaving={isSaving}
+        onCancel={() => setRegradePreview(null)}
+        onSaveOnly={() => saveQuiz(false)}
+        onSaveAndRegrade={() => saveQuiz(true)}
+      />
     </Dialog>
   );
 };
@@ -0,0 +1,274 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  TextField,
+  MenuItem,
+  Box,
+  Alert,
+  Typography,
+  Chip,
+  List,
+  ListItem,
+  ListItemText,
+  IconButton,
+  Tooltip,
+  Divider,
+} from '@mui/material';
+import DeleteIcon from '@mui/icons-material/Delete';
+import EditIcon from '@mui/icons-material/Edit';
+import { useAuth } from '../../auth/contexts/AuthContext';
+import { getExtensionError, formatTimeMultiplier } from '../../../utils/accommodations';
+import { toOptionalISODate } from '../../../utils/availability';
+
+const EMPTY_EXTENSION = { candidateId: '', dueDate: '', closeDate: '', timeLimit: '', note: '' };
+
+// Value for a datetime-local field, in local time
+const toLocalInput = (date) => {
+  if (!date) return '';
+  const value = new Date(date);
+  return new Date(value.getTime() - value.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+};
+
+/**
+ * Per-candidate extensions on one assignment: later due or close dates, or
+ * their own time limit. Class accommodations (extra time) are shown alongside
+ */
+const ExtensionsDialog = ({ open, onClose, assignment, classId }) => {
+  const { token } = useAuth();
+  const [students, setStudents] = useState([]);
+  const [accommodations, setAccommodations] = useState([]);
+  const [extensions, setExtensions] = useState([]);
+  const [form, setForm] = useState(EMPTY_EXTENSION);
+  const [error, setError] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    if (!open || !assignment) return;
+    setExtensions(assignment.extensions || []);
+    setForm(EMPTY_EXTENSION);
+    setError('');
+
+    const fetchRoster = async () => {
+      try {
+        const response = await fetch(`http://localhost:5000/api/classes/${classId}`, {
+          headers: { 'Authorization': `Bearer ${token}` },
+        });
+        const result = await response.json();
+        if (!response.ok) {
+          throw new Error(result.message || 'Failed to load the class roster');
+        }
+        setStudents(result.data.students || []);
+        setAccommodations(result.data.accommodations || []);
+      } catch (err) {
+        setError(err.message);
+      }
+    };
+    fetchRoster();
+  }, [open, assignment, classId, token]);
+
+  if (!assignment) return null;
+
+  const studentName = (id) => students.find(s => s._id === id)?.name || 'Unknown candidate';
+  const accommodationFor = (id) => accommodations.find(item => item.studentId === id);
+
+  const update = (changes) => setForm(prev => ({ ...prev, ...changes }));
+
+  const handleEdit = (extension) => {
+    setForm({
+      candidateId: extension.candidateId,
+      dueDate: toLocalInput(extension.dueDate),
+      closeDate: toLocalInput(extension.closeDate),
+      timeLimit: extension.timeLimit ? String(extension.timeLimit) : '',
+      note: extension.note || '',
+    });
+  };
+
+  const request = async (method, candidateId, body) => {
+    setIsSaving(true);
+    setError('');
+    try {
+      const response = await fetch(
+        `http://localhost:5000/api/assignments/${assignment._id}/extensions/${candidateId}`,
+        {
+          method,
+          headers: {
+            'Authorization': `Bearer ${token}`,
+            'Content-Type': 'application/json',
+          },
+          ...(body && { body: JSON.stringify(body) }),
+        }
+      );
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.message || 'Failed to update the extension');
+      }
+      setExtensions(result.data || []);
+      setForm(EMPTY_EXTENSION);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleSave = () => {
+    const extensionError = getExtensionError(form, assignment);
+    if (extensionError) {
+      setError(extensionError);
+      return;
+    }
+    request('PUT', form.candidateId, {
+      dueDate: toOptionalISODate(form.dueDate),
+      closeDate: toOptionalISODate(form.closeDate),
+      timeLimit: form.timeLimit ? parseInt(form.timeLimit) : null,
+      note: form.note,
+    });
+  };
+
+  const describeExtension = (extension) => [
+    extension.dueDate && `Due ${new Date(extension.dueDate).toLocaleString()}`,
+    extension.closeDate && `Closes ${new Date(extension.closeDate).toLocaleString()}`,
+    extension.timeLimit && `${extension.timeLimit} mins`,
+  ].filter(Boolean).join(' · ');
+
+  const selectedAccommodation = form.candidateId && accommodationFor(form.candidateId);
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>
+        <Typography variant="h6">Extensions</Typography>
+        <Typography variant="body2" color="text.secondary">
+          {assignment.quizId?.title || 'Quiz'} · due {new Date(assignment.dueDate).toLocaleString()} · {assignment.timeLimit} mins
+        </Typography>
+      </DialogTitle>
+
+      <DialogContent>
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {error}
+          </Alert>
+        )}
+
+        {extensions.length > 0 ? (
+          <List dense sx={{ mb: 1 }}>
+            {extensions.map(extension => (
+              <ListItem
+                key={extension.candidateId}
+                secondaryAction={
+                  <Box>
+                    <Tooltip title="Edit extension">
+                      <IconButton size="small" onClick={() => handleEdit(extension)} disabled={isSaving}>
+                        <EditIcon fontSize="small" />
+                      </IconButton>
+                    </Tooltip>
+                    <Tooltip title="Remove extension">
+                      <IconButton
+                        size="small"
+                        color="error"
+                        onClick={() => request('DELETE', extension.candidateId)}
+                        disabled={isSaving}
+                      >
+                        <DeleteIcon fontSize="small" />
+                      </IconButton>
+                    </Tooltip>
+                  </Box>
+                }
+              >
+                <ListItemText
+                  primary={studentName(extension.candidateId)}
+                  secondary={[describeExtension(extension), extension.note].filter(Boolean).join(' — ')}
+                />
+              </ListItem>
+            ))}
+          </List>
+        ) : (
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+            No candidate has an extension on this assignment.
+          </Typography>
+        )}
+
+        <Divider sx={{ mb: 2 }} />
+
+        <Typography variant="subtitle2" sx={{ mb: 1 }}>
+          Add or change an extension
+        </Typography>
+        <TextField
+          select
+          label="Candidate"
+          fullWidth
+          margin="dense"
+          value={form.candidateId}
+          onChange={(e) => update({ candidateId: e.target.value })}
+        >
+          {students.map(student => (
+            <MenuItem key={student._id} value={student._id}>
+              {student.name}{student.registrationNumber ? ` (${student.registrationNumber})` : ''}
+            </MenuItem>
+          ))}
+        </TextField>
+        {selectedAccommodation && (
+          <Chip
+            label={`Class accommodation: ${formatTimeMultiplier(selectedAccommodation.timeMultiplier)}`}
+            color="info"
+            size="small"
+            sx={{ mt: 1 }}
+          />
+        )}
+        <TextField
+          label="New Due Date"
+          type="datetime-local"
+          fullWidth
+          margin="dense"
+          value={form.dueDate}
+          onChange={(e) => update({ dueDate: e.target.value })}
+          InputLabelProps={{ shrink: true }}
+          helperText="Leave blank to keep the assignment's due date"
+        />
+        <TextField
+          label="New Close Date"
+          type="datetime-local"
+          fullWidth
+          margin="dense"
+          value={form.closeDate}
+          onChange={(e) => update({ closeDate: e.target.value })}
+          InputLabelProps={{ shrink: true }}
+          helperText="Leave blank to keep the assignment's close date (never earlier than the new due date)"
+        />
+        <TextField
+          label="Time Limit (minutes)"
+          type="number"
+          fullWidth
+          margin="dense"
+          value={form.timeLimit}
+          onChange={(e) => update({ timeLimit: e.target.value })}
+          inputProps={{ min: 1 }}
+          helperText="Replaces the time limit, including any extra time from the class accommodation"
+        />
+        <TextField
+          label="Note"
+          fullWidth
+          margin="dense"
+          value={form.note}
+          onChange={(e) => update({ note: e.target.value })}
+          inputProps={{ maxLength: 500 }}
+          helperText="Only instructors see this"
+        />
+      </DialogContent>
+
+      <DialogActions>
+        <Button onClick={onClose} disabled={isSaving}>
+          Close
+        </Button>
+        <Button onClick={handleSave} variant="contained" disabled={isSaving}>
+          {isSaving ? 'Saving...' : 'Save Extension'}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default ExtensionsDialog;
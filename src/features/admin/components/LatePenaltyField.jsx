@@ -0,0 +1,82 @@
+import React from 'react';
+import { Box, TextField, MenuItem, Typography } from '@mui/material';
+import { LATE_PENALTY_POLICIES, describeLatePenalty } from '../../../utils/latePenalty';
+
+/**
+ * How late submissions lose marks. Assignments can leave it to the class's
+ * late penalty (classDefault)
+ */
+const LatePenaltyField = ({ value, onChange, classDefault = false, disabled = false }) => {
+  const update = (changes) => onChange({ ...value, ...changes });
+  const description = describeLatePenalty({
+    ...value,
+    percent: Number(value.percent) || 0,
+    maxPercent: Number(value.maxPercent) || 0,
+    hours: Number(value.hours) || 0,
+  });
+
+  return (
+    <Box sx={{ mt: 1 }}>
+      <Typography variant="subtitle2" sx={{ mb: 1 }}>
+        Late Penalty
+      </Typography>
+      <Box sx={{ display: 'flex', gap: 2, flexWrap: 'wrap' }}>
+        <TextField
+          select
+          label="Penalty"
+          value={value.policy}
+          onChange={(e) => update({ policy: e.target.value })}
+          disabled={disabled}
+          sx={{ flex: 2, minWidth: 200 }}
+        >
+          {classDefault && <MenuItem value="">Class default</MenuItem>}
+          {LATE_PENALTY_POLICIES.map(policy => (
+            <MenuItem key={policy.value} value={policy.value}>{policy.label}</MenuItem>
+          ))}
+        </TextField>
+        {['per_day', 'flat', 'zero_after'].includes(value.policy) && (
+          <TextField
+            label={value.policy === 'per_day' ? 'Deduction per Day (%)' : 'Deduction (%)'}
+            type="number"
+            value={value.percent}
+            onChange={(e) => update({ percent: e.target.value })}
+            inputProps={{ min: 0, max: 100 }}
+            disabled={disabled}
+            sx={{ flex: 1, minWidth: 120 }}
+          />
+        )}
+        {value.policy === 'per_day' && (
+          <TextField
+            label="Capped at (%)"
+            type="number"
+            value={value.maxPercent}
+            onChange={(e) => update({ maxPercent: e.target.value })}
+            inputProps={{ min: 0, max: 100 }}
+            disabled={disabled}
+            sx={{ flex: 1, minWidth: 120 }}
+          />
+        )}
+        {value.policy === 'zero_after' && (
+          <TextField
+            label="Zero After (hours)"
+            type="number"
+            value={value.hours}
+            onChange={(e) => update({ hours: e.target.value })}
+            inputProps={{ min: 0 }}
+            disabled={disabled}
+            sx={{ flex: 1, minWidth: 120 }}
+          />
+        )}
+      </Box>
+      <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mt: 0.5 }}>
+        {!value.policy
+          ? "Uses the class's late penalty."
+          : description
+            ? `${description}. Deductions are percentage points off the score; both scores are kept.`
+            : 'Late submissions keep their full score.'}
+      </Typography>
+    </Box>
+  );
+};
+
+export default LatePenaltyField;
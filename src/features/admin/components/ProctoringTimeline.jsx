@@ -0,0 +1,115 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Typography,
+  Chip,
+  Alert,
+  CircularProgress,
+  List,
+  ListItem,
+  ListItemText,
+} from '@mui/material';
+import { useAuth } from '../../auth/contexts/AuthContext';
+import { formatDuration } from '../../../utils/attemptTiming';
+
+// How each event type reads on the timeline, and how serious it looks
+const EVENT_LABELS = {
+  noFaceDetected: { label: 'No face', color: 'warning' },
+  multipleFacesDetected: { label: 'Multiple faces', color: 'error' },
+  lookingAway: { label: 'Looking away', color: 'warning' },
+  suspiciousMovements: { label: 'Suspicious movement', color: 'warning' },
+  phoneDetected: { label: 'Phone', color: 'error' },
+  audioAnomalies: { label: 'Audio anomaly', color: 'warning' },
+  tabSwitch: { label: 'Tab switch', color: 'error' },
+  focusLost: { label: 'Focus lost', color: 'warning' },
+  fullscreenExit: { label: 'Left fullscreen', color: 'warning' },
+};
+
+/**
+ * Proctoring events of one attempt in the order they happened, with the
+ * question on screen and how sure the detector was
+ * @param {String} assignmentId
+ * @param {String} submissionId
+ */
+const ProctoringTimeline = ({ assignmentId, submissionId }) => {
+  const { token } = useAuth();
+  const [timeline, setTimeline] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!token || !assignmentId || !submissionId) return;
+
+    const fetchTimeline = async () => {
+      setTimeline(null);
+      setError('');
+      try {
+        const response = await fetch(
+          `http://localhost:5000/api/assignments/${assignmentId}/submissions/${submissionId}/proctoring-events`,
+          { headers: { 'Authorization': `Bearer ${token}` } }
+        );
+        const result = await response.json();
+        if (!response.ok) {
+          throw new Error(result.message || 'Failed to load proctoring events');
+        }
+        setTimeline(result.data);
+      } catch (error) {
+        setError(error.message);
+      }
+    };
+
+    fetchTimeline();
+  }, [assignmentId, submissionId, token]);
+
+  if (error) {
+    return <Alert severity="error">{error}</Alert>;
+  }
+
+  if (!timeline) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', py: 2 }}>
+        <CircularProgress size={24} />
+      </Box>
+    );
+  }
+
+  if (timeline.events.length === 0) {
+    return (
+      <Typography variant="body2" color="text.secondary">
+        No proctoring events were recorded for this attempt. Events are recorded for attempts taken from now on.
+      </Typography>
+    );
+  }
+
+  return (
+    <List dense disablePadding>
+      {timeline.events.map((event, index) => {
+        const { label, color } = EVENT_LABELS[event.type] || { label: event.type, color: 'default' };
+        const occurredAt = new Date(event.occurredAt);
+
+        return (
+          <ListItem key={index} disableGutters divider={index < timeline.events.length - 1}>
+            <Typography
+              variant="body2"
+              color="text.secondary"
+              sx={{ minWidth: 72, fontVariantNumeric: 'tabular-nums' }}
+            >
+              {timeline.startedAt
+                ? `+${formatDuration((occurredAt - new Date(timeline.startedAt)) / 1000)}`
+                : occurredAt.toLocaleTimeString()}
+            </Typography>
+            <Chip label={label} color={color} size="small" sx={{ mr: 1.5 }} />
+            <ListItemText
+              primary={event.questionIndex !== null ? `Question ${event.questionIndex + 1}` : 'No question on screen'}
+              secondary={[
+                occurredAt.toLocaleTimeString(),
+                event.confidence !== null && `${Math.round(event.confidence * 100)}% confidence`,
+              ].filter(Boolean).join(' · ')}
+            />
+          </ListItem>
+        );
+      })}
+    </List>
+  );
+};
+
+export default ProctoringTimeline;
@@ -0,0 +1,442 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Typography,
+  Button,
+  Grid,
+  Card,
+  CardContent,
+  CardActions,
+  Chip,
+  Checkbox,
+  TextField,
+  InputAdornment,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  Alert,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+} from '@mui/material';
+import AddIcon from '@mui/icons-material/Add';
+import SearchIcon from '@mui/icons-material/Search';
+import BankQuestionDialog from './BankQuestionDialog';
+import Loader from '../../../components/Loader';
+import RichText from '../../../components/RichText';
+import { QUESTION_TYPES, DIFFICULTY_LEVELS, BLOOMS_LEVELS } from '../../../utils/questionTypes';
+
+const DIFFICULTY_COLORS = { easy: 'success', medium: 'warning', hard: 'error' };
+
+const labelFor = (list, value) => list.find(item => item.value === value)?.label || value;
+
+/**
+ * Question bank: searchable reusable questions that can be added to quizzes
+ * and kept in sync with the quizzes that use them
+ */
+const QuestionBankTab = ({ token, quizzes, onQuizzesChanged }) => {
+  const [questions, setQuestions] = useState([]);
+  const [facets, setFacets] = useState({ topics: [], tags: [] });
+  const [filters, setFilters] = useState({ search: '', topic: '', tag: '', difficulty: '', bloomsLevel: '', type: '' });
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+  const [selectedIds, setSelectedIds] = useState([]);
+
+  // Create / edit dialog
+  const [editorOpen, setEditorOpen] = useState(false);
+  const [editingQuestion, setEditingQuestion] = useState(null);
+
+  // Usage dialog
+  const [usageQuestion, setUsageQuestion] = useState(null);
+  const [usage, setUsage] = useState(null);
+  const [isSyncing, setIsSyncing] = useState(false);
+
+  // Add to quiz dialog
+  const [addDialogOpen, setAddDialogOpen] = useState(false);
+  const [targetQuizId, setTargetQuizId] = useState('');
+  const [isAdding, setIsAdding] = useState(false);
+
+  const fetchQuestions = useCallback(async () => {
+    setIsLoading(true);
+    setError('');
+    try {
+      const params = new URLSearchParams(Object.entries(filters).filter(([, value]) => value));
+      const response = await fetch(`http://localhost:5000/api/question-bank?${params}`, {
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        }
+      });
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.message || 'Failed to fetch question bank');
+      }
+
+      setQuestions(result.data || []);
+      setFacets(result.facets || { topics: [], tags: [] });
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [token, filters]);
+
+  useEffect(() => {
+    if (token) {
+      // Wait for typing to pause before searching
+      const timer = setTimeout(fetchQuestions, 300);
+      return () => clearTimeout(timer);
+    }
+  }, [token, fetchQuestions]);
+
+  const fetchUsage = async (question) => {
+    setUsage(null);
+    try {
+      const response = await fetch(`http://localhost:5000/api/question-bank/${question._id}/usage`, {
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        }
+      });
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.message || 'Failed to fetch question usage');
+      }
+      setUsage(result.data);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleFilterChange = (field, value) => {
+    setFilters(prev => ({ ...prev, [field]: value }));
+  };
+
+  const handleToggleSelected = (id) => {
+    setSelectedIds(prev => (prev.includes(id) ? prev.filter(x => x !== id) : [...prev, id]));
+  };
+
+  const handleOpenEditor = (question = null) => {
+    setEditingQuestion(question);
+    setEditorOpen(true);
+  };
+
+  const handleSaved = () => {
+    setEditorOpen(false);
+    setMessage(editingQuestion ? 'Question updated' : 'Question added to the bank');
+    setEditingQuestion(null);
+    fetchQuestions();
+  };
+
+  const handleDelete = async (question) => {
+    if (!window.confirm('Delete this question from the bank? Quizzes that use it keep their copy.')) {
+      return;
+    }
+
+    try {
+      const response = await fetch(`http://localhost:5000/api/question-bank/${question._id}`, {
+        method: 'DELETE',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        }
+      });
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.message || 'Failed to delete question');
+      }
+
+      setQuestions(prev => prev.filter(q => q._id !== question._id));
+      setSelectedIds(prev => prev.filter(id => id !== question._id));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleOpenUsage = (question) => {
+    setUsageQuestion(question);
+    fetchUsage(question);
+  };
+
+  const handleSync = async () => {
+    setIsSyncing(true);
+    try {
+      const response = await fetch(`http://localhost:5000/api/question-bank/${usageQuestion._id}/sync`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({})
+      });
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.message || 'Failed to update quizzes');
+      }
+
+      setMessage(result.message);
+      await fetchUsage(usageQuestion);
+      if (onQuizzesChanged) onQuizzesChanged();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsSyncing(false);
+    }
+  };
+
+  const handleAddToQuiz = async () => {
+    setIsAdding(true);
+    try {
+      const response = await fetch('http://localhost:5000/api/question-bank/add-to-quiz', {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ quizId: targetQuizId, questionIds: selectedIds })
+      });
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.message || 'Failed to add questions to quiz');
+      }
+
+      setMessage(result.message);
+      setAddDialogOpen(false);
+      setSelectedIds([]);
+      setTargetQuizId('');
+      if (onQuizzesChanged) onQuizzesChanged();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsAdding(false);
+    }
+  };
+
+  const outdatedCount = usage ? usage.usage.filter(u => u.isOutdated).length : 0;
+
+  return (
+    <Box>
+      {/* 1. Toolbar */}
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2, gap: 2, flexWrap: 'wrap' }}>
+        <TextField
+          placeholder="Search questions, topics or tags..."
+          value={filters.search}
+          onChange={(e) => handleFilterChange('search', e.target.value)}
+          InputProps={{
+            startAdornment: (
+              <InputAdornment position="start">
+                <SearchIcon />
+              </InputAdornment>
+            ),
+          }}
+          sx={{ flexGrow: 1, maxWidth: 600 }}
+        />
+        <Box sx={{ display: 'flex', gap: 1 }}>
+          <Button
+            variant="outlined"
+            disabled={selectedIds.length === 0}
+            onClick={() => setAddDialogOpen(true)}
+          >
+            Add {selectedIds.length || ''} to Quiz
+          </Button>
+          <Button variant="contained" startIcon={<AddIcon />} onClick={() => handleOpenEditor()}>
+            New Question
+          </Button>
+        </Box>
+      </Box>
+
+      {/* 2. Filters */}
+      <Grid container spacing={2} sx={{ mb: 3 }}>
+        {[
+          { field: 'topic', label: 'Topic', options: facets.topics.map(t => ({ value: t, label: t })) },
+          { field: 'tag', label: 'Tag', options: facets.tags.map(t => ({ value: t, label: t })) },
+          { field: 'difficulty', label: 'Difficulty', options: DIFFICULTY_LEVELS },
+          { field: 'bloomsLevel', label: "Bloom's Level", options: BLOOMS_LEVELS },
+          { field: 'type', label: 'Question Type', options: QUESTION_TYPES },
+        ].map(({ field, label, options }) => (
+          <Grid size={{ xs: 12, sm: 6, md: 2.4 }} key={field}>
+            <FormControl fullWidth size="small">
+              <InputLabel>{label}</InputLabel>
+              <Select value={filters[field]} label={label} onChange={(e) => handleFilterChange(field, e.target.value)}>
+                <MenuItem value="">Any</MenuItem>
+                {options.map(opt => <MenuItem key={opt.value} value={opt.value}>{opt.label}</MenuItem>)}
+              </Select>
+            </FormControl>
+          </Grid>
+        ))}
+      </Grid>
+
+      {error && <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError('')}>{error}</Alert>}
+      {message && <Alert severity="success" sx={{ mb: 2 }} onClose={() => setMessage('')}>{message}</Alert>}
+
+      {/* 3. Question Cards */}
+      {isLoading ? (
+        <Box sx={{ display: 'flex', justifyContent: 'center', mt: 4 }}>
+          <Loader />
+        </Box>
+      ) : questions.length === 0 ? (
+        <Box sx={{ textAlign: 'center', mt: 4 }}>
+          <Typography variant="h6" color="text.secondary" gutterBottom>
+            No questions found.
+          </Typography>
+          <Typography variant="body2" color="text.secondary">
+            Add questions here, or save them from a quiz you are editing.
+          </Typography>
+        </Box>
+      ) : (
+        <Grid container spacing={2}>
+          {questions.map(question => (
+            <Grid size={{ xs: 12, md: 6 }} key={question._id}>
+              <Card sx={{ display: 'flex', flexDirection: 'column', height: '100%' }}>
+                <CardContent sx={{ flexGrow: 1 }}>
+                  <Box sx={{ display: 'flex', alignItems: 'flex-start', gap: 1 }}>
+                    <Checkbox
+                      size="small"
+                      checked={selectedIds.includes(question._id)}
+                      onChange={() => handleToggleSelected(question._id)}
+                      sx={{ p: 0.5 }}
+                    />
+                    <RichText text={question.text} format={question.textFormat} sx={{ flexGrow: 1 }} />
+                  </Box>
+                  <Box sx={{ display: 'flex', gap: 0.5, flexWrap: 'wrap', mt: 1.5 }}>
+                    <Chip label={labelFor(QUESTION_TYPES, question.type)} size="small" variant="outlined" />
+                    <Chip
+                      label={labelFor(DIFFICULTY_LEVELS, question.difficulty)}
+                      size="small"
+                      color={DIFFICULTY_COLORS[question.difficulty] || 'default'}
+                    />
+                    <Chip label={labelFor(BLOOMS_LEVELS, question.bloomsLevel)} size="small" />
+                    {question.topic && <Chip label={question.topic} size="small" color="primary" variant="outlined" />}
+                    {question.tags.map(tag => (
+                      <Chip key={tag} label={`#${tag}`} size="small" variant="outlined" onClick={() => handleFilterChange('tag', tag)} />
+                    ))}
+                  </Box>
+                  <Typography variant="caption" color="text.secondary" sx={{ mt: 1, display: 'block' }}>
+                    {question.points ?? 1} pt • Revision {question.revision} • Updated {new Date(question.updatedAt).toLocaleDateString()}
+                  </Typography>
+                </CardContent>
+                <CardActions sx={{ justifyContent: 'flex-end', px: 2, pb: 2 }}>
+                  <Button size="small" onClick={() => handleOpenUsage(question)}>Usage</Button>
+                  <Button size="small" onClick={() => handleOpenEditor(question)}>Edit</Button>
+                  <Button size="small" color="error" onClick={() => handleDelete(question)}>Delete</Button>
+                </CardActions>
+              </Card>
+            </Grid>
+          ))}
+        </Grid>
+      )}
+
+      {/* Create / Edit Dialog */}
+      <BankQuestionDialog
+        open={editorOpen}
+        onClose={() => setEditorOpen(false)}
+        question={editingQuestion}
+        token={token}
+        onSaved={handleSaved}
+      />
+
+      {/* Usage Dialog */}
+      <Dialog open={Boolean(usageQuestion)} onClose={() => setUsageQuestion(null)} maxWidth="md" fullWidth>
+        <DialogTitle>Question Usage</DialogTitle>
+        <DialogContent dividers>
+          {!usage ? (
+            <Box sx={{ display: 'flex', justifyContent: 'center', py: 4 }}>
+              <Loader />
+            </Box>
+          ) : (
+            <>
+              <Typography variant="body2" sx={{ mb: 2 }}>{usageQuestion?.text}</Typography>
+
+              <Typography variant="subtitle1" gutterBottom>Quizzes</Typography>
+              {usage.usage.length === 0 ? (
+                <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+                  This question is not used in any quiz yet.
+                </Typography>
+              ) : (
+                <Table size="small" sx={{ mb: 2 }}>
+                  <TableHead>
+                    <TableRow>
+                      <TableCell><strong>Quiz</strong></TableCell>
+                      <TableCell><strong>Quiz Version</strong></TableCell>
+                      <TableCell><strong>Question Revision</strong></TableCell>
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {usage.usage.map(u => (
+                      <TableRow key={`${u.quizId}-${u.questionId}`}>
+                        <TableCell>{u.quizTitle}</TableCell>
+                        <TableCell>v{u.quizVersion}</TableCell>
+                        <TableCell>
+                          {u.bankRevision ?? '—'}
+                          {u.isOutdated && <Chip label="Out of date" size="small" color="warning" sx={{ ml: 1 }} />}
+                        </TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              )}
+
+              <Typography variant="subtitle1" gutterBottom>Revisions</Typography>
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell><strong>Revision</strong></TableCell>
+                    <TableCell><strong>Changed</strong></TableCell>
+                    <TableCell><strong>Edited</strong></TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {usage.revisions.slice().reverse().map(r => (
+                    <TableRow key={r.revision}>
+                      <TableCell>{r.revision}</TableCell>
+                      <TableCell>{r.changedFields.join(', ') || 'Created'}</TableCell>
+                      <TableCell>{new Date(r.editedAt).toLocaleString()} by {r.editedBy}</TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setUsageQuestion(null)}>Close</Button>
+          <Button variant="contained" onClick={handleSync} disabled={isSyncing || outdatedCount === 0}>
+            {isSyncing ? 'Updating...' : `Update ${outdatedCount} Out-of-date Quiz${outdatedCount === 1 ? '' : 'zes'}`}
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Add to Quiz Dialog */}
+      <Dialog open={addDialogOpen} onClose={() => setAddDialogOpen(false)} maxWidth="xs" fullWidth>
+        <DialogTitle>Add {selectedIds.length} Question{selectedIds.length === 1 ? '' : 's'} to Quiz</DialogTitle>
+        <DialogContent>
+          <FormControl fullWidth sx={{ mt: 1 }}>
+            <InputLabel>Quiz</InputLabel>
+            <Select value={targetQuizId} label="Quiz" onChange={(e) => setTargetQuizId(e.target.value)}>
+              {quizzes.map(quiz => <MenuItem key={quiz._id} value={quiz._id}>{quiz.title}</MenuItem>)}
+            </Select>
+          </FormControl>
+          <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mt: 1 }}>
+            The quiz is saved as a new version. Assignments that already have submissions keep their version.
+          </Typography>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setAddDialogOpen(false)} disabled={isAdding}>Cancel</Button>
+          <Button variant="contained" onClick={handleAddToQuiz} disabled={isAdding || !targetQuizId}>
+            {isAdding ? 'Adding...' : 'Add'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+};
+
+export default QuestionBankTab;
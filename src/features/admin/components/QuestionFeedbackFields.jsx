@@ -0,0 +1,56 @@
+import React from 'react';
+import { Box, TextField, Typography, FormHelperText } from '@mui/material';
+
+/**
+ * Explanation of the correct answer and, for multiple choice, feedback on each
+ * option. Candidates see both when they review their submission
+ */
+const QuestionFeedbackFields = ({ question, onChange }) => {
+  const options = question.type === 'mcq' ? question.options || [] : [];
+  const optionFeedback = question.optionFeedback || [];
+
+  // Feedback is stored in option order, one entry per option
+  const handleOptionFeedbackChange = (index, value) => {
+    const next = options.map((_, i) => optionFeedback[i] || '');
+    next[index] = value;
+    onChange('optionFeedback', next);
+  };
+
+  return (
+    <Box sx={{ mt: 2 }}>
+      <TextField
+        label="Explanation (optional)"
+        value={question.explanation || ''}
+        onChange={(e) => onChange('explanation', e.target.value)}
+        fullWidth
+        multiline
+        minRows={2}
+        variant="outlined"
+        helperText="Why the correct answer is correct. Shown to candidates when they review their submission."
+      />
+
+      {options.length > 0 && (
+        <Box sx={{ mt: 2 }}>
+          <Typography variant="subtitle2" gutterBottom>Option Feedback (optional):</Typography>
+          {options.map((option, index) => (
+            <TextField
+              key={index}
+              label={`${String.fromCharCode(65 + index)}. ${option || `Option ${index + 1}`}`}
+              value={optionFeedback[index] || ''}
+              onChange={(e) => handleOptionFeedbackChange(index, e.target.value)}
+              fullWidth
+              size="small"
+              variant="outlined"
+              sx={{ mb: 1 }}
+            />
+          ))}
+          <FormHelperText sx={{ mt: 0 }}>
+            Shown under the option when a candidate reviews their answer, e.g. why a tempting option is wrong.
+          </FormHelperText>
+        </Box>
+      )}
+    </Box>
+  );
+};
+
+export default QuestionFeedbackFields;
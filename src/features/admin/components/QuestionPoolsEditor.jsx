@@ -0,0 +1,184 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Typography,
+  Button,
+  Paper,
+  TextField,
+  Grid,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  IconButton,
+  Chip,
+} from '@mui/material';
+import AddIcon from '@mui/icons-material/Add';
+import DeleteIcon from '@mui/icons-material/Delete';
+import { QUESTION_TYPES, DIFFICULTY_LEVELS, BLOOMS_LEVELS } from '../../../utils/questionTypes';
+
+const EMPTY_POOL = {
+  title: '',
+  count: 5,
+  tags: [],
+  topic: '',
+  difficulty: '',
+  bloomsLevel: '',
+  type: '',
+  points: null,
+};
+
+/**
+ * Editor for a quiz's question pools: sections filled separately for each
+ * candidate with random questions from the question bank
+ */
+const QuestionPoolsEditor = ({ pools, onChange, token }) => {
+  const [matching, setMatching] = useState([]);
+
+  // Show how many bank questions each pool can draw from
+  useEffect(() => {
+    if (!token || pools.length === 0) {
+      setMatching([]);
+      return undefined;
+    }
+
+    const timer = setTimeout(async () => {
+      try {
+        const response = await fetch('/api/question-bank/pool-preview', {
+          method: 'POST',
+          headers: {
+            'Authorization': `Bearer ${token}`,
+            'Content-Type': 'application/json'
+          },
+          body: JSON.stringify({ pools })
+        });
+        const result = await response.json();
+        if (response.ok) setMatching(result.data);
+      } catch {
+        // The counts are only a hint; editing still works without them
+      }
+    }, 400);
+    return () => clearTimeout(timer);
+  }, [pools, token]);
+
+  const handlePoolChange = (index, field, value) => {
+    onChange(pools.map((pool, i) => (i === index ? { ...pool, [field]: value } : pool)));
+  };
+
+  const handleAddPool = () => {
+    onChange([...pools, { ...EMPTY_POOL }]);
+  };
+
+  const handleDeletePool = (index) => {
+    onChange(pools.filter((_, i) => i !== index));
+  };
+
+  return (
+    <Box sx={{ mb: 3 }}>
+      <Typography variant="h5" gutterBottom>Question Pools ({pools.length})</Typography>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+        Each candidate gets their own random draw from the question bank, fixed the first time they open the quiz.
+      </Typography>
+
+      {pools.map((pool, index) => {
+        const preview = matching[index];
+        return (
+          <Paper key={pool._id || index} sx={{ p: 3, mb: 2, border: '1px solid #e0e0e0' }}>
+            <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2 }}>
+              <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                <Typography variant="h6">Pool {index + 1}</Typography>
+                {preview && (
+                  <Chip
+                    size="small"
+                    color={preview.isShort ? 'warning' : 'success'}
+                    label={preview.isShort
+                      ? `Only ${preview.matching} matching question${preview.matching === 1 ? '' : 's'} in the bank`
+                      : `${preview.matching} matching questions in the bank`}
+                  />
+                )}
+              </Box>
+              <IconButton onClick={() => handleDeletePool(index)} color="error">
+                <DeleteIcon />
+              </IconButton>
+            </Box>
+
+            <Grid container spacing={2}>
+              <Grid size={{ xs: 12, sm: 8 }}>
+                <TextField
+                  fullWidth
+                  label="Section Title (optional)"
+                  value={pool.title || ''}
+                  onChange={(e) => handlePoolChange(index, 'title', e.target.value)}
+                />
+              </Grid>
+              <Grid size={{ xs: 6, sm: 2 }}>
+                <TextField
+                  fullWidth
+                  type="number"
+                  label="Draw"
+                  value={pool.count}
+                  onChange={(e) => handlePoolChange(index, 'count', e.target.value)}
+                  inputProps={{ min: 1 }}
+                />
+              </Grid>
+              <Grid size={{ xs: 6, sm: 2 }}>
+                <TextField
+                  fullWidth
+                  type="number"
+                  label="Points Each"
+                  value={pool.points ?? ''}
+                  onChange={(e) => handlePoolChange(index, 'points', e.target.value)}
+                  inputProps={{ min: 0, step: 0.5 }}
+                  helperText="Blank keeps bank points"
+                />
+              </Grid>
+              <Grid size={{ xs: 12, sm: 6 }}>
+                <TextField
+                  fullWidth
+                  label="Tags"
+                  value={Array.isArray(pool.tags) ? pool.tags.join(', ') : pool.tags}
+                  onChange={(e) => handlePoolChange(index, 'tags', e.target.value.split(','))}
+                  placeholder="e.g., recursion"
+                  helperText="Questions must have every tag (comma separated)"
+                />
+              </Grid>
+              <Grid size={{ xs: 12, sm: 6 }}>
+                <TextField
+                  fullWidth
+                  label="Topic"
+                  value={pool.topic || ''}
+                  onChange={(e) => handlePoolChange(index, 'topic', e.target.value)}
+                />
+              </Grid>
+              {[
+                { field: 'difficulty', label: 'Difficulty', options: DIFFICULTY_LEVELS },
+                { field: 'bloomsLevel', label: "Bloom's Level", options: BLOOMS_LEVELS },
+                { field: 'type', label: 'Question Type', options: QUESTION_TYPES },
+              ].map(({ field, label, options }) => (
+                <Grid size={{ xs: 12, sm: 4 }} key={field}>
+                  <FormControl fullWidth>
+                    <InputLabel>{label}</InputLabel>
+                    <Select
+                      value={pool[field] || ''}
+                      label={label}
+                      onChange={(e) => handlePoolChange(index, field, e.target.value)}
+                    >
+                      <MenuItem value="">Any</MenuItem>
+                      {options.map(opt => <MenuItem key={opt.value} value={opt.value}>{opt.label}</MenuItem>)}
+                    </Select>
+                  </FormControl>
+                </Grid>
+              ))}
+            </Grid>
+          </Paper>
+        );
+      })}
+
+      <Button startIcon={<AddIcon />} onClick={handleAddPool} variant="outlined">
+        Add Question Pool
+      </Button>
+    </Box>
+  );
+};
+
+export default QuestionPoolsEditor;
@@ -0,0 +1,100 @@
+import React from 'react';
+import {
+  Box,
+  Typography,
+  Paper,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Chip,
+  Tooltip,
+} from '@mui/material';
+import RichText from '../../../components/RichText';
+import { formatDuration } from '../../../utils/attemptTiming';
+
+// Candidates whose time on a question was far from the class median
+const OutlierChips = ({ answers, color }) => (
+  answers.length > 0 ? (
+    <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5 }}>
+      {answers.map(answer => (
+        <Tooltip key={answer.candidateId} title={answer.isCorrect ? 'Answered correctly' : 'Answered incorrectly'}>
+          <Chip
+            label={`${answer.name} · ${formatDuration(answer.seconds)}`}
+            size="small"
+            color={color}
+            variant={answer.isCorrect ? 'outlined' : 'filled'}
+          />
+        </Tooltip>
+      ))}
+    </Box>
+  ) : (
+    <Typography variant="body2" color="text.secondary">—</Typography>
+  )
+);
+
+/**
+ * Median time per question across the class, with the answers that were
+ * unusually fast (possible guessing or a leaked answer) or slow
+ * @param {Array} questions - questionTiming from the class analytics
+ * @param {Object} thresholds - { fastFactor, slowFactor, minTimedAnswers }
+ */
+const QuestionTimingTable = ({ questions, thresholds }) => (
+  <Paper sx={{ p: { xs: 2, sm: 3 }, mb: 4, overflowX: 'auto' }}>
+    <Typography variant="h6" fontWeight="600" gutterBottom>
+      Time per Question
+    </Typography>
+    <Typography variant="body2" color="text.secondary">
+      Time each question was on screen, revisits included. Answers under{' '}
+      {thresholds.fastFactor * 100}% of the class median are flagged as fast, and over{' '}
+      {thresholds.slowFactor}× as slow, once at least {thresholds.minTimedAnswers} answers are timed.
+      Filled chips are incorrect answers.
+    </Typography>
+
+    {questions.length > 0 ? (
+      <TableContainer sx={{ mt: 2 }}>
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell sx={{ fontWeight: 600 }}>Question</TableCell>
+              <TableCell align="center" sx={{ fontWeight: 600 }}>Median Time</TableCell>
+              <TableCell align="center" sx={{ fontWeight: 600 }}>Timed Answers</TableCell>
+              <TableCell sx={{ fontWeight: 600 }}>Unusually Fast</TableCell>
+              <TableCell sx={{ fontWeight: 600 }}>Unusually Slow</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {questions.map(question => (
+              <TableRow key={`${question.assignmentId}-${question.questionId}`}>
+                <TableCell sx={{ maxWidth: 320 }}>
+                  <RichText text={question.questionText} format={question.textFormat} variant="body2" component="div" />
+                  <Typography variant="caption" color="text.secondary">
+                    {question.quizTitle}{question.fromPool ? ' · drawn from pool' : ''}
+                  </Typography>
+                </TableCell>
+                <TableCell align="center">
+                  {question.medianSeconds !== null ? formatDuration(question.medianSeconds) : '—'}
+                </TableCell>
+                <TableCell align="center">{question.timedAnswers}</TableCell>
+                <TableCell>
+                  <OutlierChips answers={question.fast} color="warning" />
+                </TableCell>
+                <TableCell>
+                  <OutlierChips answers={question.slow} color="info" />
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </TableContainer>
+    ) : (
+      <Typography color="text.secondary" sx={{ mt: 2 }}>
+        No timed answers yet. Questions are timed for quizzes submitted from now on.
+      </Typography>
+    )}
+  </Paper>
+);
+
+export default QuestionTimingTable;
@@ -0,0 +1,260 @@
+import React, { useState, useRef } from 'react';
+import {
+  Box,
+  Typography,
+  Button,
+  Paper,
+  TextField,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  CircularProgress,
+  Alert,
+  Chip,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  List,
+  ListItem,
+  ListItemText,
+} from '@mui/material';
+import UploadFileIcon from '@mui/icons-material/UploadFile';
+import { QUESTION_TYPES } from '../../../utils/questionTypes';
+import { QUIZ_FILE_FORMATS } from '../../../utils/quizFileFormats';
+
+const typeLabel = (type) => QUESTION_TYPES.find(t => t.value === type)?.label || type;
+
+/**
+ * Import a quiz from a Moodle XML, GIFT, Aiken or QTI 2.1 file: the file is
+ * read on the server first so the questions that could not be parsed can be
+ * reviewed before the quiz is created
+ */
+const QuizImportPanel = ({ token, onImported }) => {
+  const fileInputRef = useRef(null);
+  const [file, setFile] = useState(null);
+  const [format, setFormat] = useState('auto');
+  const [preview, setPreview] = useState(null);
+  const [title, setTitle] = useState('');
+  const [timeLimit, setTimeLimit] = useState(10);
+  const [isParsing, setIsParsing] = useState(false);
+  const [isImporting, setIsImporting] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  const runPreview = async (selectedFile, selectedFormat) => {
+    setIsParsing(true);
+    setError('');
+    setSuccess('');
+    setPreview(null);
+
+    const formData = new FormData();
+    formData.append('file', selectedFile);
+    formData.append('format', selectedFormat);
+
+    try {
+      const response = await fetch('/api/quiz/import/preview', {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${token}`
+        },
+        body: formData,
+      });
+
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || data.message || 'Could not read the file');
+      }
+
+      setPreview(data.data);
+      setTitle(data.data.title);
+    } catch (err) {
+      setError(err.message);
+    }
+
+    setIsParsing(false);
+  };
+
+  const handleFileChange = (event) => {
+    const selectedFile = event.target.files[0];
+    event.target.value = null;
+    if (!selectedFile) return;
+
+    setFile(selectedFile);
+    runPreview(selectedFile, format);
+  };
+
+  const handleFormatChange = (event) => {
+    setFormat(event.target.value);
+    if (file) runPreview(file, event.target.value);
+  };
+
+  const handleImport = async () => {
+    setIsImporting(true);
+    setError('');
+
+    const formData = new FormData();
+    formData.append('file', file);
+    formData.append('format', preview.format);
+    formData.append('title', title);
+    formData.append('timeLimit', timeLimit);
+
+    try {
+      const response = await fetch('/api/quiz/import', {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${token}`
+        },
+        body: formData,
+      });
+
+      const data = await response.json();
+      if (!response.ok || !data.success) {
+        throw new Error(data.error || data.message || 'Failed to import quiz');
+      }
+
+      setSuccess(`${data.message}. Redirecting to content library...`);
+      onImported(data.data);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsImporting(false);
+    }
+  };
+
+  return (
+    <Box sx={{ maxWidth: 900, mx: 'auto' }}>
+      <Paper sx={{ p: 3, mb: 3 }}>
+        <Typography variant="h6" gutterBottom fontWeight="bold">
+          Import from a File
+        </Typography>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          Bring in questions exported from Moodle or another LMS. You can check what was read before the quiz is created.
+        </Typography>
+
+        <Box sx={{ display: 'flex', gap: 2, alignItems: 'center', flexWrap: 'wrap' }}>
+          <FormControl sx={{ minWidth: 220 }}>
+            <InputLabel>Format</InputLabel>
+            <Select value={format} label="Format" onChange={handleFormatChange}>
+              <MenuItem value="auto">Detect automatically</MenuItem>
+              {QUIZ_FILE_FORMATS.map(opt => <MenuItem key={opt.value} value={opt.value}>{opt.label}</MenuItem>)}
+            </Select>
+          </FormControl>
+          <input
+            type="file"
+            accept=".xml,.txt,.gift,.zip"
+            ref={fileInputRef}
+            onChange={handleFileChange}
+            style={{ display: 'none' }}
+          />
+          <Button
+            variant="outlined"
+            startIcon={isParsing ? <CircularProgress size={18} /> : <UploadFileIcon />}
+            onClick={() => fileInputRef.current.click()}
+            disabled={isParsing || isImporting}
+          >
+            {file ? 'Choose Another File' : 'Choose File'}
+          </Button>
+          {file && <Typography variant="body2" color="text.secondary">{file.name}</Typography>}
+        </Box>
+      </Paper>
+
+      {preview && (
+        <>
+          <Paper sx={{ p: 3, mb: 3 }}>
+            <Box sx={{ display: 'flex', gap: 1, mb: 2, flexWrap: 'wrap' }}>
+              <Chip label={QUIZ_FILE_FORMATS.find(f => f.value === preview.format)?.label || preview.format} />
+              <Chip color="success" label={`${preview.questions.length} question${preview.questions.length === 1 ? '' : 's'} read`} />
+              {preview.errors.length > 0 && (
+                <Chip color="warning" label={`${preview.errors.length} could not be read`} />
+              )}
+            </Box>
+            <TextField
+              label="Quiz Title"
+              value={title}
+              onChange={(e) => setTitle(e.target.value)}
+              fullWidth
+              sx={{ mb: 2 }}
+            />
+            <TextField
+              label="Time Limit (minutes)"
+              type="number"
+              value={timeLimit}
+              onChange={(e) => setTimeLimit(parseInt(e.target.value) || 10)}
+              inputProps={{ min: 1, max: 180 }}
+              sx={{ width: 200 }}
+            />
+          </Paper>
+
+          {preview.errors.length > 0 && (
+            <Paper sx={{ p: 3, mb: 3 }}>
+              <Typography variant="subtitle1" fontWeight="bold" gutterBottom>
+                Not imported
+              </Typography>
+              <TableContainer>
+                <Table size="small">
+                  <TableHead>
+                    <TableRow>
+                      <TableCell>Where</TableCell>
+                      <TableCell>Question</TableCell>
+                      <TableCell>Reason</TableCell>
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {preview.errors.map((row, index) => (
+                      <TableRow key={index}>
+                        <TableCell sx={{ whiteSpace: 'nowrap' }}>
+                          {row.line ? `Line ${row.line}` : `Item ${row.item}`}
+                        </TableCell>
+                        <TableCell>{row.title || row.snippet || '—'}</TableCell>
+                        <TableCell>{row.reason}</TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              </TableContainer>
+            </Paper>
+          )}
+
+          <Paper sx={{ p: 3, mb: 3 }}>
+            <Typography variant="subtitle1" fontWeight="bold" gutterBottom>
+              Questions to import
+            </Typography>
+            {preview.questions.length === 0 ? (
+              <Typography color="text.secondary">No questions could be read from this file.</Typography>
+            ) : (
+              <List dense>
+                {preview.questions.map((question, index) => (
+                  <ListItem key={index} divider>
+                    <ListItemText
+                      primary={`${index + 1}. ${question.text}`}
+                      secondary={`${typeLabel(question.type)} · ${question.points} point${question.points === 1 ? '' : 's'}${question.questionImage ? ' · image' : ''}`}
+                      primaryTypographyProps={{ sx: { whiteSpace: 'pre-wrap' } }}
+                    />
+                  </ListItem>
+                ))}
+              </List>
+            )}
+          </Paper>
+
+          <Button
+            variant="contained"
+            size="large"
+            onClick={handleImport}
+            disabled={isImporting || preview.questions.length === 0 || !title.trim()}
+          >
+            {isImporting ? <CircularProgress size={24} /> : `Import ${preview.questions.length} Question${preview.questions.length === 1 ? '' : 's'}`}
+          </Button>
+        </>
+      )}
+
+      {error && <Alert severity="error" sx={{ mt: 2 }}>{error}</Alert>}
+      {success && <Alert severity="success" sx={{ mt: 2 }}>{success}</Alert>}
+    </Box>
+  );
+};
+
+export default QuizImportPanel;
@@ -0,0 +1,292 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Box,
+  Typography,
+  Alert,
+  Chip,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  Radio,
+  Paper,
+  Divider,
+} from '@mui/material';
+import Loader from '../../../components/Loader';
+
+const FIELD_LABELS = {
+  text: 'Question text',
+  type: 'Question type',
+  options: 'Options',
+  questionImage: 'Question image',
+  optionImages: 'Option images',
+  explanation: 'Explanation',
+  optionFeedback: 'Option feedback',
+  answerKey: 'Answer key / points',
+};
+
+// One-line summary of a version's question pools
+const describePools = (pools) => (pools.length === 0
+  ? 'none'
+  : pools.map(pool => `${pool.title || 'Pool'} (draw ${pool.count}${pool.tags?.length ? `, #${pool.tags.join(' #')}` : ''}${pool.difficulty ? `, ${pool.difficulty}` : ''})`).join('; '));
+
+/**
+ * Version history of a quiz: every saved version, a diff between any two,
+ * and restoring an old version (which is saved as a new version)
+ */
+const QuizVersionHistoryDialog = ({ open, onClose, quiz, token, onRestored }) => {
+  const [versions, setVersions] = useState([]);
+  const [compareFrom, setCompareFrom] = useState(null);
+  const [compareTo, setCompareTo] = useState(null);
+  const [diff, setDiff] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [isRestoring, setIsRestoring] = useState(false);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  const fetchVersions = useCallback(async () => {
+    setIsLoading(true);
+    setError('');
+    try {
+      const response = await fetch(`http://localhost:5000/api/quiz/${quiz._id}/versions`, {
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        }
+      });
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.message || 'Failed to fetch version history');
+      }
+
+      setVersions(result.data);
+      // Compare the two most recent versions by default
+      setCompareTo(result.data[0]?.version ?? null);
+      setCompareFrom(result.data[1]?.version ?? null);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [quiz, token]);
+
+  useEffect(() => {
+    if (open && quiz) {
+      setDiff(null);
+      setMessage('');
+      fetchVersions();
+    }
+  }, [open, quiz, fetchVersions]);
+
+  useEffect(() => {
+    const fetchDiff = async () => {
+      try {
+        const response = await fetch(
+          `http://localhost:5000/api/quiz/${quiz._id}/versions/diff?from=${compareFrom}&to=${compareTo}`,
+          {
+            headers: {
+              'Authorization': `Bearer ${token}`,
+              'Content-Type': 'application/json'
+            }
+          }
+        );
+        const result = await response.json();
+        if (!response.ok) {
+          throw new Error(result.message || 'Failed to compare versions');
+        }
+        setDiff(result.data);
+      } catch (err) {
+        setError(err.message);
+      }
+    };
+
+    if (open && quiz && compareFrom && compareTo && compareFrom !== compareTo) {
+      fetchDiff();
+    } else {
+      setDiff(null);
+    }
+  }, [open, quiz, token, compareFrom, compareTo]);
+
+  const handleRestore = async (version) => {
+    if (!window.confirm(`Restore version ${version}? It will be saved as a new version; existing versions are kept.`)) {
+      return;
+    }
+
+    setIsRestoring(true);
+    setError('');
+    try {
+      const response = await fetch(`http://localhost:5000/api/quiz/${quiz._id}/versions/${version}/restore`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        }
+      });
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.message || 'Failed to restore version');
+      }
+
+      setMessage(result.message);
+      await fetchVersions();
+      if (onRestored) onRestored(result.data);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsRestoring(false);
+    }
+  };
+
+  const hasChanges = diff && (diff.title || diff.pools || diff.added.length || diff.removed.length || diff.changed.length);
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="md" fullWidth>
+      <DialogTitle>Version History: {quiz?.title}</DialogTitle>
+      <DialogContent dividers>
+        {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+        {message && <Alert severity="success" sx={{ mb: 2 }}>{message}</Alert>}
+
+        {isLoading ? (
+          <Box sx={{ display: 'flex', justifyContent: 'center', py: 4 }}>
+            <Loader />
+          </Box>
+        ) : (
+          <>
+            <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+              Each assignment uses the version it was issued with. Pick two versions to compare.
+            </Typography>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell align="center"><strong>From</strong></TableCell>
+                  <TableCell align="center"><strong>To</strong></TableCell>
+                  <TableCell><strong>Version</strong></TableCell>
+                  <TableCell><strong>Change</strong></TableCell>
+                  <TableCell><strong>Saved</strong></TableCell>
+                  <TableCell align="right"><strong>Assignments</strong></TableCell>
+                  <TableCell />
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {versions.map(v => (
+                  <TableRow key={v.version}>
+                    <TableCell align="center">
+                      <Radio size="small" checked={compareFrom === v.version} onChange={() => setCompareFrom(v.version)} />
+                    </TableCell>
+                    <TableCell align="center">
+                      <Radio size="small" checked={compareTo === v.version} onChange={() => setCompareTo(v.version)} />
+                    </TableCell>
+                    <TableCell>
+                      v{v.version}
+                      {v.isCurrent && <Chip label="Current" size="small" color="primary" sx={{ ml: 1 }} />}
+                    </TableCell>
+                    <TableCell>
+                      {v.note || '—'}
+                      <Typography variant="caption" color="text.secondary" sx={{ display: 'block' }}>
+                        {v.questionCount} questions
+                        {v.pooledQuestionCount > 0 && ` + ${v.pooledQuestionCount} drawn from pools`}
+                      </Typography>
+                    </TableCell>
+                    <TableCell>
+                      {new Date(v.createdAt).toLocaleString()}
+                      <Typography variant="caption" color="text.secondary" sx={{ display: 'block' }}>
+                        by {v.createdBy}
+                      </Typography>
+                    </TableCell>
+                    <TableCell align="right">{v.assignmentCount}</TableCell>
+                    <TableCell align="right">
+                      {!v.isCurrent && (
+                        <Button size="small" onClick={() => handleRestore(v.version)} disabled={isRestoring}>
+                          Restore
+                        </Button>
+                      )}
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+
+            {/* Diff between the selected versions */}
+            {diff && (
+              <Box sx={{ mt: 3 }}>
+                <Typography variant="h6" gutterBottom>
+                  Changes from v{diff.from} to v{diff.to}
+                </Typography>
+                {!hasChanges && (
+                  <Typography variant="body2" color="text.secondary">
+                    These versions have the same content.
+                  </Typography>
+                )}
+                {diff.title && (
+                  <Typography variant="body2" sx={{ mb: 1 }}>
+                    <strong>Title:</strong> "{diff.title.before}" → "{diff.title.after}"
+                  </Typography>
+                )}
+                {diff.pools && (
+                  <Typography variant="body2" sx={{ mb: 1 }}>
+                    <strong>Question pools:</strong> {describePools(diff.pools.before)} → {describePools(diff.pools.after)}
+                  </Typography>
+                )}
+                {diff.added.map(q => (
+                  <Alert key={q.questionId} severity="success" sx={{ mb: 1 }}>
+                    <strong>Added:</strong> {q.text}
+                  </Alert>
+                ))}
+                {diff.removed.map(q => (
+                  <Alert key={q.questionId} severity="error" sx={{ mb: 1 }}>
+                    <strong>Removed:</strong> {q.text}
+                  </Alert>
+                ))}
+                {diff.changed.map(q => (
+                  <Paper key={q.questionId} variant="outlined" sx={{ p: 2, mb: 1 }}>
+                    <Box sx={{ display: 'flex', gap: 0.5, flexWrap: 'wrap', mb: 1 }}>
+                      {q.fields.map(field => (
+                        <Chip key={field} label={FIELD_LABELS[field] || field} size="small" color="warning" variant="outlined" />
+                      ))}
+                    </Box>
+                    {q.fields.includes('text') ? (
+                      <>
+                        <Typography variant="body2" color="error.main" sx={{ textDecoration: 'line-through' }}>
+                          {q.before.text}
+                        </Typography>
+                        <Typography variant="body2" color="success.main">
+                          {q.after.text}
+                        </Typography>
+                      </>
+                    ) : (
+                      <Typography variant="body2">{q.after.text}</Typography>
+                    )}
+                    {q.fields.includes('options') && (
+                      <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mt: 1 }}>
+                        Options: {(q.before.options || []).join(', ') || '—'} → {(q.after.options || []).join(', ') || '—'}
+                      </Typography>
+                    )}
+                    {q.fields.includes('answerKey') && (
+                      <>
+                        <Divider sx={{ my: 1 }} />
+                        <Typography variant="caption" color="text.secondary" sx={{ display: 'block' }}>
+                          Answer: {q.before.answer || '—'} → {q.after.answer || '—'}
+                        </Typography>
+                      </>
+                    )}
+                  </Paper>
+                ))}
+              </Box>
+            )}
+          </>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Close</Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default QuizVersionHistoryDialog;
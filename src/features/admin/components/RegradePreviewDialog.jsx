@@ -0,0 +1,70 @@
+import React from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Typography,
+  Alert,
+  List,
+  ListItem,
+  ListItemText,
+} from '@mui/material';
+
+/**
+ * Shown when the answer key of a quiz that already has submissions is edited.
+ * Lets the instructor save and re-grade every submission, or save without re-grading.
+ */
+const RegradePreviewDialog = ({ open, preview, isSaving, onCancel, onSaveOnly, onSaveAndRegrade }) => {
+  if (!preview) return null;
+
+  return (
+    <Dialog open={open} onClose={isSaving ? undefined : onCancel} maxWidth="sm" fullWidth>
+      <DialogTitle>Answer Key Changed</DialogTitle>
+      <DialogContent>
+        <Typography variant="body1" sx={{ mb: 2 }}>
+          You changed the answer key of {preview.changedQuestions} question{preview.changedQuestions === 1 ? '' : 's'} in
+          a quiz that has already been taken.
+        </Typography>
+
+        <Alert severity={preview.submissionsAffected > 0 ? 'warning' : 'info'} sx={{ mb: 2 }}>
+          Re-grading would change the score of <strong>{preview.submissionsAffected}</strong> of{' '}
+          {preview.totalSubmissions} submission{preview.totalSubmissions === 1 ? '' : 's'} across{' '}
+          {preview.assignmentCount} assignment{preview.assignmentCount === 1 ? '' : 's'}.
+        </Alert>
+
+        <List dense disablePadding>
+          {preview.assignments.filter(a => a.totalSubmissions > 0).map(a => (
+            <ListItem key={a.assignmentId} disableGutters>
+              <ListItemText
+                primary={`${a.classTitle}${a.courseCode ? ` (${a.courseCode})` : ''}`}
+                secondary={a.inProgress
+                  ? 'Skipped while candidates are taking it; re-grade again once they have submitted'
+                  : `${a.submissionsAffected} of ${a.totalSubmissions} submissions would change`}
+              />
+            </ListItem>
+          ))}
+        </List>
+
+        <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mt: 1 }}>
+          Answers you have overridden or graded manually are not changed. Every re-graded
+          submission keeps its previous score in its grade history.
+        </Typography>
+      </DialogContent>
+      <DialogActions sx={{ px: 3, py: 2 }}>
+        <Button onClick={onCancel} disabled={isSaving}>
+          Cancel
+        </Button>
+        <Button onClick={onSaveOnly} disabled={isSaving}>
+          Save Without Re-grading
+        </Button>
+        <Button variant="contained" onClick={onSaveAndRegrade} disabled={isSaving}>
+          {isSaving ? 'Saving...' : 'Save & Re-grade All'}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default RegradePreviewDialog;
@@ -0,0 +1,64 @@
+import React from 'react';
+import {
+  Box, FormControl, FormLabel, RadioGroup, FormControlLabel, Radio, FormHelperText, TextField, MenuItem,
+} from '@mui/material';
+import { RESULT_RELEASE_LEVELS, RESULT_RELEASE_TIMINGS } from '../../../utils/resultRelease';
+
+/**
+ * What candidates see of their results (score, correctness or the full answer
+ * key) and when it is released
+ */
+const ResultReleaseField = ({ value, onChange, disabled = false }) => {
+  const update = (changes) => onChange({ ...value, ...changes });
+  const showsResults = value.level && value.level !== 'none';
+
+  return (
+    <FormControl component="fieldset" margin="normal" fullWidth disabled={disabled}>
+      <FormLabel component="legend">Results</FormLabel>
+      <TextField
+        select
+        label="Candidates see"
+        fullWidth
+        margin="dense"
+        value={value.level}
+        onChange={(e) => update({ level: e.target.value })}
+        disabled={disabled}
+      >
+        <MenuItem value="">Class default (Show Results setting)</MenuItem>
+        {RESULT_RELEASE_LEVELS.map(level => (
+          <MenuItem key={level.value} value={level.value}>{level.label}</MenuItem>
+        ))}
+      </TextField>
+
+      {showsResults && (
+        <Box>
+          <RadioGroup row value={value.timing} onChange={(e) => update({ timing: e.target.value })}>
+            {RESULT_RELEASE_TIMINGS.map(timing => (
+              <FormControlLabel key={timing.value} value={timing.value} control={<Radio size="small" />} label={timing.label} />
+            ))}
+          </RadioGroup>
+          {value.timing === 'scheduled' && (
+            <TextField
+              label="Release Date & Time *"
+              type="datetime-local"
+              fullWidth
+              margin="dense"
+              value={value.releaseAt}
+              onChange={(e) => update({ releaseAt: e.target.value })}
+              InputLabelProps={{ shrink: true }}
+              disabled={disabled}
+            />
+          )}
+        </Box>
+      )}
+
+      <FormHelperText sx={{ ml: 0 }}>
+        {showsResults && value.timing !== 'immediately'
+          ? 'Candidates who submit before the release are emailed when their results become visible.'
+          : 'Answer review is available at the "which answers were right" and "answer key" levels.'}
+      </FormHelperText>
+    </FormControl>
+  );
+};
+
+export default ResultReleaseField;
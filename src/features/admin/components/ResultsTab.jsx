@@ -190,6 +190,9 @@ const ResultsTab = ({ classId, className, courseCode }) => {
         weightageType: weightageType,
         correct: parseInt(sub.score) || 0,
         total: parseInt(sub.totalQuestions) || 0,
+        pointsEarned: parseFloat(sub.pointsEarned) || 0,
+        totalPoints: parseFloat(sub.totalPoints) || 0,
+        latePenalty: parseFloat(sub.latePenalty) || 0, // Already taken off percentage
       };
     });
 
@@ -321,6 +324,7 @@ const ResultsTab = ({ classId, className, courseCode }) => {
       'Email Address',
       'Branch',
       ...assignments.map((a) => `${a.quizTitle} (Performance %)`),
+      ...assignments.map((a) => `${a.quizTitle} (Late Penalty %)`),
       ...assignments.map((a) => {
         const type = a.weightageType || 'percentage';
         const weight = a.weightage || 0;
@@ -341,6 +345,14 @@ const ResultsTab = ({ classId, className, courseCode }) => {
         const score = student.quizScores[a._id];
         return score ? `${(score.percentage || 0).toFixed(2)}%` : '0.00%';
       });
+
+      // Late penalties (percentage points, already taken off the performance %)
+      const penalties = assignments.map((a) => {
+        if (!isEligibleForAssignment(student.branch, a.subgroup)) return 'Not Eligible';
+
+        const score = student.quizScores[a._id];
+        return score && score.latePenalty > 0 ? `-${score.latePenalty.toFixed(2)}%` : '';
+      });
       
       // Marks obtained
       const marks = assignments.map((a) => {
@@ -362,6 +374,7 @@ const ResultsTab = ({ classId, className, courseCode }) => {
         student.email || 'Not Available',
         student.branch || 'Not Available',
         ...scores,
+        ...penalties,
         ...marks,
         (student.totalScore || 0).toFixed(2),
         (student.maxScore || 0).toFixed(2),
@@ -834,7 +847,7 @@ const ResultsTab = ({ classId, className, courseCode }) => {
                             />
                           ) : score ? (
                             <Box>
-                              <Tooltip title={`${score.correct || 0} out of ${score.total || 0} correct answers`} arrow>
+                              <Tooltip title={`${score.pointsEarned || 0} / ${score.totalPoints || 0} points • ${score.correct || 0} out of ${score.total || 0} correct answers`} arrow>
                                 <Box component="span">
                                   <Typography variant="body1" fontWeight={700} color="primary.main">
                                     {(score.percentage || 0).toFixed(1)}%
@@ -844,6 +857,11 @@ const ResultsTab = ({ classId, className, courseCode }) => {
                               <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mt: 0.5 }}>
                                 {(score.marksObtained || 0).toFixed(2)} / {weight}
                               </Typography>
+                              {score.latePenalty > 0 && (
+                                <Typography variant="caption" color="warning.main" sx={{ display: 'block' }}>
+                                  Late −{score.latePenalty.toFixed(1)}%
+                                </Typography>
+                              )}
                             </Box>
                           ) : (
                             <Box>
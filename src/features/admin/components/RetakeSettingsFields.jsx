@@ -0,0 +1,58 @@
+import React from 'react';
+import { Box, TextField, MenuItem, Typography } from '@mui/material';
+import { SCORING_RULES } from '../../../utils/scoringRules';
+
+/**
+ * How many times candidates can submit, how long they wait between attempts
+ * and which attempt's score counts
+ */
+const RetakeSettingsFields = ({ maxAttempts, attemptCooldown, scoringRule, onChange, disabled = false }) => {
+  const allowsRetakes = Number(maxAttempts) > 1;
+
+  return (
+    <Box sx={{ mt: 1 }}>
+      <Typography variant="subtitle2" sx={{ mb: 1 }}>
+        Attempts
+      </Typography>
+      <Box sx={{ display: 'flex', gap: 2, flexWrap: 'wrap' }}>
+        <TextField
+          label="Maximum Attempts"
+          type="number"
+          value={maxAttempts}
+          onChange={(e) => onChange('maxAttempts', e.target.value)}
+          inputProps={{ min: 1, step: 1 }}
+          disabled={disabled}
+          sx={{ flex: 1, minWidth: 140 }}
+        />
+        <TextField
+          label="Cooldown (minutes)"
+          type="number"
+          value={attemptCooldown}
+          onChange={(e) => onChange('attemptCooldown', e.target.value)}
+          inputProps={{ min: 0 }}
+          disabled={disabled || !allowsRetakes}
+          sx={{ flex: 1, minWidth: 140 }}
+        />
+        <TextField
+          select
+          label="Score That Counts"
+          value={scoringRule}
+          onChange={(e) => onChange('scoringRule', e.target.value)}
+          disabled={disabled || !allowsRetakes}
+          sx={{ flex: 1, minWidth: 180 }}
+        >
+          {SCORING_RULES.map(rule => (
+            <MenuItem key={rule.value} value={rule.value}>{rule.label}</MenuItem>
+          ))}
+        </TextField>
+      </Box>
+      <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mt: 0.5 }}>
+        {allowsRetakes
+          ? 'Every attempt is kept. Candidates wait for the cooldown after each attempt before starting the next.'
+          : 'Candidates can submit once. Allow more attempts to let them retake the quiz.'}
+      </Typography>
+    </Box>
+  );
+};
+
+export default RetakeSettingsFields;
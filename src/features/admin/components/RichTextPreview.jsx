@@ -0,0 +1,46 @@
+import React from 'react';
+import { Paper, Typography, Box } from '@mui/material';
+import RichText from '../../../components/RichText';
+
+/**
+ * Live preview of a rich-text question as candidates will see it
+ */
+const RichTextPreview = ({ question }) => {
+  if (question.textFormat !== 'markdown') return null;
+
+  const options = ['mcq', 'multiple_select'].includes(question.type)
+    ? (question.options || []).filter(option => option.trim())
+    : [];
+
+  return (
+    <Paper variant="outlined" sx={{ p: 2, mb: 2, bgcolor: '#fafafa' }}>
+      <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mb: 1 }}>
+        Preview
+      </Typography>
+      {question.text?.trim() ? (
+        <RichText text={question.text} format="markdown" />
+      ) : (
+        <Typography color="text.secondary">The question text will appear here.</Typography>
+      )}
+      {options.length > 0 && (
+        <Box component="ol" type="A" sx={{ mt: 1, mb: 0, pl: 3 }}>
+          {options.map((option, index) => (
+            <li key={index}>
+              <RichText text={option} format="markdown" inline />
+            </li>
+          ))}
+        </Box>
+      )}
+      {question.explanation?.trim() && (
+        <Box sx={{ mt: 2, pt: 1, borderTop: '1px solid #e0e0e0' }}>
+          <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mb: 0.5 }}>
+            Explanation
+          </Typography>
+          <RichText text={question.explanation} format="markdown" variant="body2" />
+        </Box>
+      )}
+    </Paper>
+  );
+};
+
+export default RichTextPreview;
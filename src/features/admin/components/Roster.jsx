@@ -13,10 +13,12 @@ import DeleteIcon from '@mui/icons-material/Delete';
 import SendIcon from '@mui/icons-material/Send';
 import PersonRemoveIcon from '@mui/icons-material/PersonRemove';
 import SearchIcon from '@mui/icons-material/Search';
+import MoreTimeIcon from '@mui/icons-material/MoreTime';
 import { useAuth } from '../../auth/contexts/AuthContext';
+import { TIME_MULTIPLIER_OPTIONS, getAccommodationError, formatTimeMultiplier } from '../../../utils/accommodations';
 
-// Accept 'students', 'inviteCode', 'classId', and 'onStudentRemoved' as props
-const Roster = ({ students, inviteCode, classId, onStudentRemoved }) => {
+// Accept 'students', 'accommodations', 'inviteCode', 'classId', 'onStudentRemoved' and 'onAccommodationsChanged' as props
+const Roster = ({ students, accommodations = [], inviteCode, classId, onStudentRemoved, onAccommodationsChanged }) => {
   const { token } = useAuth();
   const [isModalOpen, setIsModalOpen] = useState(false);
   const [modalTab, setModalTab] = useState(0);
@@ -37,6 +39,13 @@ const Roster = ({ students, inviteCode, classId, onStudentRemoved }) => {
   const [studentToRemove, setStudentToRemove] = useState(null);
   const [isRemoving, setIsRemoving] = useState(false);
 
+  // State for accommodations (extra time on every assignment)
+  const [accommodationStudent, setAccommodationStudent] = useState(null);
+  const [timeMultiplier, setTimeMultiplier] = useState('1.5');
+  const [accommodationNote, setAccommodationNote] = useState('');
+  const [accommodationError, setAccommodationError] = useState('');
+  const [isSavingAccommodation, setIsSavingAccommodation] = useState(false);
+
   // State for search and filter
   const [searchTerm, setSearchTerm] = useState('');
   const [selectedBranch, setSelectedBranch] = useState('');
@@ -283,6 +292,59 @@ const Roster = ({ students, inviteCode, classId, onStudentRemoved }) => {
     setStudentToRemove(null);
   };
 
+  const getAccommodation = (studentId) => accommodations.find(item => item.studentId === studentId);
+
+  // Open the accommodation dialog for a student
+  const handleAccommodationClick = (student) => {
+    const accommodation = getAccommodation(student._id);
+    setAccommodationStudent(student);
+    setTimeMultiplier(accommodation ? String(accommodation.timeMultiplier) : '1.5');
+    setAccommodationNote(accommodation?.note || '');
+    setAccommodationError('');
+  };
+
+  // Save (PUT) or remove (DELETE) the student's accommodation
+  const handleAccommodationRequest = async (method) => {
+    if (method === 'PUT') {
+      const validationError = getAccommodationError({ timeMultiplier });
+      if (validationError) {
+        setAccommodationError(validationError);
+        return;
+      }
+    }
+
+    setIsSavingAccommodation(true);
+    setAccommodationError('');
+
+    try {
+      const response = await fetch(`http://localhost:5000/api/classes/${classId}/accommodations/${accommodationStudent._id}`, {
+        method,
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        },
+        ...(method === 'PUT' && {
+          body: JSON.stringify({ timeMultiplier: Number(timeMultiplier), note: accommodationNote }),
+        }),
+      });
+
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.message || 'Failed to update accommodation');
+      }
+
+      setAccommodationStudent(null);
+      // Notify parent component to refresh the accommodations
+      if (onAccommodationsChanged) {
+        onAccommodationsChanged();
+      }
+    } catch (err) {
+      setAccommodationError(err.message);
+    }
+
+    setIsSavingAccommodation(false);
+  };
+
   // Search and filter handlers
   const handleSearchChange = (e) => {
     setSearchTerm(e.target.value);
@@ -383,15 +445,34 @@ const Roster = ({ students, inviteCode, classId, onStudentRemoved }) => {
                     key={student._id}
                     sx={{ border: 'none', borderRadius: 0, mb: 0, px: 2, py: 1, background: 'transparent' }}
                     secondaryAction={
-                      <Tooltip title="Remove from class">
-                        <IconButton edge="end" onClick={() => handleRemoveClick(student)} color="error" size="small">
-                          <PersonRemoveIcon />
-                        </IconButton>
-                      </Tooltip>
+                      <Box>
+                        <Tooltip title="Accommodations">
+                          <IconButton onClick={() => handleAccommodationClick(student)} color="primary" size="small" sx={{ mr: 1 }}>
+                            <MoreTimeIcon />
+                          </IconButton>
+                        </Tooltip>
+                        <Tooltip title="Remove from class">
+                          <IconButton edge="end" onClick={() => handleRemoveClick(student)} color="error" size="small">
+                            <PersonRemoveIcon />
+                          </IconButton>
+                        </Tooltip>
+                      </Box>
                     }
                   >
                     <Box sx={{ display: 'flex', width: '100%', alignItems: 'center', gap: 6, fontFamily: 'inherit' }}>
-                      <Box sx={{ flex: 1, minWidth: 140, fontSize: '1rem', fontWeight: 400 }}>{student.name}</Box>
+                      <Box sx={{ flex: 1, minWidth: 140, fontSize: '1rem', fontWeight: 400 }}>
+                        {student.name}
+                        {getAccommodation(student._id) && (
+                          <Tooltip title={getAccommodation(student._id).note || 'Extra time on every assignment'}>
+                            <Chip
+                              label={formatTimeMultiplier(getAccommodation(student._id).timeMultiplier)}
+                              color="info"
+                              size="small"
+                              sx={{ ml: 1 }}
+                            />
+                          </Tooltip>
+                        )}
+                      </Box>
                       <Box sx={{ flex: 1, minWidth: 180, fontSize: '1rem', fontWeight: 400 }}>{student.registrationNumber || '-'}</Box>
                       <Box sx={{ flex: 2, minWidth: 220, fontSize: '1rem', color: 'text.secondary', fontWeight: 400 }}>{student.email}</Box>
                       <Box sx={{ flex: 1, minWidth: 220 }} />
@@ -436,6 +517,63 @@ const Roster = ({ students, inviteCode, classId, onStudentRemoved }) => {
         </DialogActions>
       </Dialog>
 
+      {/* Accommodation Dialog */}
+      <Dialog open={Boolean(accommodationStudent)} onClose={() => setAccommodationStudent(null)} fullWidth maxWidth="xs">
+        <DialogTitle>Accommodations for {accommodationStudent?.name}</DialogTitle>
+        <DialogContent>
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+            Extra time applies to every assignment in this class. Individual assignments can also give extensions.
+          </Typography>
+          <Box sx={{ display: 'flex', gap: 1, mb: 1 }}>
+            {TIME_MULTIPLIER_OPTIONS.map(option => (
+              <Chip
+                key={option}
+                label={formatTimeMultiplier(option)}
+                color={Number(timeMultiplier) === option ? 'primary' : 'default'}
+                onClick={() => setTimeMultiplier(String(option))}
+              />
+            ))}
+          </Box>
+          <TextField
+            label="Time Multiplier"
+            type="number"
+            fullWidth
+            margin="dense"
+            value={timeMultiplier}
+            onChange={(e) => setTimeMultiplier(e.target.value)}
+            inputProps={{ min: 1, max: 4, step: 0.05 }}
+            helperText="1.5 gives a 60-minute quiz 90 minutes"
+          />
+          <TextField
+            label="Note"
+            fullWidth
+            margin="dense"
+            value={accommodationNote}
+            onChange={(e) => setAccommodationNote(e.target.value)}
+            inputProps={{ maxLength: 500 }}
+            helperText="Only instructors see this"
+          />
+          {accommodationError && (
+            <Alert severity="error" sx={{ mt: 2 }}>
+              {accommodationError}
+            </Alert>
+          )}
+        </DialogContent>
+        <DialogActions>
+          {accommodationStudent && getAccommodation(accommodationStudent._id) && (
+            <Button color="error" onClick={() => handleAccommodationRequest('DELETE')} disabled={isSavingAccommodation}>
+              Remove
+            </Button>
+          )}
+          <Button onClick={() => setAccommodationStudent(null)} disabled={isSavingAccommodation}>
+            Cancel
+          </Button>
+          <Button variant="contained" onClick={() => handleAccommodationRequest('PUT')} disabled={isSavingAccommodation}>
+            {isSavingAccommodation ? 'Saving...' : 'Save'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+
       {/* 3. "Add Candidates" Modal */}
       <Dialog open={isModalOpen} onClose={handleCloseModal} fullWidth maxWidth="sm">
         <DialogTitle>Add Candidates to Class</DialogTitle>
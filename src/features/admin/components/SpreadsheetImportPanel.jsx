@@ -0,0 +1,283 @@
+import React, { useState, useRef } from 'react';
+import {
+  Box,
+  Typography,
+  Button,
+  Paper,
+  TextField,
+  CircularProgress,
+  Alert,
+  Chip,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  FormControlLabel,
+  Checkbox,
+} from '@mui/material';
+import UploadFileIcon from '@mui/icons-material/UploadFile';
+import DownloadIcon from '@mui/icons-material/Download';
+import { QUESTION_TYPES } from '../../../utils/questionTypes';
+
+const typeLabel = (type) => QUESTION_TYPES.find(t => t.value === type)?.label || type;
+
+// Short summary of a parsed question's answer key for the preview table
+const describeAnswer = (question) => {
+  switch (question.type) {
+    case 'multiple_select':
+      return question.correctOptions.join(', ');
+    case 'numeric':
+      return question.rangeMin !== null
+        ? `${question.rangeMin} to ${question.rangeMax}`
+        : `${question.answer}${question.tolerance ? ` ± ${question.tolerance}` : ''}`;
+    case 'fill_blank':
+      return question.blanks.map(blank => blank.acceptedAnswers.join(' / ')).join(' | ');
+    default:
+      return question.answer;
+  }
+};
+
+/**
+ * Bulk question import from a spreadsheet (XLSX/CSV), one question per row:
+ * download the template, upload it, check every row, then create the quiz
+ */
+const SpreadsheetImportPanel = ({ token, onImported }) => {
+  const fileInputRef = useRef(null);
+  const [fileName, setFileName] = useState('');
+  const [preview, setPreview] = useState(null);
+  const [title, setTitle] = useState('');
+  const [timeLimit, setTimeLimit] = useState(10);
+  const [addToBank, setAddToBank] = useState(false);
+  const [isParsing, setIsParsing] = useState(false);
+  const [isImporting, setIsImporting] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  const handleDownloadTemplate = async () => {
+    setError('');
+    try {
+      const response = await fetch('/api/quiz/import/spreadsheet/template', {
+        headers: { 'Authorization': `Bearer ${token}` }
+      });
+      if (!response.ok) {
+        throw new Error('Failed to download template');
+      }
+
+      const blob = await response.blob();
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = 'question-upload-template.xlsx';
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  // Handle the file selection and preview
+  const handleFileChange = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = null;
+    if (!file) return;
+
+    setIsParsing(true);
+    setError('');
+    setSuccess('');
+    setPreview(null);
+    setFileName(file.name);
+
+    const formData = new FormData();
+    formData.append('file', file);
+
+    try {
+      const response = await fetch('/api/quiz/import/spreadsheet/preview', {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${token}`
+        },
+        body: formData,
+      });
+
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.message || 'File parsing failed');
+      }
+
+      setPreview(data);
+      if (!title) setTitle(file.name.replace(/\.[^.]+$/, ''));
+    } catch (err) {
+      setError(err.message);
+    }
+
+    setIsParsing(false);
+  };
+
+  const handleImport = async () => {
+    setIsImporting(true);
+    setError('');
+
+    try {
+      const response = await fetch('/api/quiz/import/spreadsheet', {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          title,
+          timeLimit,
+          questions: preview.questions,
+          addToBank
+        }),
+      });
+
+      const data = await response.json();
+      if (!response.ok || !data.success) {
+        throw new Error(data.message || 'Failed to import questions');
+      }
+
+      setSuccess(`${data.message}. Redirecting to content library...`);
+      onImported(data.data);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsImporting(false);
+    }
+  };
+
+  // Valid and invalid rows together, in spreadsheet order
+  const rows = preview
+    ? [
+      ...preview.questions.map(question => ({ row: question.row, question })),
+      ...preview.errors.map(rowError => ({ row: rowError.row, rowError })),
+    ].sort((a, b) => a.row - b.row)
+    : [];
+
+  return (
+    <Box sx={{ maxWidth: 1100, mx: 'auto' }}>
+      <Paper sx={{ p: 3, mb: 3 }}>
+        <Typography variant="h6" gutterBottom fontWeight="bold">
+          Import from a Spreadsheet
+        </Typography>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          Write one question per row with columns for text, type, options, answer, points and tags.
+          The template has an example of every question type and a sheet explaining each column.
+        </Typography>
+
+        <Box sx={{ display: 'flex', gap: 2, alignItems: 'center', flexWrap: 'wrap' }}>
+          <Button variant="text" startIcon={<DownloadIcon />} onClick={handleDownloadTemplate}>
+            Download Template
+          </Button>
+          <input
+            type="file"
+            accept=".xlsx,.xls,.csv"
+            ref={fileInputRef}
+            onChange={handleFileChange}
+            style={{ display: 'none' }}
+          />
+          <Button
+            variant="outlined"
+            startIcon={isParsing ? <CircularProgress size={18} /> : <UploadFileIcon />}
+            onClick={() => fileInputRef.current.click()}
+            disabled={isParsing || isImporting}
+          >
+            {fileName ? 'Upload Another File' : 'Upload Spreadsheet'}
+          </Button>
+          {fileName && <Typography variant="body2" color="text.secondary">{fileName}</Typography>}
+        </Box>
+      </Paper>
+
+      {preview && (
+        <>
+          <Paper sx={{ p: 3, mb: 3 }}>
+            <Box sx={{ display: 'flex', gap: 1, mb: 2, flexWrap: 'wrap' }}>
+              <Chip color="success" label={`${preview.questions.length} valid row${preview.questions.length === 1 ? '' : 's'}`} />
+              {preview.errors.length > 0 && (
+                <Chip color="error" label={`${preview.errors.length} row${preview.errors.length === 1 ? '' : 's'} with errors (will be skipped)`} />
+              )}
+            </Box>
+            <TableContainer sx={{ maxHeight: 480 }}>
+              <Table size="small" stickyHeader>
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Row</TableCell>
+                    <TableCell>Status</TableCell>
+                    <TableCell>Question</TableCell>
+                    <TableCell>Type</TableCell>
+                    <TableCell>Answer</TableCell>
+                    <TableCell>Points</TableCell>
+                    <TableCell>Tags</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {rows.map(({ row, question, rowError }) => (
+                    rowError ? (
+                      <TableRow key={row} sx={{ bgcolor: '#fdecea' }}>
+                        <TableCell>{row}</TableCell>
+                        <TableCell><Chip size="small" color="error" label="Error" /></TableCell>
+                        <TableCell>{rowError.text || '—'}</TableCell>
+                        <TableCell colSpan={4}>
+                          <Typography variant="body2" color="error">{rowError.reason}</Typography>
+                        </TableCell>
+                      </TableRow>
+                    ) : (
+                      <TableRow key={row}>
+                        <TableCell>{row}</TableCell>
+                        <TableCell><Chip size="small" color="success" label="OK" /></TableCell>
+                        <TableCell sx={{ whiteSpace: 'pre-wrap' }}>{question.text}</TableCell>
+                        <TableCell>{typeLabel(question.type)}</TableCell>
+                        <TableCell>{describeAnswer(question)}</TableCell>
+                        <TableCell>{question.points}</TableCell>
+                        <TableCell>{question.tags.join(', ')}</TableCell>
+                      </TableRow>
+                    )
+                  ))}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          </Paper>
+
+          <Paper sx={{ p: 3, mb: 3 }}>
+            <TextField
+              label="Quiz Title"
+              value={title}
+              onChange={(e) => setTitle(e.target.value)}
+              fullWidth
+              sx={{ mb: 2 }}
+            />
+            <TextField
+              label="Time Limit (minutes)"
+              type="number"
+              value={timeLimit}
+              onChange={(e) => setTimeLimit(parseInt(e.target.value) || 10)}
+              inputProps={{ min: 1, max: 180 }}
+              sx={{ width: 200 }}
+            />
+            <FormControlLabel
+              sx={{ display: 'block', mt: 1 }}
+              control={<Checkbox checked={addToBank} onChange={(e) => setAddToBank(e.target.checked)} />}
+              label="Also save these questions to my question bank, with their tags"
+            />
+          </Paper>
+
+          <Button
+            variant="contained"
+            size="large"
+            onClick={handleImport}
+            disabled={isImporting || preview.questions.length === 0 || !title.trim()}
+          >
+            {isImporting ? <CircularProgress size={24} /> : `Create Quiz with ${preview.questions.length} Question${preview.questions.length === 1 ? '' : 's'}`}
+          </Button>
+        </>
+      )}
+
+      {error && <Alert severity="error" sx={{ mt: 2 }}>{error}</Alert>}
+      {success && <Alert severity="success" sx={{ mt: 2 }}>{success}</Alert>}
+    </Box>
+  );
+};
+
+export default SpreadsheetImportPanel;
@@ -0,0 +1,29 @@
+import React from 'react';
+import { FormControlLabel, Switch, FormHelperText, Box } from '@mui/material';
+
+/**
+ * Switch a question between plain text and rich text (Markdown with LaTeX and
+ * code blocks). The format applies to the question text, its options and the
+ * explanation
+ */
+const TextFormatSwitch = ({ format, onChange }) => (
+  <Box sx={{ mb: 2 }}>
+    <FormControlLabel
+      control={
+        <Switch
+          checked={format === 'markdown'}
+          onChange={(e) => onChange(e.target.checked ? 'markdown' : 'plain')}
+        />
+      }
+      label="Rich text (Markdown & LaTeX)"
+    />
+    {format === 'markdown' && (
+      <FormHelperText sx={{ ml: 0 }}>
+        **bold**, *italic*, `code`, $x^2$ for inline math, $$...$$ on its own lines for display math,
+        and ```python ... ``` for highlighted code blocks.
+      </FormHelperText>
+    )}
+  </Box>
+);
+
+export default TextFormatSwitch;
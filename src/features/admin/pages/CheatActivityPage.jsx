@@ -31,6 +31,7 @@ import {
   Divider,
 } from '@mui/material';
 import { useAuth } from '../../auth';
+import ProctoringTimeline from '../components/ProctoringTimeline';
 import SecurityIcon from '@mui/icons-material/Security';
 import CheckCircleIcon from '@mui/icons-material/CheckCircle';
 import VisibilityOffIcon from '@mui/icons-material/VisibilityOff';
@@ -363,6 +364,7 @@ const CheatActivityPage = () => {
                           onClick={() => {
                             setSelectedViolations({
                               candidateName: submission.candidateId?.name || 'N/A',
+                              submissionId: submission._id,
                               data: submission.proctoringData
                             });
                             setViolationDialogOpen(true);
@@ -531,6 +533,14 @@ const CheatActivityPage = () => {
               </ListItem>
             </List>
           )}
+          {selectedViolations && (
+            <Box sx={{ mt: 3 }}>
+              <Typography variant="subtitle1" fontWeight="600" gutterBottom>
+                Timeline
+              </Typography>
+              <ProctoringTimeline assignmentId={selectedAssignment} submissionId={selectedViolations.submissionId} />
+            </Box>
+          )}
         </DialogContent>
         <DialogActions>
           <Button onClick={() => setViolationDialogOpen(false)} variant="contained">
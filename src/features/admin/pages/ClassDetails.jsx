@@ -135,9 +135,11 @@ const ClassDetails = () => {
       <TabPanel value={currentTab} index={0}>
         <Roster 
           students={classData.students} 
+          accommodations={classData.accommodations}
           inviteCode={classData.inviteCode}
           classId={classData._id}
           onStudentRemoved={fetchClassDetails}
+          onAccommodationsChanged={fetchClassDetails}
         />
       </TabPanel>
       <TabPanel value={currentTab} index={1}>
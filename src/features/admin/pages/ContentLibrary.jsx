@@ -2,7 +2,8 @@
 import React, { useState, useEffect } from 'react';
 import { 
   Box, Typography, Button, Grid, Card, CardContent, CircularProgress,
-  CardActions, Dialog, DialogTitle, DialogContent, DialogContentText, DialogActions, TextField, InputAdornment
+  CardActions, Dialog, DialogTitle, DialogContent, DialogContentText, DialogActions, TextField, InputAdornment,
+  Tabs, Tab, Menu, MenuItem
 } from '@mui/material';
 import AddIcon from '@mui/icons-material/Add';
 import SearchIcon from '@mui/icons-material/Search';
@@ -10,7 +11,10 @@ import { useNavigate } from 'react-router-dom';
 import { useAuth } from '../../auth/contexts/AuthContext';
 import AssignQuizModal from '../components/AssignQuizModal';
 import RenameQuizDialog from '../components/RenameQuizDialog';
+import QuizVersionHistoryDialog from '../components/QuizVersionHistoryDialog';
+import QuestionBankTab from '../components/QuestionBankTab';
 import Loader from '../../../components/Loader';
+import { QUIZ_FILE_FORMATS } from '../../../utils/quizFileFormats';
 
 const ContentLibrary = () => {
   const navigate = useNavigate();
@@ -19,6 +23,7 @@ const ContentLibrary = () => {
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState('');
   const [searchQuery, setSearchQuery] = useState('');
+  const [activeTab, setActiveTab] = useState(0);
 
   // State for the assignment modal
   const [isModalOpen, setIsModalOpen] = useState(false);
@@ -32,6 +37,12 @@ const ContentLibrary = () => {
   const [isRenameDialogOpen, setIsRenameDialogOpen] = useState(false);
   const [quizToRename, setQuizToRename] = useState(null);
 
+  // State for version history dialog
+  const [historyQuiz, setHistoryQuiz] = useState(null);
+
+  // State for the export format menu
+  const [exportMenu, setExportMenu] = useState(null);
+
   // Fetch quizzes when the page loads
   useEffect(() => {
     const fetchQuizzes = async () => {
@@ -154,6 +165,38 @@ const ContentLibrary = () => {
     fetchQuizzes();
   };
 
+  // Download a quiz as Moodle XML, GIFT, Aiken or QTI
+  const handleExport = async (quiz, format) => {
+    setExportMenu(null);
+
+    try {
+      const response = await fetch(`/api/quiz/${quiz._id}/export?format=${format}`, {
+        headers: { 'Authorization': `Bearer ${token}` }
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.message || 'Failed to export quiz');
+      }
+
+      const blob = await response.blob();
+      const filename = /filename="([^"]+)"/.exec(response.headers.get('Content-Disposition') || '')?.[1] || `${quiz.title}.${format}`;
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = filename;
+      link.click();
+      URL.revokeObjectURL(url);
+
+      const skipped = Number(response.headers.get('X-Skipped-Questions') || 0);
+      if (skipped > 0) {
+        alert(`${skipped} question(s) could not be written in this format and were left out.`);
+      }
+    } catch (error) {
+      alert(`Failed to export quiz: ${error.message}`);
+    }
+  };
+
   // Filter quizzes based on search query
   const filteredQuizzes = quizzes.filter(quiz => 
     quiz.title.toLowerCase().includes(searchQuery.toLowerCase()) ||
@@ -176,112 +219,137 @@ const ContentLibrary = () => {
         </Button>
       </Box>
 
-      {/* 2. Search Bar */}
-      <Box sx={{ mb: 3 }}>
-        <TextField
-          fullWidth
-          placeholder="Search quizzes by title or number of questions..."
-          value={searchQuery}
-          onChange={(e) => setSearchQuery(e.target.value)}
-          InputProps={{
-            startAdornment: (
-              <InputAdornment position="start">
-                <SearchIcon />
-              </InputAdornment>
-            ),
-          }}
-          sx={{ maxWidth: 600 }}
-        />
-      </Box>
+      <Tabs value={activeTab} onChange={(e, value) => setActiveTab(value)} sx={{ mb: 3, borderBottom: 1, borderColor: 'divider' }}>
+        <Tab label="Quizzes" />
+        <Tab label="Question Bank" />
+      </Tabs>
 
-      {/* 3. Grid of Content Cards */}
-      {error && (
-        <Typography color="error" sx={{ mb: 2 }}>
-          Error: {error}
-        </Typography>
+      {activeTab === 1 && (
+        <QuestionBankTab token={token} quizzes={quizzes} onQuizzesChanged={handleRenameSuccess} />
       )}
-      
-      <Grid container spacing={3}>
-        {isLoading ? (
-          <Box sx={{ display: 'flex', justifyContent: 'center', width: '100%', mt: 4 }}>
-            <Loader />
+
+      {activeTab === 0 && (
+        <>
+          {/* 2. Search Bar */}
+          <Box sx={{ mb: 3 }}>
+            <TextField
+              fullWidth
+              placeholder="Search quizzes by title or number of questions..."
+              value={searchQuery}
+              onChange={(e) => setSearchQuery(e.target.value)}
+              InputProps={{
+                startAdornment: (
+                  <InputAdornment position="start">
+                    <SearchIcon />
+                  </InputAdornment>
+                ),
+              }}
+              sx={{ maxWidth: 600 }}
+            />
           </Box>
-        ) : filteredQuizzes.length > 0 ? (
-          filteredQuizzes.map(quiz => (
-            <Grid size={{ xs: 12, sm: 6, md: 4 }} key={quiz._id}>
-              <Card sx={{ display: 'flex', flexDirection: 'column', height: '100%' }}>
-                <CardContent sx={{ flexGrow: 1 }}>
-                  <Typography variant="h5" component="div" gutterBottom>
-                    {quiz.title}
-                  </Typography>
-                  <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
-                    Type: Quiz
-                  </Typography>
-                  <Typography variant="body2">
-                    {quiz.questions?.length || 0} Questions
-                  </Typography>
-                  <Typography variant="caption" color="text.secondary" sx={{ mt: 1, display: 'block' }}>
-                    Created: {new Date(quiz.createdAt).toLocaleDateString()}
-                  </Typography>
-                </CardContent>
-                {/* CardActions with Assign, Rename, Edit, and Delete buttons */}
-                <CardActions sx={{ justifyContent: 'space-between', px: 2, pb: 2, flexWrap: 'nowrap' }}>
-                  <Button 
-                    size="small" 
-                    variant="contained"
-                    onClick={() => handleOpenAssignModal(quiz)}
-                  >
-                    Assign
-                  </Button>
-                  <Box sx={{ display: 'flex', gap: 0.5, flexShrink: 0 }}>
-                    <Button 
-                      size="small" 
-                      onClick={() => handleOpenRenameDialog(quiz)}
-                    >
-                      Rename
-                    </Button>
-                    <Button 
-                      size="small" 
-                      onClick={() => handleEdit(quiz._id)}
-                    >
-                      Edit
-                    </Button>
-                    <Button 
-                      size="small" 
-                      color="error"
-                      onClick={() => handleOpenDeleteModal(quiz._id)}
-                    >
-                      Delete
-                    </Button>
-                  </Box>
-                </CardActions>
-              </Card>
-            </Grid>
-          ))
-        ) : (
-          <Box sx={{ width: '100%', textAlign: 'center', mt: 4 }}>
-            {quizzes.length === 0 ? (
-              <>
-                <Typography variant="h6" color="text.secondary" gutterBottom>
-                  You haven't created any content yet.
-                </Typography>
-                <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
-                  Click "Create New Content" to generate your first quiz with AI!
-                </Typography>
-              </>
+
+          {/* 3. Grid of Content Cards */}
+          {error && (
+            <Typography color="error" sx={{ mb: 2 }}>
+              Error: {error}
+            </Typography>
+          )}
+      
+          <Grid container spacing={3}>
+            {isLoading ? (
+              <Box sx={{ display: 'flex', justifyContent: 'center', width: '100%', mt: 4 }}>
+                <Loader />
+              </Box>
+            ) : filteredQuizzes.length > 0 ? (
+              filteredQuizzes.map(quiz => (
+                <Grid size={{ xs: 12, sm: 6, md: 4 }} key={quiz._id}>
+                  <Card sx={{ display: 'flex', flexDirection: 'column', height: '100%' }}>
+                    <CardContent sx={{ flexGrow: 1 }}>
+                      <Typography variant="h5" component="div" gutterBottom>
+                        {quiz.title}
+                      </Typography>
+                      <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+                        Type: Quiz
+                      </Typography>
+                      <Typography variant="body2">
+                        {quiz.questions?.length || 0} Questions
+                      </Typography>
+                      <Typography variant="caption" color="text.secondary" sx={{ mt: 1, display: 'block' }}>
+                        Created: {new Date(quiz.createdAt).toLocaleDateString()} • Version {quiz.currentVersion || 1}
+                      </Typography>
+                    </CardContent>
+                    {/* CardActions with Assign, Rename, Edit, and Delete buttons */}
+                    <CardActions sx={{ justifyContent: 'space-between', px: 2, pb: 2, flexWrap: 'nowrap' }}>
+                      <Button 
+                        size="small" 
+                        variant="contained"
+                        onClick={() => handleOpenAssignModal(quiz)}
+                      >
+                        Assign
+                      </Button>
+                      <Box sx={{ display: 'flex', gap: 0.5, flexShrink: 0 }}>
+                        <Button 
+                          size="small" 
+                          onClick={() => handleOpenRenameDialog(quiz)}
+                        >
+                          Rename
+                        </Button>
+                        <Button 
+                          size="small" 
+                          onClick={() => handleEdit(quiz._id)}
+                        >
+                          Edit
+                        </Button>
+                        <Button 
+                          size="small" 
+                          onClick={() => setHistoryQuiz(quiz)}
+                        >
+                          History
+                        </Button>
+                        <Button 
+                          size="small" 
+                          onClick={(e) => setExportMenu({ anchorEl: e.currentTarget, quiz })}
+                        >
+                          Export
+                        </Button>
+                        <Button 
+                          size="small" 
+                          color="error"
+                          onClick={() => handleOpenDeleteModal(quiz._id)}
+                        >
+                          Delete
+                        </Button>
+                      </Box>
+                    </CardActions>
+                  </Card>
+                </Grid>
+              ))
             ) : (
-              <>
-                <Typography variant="h6" color="text.secondary" gutterBottom>
-                  No quizzes found matching "{searchQuery}"
-                </Typography>
-                <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
-                  Try searching with a different keyword
-                </Typography>
-              </>
+              <Box sx={{ width: '100%', textAlign: 'center', mt: 4 }}>
+                {quizzes.length === 0 ? (
+                  <>
+                    <Typography variant="h6" color="text.secondary" gutterBottom>
+                      You haven't created any content yet.
+                    </Typography>
+                    <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+                      Click "Create New Content" to generate your first quiz with AI!
+                    </Typography>
+                  </>
+                ) : (
+                  <>
+                    <Typography variant="h6" color="text.secondary" gutterBottom>
+                      No quizzes found matching "{searchQuery}"
+                    </Typography>
+                    <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+                      Try searching with a different keyword
+                    </Typography>
+                  </>
+                )}
+              </Box>
             )}
-          </Box>
-        )}
-      </Grid>
+          </Grid>
+        </>
+      )}
 
       {/* Render the assignment modal */}
       <AssignQuizModal
@@ -299,6 +367,28 @@ const ContentLibrary = () => {
         onSuccess={handleRenameSuccess}
       />
 
+      {/* Version History Dialog */}
+      <QuizVersionHistoryDialog
+        open={Boolean(historyQuiz)}
+        onClose={() => setHistoryQuiz(null)}
+        quiz={historyQuiz}
+        token={token}
+        onRestored={handleRenameSuccess}
+      />
+
+      {/* Export Format Menu */}
+      <Menu
+        anchorEl={exportMenu?.anchorEl}
+        open={Boolean(exportMenu)}
+        onClose={() => setExportMenu(null)}
+      >
+        {QUIZ_FILE_FORMATS.map(format => (
+          <MenuItem key={format.value} onClick={() => handleExport(exportMenu.quiz, format.value)}>
+            {format.label}
+          </MenuItem>
+        ))}
+      </Menu>
+
       {/* Delete Confirmation Dialog */}
       <Dialog open={isDeleteModalOpen} onClose={handleCloseDeleteModal}>
         <DialogTitle>Delete Quiz?</DialogTitle>
@@ -10,6 +10,11 @@ import AddIcon from '@mui/icons-material/Add';
 import { useAuth } from '../../auth/contexts/AuthContext';
 import { useNavigate } from 'react-router-dom';
 import Loader from '../../../components/Loader';
+import QuizImportPanel from '../components/QuizImportPanel';
+import SpreadsheetImportPanel from '../components/SpreadsheetImportPanel';
+import TextFormatSwitch from '../components/TextFormatSwitch';
+import RichTextPreview from '../components/RichTextPreview';
+import QuestionFeedbackFields from '../components/QuestionFeedbackFields';
 
 // TabPanel helper component
 const TabPanel = (props) => {
@@ -123,6 +128,7 @@ const CreateContentPage = () => {
     const newQuestions = [...manualQuestions];
     if (newQuestions[qIndex].options.length > 2) {
       newQuestions[qIndex].options.splice(oIndex, 1);
+      newQuestions[qIndex].optionFeedback?.splice(oIndex, 1);
       setManualQuestions(newQuestions);
     }
   };
@@ -207,6 +213,8 @@ const CreateContentPage = () => {
       <Tabs value={currentTab} onChange={handleTabChange} sx={{ mb: 2 }}>
         <Tab label="Generate with AI" />
         <Tab label="Create Manually" />
+        <Tab label="Import File" />
+        <Tab label="Import Spreadsheet" />
       </Tabs>
 
       {/* "Generate with AI" Tab Content */}
@@ -355,8 +363,13 @@ const CreateContentPage = () => {
                 multiline
                 rows={2}
                 variant="outlined"
-                sx={{ mb: 2 }}
+                sx={{ mb: 1 }}
               />
+              <TextFormatSwitch
+                format={q.textFormat}
+                onChange={(textFormat) => handleQuestionChange({ target: { name: 'textFormat', value: textFormat } }, qIndex)}
+              />
+              <RichTextPreview question={q} />
               
               <FormControl fullWidth sx={{ mb: 2 }}>
                 <InputLabel>Question Type</InputLabel>
@@ -448,6 +461,11 @@ const CreateContentPage = () => {
                     : "Provide a sample correct answer"
                 }
               />
+
+              <QuestionFeedbackFields
+                question={q}
+                onChange={(name, value) => handleQuestionChange({ target: { name, value } }, qIndex)}
+              />
             </Paper>
           ))}
 
@@ -486,6 +504,22 @@ const CreateContentPage = () => {
           )}
         </Box>
       </TabPanel>
+
+      {/* "Import File" Tab Content */}
+      <TabPanel value={currentTab} index={2}>
+        <QuizImportPanel
+          token={token}
+          onImported={() => setTimeout(() => navigate('/admin/content'), 2000)}
+        />
+      </TabPanel>
+
+      {/* "Import Spreadsheet" Tab Content */}
+      <TabPanel value={currentTab} index={3}>
+        <SpreadsheetImportPanel
+          token={token}
+          onImported={() => setTimeout(() => navigate('/admin/content'), 2000)}
+        />
+      </TabPanel>
     </Box>
   );
 };
@@ -1,5 +1,5 @@
 // src/features/admin/pages/DetailedReportPage.jsx
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import {
   Box,
@@ -14,56 +14,156 @@ import {
   Chip,
   Alert,
   Grid,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
 } from '@mui/material';
 import CheckCircleIcon from '@mui/icons-material/CheckCircle';
 import CancelIcon from '@mui/icons-material/Cancel';
+import HourglassEmptyIcon from '@mui/icons-material/HourglassEmpty';
+import RateReviewIcon from '@mui/icons-material/RateReview';
+import EditIcon from '@mui/icons-material/Edit';
 import ArrowBackIcon from '@mui/icons-material/ArrowBack';
 import { useAuth } from '../../auth/contexts/AuthContext';
 import Loader from '../../../components/Loader';
+import RichText from '../../../components/RichText';
+import ProctoringTimeline from '../components/ProctoringTimeline';
+import { formatDuration, getTimeTaken } from '../../../utils/attemptTiming';
+
+// Multiple-select questions have several correct and chosen options
+const isKeyOption = (item, option) => (
+  item.questionType === 'multiple_select'
+    ? (item.correctOptions || []).includes(option)
+    : option === item.correctAnswer
+);
+
+const isChosenOption = (item, option) => (
+  item.questionType === 'multiple_select'
+    ? (item.candidateAnswers || []).includes(option)
+    : option === item.candidateAnswer
+);
+
+const GRADE_CHANGE_LABELS = {
+  answer_override: 'Answer override',
+  score_override: 'Score override',
+  manual_grade: 'Manual grading',
+  answer_key_regrade: 'Answer key re-grade',
+};
+
+const formatScore = (value) => (value === null || value === undefined ? '—' : `${Number(value).toFixed(2)}%`);
 
 const DetailedReportPage = () => {
   const [reportData, setReportData] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState('');
+  // Regrade dialog: mode is 'answer' (mark one answer) or 'score' (override the whole score)
+  const [regradeDialog, setRegradeDialog] = useState({ open: false, mode: 'answer', item: null, isCorrect: true, score: '', reason: '' });
+  const [isSavingRegrade, setIsSavingRegrade] = useState(false);
+  const [regradeError, setRegradeError] = useState('');
   const { assignmentId, submissionId } = useParams();
   const { token } = useAuth();
   const navigate = useNavigate();
 
-  useEffect(() => {
-    const fetchReport = async () => {
-      setIsLoading(true);
-      setError('');
-      try {
-        const response = await fetch(
-          `http://localhost:5000/api/assignments/${assignmentId}/submissions/${submissionId}`,
-          {
-            headers: {
-              'Authorization': `Bearer ${token}`,
-              'Content-Type': 'application/json'
-            }
+  const fetchReport = useCallback(async (showLoader = true) => {
+    if (showLoader) setIsLoading(true);
+    setError('');
+    try {
+      const response = await fetch(
+        `http://localhost:5000/api/assignments/${assignmentId}/submissions/${submissionId}`,
+        {
+          headers: {
+            'Authorization': `Bearer ${token}`,
+            'Content-Type': 'application/json'
           }
-        );
-
-        if (!response.ok) {
-          throw new Error('Failed to fetch detailed report');
         }
+      );
 
-        const result = await response.json();
-        
-        
-        
-        setReportData(result.data);
-      } catch (error) {
-        setError(error.message);
-      } finally {
-        setIsLoading(false);
+      if (!response.ok) {
+        throw new Error('Failed to fetch detailed report');
       }
-    };
 
+      const result = await response.json();
+      setReportData(result.data);
+    } catch (error) {
+      setError(error.message);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [assignmentId, submissionId, token]);
+
+  useEffect(() => {
     if (token && assignmentId && submissionId) {
       fetchReport();
     }
-  }, [assignmentId, submissionId, token]);
+  }, [fetchReport, token, assignmentId, submissionId]);
+
+  const openAnswerOverride = (item) => {
+    setRegradeError('');
+    setRegradeDialog({ open: true, mode: 'answer', item, isCorrect: !item.isCorrect, score: '', reason: '' });
+  };
+
+  const openScoreOverride = () => {
+    setRegradeError('');
+    setRegradeDialog({
+      open: true,
+      mode: 'score',
+      item: null,
+      isCorrect: true,
+      score: reportData.score.toFixed(2),
+      reason: '',
+    });
+  };
+
+  const closeRegradeDialog = () => {
+    setRegradeDialog(prev => ({ ...prev, open: false }));
+  };
+
+  const handleSaveRegrade = async (clearOverride = false) => {
+    if (!regradeDialog.reason.trim()) {
+      setRegradeError('Please give a reason for the change');
+      return;
+    }
+
+    const baseUrl = `http://localhost:5000/api/assignments/${assignmentId}/submissions/${submissionId}`;
+    const url = regradeDialog.mode === 'answer'
+      ? `${baseUrl}/answers/${regradeDialog.item.questionId}/override`
+      : `${baseUrl}/score`;
+    const body = regradeDialog.mode === 'answer'
+      ? { isCorrect: regradeDialog.isCorrect, reason: regradeDialog.reason }
+      : { score: clearOverride ? null : Number(regradeDialog.score), reason: regradeDialog.reason };
+
+    setIsSavingRegrade(true);
+    setRegradeError('');
+    try {
+      const response = await fetch(url, {
+        method: 'PUT',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(body),
+      });
+
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.message || 'Failed to save the change');
+      }
+
+      closeRegradeDialog();
+      await fetchReport(false);
+    } catch (error) {
+      setRegradeError(error.message);
+    } finally {
+      setIsSavingRegrade(false);
+    }
+  };
 
   if (isLoading) {
     return (
@@ -104,7 +204,8 @@ const DetailedReportPage = () => {
     );
   }
 
-  const { candidate, quiz, class: classInfo, score, submittedAt, statistics, questions } = reportData;
+  const { candidate, quiz, class: classInfo, score, submittedAt, startedAt, deadline, overtimeSeconds = 0, statistics, questions, pendingGradingCount, scoreOverride, calculatedScore, rawScore, latePenalty = 0, gradeHistory = [], ordering, attemptNumber = 1, attempts = [] } = reportData;
+  const questionNumbers = new Map(questions.map((q, i) => [String(q.questionId), i + 1]));
 
   // Check if this is an old submission without detailed answers
   const hasDetailedAnswers = questions && questions.some(q => q.candidateAnswer !== '');
@@ -137,6 +238,26 @@ const DetailedReportPage = () => {
         </Alert>
       )}
 
+      {pendingGradingCount > 0 && (
+        <Alert
+          severity="info"
+          sx={{ mb: 3 }}
+          action={
+            <Button
+              color="inherit"
+              size="small"
+              startIcon={<RateReviewIcon />}
+              onClick={() => navigate(`/admin/assignment/${assignmentId}/grading`)}
+            >
+              Grade Now
+            </Button>
+          }
+        >
+          {pendingGradingCount} essay answer{pendingGradingCount === 1 ? ' is' : 's are'} waiting for manual grading.
+          The score below is provisional until grading is complete.
+        </Alert>
+      )}
+
       {/* Candidate Info Card */}
       <Paper sx={{ p: 3, mb: 3, bgcolor: 'background.default' }}>
         <Grid container spacing={3}>
@@ -163,7 +284,33 @@ const DetailedReportPage = () => {
                 hour: '2-digit',
                 minute: '2-digit'
               })}
+              {startedAt && ` (took ${formatDuration(getTimeTaken({ startedAt, submittedAt }))})`}
             </Typography>
+            {overtimeSeconds > 0 && (
+              <Chip
+                label={`Submitted ${formatDuration(overtimeSeconds)} after the deadline (${new Date(deadline).toLocaleString()})`}
+                color="error"
+                size="small"
+                sx={{ mt: 1 }}
+              />
+            )}
+            {attempts.length > 1 && (
+              <Box sx={{ mt: 1, display: 'flex', alignItems: 'center', flexWrap: 'wrap', gap: 1 }}>
+                <Typography variant="body1" color="text.secondary">
+                  <strong>Attempt {attemptNumber} of {attempts.length}:</strong>
+                </Typography>
+                {attempts.map(attempt => (
+                  <Chip
+                    key={attempt.submissionId}
+                    size="small"
+                    label={`#${attempt.attemptNumber} · ${attempt.score.toFixed(1)}%`}
+                    color={attempt.submissionId === submissionId ? 'primary' : 'default'}
+                    variant={attempt.submissionId === submissionId ? 'filled' : 'outlined'}
+                    onClick={() => navigate(`/admin/submission/${assignmentId}/${attempt.submissionId}`)}
+                  />
+                ))}
+              </Box>
+            )}
           </Grid>
           <Grid item xs={12} md={6}>
             <Typography variant="h6" gutterBottom>
@@ -196,7 +343,35 @@ const DetailedReportPage = () => {
             >
               {score.toFixed(2)}%
             </Typography>
+            {scoreOverride && (
+              <Typography variant="caption" color="text.secondary" sx={{ display: 'block' }}>
+                Overridden (calculated: {formatScore(calculatedScore)})
+              </Typography>
+            )}
+            {!scoreOverride && latePenalty > 0 && (
+              <Typography variant="caption" color="warning.main" sx={{ display: 'block' }}>
+                {formatScore(rawScore)} before the −{formatScore(latePenalty)} late penalty
+              </Typography>
+            )}
+            <Button
+              size="small"
+              startIcon={<EditIcon />}
+              onClick={openScoreOverride}
+              sx={{ mt: 1 }}
+            >
+              Override Score
+            </Button>
           </Box>
+          {statistics.totalPoints !== null && statistics.totalPoints !== undefined && (
+            <Box>
+              <Typography variant="body2" color="text.secondary">
+                Points
+              </Typography>
+              <Typography variant="h4">
+                {statistics.pointsEarned} / {statistics.totalPoints}
+              </Typography>
+            </Box>
+          )}
           <Divider orientation="vertical" flexItem />
           <Box>
             <Typography variant="body2" color="text.secondary">
@@ -230,10 +405,27 @@ const DetailedReportPage = () => {
         )}
       </Paper>
 
+      {/* Proctoring Timeline */}
+      <Paper sx={{ p: 3, mb: 3 }}>
+        <Typography variant="h6" gutterBottom>
+          Proctoring Timeline
+        </Typography>
+        <ProctoringTimeline assignmentId={assignmentId} submissionId={submissionId} />
+      </Paper>
+
       {/* Question Breakdown */}
-      <Typography variant="h5" sx={{ mb: 2 }}>
+      <Typography variant="h5" sx={{ mb: ordering && (ordering.shuffleQuestions || ordering.shuffleOptions) ? 0.5 : 2 }}>
         Question-by-Question Breakdown
       </Typography>
+      {ordering && (ordering.shuffleQuestions || ordering.shuffleOptions) && (
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          {ordering.shuffleQuestions && ordering.shuffleOptions
+            ? 'Questions and answer options are shown in the order this candidate saw them.'
+            : ordering.shuffleQuestions
+              ? 'Questions are shown in the order this candidate saw them.'
+              : 'Answer options are shown in the order this candidate saw them.'}
+        </Typography>
+      )}
 
       {isOldSubmission ? (
         <Paper sx={{ p: 4, textAlign: 'center' }}>
@@ -256,19 +448,54 @@ const DetailedReportPage = () => {
               <ListItemText
                 primary={
                   <Box sx={{ display: 'flex', alignItems: 'flex-start', gap: 1, mb: 2 }}>
-                    {item.isCorrect ? (
+                    {item.gradingStatus === 'pending' ? (
+                      <HourglassEmptyIcon color="warning" sx={{ fontSize: 28, flexShrink: 0 }} />
+                    ) : item.isCorrect ? (
                       <CheckCircleIcon color="success" sx={{ fontSize: 28, flexShrink: 0 }} />
                     ) : (
                       <CancelIcon color="error" sx={{ fontSize: 28, flexShrink: 0 }} />
                     )}
                     <Box sx={{ flex: 1 }}>
-                      <Typography variant="h6" component="div">
-                        Question {index + 1}
-                      </Typography>
-                      <Typography variant="body1" sx={{ mt: 1 }}>
-                        {item.questionText}
-                      </Typography>
-                      {item.questionType === 'multiple_choice' && item.options.length > 0 && (
+                      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                        <Typography variant="h6" component="div">
+                          Question {index + 1}
+                        </Typography>
+                        {item.gradingStatus === 'pending' && (
+                          <Chip size="small" color="warning" label="Pending grading" />
+                        )}
+                        {item.overridden && (
+                          <Chip size="small" color="info" variant="outlined" label="Overridden" />
+                        )}
+                        {item.fromPool && (
+                          <Chip size="small" variant="outlined" label="Drawn from pool" />
+                        )}
+                        {item.flagged && (
+                          <Chip size="small" color="warning" variant="outlined" label="Flagged by candidate" />
+                        )}
+                        {item.timeSpentSeconds !== null && (
+                          <Chip size="small" variant="outlined" label={`${formatDuration(item.timeSpentSeconds)} on screen`} />
+                        )}
+                        {item.hasStoredAnswer && (
+                          <Button
+                            size="small"
+                            startIcon={<EditIcon />}
+                            onClick={() => openAnswerOverride(item)}
+                            sx={{ ml: 'auto' }}
+                          >
+                            {item.isCorrect ? 'Mark Incorrect' : 'Mark Correct'}
+                          </Button>
+                        )}
+                        {item.pointsPossible !== undefined && item.gradingStatus !== 'pending' && (
+                          <Chip
+                            size="small"
+                            variant="outlined"
+                            color={item.pointsAwarded < 0 ? 'error' : item.isCorrect ? 'success' : 'default'}
+                            label={`${item.pointsAwarded} / ${item.pointsPossible} pts`}
+                          />
+                        )}
+                      </Box>
+                      <RichText text={item.questionText} format={item.textFormat} component="div" sx={{ mt: 1 }} />
+                      {['mcq', 'multiple_choice', 'multiple_select'].includes(item.questionType) && item.options.length > 0 && (
                         <Box sx={{ mt: 2, ml: 2 }}>
                           <Typography variant="body2" color="text.secondary" gutterBottom>
                             Options:
@@ -279,14 +506,14 @@ const DetailedReportPage = () => {
                               variant="body2" 
                               sx={{ 
                                 ml: 1,
-                                color: option === item.correctAnswer ? 'success.main' : 
-                                       option === item.candidateAnswer && !item.isCorrect ? 'error.main' : 
+                                color: isKeyOption(item, option) ? 'success.main' : 
+                                       isChosenOption(item, option) && !item.isCorrect ? 'error.main' : 
                                        'text.secondary'
                               }}
                             >
-                              • {option}
-                              {option === item.correctAnswer && ' ✓ (Correct)'}
-                              {option === item.candidateAnswer && !item.isCorrect && ' ✗ (Your Answer)'}
+                              • <RichText text={option} format={item.textFormat} inline variant="inherit" />
+                              {isKeyOption(item, option) && ' ✓ (Correct)'}
+                              {isChosenOption(item, option) && !item.isCorrect && ' ✗ (Your Answer)'}
                             </Typography>
                           ))}
                         </Box>
@@ -307,7 +534,17 @@ const DetailedReportPage = () => {
                         {item.candidateAnswer || '(No answer provided)'}
                       </Typography>
                     </Paper>
-                    {!item.isCorrect && (
+                    {item.feedback && (
+                      <Paper variant="outlined" sx={{ p: 2, mb: 1 }}>
+                        <Typography variant="body2" fontWeight="bold" gutterBottom>
+                          Grader's Comment:
+                        </Typography>
+                        <Typography variant="body1">
+                          {item.feedback}
+                        </Typography>
+                      </Paper>
+                    )}
+                    {!item.isCorrect && item.questionType !== 'essay' && (
                       <Paper variant="outlined" sx={{ p: 2, bgcolor: 'info.lighter' }}>
                         <Typography variant="body2" fontWeight="bold" gutterBottom>
                           Correct Answer:
@@ -317,6 +554,14 @@ const DetailedReportPage = () => {
                         </Typography>
                       </Paper>
                     )}
+                    {item.explanation && (
+                      <Paper variant="outlined" sx={{ p: 2, mt: 1 }}>
+                        <Typography variant="body2" fontWeight="bold" gutterBottom>
+                          Explanation:
+                        </Typography>
+                        <RichText text={item.explanation} format={item.textFormat} component="div" />
+                      </Paper>
+                    )}
                   </Box>
                 }
               />
@@ -327,6 +572,102 @@ const DetailedReportPage = () => {
       </List>
       )}
 
+      {/* Grade History */}
+      {gradeHistory.length > 0 && (
+        <Paper sx={{ p: 3, mt: 3 }}>
+          <Typography variant="h6" gutterBottom>
+            Grade History
+          </Typography>
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+            Original auto-graded score: <strong>{formatScore(gradeHistory[0].previousScore)}</strong>
+          </Typography>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell><strong>When</strong></TableCell>
+                <TableCell><strong>Change</strong></TableCell>
+                <TableCell><strong>Details</strong></TableCell>
+                <TableCell><strong>Score</strong></TableCell>
+                <TableCell><strong>Reason</strong></TableCell>
+                <TableCell><strong>By</strong></TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {gradeHistory.map((change, index) => (
+                <TableRow key={index}>
+                  <TableCell>{new Date(change.changedAt).toLocaleString()}</TableCell>
+                  <TableCell>{GRADE_CHANGE_LABELS[change.type] || change.type}</TableCell>
+                  <TableCell>
+                    {change.questionId
+                      ? `Question ${questionNumbers.get(String(change.questionId)) || '?'}: ${change.previousPoints} → ${change.newPoints} pts`
+                      : '—'}
+                  </TableCell>
+                  <TableCell>{formatScore(change.previousScore)} → {formatScore(change.newScore)}</TableCell>
+                  <TableCell>{change.reason || '—'}</TableCell>
+                  <TableCell>{change.changedBy}</TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </Paper>
+      )}
+
+      {/* Regrade Dialog */}
+      <Dialog open={regradeDialog.open} onClose={closeRegradeDialog} maxWidth="sm" fullWidth>
+        <DialogTitle>
+          {regradeDialog.mode === 'answer'
+            ? `Mark Question ${questionNumbers.get(String(regradeDialog.item?.questionId)) || ''} as ${regradeDialog.isCorrect ? 'Correct' : 'Incorrect'}`
+            : 'Override Score'}
+        </DialogTitle>
+        <DialogContent>
+          {regradeError && <Alert severity="error" sx={{ mb: 2 }}>{regradeError}</Alert>}
+          {regradeDialog.mode === 'answer' ? (
+            <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+              The answer will be awarded {regradeDialog.isCorrect ? `full points (${regradeDialog.item?.pointsPossible})` : '0 points'} and
+              the score recalculated. The original grade stays in the grade history.
+            </Typography>
+          ) : (
+            <>
+              <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+                The overridden score replaces the calculated score ({formatScore(calculatedScore)}) until the override is removed.
+              </Typography>
+              <TextField
+                fullWidth
+                type="number"
+                label="Score (%)"
+                value={regradeDialog.score}
+                onChange={(e) => setRegradeDialog(prev => ({ ...prev, score: e.target.value }))}
+                inputProps={{ min: 0, max: 100, step: 0.5 }}
+                sx={{ mb: 2 }}
+              />
+            </>
+          )}
+          <TextField
+            fullWidth
+            required
+            multiline
+            minRows={2}
+            label="Reason"
+            value={regradeDialog.reason}
+            onChange={(e) => setRegradeDialog(prev => ({ ...prev, reason: e.target.value }))}
+            placeholder="e.g., Accepted alternative spelling"
+          />
+        </DialogContent>
+        <DialogActions>
+          {regradeDialog.mode === 'score' && scoreOverride && (
+            <Button color="warning" onClick={() => handleSaveRegrade(true)} disabled={isSavingRegrade} sx={{ mr: 'auto' }}>
+              Remove Override
+            </Button>
+          )}
+          <Button onClick={closeRegradeDialog} disabled={isSavingRegrade}>
+            Cancel
+          </Button>
+          <Button variant="contained" onClick={() => handleSaveRegrade(false)} disabled={isSavingRegrade}>
+            {isSavingRegrade ? 'Saving...' : 'Save'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+
       {/* Footer Actions */}
       <Box sx={{ mt: 4, display: 'flex', justifyContent: 'space-between' }}>
         <Button
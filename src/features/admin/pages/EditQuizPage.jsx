@@ -4,7 +4,7 @@ import { useParams, useNavigate } from 'react-router-dom';
 import {
   Box, Typography, Button, TextField, Paper, IconButton,
   CircularProgress, Alert, Select, MenuItem, FormControl, InputLabel,
-  Card, CardMedia, Chip
+  Card, CardMedia, Chip, Checkbox, FormControlLabel, FormGroup, FormHelperText
 } from '@mui/material';
 import DeleteIcon from '@mui/icons-material/Delete';
 import AddIcon from '@mui/icons-material/Add';
@@ -13,6 +13,13 @@ import ImageIcon from '@mui/icons-material/Image';
 import CloseIcon from '@mui/icons-material/Close';
 import { useAuth } from '../../auth/contexts/AuthContext';
 import Loader from '../../../components/Loader';
+import { QUESTION_TYPES, syncBlanks, validateAnswerKey, normalizeQuestion } from '../../../utils/questionTypes';
+import RegradePreviewDialog from '../components/RegradePreviewDialog';
+import QuestionPoolsEditor from '../components/QuestionPoolsEditor';
+import { uploadImage } from '../../../utils/imageUpload';
+import TextFormatSwitch from '../components/TextFormatSwitch';
+import RichTextPreview from '../components/RichTextPreview';
+import QuestionFeedbackFields from '../components/QuestionFeedbackFields';
 
 const EditQuizPage = () => {
   const { quizId } = useParams();
@@ -24,6 +31,7 @@ const EditQuizPage = () => {
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
   const [isSaving, setIsSaving] = useState(false);
+  const [regradePreview, setRegradePreview] = useState(null);
 
   // Fetch quiz data on load
   useEffect(() => {
@@ -71,10 +79,59 @@ const EditQuizPage = () => {
   const handleSaveQuiz = async () => {
     setError('');
     setSuccess('');
+
+    // Check every answer key before sending anything
+    for (let i = 0; i < quiz.questions.length; i++) {
+      const answerKeyError = validateAnswerKey(quiz.questions[i]);
+      if (answerKeyError) {
+        setError(`Question ${i + 1}: ${answerKeyError}`);
+        return;
+      }
+    }
+
+    const pools = quiz.pools || [];
+    for (let i = 0; i < pools.length; i++) {
+      if (!Number.isInteger(Number(pools[i].count)) || Number(pools[i].count) < 1) {
+        setError(`Pool ${i + 1}: draw at least one question`);
+        return;
+      }
+    }
+
+    // Editing the answer key of a quiz that has been taken needs a decision about re-grading
+    setIsSaving(true);
+    const preview = await fetchRegradePreview();
+    setIsSaving(false);
+    if (preview && preview.changedQuestions > 0 && preview.totalSubmissions > 0) {
+      setRegradePreview(preview);
+      return;
+    }
+
+    await saveQuiz();
+  };
+
+  // Ask the server how the edited answer key would change existing scores
+  const fetchRegradePreview = async () => {
+    try {
+      const response = await fetch(`/api/quiz/${quizId}/regrade-preview`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${token}`
+        },
+        body: JSON.stringify({ questions: quiz.questions.map(normalizeQuestion) })
+      });
+      const result = await response.json();
+      return result.success ? result.data : null;
+    } catch {
+      // Without a preview the quiz is saved as before
+      return null;
+    }
+  };
+
+  const saveQuiz = async (regradeSubmissions = false) => {
     setIsSaving(true);
     
     try {
-      // Log what we're about to save
       const response = await fetch(`/api/quiz/${quizId}`, {
         method: 'PUT',
         headers: {
@@ -83,9 +140,11 @@ const EditQuizPage = () => {
         },
         body: JSON.stringify({ 
           title: quiz.title, 
-          questions: quiz.questions,
+          questions: quiz.questions.map(normalizeQuestion),
+          pools: quiz.pools || [],
           timeLimit: quiz.timeLimit,
-          subgroup: quiz.subgroup || ''
+          subgroup: quiz.subgroup || '',
+          regradeSubmissions
         })
       });
       
@@ -95,9 +154,7 @@ const EditQuizPage = () => {
       }
       
       const result = await response.json();
-      
-      
-      setSuccess('Quiz saved successfully!');
+      setSuccess(result.regrade ? result.message : 'Quiz saved successfully!');
       
       // Clear success message after 3 seconds
       setTimeout(() => setSuccess(''), 3000);
@@ -106,6 +163,7 @@ const EditQuizPage = () => {
       setError(err.message);
     } finally {
       setIsSaving(false);
+      setRegradePreview(null);
     }
   };
 
@@ -122,12 +180,39 @@ const EditQuizPage = () => {
   const handleQuestionChange = (e, qIndex) => {
     const newQuestions = [...quiz.questions];
     newQuestions[qIndex][e.target.name] = e.target.value;
+    // Keep one answer slot per blank while the text is edited
+    if (e.target.name === 'text' && newQuestions[qIndex].type === 'fill_blank') {
+      newQuestions[qIndex].blanks = syncBlanks(newQuestions[qIndex]);
+    }
     setQuiz({ ...quiz, questions: newQuestions });
   };
 
   const handleOptionChange = (e, qIndex, oIndex) => {
     const newQuestions = [...quiz.questions];
+    const previous = newQuestions[qIndex].options[oIndex];
     newQuestions[qIndex].options[oIndex] = e.target.value;
+    // Keep multiple-select answer keys pointing at the renamed option
+    if (newQuestions[qIndex].correctOptions?.includes(previous)) {
+      newQuestions[qIndex].correctOptions = newQuestions[qIndex].correctOptions.map(opt => (opt === previous ? e.target.value : opt));
+    }
+    setQuiz({ ...quiz, questions: newQuestions });
+  };
+
+  const handleToggleCorrectOption = (qIndex, option) => {
+    const newQuestions = [...quiz.questions];
+    const current = newQuestions[qIndex].correctOptions || [];
+    newQuestions[qIndex].correctOptions = current.includes(option)
+      ? current.filter(opt => opt !== option)
+      : [...current, option];
+    setQuiz({ ...quiz, questions: newQuestions });
+  };
+
+  const handleBlankChange = (e, qIndex, blankIndex) => {
+    const newQuestions = [...quiz.questions];
+    const blanks = syncBlanks(newQuestions[qIndex]);
+    // Alternative spellings are entered separated by "|"
+    blanks[blankIndex] = { acceptedAnswers: e.target.value.split('|') };
+    newQuestions[qIndex].blanks = blanks;
     setQuiz({ ...quiz, questions: newQuestions });
   };
 
@@ -146,11 +231,18 @@ const EditQuizPage = () => {
   const handleDeleteOption = (qIndex, oIndex) => {
     const newQuestions = [...quiz.questions];
     if (newQuestions[qIndex].options.length > 2) {
-      newQuestions[qIndex].options.splice(oIndex, 1);
+      const [removed] = newQuestions[qIndex].options.splice(oIndex, 1);
+      if (newQuestions[qIndex].correctOptions) {
+        newQuestions[qIndex].correctOptions = newQuestions[qIndex].correctOptions.filter(opt => opt !== removed);
+      }
       // Also remove image slot
       if (newQuestions[qIndex].optionImages) {
         newQuestions[qIndex].optionImages.splice(oIndex, 1);
       }
+      // ...and the option's feedback
+      if (newQuestions[qIndex].optionFeedback) {
+        newQuestions[qIndex].optionFeedback.splice(oIndex, 1);
+      }
       setQuiz({ ...quiz, questions: newQuestions });
     }
   };
@@ -161,6 +253,7 @@ const EditQuizPage = () => {
       type: 'mcq',
       options: ['Option 1', 'Option 2', 'Option 3', 'Option 4'],
       answer: 'Option 1',
+      points: 1,
       questionImage: '', // Add image field
       optionImages: ['', '', '', ''] // Add option images
     };
@@ -168,7 +261,8 @@ const EditQuizPage = () => {
   };
 
   const handleDeleteQuestion = (qIndex) => {
-    if (quiz.questions.length > 1) {
+    // A quiz made only of question pools needs no fixed questions
+    if (quiz.questions.length > 1 || quiz.pools?.length > 0) {
       const newQuestions = quiz.questions.filter((_, index) => index !== qIndex);
       setQuiz({ ...quiz, questions: newQuestions });
     } else {
@@ -177,18 +271,53 @@ const EditQuizPage = () => {
     }
   };
 
+  // Copy a saved question into the question bank and link it to this quiz
+  const handleSaveToBank = async (qIndex) => {
+    setError('');
+    try {
+      const response = await fetch('/api/question-bank/from-quiz', {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ quizId, questionId: quiz.questions[qIndex]._id })
+      });
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.message || 'Failed to save question to the bank');
+      }
+
+      const newQuestions = [...quiz.questions];
+      newQuestions[qIndex] = {
+        ...newQuestions[qIndex],
+        bankQuestionId: result.data._id,
+        bankRevision: result.data.revision
+      };
+      setQuiz({ ...quiz, questions: newQuestions });
+      setSuccess('Question saved to the question bank');
+      setTimeout(() => setSuccess(''), 3000);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
   const handleTypeChange = (e, qIndex) => {
     const newQuestions = [...quiz.questions];
     const newType = e.target.value;
     
     newQuestions[qIndex].type = newType;
+    // Option feedback is only kept for multiple choice
+    if (newType !== 'mcq') {
+      newQuestions[qIndex].optionFeedback = [];
+    }
     
     // Update options based on type
     if (newType === 'true_false') {
       newQuestions[qIndex].options = ['True', 'False'];
       newQuestions[qIndex].answer = 'True';
       newQuestions[qIndex].optionImages = ['', ''];
-    } else if (newType === 'short_answer') {
+    } else if (newType === 'short_answer' || newType === 'essay') {
       newQuestions[qIndex].options = [];
       newQuestions[qIndex].optionImages = [];
       newQuestions[qIndex].answer = '';
@@ -196,23 +325,46 @@ const EditQuizPage = () => {
       newQuestions[qIndex].options = ['Option 1', 'Option 2', 'Option 3', 'Option 4'];
       newQuestions[qIndex].answer = 'Option 1';
       newQuestions[qIndex].optionImages = ['', '', '', ''];
+    } else if (newType === 'multiple_select') {
+      if (newQuestions[qIndex].options.length === 0 || newQuestions[qIndex].options[0] === 'True') {
+        newQuestions[qIndex].options = ['Option 1', 'Option 2', 'Option 3', 'Option 4'];
+        newQuestions[qIndex].optionImages = ['', '', '', ''];
+      }
+      newQuestions[qIndex].correctOptions = [];
+      newQuestions[qIndex].answer = '';
+    } else if (newType === 'numeric') {
+      newQuestions[qIndex].options = [];
+      newQuestions[qIndex].optionImages = [];
+      newQuestions[qIndex].answer = '';
+      newQuestions[qIndex].tolerance = 0;
+      newQuestions[qIndex].rangeMin = null;
+      newQuestions[qIndex].rangeMax = null;
+    } else if (newType === 'fill_blank') {
+      newQuestions[qIndex].options = [];
+      newQuestions[qIndex].optionImages = [];
+      newQuestions[qIndex].answer = '';
+      newQuestions[qIndex].blanks = syncBlanks(newQuestions[qIndex]);
     }
     
     setQuiz({ ...quiz, questions: newQuestions });
   };
 
   // --- Image Handling Functions ---
+  // Images are uploaded as files; questions only keep their URLs
   
-  const handleQuestionImageUpload = (e, qIndex) => {
+  const handleQuestionImageUpload = async (e, qIndex) => {
     const file = e.target.files[0];
     if (file) {
-      const reader = new FileReader();
-      reader.onloadend = () => {
-        const newQuestions = [...quiz.questions];
-        newQuestions[qIndex].questionImage = reader.result;
-        setQuiz({ ...quiz, questions: newQuestions });
-      };
-      reader.readAsDataURL(file);
+      try {
+        const url = await uploadImage(file, token);
+        setQuiz(prev => {
+          const newQuestions = [...prev.questions];
+          newQuestions[qIndex] = { ...newQuestions[qIndex], questionImage: url };
+          return { ...prev, questions: newQuestions };
+        });
+      } catch (err) {
+        setError(err.message);
+      }
     }
   };
 
@@ -222,19 +374,23 @@ const EditQuizPage = () => {
     setQuiz({ ...quiz, questions: newQuestions });
   };
 
-  const handleOptionImageUpload = (e, qIndex, oIndex) => {
+  const handleOptionImageUpload = async (e, qIndex, oIndex) => {
     const file = e.target.files[0];
     if (file) {
-      const reader = new FileReader();
-      reader.onloadend = () => {
-        const newQuestions = [...quiz.questions];
-        if (!newQuestions[qIndex].optionImages) {
-          newQuestions[qIndex].optionImages = new Array(newQuestions[qIndex].options.length).fill('');
-        }
-        newQuestions[qIndex].optionImages[oIndex] = reader.result;
-        setQuiz({ ...quiz, questions: newQuestions });
-      };
-      reader.readAsDataURL(file);
+      try {
+        const url = await uploadImage(file, token);
+        setQuiz(prev => {
+          const newQuestions = [...prev.questions];
+          const optionImages = newQuestions[qIndex].optionImages?.length
+            ? [...newQuestions[qIndex].optionImages]
+            : new Array(newQuestions[qIndex].options.length).fill('');
+          optionImages[oIndex] = url;
+          newQuestions[qIndex] = { ...newQuestions[qIndex], optionImages };
+          return { ...prev, questions: newQuestions };
+        });
+      } catch (err) {
+        setError(err.message);
+      }
     }
   };
 
@@ -337,13 +493,22 @@ const EditQuizPage = () => {
         <Paper key={qIndex} sx={{ p: 3, mb: 3, border: '1px solid #e0e0e0' }}>
           <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2 }}>
             <Typography variant="h6">Question {qIndex + 1}</Typography>
-            <IconButton 
-              onClick={() => handleDeleteQuestion(qIndex)} 
-              color="error"
-              disabled={quiz.questions.length === 1}
-            >
-              <DeleteIcon />
-            </IconButton>
+            <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+              {q.bankQuestionId ? (
+                <Chip label={`Question bank (revision ${q.bankRevision ?? 1})`} size="small" color="primary" variant="outlined" />
+              ) : q._id && (
+                <Button size="small" onClick={() => handleSaveToBank(qIndex)}>
+                  Save to Bank
+                </Button>
+              )}
+              <IconButton 
+                onClick={() => handleDeleteQuestion(qIndex)} 
+                color="error"
+                disabled={quiz.questions.length === 1 && !quiz.pools?.length}
+              >
+                <DeleteIcon />
+              </IconButton>
+            </Box>
           </Box>
           
           <TextField
@@ -355,8 +520,13 @@ const EditQuizPage = () => {
             multiline
             rows={2}
             variant="outlined"
-            sx={{ mb: 2 }}
+            sx={{ mb: 1 }}
           />
+          <TextFormatSwitch
+            format={q.textFormat}
+            onChange={(textFormat) => handleQuestionChange({ target: { name: 'textFormat', value: textFormat } }, qIndex)}
+          />
+          <RichTextPreview question={q} />
 
           {/* Question Image Upload */}
           <Box sx={{ mb: 2 }}>
@@ -399,6 +569,18 @@ const EditQuizPage = () => {
             )}
           </Box>
           
+          <TextField
+            label="Points"
+            name="points"
+            type="number"
+            value={q.points ?? 1}
+            onChange={(e) => handleQuestionChange(e, qIndex)}
+            inputProps={{ min: 0, step: 0.5 }}
+            variant="outlined"
+            sx={{ mb: 2, width: 160 }}
+            helperText="Marks for this question"
+          />
+
           <FormControl fullWidth sx={{ mb: 2 }}>
             <InputLabel>Question Type</InputLabel>
             <Select
@@ -406,14 +588,14 @@ const EditQuizPage = () => {
               label="Question Type"
               onChange={(e) => handleTypeChange(e, qIndex)}
             >
-              <MenuItem value="mcq">Multiple Choice</MenuItem>
-              <MenuItem value="true_false">True/False</MenuItem>
-              <MenuItem value="short_answer">Short Answer</MenuItem>
+              {QUESTION_TYPES.map(({ value, label }) => (
+                <MenuItem key={value} value={value}>{label}</MenuItem>
+              ))}
             </Select>
           </FormControl>
 
-          {/* MCQ Options */}
-          {q.type === 'mcq' && (
+          {/* MCQ / Multiple Select Options */}
+          {(q.type === 'mcq' || q.type === 'multiple_select') && (
             <Box sx={{ mb: 2 }}>
               <Typography variant="subtitle2" gutterBottom>Options:</Typography>
               {q.options.map((opt, oIndex) => (
@@ -515,7 +697,95 @@ const EditQuizPage = () => {
           )}
 
           {/* Answer Field */}
-          {q.type === 'short_answer' ? (
+          {q.type === 'multiple_select' ? (
+            <Box sx={{ mt: 2 }}>
+              <Typography variant="subtitle2" gutterBottom>Correct Options:</Typography>
+              <FormGroup>
+                {q.options.map((opt, oIndex) => (
+                  <FormControlLabel
+                    key={oIndex}
+                    control={
+                      <Checkbox
+                        checked={(q.correctOptions || []).includes(opt)}
+                        onChange={() => handleToggleCorrectOption(qIndex, opt)}
+                      />
+                    }
+                    label={opt || `Option ${oIndex + 1}`}
+                  />
+                ))}
+              </FormGroup>
+              <FormHelperText>Candidates must select exactly the ticked options.</FormHelperText>
+            </Box>
+          ) : q.type === 'numeric' ? (
+            <Box sx={{ display: 'flex', gap: 2, flexWrap: 'wrap', mt: 2 }}>
+              <TextField
+                label="Correct Value"
+                name="answer"
+                type="number"
+                value={q.answer ?? ''}
+                onChange={(e) => handleQuestionChange(e, qIndex)}
+                inputProps={{ step: 'any' }}
+                helperText="Graded as value ± tolerance"
+              />
+              <TextField
+                label="Tolerance"
+                name="tolerance"
+                type="number"
+                value={q.tolerance ?? 0}
+                onChange={(e) => handleQuestionChange(e, qIndex)}
+                inputProps={{ min: 0, step: 'any' }}
+              />
+              <TextField
+                label="Range Min"
+                name="rangeMin"
+                type="number"
+                value={q.rangeMin ?? ''}
+                onChange={(e) => handleQuestionChange(e, qIndex)}
+                inputProps={{ step: 'any' }}
+                helperText="Optional"
+              />
+              <TextField
+                label="Range Max"
+                name="rangeMax"
+                type="number"
+                value={q.rangeMax ?? ''}
+                onChange={(e) => handleQuestionChange(e, qIndex)}
+                inputProps={{ step: 'any' }}
+                helperText="Overrides value ± tolerance"
+              />
+            </Box>
+          ) : q.type === 'fill_blank' ? (
+            <Box sx={{ mt: 2 }}>
+              <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mb: 2 }}>
+                Type three underscores (___) in the question text wherever a blank should appear.
+              </Typography>
+              {(q.blanks || []).map((blank, blankIndex) => (
+                <TextField
+                  key={blankIndex}
+                  label={`Blank ${blankIndex + 1}`}
+                  value={(blank.acceptedAnswers || []).join('|')}
+                  onChange={(e) => handleBlankChange(e, qIndex, blankIndex)}
+                  fullWidth
+                  variant="outlined"
+                  sx={{ mb: 2 }}
+                  helperText="Separate alternative accepted answers with |"
+                />
+              ))}
+            </Box>
+          ) : q.type === 'essay' ? (
+            <TextField
+              label="Model Answer / Grading Notes (optional)"
+              name="answer"
+              value={q.answer || ''}
+              onChange={(e) => handleQuestionChange(e, qIndex)}
+              fullWidth
+              multiline
+              rows={4}
+              variant="outlined"
+              sx={{ mt: 2 }}
+              helperText="Shown to graders in the grading queue. Essay answers are scored manually."
+            />
+          ) : q.type === 'short_answer' ? (
             <TextField
               label="Expected Answer (for reference)"
               name="answer"
@@ -544,9 +814,21 @@ const EditQuizPage = () => {
               }
             />
           )}
+
+          <QuestionFeedbackFields
+            question={q}
+            onChange={(name, value) => handleQuestionChange({ target: { name, value } }, qIndex)}
+          />
         </Paper>
       ))}
 
+      {/* Question Pools */}
+      <QuestionPoolsEditor
+        pools={quiz.pools || []}
+        onChange={(pools) => setQuiz({ ...quiz, pools })}
+        token={token}
+      />
+
       {/* Action Buttons */}
       <Box sx={{ display: 'flex', gap: 2, justifyContent: 'space-between', mt: 4 }}>
         <Button
@@ -577,6 +859,15 @@ const EditQuizPage = () => {
           </Button>
         </Box>
       </Box>
+
+      <RegradePreviewDialog
+        open={Boolean(regradePreview)}
+        preview={regradePreview}
+        isSaving={isSaving}
+        onCancel={() => setRegradePreview(null)}
+        onSaveOnly={() => saveQuiz(false)}
+        onSaveAndRegrade={() => saveQuiz(true)}
+      />
     </Box>
   );
 };
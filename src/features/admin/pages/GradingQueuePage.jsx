@@ -0,0 +1,293 @@
+// src/features/admin/pages/GradingQueuePage.jsx
+import React, { useState, useEffect, useCallback } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import {
+  Box,
+  Typography,
+  Button,
+  Paper,
+  TextField,
+  Chip,
+  Alert,
+  Snackbar,
+  ToggleButton,
+  ToggleButtonGroup,
+  Divider,
+} from '@mui/material';
+import ArrowBackIcon from '@mui/icons-material/ArrowBack';
+import { useAuth } from '../../auth/contexts/AuthContext';
+import Loader from '../../../components/Loader';
+import RichText from '../../../components/RichText';
+
+// Each essay answer is identified by its submission and question
+const itemKey = (item) => `${item.submissionId}_${item.questionId}`;
+
+const GradingQueuePage = () => {
+  const [queueData, setQueueData] = useState(null);
+  const [statusFilter, setStatusFilter] = useState('pending');
+  const [grades, setGrades] = useState({});
+  const [savingKey, setSavingKey] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [snackbar, setSnackbar] = useState({ open: false, message: '', severity: 'success' });
+  const { assignmentId } = useParams();
+  const { token } = useAuth();
+  const navigate = useNavigate();
+
+  const fetchQueue = useCallback(async () => {
+    setIsLoading(true);
+    setError('');
+    try {
+      const response = await fetch(
+        `http://localhost:5000/api/assignments/${assignmentId}/grading-queue?status=${statusFilter}`,
+        {
+          headers: {
+            'Authorization': `Bearer ${token}`,
+            'Content-Type': 'application/json'
+          }
+        }
+      );
+
+      if (!response.ok) {
+        throw new Error('Failed to fetch grading queue');
+      }
+
+      const result = await response.json();
+      setQueueData(result.data);
+
+      // Start each form from the grade already recorded (if any)
+      const initialGrades = {};
+      result.data.items.forEach(item => {
+        initialGrades[itemKey(item)] = {
+          points: item.gradingStatus === 'graded' ? String(item.pointsAwarded) : '',
+          feedback: item.feedback || '',
+        };
+      });
+      setGrades(initialGrades);
+    } catch (error) {
+      setError(error.message);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [assignmentId, statusFilter, token]);
+
+  useEffect(() => {
+    if (token && assignmentId) {
+      fetchQueue();
+    }
+  }, [fetchQueue, token, assignmentId]);
+
+  const handleGradeChange = (key, field, value) => {
+    setGrades(prev => ({ ...prev, [key]: { ...prev[key], [field]: value } }));
+  };
+
+  const handleSaveGrade = async (item) => {
+    const key = itemKey(item);
+    const grade = grades[key] || {};
+    const points = Number(grade.points);
+
+    if (grade.points === '' || grade.points === undefined || isNaN(points) || points < 0 || points > item.pointsPossible) {
+      setSnackbar({ open: true, message: `Enter a score between 0 and ${item.pointsPossible}`, severity: 'error' });
+      return;
+    }
+
+    setSavingKey(key);
+    try {
+      const response = await fetch(
+        `http://localhost:5000/api/assignments/${assignmentId}/submissions/${item.submissionId}/answers/${item.questionId}/grade`,
+        {
+          method: 'PUT',
+          headers: {
+            'Authorization': `Bearer ${token}`,
+            'Content-Type': 'application/json'
+          },
+          body: JSON.stringify({ points, feedback: grade.feedback }),
+        }
+      );
+
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.message || 'Failed to save grade');
+      }
+
+      setSnackbar({ open: true, message: result.message, severity: 'success' });
+      await fetchQueue();
+    } catch (error) {
+      setSnackbar({ open: true, message: error.message, severity: 'error' });
+    } finally {
+      setSavingKey(null);
+    }
+  };
+
+  if (isLoading && !queueData) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', alignItems: 'center', minHeight: '50vh' }}>
+        <Loader />
+      </Box>
+    );
+  }
+
+  if (error) {
+    return (
+      <Box sx={{ p: 3 }}>
+        <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>
+        <Button
+          variant="outlined"
+          startIcon={<ArrowBackIcon />}
+          onClick={() => navigate(-1)}
+        >
+          Back to Submissions
+        </Button>
+      </Box>
+    );
+  }
+
+  const items = queueData?.items || [];
+
+  return (
+    <Box sx={{ p: 3 }}>
+      {/* Header */}
+      <Button
+        variant="outlined"
+        startIcon={<ArrowBackIcon />}
+        onClick={() => navigate(`/admin/assignment/${assignmentId}/submissions`)}
+        sx={{ mb: 3 }}
+      >
+        Back to Submissions
+      </Button>
+
+      <Typography variant="h4" gutterBottom>
+        Grading Queue
+      </Typography>
+
+      {/* Assignment Info */}
+      <Paper sx={{ p: 3, mb: 3, bgcolor: 'background.default' }}>
+        <Typography variant="h6" gutterBottom>
+          {queueData?.quizTitle}
+        </Typography>
+        <Typography variant="body2" color="text.secondary">
+          Class: {queueData?.classTitle} ({queueData?.courseCode})
+        </Typography>
+        <Typography variant="body2" color="text.secondary">
+          Answers waiting for grading: <strong>{queueData?.pendingCount || 0}</strong>
+        </Typography>
+      </Paper>
+
+      <ToggleButtonGroup
+        size="small"
+        exclusive
+        value={statusFilter}
+        onChange={(e, value) => value && setStatusFilter(value)}
+        sx={{ mb: 3 }}
+      >
+        <ToggleButton value="pending">Pending</ToggleButton>
+        <ToggleButton value="graded">Graded</ToggleButton>
+        <ToggleButton value="all">All</ToggleButton>
+      </ToggleButtonGroup>
+
+      {items.length === 0 ? (
+        <Paper sx={{ p: 4, textAlign: 'center' }}>
+          <Typography variant="h6" color="text.secondary" gutterBottom>
+            {statusFilter === 'pending' ? 'Nothing left to grade' : 'No answers found'}
+          </Typography>
+          <Typography variant="body2" color="text.secondary">
+            Essay answers appear here once candidates submit the quiz.
+          </Typography>
+        </Paper>
+      ) : (
+        items.map(item => {
+          const key = itemKey(item);
+          const grade = grades[key] || { points: '', feedback: '' };
+          return (
+            <Paper key={key} sx={{ p: 3, mb: 2 }}>
+              <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', gap: 2, mb: 2 }}>
+                <Box>
+                  <Typography variant="subtitle1" fontWeight="bold">
+                    {item.candidate.name}
+                  </Typography>
+                  <Typography variant="body2" color="text.secondary">
+                    {item.candidate.registrationNumber || item.candidate.email} • Submitted{' '}
+                    {new Date(item.submittedAt).toLocaleString('en-US', {
+                      month: 'short',
+                      day: 'numeric',
+                      hour: '2-digit',
+                      minute: '2-digit'
+                    })}
+                  </Typography>
+                </Box>
+                <Chip
+                  size="small"
+                  label={item.gradingStatus === 'pending' ? 'Pending' : `Graded ${item.pointsAwarded} / ${item.pointsPossible}`}
+                  color={item.gradingStatus === 'pending' ? 'warning' : 'success'}
+                />
+              </Box>
+
+              <Typography variant="body2" color="text.secondary" gutterBottom>
+                Question ({item.pointsPossible} pts)
+              </Typography>
+              <RichText text={item.questionText} format={item.textFormat} sx={{ mb: 2 }} />
+
+              {item.modelAnswer && (
+                <Alert severity="info" sx={{ mb: 2 }}>
+                  <strong>Model answer:</strong> {item.modelAnswer}
+                </Alert>
+              )}
+
+              <Paper variant="outlined" sx={{ p: 2, mb: 2, bgcolor: 'background.default' }}>
+                <Typography variant="body2" fontWeight="bold" gutterBottom>
+                  Candidate's Answer:
+                </Typography>
+                <Typography variant="body1" sx={{ whiteSpace: 'pre-wrap' }}>
+                  {item.response || '(No answer provided)'}
+                </Typography>
+              </Paper>
+
+              <Divider sx={{ mb: 2 }} />
+
+              <Box sx={{ display: 'flex', gap: 2, alignItems: 'flex-start', flexWrap: 'wrap' }}>
+                <TextField
+                  label="Score"
+                  type="number"
+                  size="small"
+                  value={grade.points}
+                  onChange={(e) => handleGradeChange(key, 'points', e.target.value)}
+                  inputProps={{ min: 0, max: item.pointsPossible, step: 0.5 }}
+                  helperText={`Out of ${item.pointsPossible}`}
+                  sx={{ width: 140 }}
+                />
+                <TextField
+                  label="Comment"
+                  size="small"
+                  multiline
+                  minRows={2}
+                  value={grade.feedback}
+                  onChange={(e) => handleGradeChange(key, 'feedback', e.target.value)}
+                  sx={{ flex: 1, minWidth: 240 }}
+                />
+                <Button
+                  variant="contained"
+                  onClick={() => handleSaveGrade(item)}
+                  disabled={savingKey === key}
+                >
+                  {savingKey === key ? 'Saving...' : item.gradingStatus === 'graded' ? 'Update Grade' : 'Save Grade'}
+                </Button>
+              </Box>
+            </Paper>
+          );
+        })
+      )}
+
+      <Snackbar
+        open={snackbar.open}
+        autoHideDuration={4000}
+        onClose={() => setSnackbar({ ...snackbar, open: false })}
+      >
+        <Alert severity={snackbar.severity} onClose={() => setSnackbar({ ...snackbar, open: false })}>
+          {snackbar.message}
+        </Alert>
+      </Snackbar>
+    </Box>
+  );
+};
+
+export default GradingQueuePage;
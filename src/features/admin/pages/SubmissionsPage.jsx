@@ -15,15 +15,135 @@ import {
   CircularProgress,
   Chip,
   Alert,
+  Collapse,
+  IconButton,
+  Tooltip,
 } from '@mui/material';
 import ArrowBackIcon from '@mui/icons-material/ArrowBack';
+import RateReviewIcon from '@mui/icons-material/RateReview';
+import KeyboardArrowDownIcon from '@mui/icons-material/KeyboardArrowDown';
+import KeyboardArrowUpIcon from '@mui/icons-material/KeyboardArrowUp';
 import { useAuth } from '../../auth/contexts/AuthContext';
 import Loader from '../../../components/Loader';
+import { getScoringRuleLabel } from '../../../utils/scoringRules';
+import { formatDuration, getTimeTaken, getDeliveryDelay } from '../../../utils/attemptTiming';
+
+const formatDateTime = (date) => new Date(date).toLocaleString('en-US', {
+  year: 'numeric',
+  month: 'short',
+  day: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit'
+});
+
+const isSuspiciousAttempt = (sub) => sub.tabSwitchCount > 3 || !sub.wasFullscreen;
+
+const ScoreChip = ({ score, pending, size = 'medium' }) => (
+  pending ? (
+    <Chip
+      label={`${score.toFixed(2)}% • Pending grading`}
+      color="default"
+      size={size}
+      variant="outlined"
+    />
+  ) : (
+    <Chip
+      label={`${score.toFixed(2)}%`}
+      color={score >= 70 ? 'success' : score >= 50 ? 'warning' : 'error'}
+      size={size}
+    />
+  )
+);
+
+// Percentage points taken off for lateness; an instructor's override replaces the penalised score
+const getLatePenalty = (sub) => (
+  sub.scoreOverride?.score !== null && sub.scoreOverride?.score !== undefined ? 0 : sub.latePenalty || 0
+);
+
+const LateChip = ({ isLate, penalty = 0 }) => (
+  isLate ? (
+    <Chip label={penalty > 0 ? `Late (−${penalty.toFixed(2)}%)` : 'Late'} color="warning" size="small" />
+  ) : (
+    <Chip label="On Time" color="success" size="small" variant="outlined" />
+  )
+);
+
+// Submissions that arrived after their server-side deadline are kept but flagged
+const OvertimeChip = ({ sub }) => (
+  sub.overtimeSeconds > 0 ? (
+    <Tooltip title={`Deadline was ${new Date(sub.deadline).toLocaleString()}`}>
+      <Chip label={`Over time (+${formatDuration(sub.overtimeSeconds)})`} color="error" size="small" sx={{ ml: 0.5 }} />
+    </Tooltip>
+  ) : null
+);
+
+const TimeTaken = ({ sub }) => (
+  getTimeTaken(sub) !== null ? (
+    <Typography variant="caption" color="text.secondary" sx={{ display: 'block' }}>
+      took {formatDuration(getTimeTaken(sub))}
+      {/* Queued while offline; timed by when the candidate finished */}
+      {getDeliveryDelay(sub) >= 60 && ` · sent offline, arrived ${formatDuration(getDeliveryDelay(sub))} later`}
+    </Typography>
+  ) : null
+);
+
+const ActivityChips = ({ sub }) => (
+  <>
+    {isSuspiciousAttempt(sub) ? (
+      <Chip
+        label={`⚠️ ${sub.tabSwitchCount} switches`}
+        color="error"
+        size="small"
+      />
+    ) : (
+      <Chip
+        label="Clean"
+        color="success"
+        size="small"
+        variant="outlined"
+      />
+    )}
+    {!sub.wasFullscreen && (
+      <Chip
+        label="No Fullscreen"
+        color="error"
+        size="small"
+        sx={{ ml: 0.5 }}
+      />
+    )}
+  </>
+);
+
+// Group attempts by candidate (oldest attempt first), in the order candidates first submitted
+const groupByCandidate = (submissions, candidateResults = []) => {
+  const results = new Map(candidateResults.map(result => [String(result.candidateId), result]));
+  const groups = new Map();
+  submissions.forEach(sub => {
+    const key = String(sub.candidateId?._id || sub.candidateId);
+    if (!groups.has(key)) groups.set(key, { key, candidate: sub.candidateId, attempts: [] });
+    groups.get(key).attempts.push(sub);
+  });
+  return [...groups.values()].map(group => {
+    const attempts = [...group.attempts].sort((a, b) => new Date(a.submittedAt) - new Date(b.submittedAt));
+    const latest = attempts[attempts.length - 1];
+    const result = results.get(group.key);
+    return {
+      ...group,
+      attempts,
+      latest,
+      finalScore: result?.finalScore ?? latest.score,
+      finalPending: (result?.gradingStatus || latest.gradingStatus) === 'pending',
+      finalLatePenalty: result ? result.latePenalty || 0 : getLatePenalty(latest),
+      countedSubmissionId: result ? result.countedSubmissionId : latest._id,
+    };
+  });
+};
 
 const SubmissionsPage = () => {
   const [submissionData, setSubmissionData] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState('');
+  const [expanded, setExpanded] = useState({}); // Candidates whose attempt history is open
   const { assignmentId } = useParams();
   const { token } = useAuth();
   const navigate = useNavigate();
@@ -58,11 +178,11 @@ const SubmissionsPage = () => {
     }
   }, [assignmentId, token]);
 
-  // Calculate statistics
-  const calculateStats = (submissions) => {
-    if (!submissions || submissions.length === 0) return null;
+  // Calculate statistics from the score that counts for each candidate
+  const calculateStats = (rows) => {
+    if (!rows || rows.length === 0) return null;
     
-    const scores = submissions.map(s => s.score);
+    const scores = rows.map(row => row.finalScore);
     const average = (scores.reduce((a, b) => a + b, 0) / scores.length).toFixed(2);
     const highest = Math.max(...scores).toFixed(2);
     const lowest = Math.min(...scores).toFixed(2);
@@ -70,7 +190,8 @@ const SubmissionsPage = () => {
     return { average, highest, lowest };
   };
 
-  const stats = submissionData?.submissions ? calculateStats(submissionData.submissions) : null;
+  const candidateRows = groupByCandidate(submissionData?.submissions || [], submissionData?.candidateResults);
+  const stats = calculateStats(candidateRows);
 
   if (isLoading) {
     return (
@@ -112,6 +233,12 @@ const SubmissionsPage = () => {
   }
 
   const submissions = submissionData.submissions || [];
+  const pendingGradingCount = submissions.filter(sub => sub.gradingStatus === 'pending').length;
+  const showAttempts = (submissionData.maxAttempts || 1) > 1 || submissions.length > candidateRows.length;
+
+  const toggleExpanded = (key) => {
+    setExpanded(prev => ({ ...prev, [key]: !prev[key] }));
+  };
 
   return (
     <Box sx={{ p: 3 }}>
@@ -125,9 +252,19 @@ const SubmissionsPage = () => {
         Back to Assignments
       </Button>
 
-      <Typography variant="h4" gutterBottom>
-        Quiz Submissions
-      </Typography>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', flexWrap: 'wrap', gap: 2, mb: 1 }}>
+        <Typography variant="h4" gutterBottom>
+          Quiz Submissions
+        </Typography>
+        <Button
+          variant={pendingGradingCount > 0 ? 'contained' : 'outlined'}
+          color={pendingGradingCount > 0 ? 'warning' : 'primary'}
+          startIcon={<RateReviewIcon />}
+          onClick={() => navigate(`/admin/assignment/${assignmentId}/grading`)}
+        >
+          Grading Queue{pendingGradingCount > 0 ? ` (${pendingGradingCount} submissions pending)` : ''}
+        </Button>
+      </Box>
 
       {/* Assignment Info */}
       <Paper sx={{ p: 3, mb: 3, bgcolor: 'background.default' }}>
@@ -149,6 +286,11 @@ const SubmissionsPage = () => {
         <Typography variant="body2" color="text.secondary">
           Time Limit: {submissionData.timeLimit} minutes
         </Typography>
+        {showAttempts && (
+          <Typography variant="body2" color="text.secondary">
+            Attempts: up to {submissionData.maxAttempts} per candidate • Score counted: {getScoringRuleLabel(submissionData.scoringRule)}
+          </Typography>
+        )}
       </Paper>
 
       {/* Statistics */}
@@ -163,9 +305,19 @@ const SubmissionsPage = () => {
                 Total Submissions
               </Typography>
               <Typography variant="h5">
-                {submissions.length}
+                {candidateRows.length}
               </Typography>
             </Box>
+            {showAttempts && (
+              <Box>
+                <Typography variant="body2" color="text.secondary">
+                  Total Attempts
+                </Typography>
+                <Typography variant="h5">
+                  {submissions.length}
+                </Typography>
+              </Box>
+            )}
             <Box>
               <Typography variant="body2" color="text.secondary">
                 Average Score
@@ -202,103 +354,148 @@ const SubmissionsPage = () => {
         <Table>
           <TableHead>
             <TableRow>
+              {showAttempts && <TableCell padding="checkbox" />}
               <TableCell><strong>Candidate Name</strong></TableCell>
               <TableCell><strong>Registration Number</strong></TableCell>
               <TableCell><strong>Email</strong></TableCell>
-              <TableCell><strong>Submitted At</strong></TableCell>
+              <TableCell><strong>{showAttempts ? 'Last Submitted' : 'Submitted At'}</strong></TableCell>
               <TableCell><strong>Status</strong></TableCell>
               <TableCell><strong>Activity</strong></TableCell>
+              {showAttempts && <TableCell align="center"><strong>Attempts</strong></TableCell>}
               <TableCell align="right"><strong>Score</strong></TableCell>
             </TableRow>
           </TableHead>
           <TableBody>
-            {submissions.length > 0 ? (
-              submissions.map((sub, index) => {
-                const isSuspicious = sub.tabSwitchCount > 3 || !sub.wasFullscreen;
+            {candidateRows.length > 0 ? (
+              candidateRows.map(row => {
+                const sub = row.latest;
+                const isSuspicious = row.attempts.some(isSuspiciousAttempt);
+                const isOpen = !!expanded[row.key];
+                const columnCount = showAttempts ? 9 : 7;
                 return (
-                  <TableRow 
-                    key={index} 
-                    hover
-                    onClick={() => navigate(`/admin/submission/${assignmentId}/${sub._id}`)}
-                    sx={{ 
-                      cursor: 'pointer',
-                      backgroundColor: isSuspicious ? 'rgba(255, 152, 0, 0.08)' : 'inherit',
-                      '&:hover': {
-                        backgroundColor: isSuspicious ? 'rgba(255, 152, 0, 0.15)' : 'action.hover',
-                      }
-                    }}
-                  >
-                    <TableCell>
-                      {sub.candidateId?.name || 'Unknown'}
-                    </TableCell>
-                    <TableCell>
-                      {sub.candidateId?.registrationNumber || '-'}
-                    </TableCell>
-                    <TableCell>
-                      {sub.candidateId?.email || '-'}
-                    </TableCell>
-                    <TableCell>
-                      {new Date(sub.submittedAt).toLocaleString('en-US', {
-                        year: 'numeric',
-                        month: 'short',
-                        day: 'numeric',
-                        hour: '2-digit',
-                        minute: '2-digit'
-                      })}
-                    </TableCell>
-                    <TableCell>
-                      {sub.isLateSubmission ? (
-                        <Chip
-                          label="Late"
-                          color="warning"
-                          size="small"
-                        />
-                      ) : (
-                        <Chip
-                          label="On Time"
-                          color="success"
-                          size="small"
-                          variant="outlined"
-                        />
-                      )}
-                    </TableCell>
-                    <TableCell>
-                      {isSuspicious ? (
-                        <Chip
-                          label={`⚠️ ${sub.tabSwitchCount} switches`}
-                          color="error"
-                          size="small"
-                        />
-                      ) : (
-                        <Chip
-                          label="Clean"
-                          color="success"
-                          size="small"
-                          variant="outlined"
-                        />
+                  <React.Fragment key={row.key}>
+                    <TableRow 
+                      hover
+                      onClick={() => navigate(`/admin/submission/${assignmentId}/${row.countedSubmissionId || sub._id}`)}
+                      sx={{ 
+                        cursor: 'pointer',
+                        backgroundColor: isSuspicious ? 'rgba(255, 152, 0, 0.08)' : 'inherit',
+                        '&:hover': {
+                          backgroundColor: isSuspicious ? 'rgba(255, 152, 0, 0.15)' : 'action.hover',
+                        }
+                      }}
+                    >
+                      {showAttempts && (
+                        <TableCell padding="checkbox">
+                          {row.attempts.length > 1 && (
+                            <IconButton
+                              size="small"
+                              aria-label={isOpen ? 'Hide attempts' : 'Show attempts'}
+                              onClick={(e) => {
+                                e.stopPropagation();
+                                toggleExpanded(row.key);
+                              }}
+                            >
+                              {isOpen ? <KeyboardArrowUpIcon /> : <KeyboardArrowDownIcon />}
+                            </IconButton>
+                          )}
+                        </TableCell>
                       )}
-                      {!sub.wasFullscreen && (
-                        <Chip
-                          label="No Fullscreen"
-                          color="error"
-                          size="small"
-                          sx={{ ml: 0.5 }}
-                        />
+                      <TableCell>
+                        {row.candidate?.name || 'Unknown'}
+                      </TableCell>
+                      <TableCell>
+                        {row.candidate?.registrationNumber || '-'}
+                      </TableCell>
+                      <TableCell>
+                        {row.candidate?.email || '-'}
+                      </TableCell>
+                      <TableCell>
+                        {formatDateTime(sub.submittedAt)}
+                        <TimeTaken sub={sub} />
+                      </TableCell>
+                      <TableCell>
+                        <LateChip isLate={sub.isLateSubmission} penalty={getLatePenalty(sub)} />
+                        <OvertimeChip sub={sub} />
+                      </TableCell>
+                      <TableCell>
+                        <ActivityChips sub={sub} />
+                      </TableCell>
+                      {showAttempts && (
+                        <TableCell align="center">
+                          {row.attempts.length} / {submissionData.maxAttempts}
+                        </TableCell>
                       )}
-                    </TableCell>
-                    <TableCell align="right">
-                      <Chip
-                        label={`${sub.score.toFixed(2)}%`}
-                        color={sub.score >= 70 ? 'success' : sub.score >= 50 ? 'warning' : 'error'}
-                        size="medium"
-                      />
-                    </TableCell>
-                  </TableRow>
+                      <TableCell align="right">
+                        <ScoreChip score={row.finalScore} pending={row.finalPending} />
+                        {row.finalLatePenalty > 0 && (
+                          <Typography variant="caption" color="warning.main" sx={{ display: 'block', mt: 0.5 }}>
+                            After −{row.finalLatePenalty.toFixed(2)}% late penalty
+                          </Typography>
+                        )}
+                      </TableCell>
+                    </TableRow>
+
+                    {/* Attempt history */}
+                    {row.attempts.length > 1 && (
+                      <TableRow>
+                        <TableCell colSpan={columnCount} sx={{ py: 0, borderBottom: isOpen ? undefined : 'none' }}>
+                          <Collapse in={isOpen} timeout="auto" unmountOnExit>
+                            <Box sx={{ my: 2, ml: 6 }}>
+                              <Typography variant="subtitle2" gutterBottom>
+                                Attempt History ({getScoringRuleLabel(submissionData.scoringRule)} counts)
+                              </Typography>
+                              <Table size="small">
+                                <TableHead>
+                                  <TableRow>
+                                    <TableCell>Attempt</TableCell>
+                                    <TableCell>Submitted At</TableCell>
+                                    <TableCell>Status</TableCell>
+                                    <TableCell>Activity</TableCell>
+                                    <TableCell align="right">Score</TableCell>
+                                  </TableRow>
+                                </TableHead>
+                                <TableBody>
+                                  {row.attempts.map((attempt, index) => (
+                                    <TableRow
+                                      key={attempt._id}
+                                      hover
+                                      sx={{ cursor: 'pointer' }}
+                                      onClick={() => navigate(`/admin/submission/${assignmentId}/${attempt._id}`)}
+                                    >
+                                      <TableCell>
+                                        #{attempt.attemptNumber || index + 1}
+                                        {attempt._id === row.countedSubmissionId && (
+                                          <Chip label="Counted" color="primary" size="small" sx={{ ml: 1 }} />
+                                        )}
+                                      </TableCell>
+                                      <TableCell>
+                                        {formatDateTime(attempt.submittedAt)}
+                                        <TimeTaken sub={attempt} />
+                                      </TableCell>
+                                      <TableCell>
+                                        <LateChip isLate={attempt.isLateSubmission} penalty={getLatePenalty(attempt)} />
+                                        <OvertimeChip sub={attempt} />
+                                      </TableCell>
+                                      <TableCell><ActivityChips sub={attempt} /></TableCell>
+                                      <TableCell align="right">
+                                        <ScoreChip score={attempt.score} pending={attempt.gradingStatus === 'pending'} size="small" />
+                                      </TableCell>
+                                    </TableRow>
+                                  ))}
+                                </TableBody>
+                              </Table>
+                            </Box>
+                          </Collapse>
+                        </TableCell>
+                      </TableRow>
+                    )}
+                  </React.Fragment>
                 );
               })
             ) : (
               <TableRow>
-                <TableCell colSpan={7} align="center">
+                <TableCell colSpan={showAttempts ? 9 : 7} align="center">
                   <Box sx={{ py: 4 }}>
                     <Typography variant="body1" color="text.secondary">
                       No submissions found for this assignment yet.
@@ -0,0 +1,57 @@
+import React from 'react';
+import { Box, Typography, Button, Paper, Badge } from '@mui/material';
+import FlagIcon from '@mui/icons-material/Flag';
+
+/**
+ * Grid of question numbers for jumping around a quiz. Answered questions are
+ * filled in, unanswered ones outlined, and ones flagged for review carry a flag
+ * @param {Array} questions - { answered, flagged } for each question, in order
+ * @param {Number} currentIndex - The question on screen
+ * @param {Function} onSelect - Called with the index of the question to go to
+ */
+const QuestionNavigator = ({ questions, currentIndex, onSelect }) => {
+  const answeredCount = questions.filter(question => question.answered).length;
+  const flaggedCount = questions.filter(question => question.flagged).length;
+
+  return (
+    <Paper elevation={1} sx={{ p: 2, mb: 3 }}>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', flexWrap: 'wrap', gap: 1, mb: 1.5 }}>
+        <Typography variant="subtitle2">Questions</Typography>
+        <Typography variant="caption" color="text.secondary">
+          {answeredCount} answered · {questions.length - answeredCount} unanswered · {flaggedCount} flagged
+        </Typography>
+      </Box>
+
+      <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1 }}>
+        {questions.map((question, index) => (
+          <Badge
+            key={index}
+            invisible={!question.flagged}
+            overlap="circular"
+            badgeContent={<FlagIcon sx={{ fontSize: 14 }} color="warning" />}
+            anchorOrigin={{ vertical: 'top', horizontal: 'right' }}
+          >
+            <Button
+              size="small"
+              variant={question.answered ? 'contained' : 'outlined'}
+              color={question.flagged ? 'warning' : 'primary'}
+              onClick={() => onSelect(index)}
+              aria-label={`Question ${index + 1}: ${question.answered ? 'answered' : 'unanswered'}${question.flagged ? ', flagged for review' : ''}`}
+              aria-current={index === currentIndex ? 'step' : undefined}
+              sx={{
+                minWidth: 40,
+                height: 40,
+                p: 0,
+                ...(index === currentIndex && { outline: '2px solid', outlineColor: 'text.primary', outlineOffset: 2 }),
+              }}
+            >
+              {index + 1}
+            </Button>
+          </Badge>
+        ))}
+      </Box>
+    </Paper>
+  );
+};
+
+export default QuestionNavigator;
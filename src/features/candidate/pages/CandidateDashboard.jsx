@@ -72,6 +72,43 @@ const CandidateDashboard = () => {
     return 'success';
   };
 
+  // Chip for where the assignment is in its availability window
+  const getStatusChip = (assignment) => {
+    if (assignment.availability === 'upcoming') {
+      return {
+        label: `Opens ${new Date(assignment.availableFrom).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })}`,
+        color: 'info',
+      };
+    }
+    if (assignment.availability === 'closed') {
+      return { label: 'Closed', color: 'default' };
+    }
+    if (assignment.hasSubmitted && !assignment.canAttempt) {
+      return { label: 'Submitted', color: 'success' };
+    }
+    return { label: formatDueDate(assignment.dueDate), color: getDueDateColor(assignment.dueDate) };
+  };
+
+  // Action button for the assignment's state
+  const getActionProps = (assignment) => {
+    if (assignment.availability === 'upcoming') {
+      return { children: 'Not Open Yet', disabled: true };
+    }
+    if (assignment.availability === 'closed') {
+      return { children: 'Closed', disabled: true };
+    }
+    if (assignment.hasSubmitted) {
+      return assignment.canAttempt
+        ? { children: 'Retake Quiz', onClick: () => navigate(`/candidate/assignment/${assignment._id}?retake=1`) }
+        : { children: 'Submitted', disabled: true };
+    }
+    return {
+      children: assignment.isPastDue ? 'Start Quiz (Late)' : 'Start Quiz',
+      color: assignment.isPastDue ? 'warning' : 'primary',
+      onClick: () => navigate(`/candidate/assignment/${assignment._id}`),
+    };
+  };
+
   return (
     <Box sx={{ p: { xs: 2, sm: 3 } }}>
       {/* Welcome Header */}
@@ -132,8 +169,7 @@ const CandidateDashboard = () => {
                                   {assignment.quizId ? assignment.quizId.title : 'Quiz'}
                                 </Typography>
                                 <Chip 
-                                  label={formatDueDate(assignment.dueDate)}
-                                  color={getDueDateColor(assignment.dueDate)}
+                                  {...getStatusChip(assignment)}
                                   size="small"
                                   sx={{ 
                                     fontWeight: 600, 
@@ -170,6 +206,14 @@ const CandidateDashboard = () => {
                                       hour: '2-digit',
                                       minute: '2-digit'
                                     })}
+                                    {assignment.closesAt && new Date(assignment.closesAt) > new Date(assignment.dueDate) && (
+                                      ` · closes ${new Date(assignment.closesAt).toLocaleDateString('en-US', {
+                                        month: 'short',
+                                        day: 'numeric',
+                                        hour: '2-digit',
+                                        minute: '2-digit'
+                                      })}`
+                                    )}
                                   </Typography>
                                   
                                   {assignment.quizId?.questions && (
@@ -195,7 +239,7 @@ const CandidateDashboard = () => {
                                 variant="contained" 
                                 size="medium"
                                 fullWidth={{ xs: true, md: false }}
-                                onClick={() => navigate(`/candidate/assignment/${assignment._id}`)}
+                                {...getActionProps(assignment)}
                                 sx={{ 
                                   borderRadius: 1.5,
                                   px: 3,
@@ -208,9 +252,7 @@ const CandidateDashboard = () => {
                                     boxShadow: '0 2px 8px rgba(0,0,0,0.15)'
                                   }
                                 }}
-                              >
-                                Start Quiz
-                              </Button>
+                              />
                             </Box>
                           </Grid>
                         </Grid>
@@ -2,29 +2,48 @@ import React, { useState, useEffect } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import { 
   Box, Typography, List, ListItem, ListItemText, Button, Paper,
-  CircularProgress, Chip
+  CircularProgress, Chip, Alert
 } from '@mui/material';
 import ArrowBackIcon from '@mui/icons-material/ArrowBack';
 import PlayArrowIcon from '@mui/icons-material/PlayArrow';
 import CheckCircleIcon from '@mui/icons-material/CheckCircle';
 import PeopleIcon from '@mui/icons-material/People';
 import LeaderboardIcon from '@mui/icons-material/Leaderboard';
+import FactCheckIcon from '@mui/icons-material/FactCheck';
+import ReplayIcon from '@mui/icons-material/Replay';
 import { useAuth } from '../../auth/contexts/AuthContext';
 import Loader from '../../../components/Loader';
+import { submitQueuedQuizzes } from '../../../utils/offlineQuiz';
 
 const ClassAssignmentsPage = () => {
   const [assignments, setAssignments] = useState([]);
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState('');
+  const [sentSubmissions, setSentSubmissions] = useState([]); // Quizzes submitted offline and sent since
+  const [reconnectCount, setReconnectCount] = useState(0);
   const { classId } = useParams();
   const { token, user } = useAuth();
+  const userId = user?._id;
   const navigate = useNavigate();
 
+  // Coming back online sends any queued submissions and refreshes the list
+  useEffect(() => {
+    const handleOnline = () => setReconnectCount(count => count + 1);
+    window.addEventListener('online', handleOnline);
+    return () => window.removeEventListener('online', handleOnline);
+  }, []);
+
   useEffect(() => {
     const fetchAssignments = async () => {
       setIsLoading(true);
       setError('');
       try {
+        // Quizzes submitted while offline are sent first, so the list includes them
+        const sent = await submitQueuedQuizzes(userId, token).catch(() => []);
+        if (sent.length > 0) {
+          setSentSubmissions(sent);
+        }
+
         const response = await fetch(`http://localhost:5000/api/candidate/assignments/${classId}`, {
           headers: { 
             'Authorization': `Bearer ${token}`,
@@ -45,10 +64,10 @@ const ClassAssignmentsPage = () => {
       }
     };
 
-    if (token && classId) {
+    if (token && userId && classId) {
       fetchAssignments();
     }
-  }, [classId, token]);
+  }, [classId, token, userId, reconnectCount]);
 
   const handleStartQuiz = (assignmentId, quizId) => {
     // Navigate to quiz taking page
@@ -94,6 +113,22 @@ const ClassAssignmentsPage = () => {
         </Typography>
       )}
 
+      {sentSubmissions.map(({ assignmentId, ok, data }) => {
+        const title = assignments.find(assignment => assignment._id === assignmentId)?.quizId?.title || 'A quiz';
+        return (
+          <Alert
+            key={assignmentId}
+            severity={ok ? 'success' : 'error'}
+            sx={{ mb: 2 }}
+            onClose={() => setSentSubmissions(prev => prev.filter(item => item.assignmentId !== assignmentId))}
+          >
+            {ok
+              ? `${title} (submitted while offline) has now been sent.`
+              : `${title} (submitted while offline) could not be recorded: ${data.message}`}
+          </Alert>
+        );
+      })}
+
       {isLoading ? (
         <Box sx={{ display: 'flex', justifyContent: 'center', alignItems: 'center', minHeight: '50vh', width: '100%' }}>
           <Loader />
@@ -110,10 +145,24 @@ const ClassAssignmentsPage = () => {
                   const submissionScore = assignment.submissionScore;
                   const isLateSubmission = assignment.isLateSubmission;
                   const allowLateSubmissions = assignment.allowLateSubmissions;
+                  const isUpcoming = assignment.availability === 'upcoming';
+                  const isClosed = assignment.availability === 'closed';
+                  const hasMoreAttempts = hasSubmitted && assignment.maxAttempts > 1
+                    && assignment.attemptsUsed < assignment.maxAttempts
+                    && !isClosed;
                   
                   // Determine button state
                   let buttonProps = {};
-                  if (hasSubmitted) {
+                  if (hasSubmitted && assignment.reviewAvailable) {
+                    // Answers and explanations have been released
+                    buttonProps = {
+                      variant: 'outlined',
+                      color: 'success',
+                      startIcon: <FactCheckIcon />,
+                      onClick: () => navigate(`/candidate/assignment/${assignment._id}/review`),
+                      children: 'Review Answers'
+                    };
+                  } else if (hasSubmitted) {
                     buttonProps = {
                       variant: 'outlined',
                       color: 'success',
@@ -121,22 +170,28 @@ const ClassAssignmentsPage = () => {
                       disabled: true,
                       children: 'Submitted'
                     };
-                  } else if (isOverdue && !allowLateSubmissions) {
-                    // Only disable if overdue AND late submissions not allowed
+                  } else if (isUpcoming) {
+                    buttonProps = {
+                      variant: 'outlined',
+                      disabled: true,
+                      children: `Opens ${new Date(assignment.availableFrom).toLocaleString()}`
+                    };
+                  } else if (isClosed) {
+                    // Past the hard close, or overdue with late submissions off
                     buttonProps = {
                       variant: 'outlined',
                       color: 'error',
                       disabled: true,
-                      children: 'Overdue'
+                      children: allowLateSubmissions ? 'Closed' : 'Overdue'
                     };
-                  } else if (isOverdue && allowLateSubmissions) {
+                  } else if (isOverdue) {
                     // Allow starting overdue quiz if late submissions are enabled
                     buttonProps = {
                       variant: 'contained',
                       color: 'warning',
                       startIcon: <PlayArrowIcon />,
                       onClick: () => handleStartQuiz(assignment._id, assignment.quizId?._id),
-                      children: 'Start Quiz (Late)',
+                      children: assignment.inProgress ? 'Resume Quiz (Late)' : 'Start Quiz (Late)',
                       disabled: !assignment.quizId
                     };
                   } else {
@@ -144,17 +199,41 @@ const ClassAssignmentsPage = () => {
                       variant: 'contained',
                       startIcon: <PlayArrowIcon />,
                       onClick: () => handleStartQuiz(assignment._id, assignment.quizId?._id),
-                      children: 'Start Quiz',
+                      children: assignment.inProgress ? 'Resume Quiz' : 'Start Quiz',
                       disabled: !assignment.quizId // Disable if quizId is missing
                     };
                   }
                   
+                  // Retakes, or when the next one opens after a cooldown
+                  let retakeProps = null;
+                  if (hasMoreAttempts && assignment.canAttempt) {
+                    retakeProps = {
+                      variant: 'contained',
+                      startIcon: <ReplayIcon />,
+                      onClick: () => navigate(`/candidate/assignment/${assignment._id}?retake=1`),
+                      children: assignment.inProgress
+                        ? `Resume Retake (${assignment.attemptsUsed + 1} of ${assignment.maxAttempts})`
+                        : `Retake (${assignment.attemptsUsed + 1} of ${assignment.maxAttempts})`,
+                      disabled: !assignment.quizId
+                    };
+                  } else if (hasMoreAttempts && assignment.nextAttemptAt) {
+                    retakeProps = {
+                      variant: 'outlined',
+                      startIcon: <ReplayIcon />,
+                      disabled: true,
+                      children: `Retake after ${new Date(assignment.nextAttemptAt).toLocaleString()}`
+                    };
+                  }
+                  
                   return (
                     <ListItem 
                       key={assignment._id}
                       divider
                       secondaryAction={
-                        <Button {...buttonProps} />
+                        <Box sx={{ display: 'flex', gap: 1 }}>
+                          {retakeProps && <Button {...retakeProps} />}
+                          <Button {...buttonProps} />
+                        </Box>
                       }
                     >
                       <ListItemText
@@ -177,16 +256,23 @@ const ClassAssignmentsPage = () => {
                                 size="small" 
                               />
                             )}
-                            {isOverdue && !hasSubmitted && allowLateSubmissions && (
+                            {isUpcoming && (
+                              <Chip 
+                                label="Upcoming" 
+                                color="info" 
+                                size="small" 
+                              />
+                            )}
+                            {isOverdue && !hasSubmitted && !isClosed && (
                               <Chip 
                                 label="Overdue - Can Submit Late" 
                                 color="warning" 
                                 size="small" 
                               />
                             )}
-                            {isOverdue && !hasSubmitted && !allowLateSubmissions && (
+                            {!hasSubmitted && isClosed && (
                               <Chip 
-                                label="Overdue" 
+                                label={allowLateSubmissions ? 'Closed' : 'Overdue'} 
                                 color="error" 
                                 size="small" 
                               />
@@ -195,20 +281,42 @@ const ClassAssignmentsPage = () => {
                         }
                         secondary={
                           <Box component="span" sx={{ mt: 1, display: 'block' }}>
+                            {assignment.availableFrom && (
+                              <Typography component="span" variant="body2" color="text.secondary" sx={{ display: 'block' }}>
+                                <strong>Opens:</strong> {new Date(assignment.availableFrom).toLocaleString()}
+                              </Typography>
+                            )}
                             <Typography component="span" variant="body2" color="text.secondary" sx={{ display: 'block' }}>
                               <strong>Due:</strong> {dueDate.toLocaleString()}
+                              {assignment.hasExtension && ' (extended)'}
                             </Typography>
+                            {assignment.closesAt && new Date(assignment.closesAt) > dueDate && (
+                              <Typography component="span" variant="body2" color="text.secondary" sx={{ display: 'block' }}>
+                                <strong>Closes:</strong> {new Date(assignment.closesAt).toLocaleString()}
+                              </Typography>
+                            )}
                             <Typography component="span" variant="body2" color="text.secondary" sx={{ display: 'block' }}>
                               <strong>Time Limit:</strong> {assignment.timeLimit} minutes
                             </Typography>
                             <Typography component="span" variant="body2" color="text.secondary" sx={{ display: 'block' }}>
                               <strong>Questions:</strong> {assignment.quizId?.questions?.length || 0}
                             </Typography>
-                            {hasSubmitted && (
-                              <Typography component="span" variant="body2" color="success.main" sx={{ display: 'block', fontWeight: 'bold' }}>
-                                ✓ Your Score: {submissionScore?.toFixed(2)}%
+                            {assignment.maxAttempts > 1 && (
+                              <Typography component="span" variant="body2" color="text.secondary" sx={{ display: 'block' }}>
+                                <strong>Attempts:</strong> {assignment.attemptsUsed || 0} of {assignment.maxAttempts} used
                               </Typography>
                             )}
+                            {hasSubmitted && (submissionScore !== null && submissionScore !== undefined ? (
+                              <Typography component="span" variant="body2" color="success.main" sx={{ display: 'block', fontWeight: 'bold' }}>
+                                ✓ Your Score: {submissionScore.toFixed(2)}%
+                              </Typography>
+                            ) : (
+                              <Typography component="span" variant="body2" color="text.secondary" sx={{ display: 'block', fontWeight: 'bold' }}>
+                                ✓ Submitted{assignment.resultsReleaseAt
+                                  ? ` · Results on ${new Date(assignment.resultsReleaseAt).toLocaleString()}`
+                                  : ''}
+                              </Typography>
+                            ))}
                           </Box>
                         }
                         secondaryTypographyProps={{ component: 'div' }}
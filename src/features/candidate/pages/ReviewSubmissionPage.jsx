@@ -0,0 +1,297 @@
+import React, { useState, useEffect } from 'react';
+import { useParams, useNavigate, useSearchParams } from 'react-router-dom';
+import {
+  Box, Typography, Button, Paper, Chip, Alert, Divider,
+} from '@mui/material';
+import ArrowBackIcon from '@mui/icons-material/ArrowBack';
+import CheckCircleIcon from '@mui/icons-material/CheckCircle';
+import CancelIcon from '@mui/icons-material/Cancel';
+import HourglassEmptyIcon from '@mui/icons-material/HourglassEmpty';
+import LightbulbIcon from '@mui/icons-material/Lightbulb';
+import { useAuth } from '../../auth/contexts/AuthContext';
+import Loader from '../../../components/Loader';
+import RichText from '../../../components/RichText';
+
+const CHOICE_TYPES = ['mcq', 'multiple_select', 'true_false'];
+
+const isKeyOption = (item, option) => (item.correctOptions || []).includes(option);
+
+// Without the answer key, only the candidate's own choices are marked
+const choiceColor = (item, isKey, isChosen) => {
+  if (isKey) return 'success';
+  if (isChosen) return item.isCorrect ? 'success' : 'error';
+  return null;
+};
+
+const isChosenOption = (item, option) => (
+  item.questionType === 'multiple_select'
+    ? (item.candidateAnswers || []).includes(option)
+    : option === item.candidateAnswer
+);
+
+/**
+ * A candidate's submission marked right or wrong, with the correct answers and
+ * explanations when the assignment releases its answer key
+ */
+const ReviewSubmissionPage = () => {
+  const [review, setReview] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState('');
+  const { assignmentId } = useParams();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const attempt = searchParams.get('attempt');
+  const { token } = useAuth();
+  const navigate = useNavigate();
+
+  useEffect(() => {
+    const fetchReview = async () => {
+      setIsLoading(true);
+      setError('');
+      try {
+        const query = attempt ? `?attempt=${attempt}` : '';
+        const response = await fetch(`/api/candidate/review/${assignmentId}${query}`, {
+          headers: {
+            'Authorization': `Bearer ${token}`,
+            'Content-Type': 'application/json'
+          }
+        });
+
+        const result = await response.json();
+        if (!response.ok) {
+          const releaseAt = result.releaseAt ? ` (${new Date(result.releaseAt).toLocaleString()})` : '';
+          throw new Error(`${result.message || 'Failed to load the review'}${releaseAt}`);
+        }
+
+        setReview(result.data);
+      } catch (err) {
+        setError(err.message);
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    if (token && assignmentId) {
+      fetchReview();
+    }
+  }, [assignmentId, token, attempt]);
+
+  const handleBack = () => {
+    if (review?.classId) {
+      navigate(`/candidate/class/${review.classId}/assignments`);
+    } else {
+      navigate('/candidate/my-classes');
+    }
+  };
+
+  if (isLoading) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', alignItems: 'center', minHeight: '50vh', width: '100%' }}>
+        <Loader />
+      </Box>
+    );
+  }
+
+  return (
+    <Box sx={{ p: 3, maxWidth: 900, mx: 'auto' }}>
+      <Button startIcon={<ArrowBackIcon />} onClick={handleBack} sx={{ mb: 2 }}>
+        Back to Assignments
+      </Button>
+
+      {error ? (
+        <Alert severity="info">{error}</Alert>
+      ) : review && (
+        <>
+          <Typography variant="h4" component="h1" gutterBottom>
+            {review.title}
+          </Typography>
+          <Paper sx={{ p: 2, mb: 3, display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: 3 }}>
+            <Box>
+              <Typography variant="caption" color="text.secondary">Score</Typography>
+              <Typography variant="h5" color="primary.main" fontWeight="bold">
+                {review.score.toFixed(1)}%
+              </Typography>
+            </Box>
+            {review.totalPoints !== null && review.totalPoints !== undefined && (
+              <Box>
+                <Typography variant="caption" color="text.secondary">Points</Typography>
+                <Typography variant="h6">{review.pointsEarned} / {review.totalPoints}</Typography>
+              </Box>
+            )}
+            <Box>
+              <Typography variant="caption" color="text.secondary">Submitted</Typography>
+              <Typography variant="body1">{new Date(review.submittedAt).toLocaleString()}</Typography>
+            </Box>
+            {review.isLateSubmission && (
+              <Chip
+                label={review.latePenalty > 0 ? `Late Submission (−${review.latePenalty}%)` : 'Late Submission'}
+                color="warning"
+                size="small"
+              />
+            )}
+          </Paper>
+
+          {review.attempts?.length > 1 && (
+            <Box sx={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: 1, mb: 3 }}>
+              <Typography variant="body2" color="text.secondary">Attempt:</Typography>
+              {review.attempts.map(item => (
+                <Chip
+                  key={item.attemptNumber}
+                  label={`#${item.attemptNumber} · ${item.score.toFixed(1)}%`}
+                  color={item.attemptNumber === review.attemptNumber ? 'primary' : 'default'}
+                  variant={item.attemptNumber === review.attemptNumber ? 'filled' : 'outlined'}
+                  onClick={() => setSearchParams({ attempt: String(item.attemptNumber) })}
+                />
+              ))}
+            </Box>
+          )}
+
+          {!review.showAnswerKey && (
+            <Alert severity="info" sx={{ mb: 3 }}>
+              Your instructor has released which answers you got right, but not the answer key.
+            </Alert>
+          )}
+
+          {review.gradingStatus === 'pending' && (
+            <Alert severity="info" sx={{ mb: 3 }}>
+              Some written answers are still waiting to be graded by your instructor. Your score will update once grading is complete.
+            </Alert>
+          )}
+
+          {review.questions.map((item, index) => (
+            <Paper key={item.questionId} sx={{ p: 3, mb: 2 }}>
+              <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 1 }}>
+                {item.gradingStatus === 'pending' ? (
+                  <HourglassEmptyIcon color="warning" />
+                ) : item.isCorrect ? (
+                  <CheckCircleIcon color="success" />
+                ) : (
+                  <CancelIcon color="error" />
+                )}
+                <Typography variant="h6" component="div">
+                  Question {index + 1}
+                </Typography>
+                {item.gradingStatus === 'pending' ? (
+                  <Chip size="small" color="warning" label="Pending grading" sx={{ ml: 'auto' }} />
+                ) : (
+                  <Chip
+                    size="small"
+                    variant="outlined"
+                    color={item.pointsAwarded < 0 ? 'error' : item.isCorrect ? 'success' : 'default'}
+                    label={`${item.pointsAwarded} / ${item.pointsPossible} pts`}
+                    sx={{ ml: 'auto' }}
+                  />
+                )}
+              </Box>
+
+              <RichText text={item.questionText} format={item.textFormat} />
+              {item.questionImage && (
+                <Box
+                  component="img"
+                  src={item.questionImage}
+                  alt={`Question ${index + 1}`}
+                  sx={{ maxWidth: '100%', maxHeight: 300, mt: 1, borderRadius: 1 }}
+                />
+              )}
+
+              {CHOICE_TYPES.includes(item.questionType) && item.options.length > 0 ? (
+                <Box sx={{ mt: 2 }}>
+                  {item.options.map((option, optIndex) => {
+                    const isKey = isKeyOption(item, option);
+                    const isChosen = isChosenOption(item, option);
+                    const color = choiceColor(item, isKey, isChosen);
+                    const feedback = item.questionType === 'mcq' ? item.optionFeedback[optIndex] : '';
+                    return (
+                      <Box
+                        key={optIndex}
+                        sx={{
+                          p: 1.5,
+                          mb: 1,
+                          border: '1px solid',
+                          borderRadius: 1,
+                          borderColor: color ? `${color}.main` : 'divider',
+                          bgcolor: color ? `${color}.lighter` : 'transparent',
+                        }}
+                      >
+                        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                          <Typography variant="body1" fontWeight="bold">
+                            {String.fromCharCode(65 + optIndex)}.
+                          </Typography>
+                          <RichText text={option} format={item.textFormat} inline component="div" />
+                          {item.optionImages[optIndex] && (
+                            <Box component="img" src={item.optionImages[optIndex]} alt="" sx={{ maxHeight: 80, borderRadius: 1 }} />
+                          )}
+                          <Box sx={{ ml: 'auto', display: 'flex', gap: 1 }}>
+                            {isChosen && <Chip size="small" label="Your answer" color={color} />}
+                            {isKey && <Chip size="small" label="Correct" color="success" variant="outlined" />}
+                          </Box>
+                        </Box>
+                        {feedback && (
+                          <RichText
+                            text={feedback}
+                            format={item.textFormat}
+                            variant="body2"
+                            sx={{ mt: 0.5, ml: 3, color: 'text.secondary' }}
+                          />
+                        )}
+                      </Box>
+                    );
+                  })}
+                  {!item.candidateAnswer && (
+                    <Typography variant="body2" color="text.secondary">You did not answer this question.</Typography>
+                  )}
+                </Box>
+              ) : (
+                <Box sx={{ mt: 2 }}>
+                  <Paper variant="outlined" sx={{ p: 2, mb: 1, bgcolor: item.isCorrect ? 'success.lighter' : 'transparent' }}>
+                    <Typography variant="body2" fontWeight="bold" gutterBottom>
+                      Your Answer:
+                    </Typography>
+                    <Typography variant="body1" sx={{ whiteSpace: 'pre-wrap' }}>
+                      {item.candidateAnswer || '(No answer provided)'}
+                    </Typography>
+                  </Paper>
+                  {item.correctAnswer && (
+                    <Paper variant="outlined" sx={{ p: 2, mb: 1 }}>
+                      <Typography variant="body2" fontWeight="bold" gutterBottom>
+                        Correct Answer:
+                      </Typography>
+                      <Typography variant="body1" color="success.dark">
+                        {item.correctAnswer}
+                      </Typography>
+                    </Paper>
+                  )}
+                </Box>
+              )}
+
+              {item.feedback && (
+                <Paper variant="outlined" sx={{ p: 2, mt: 1 }}>
+                  <Typography variant="body2" fontWeight="bold" gutterBottom>
+                    Grader's Comment:
+                  </Typography>
+                  <Typography variant="body1">{item.feedback}</Typography>
+                </Paper>
+              )}
+
+              {item.explanation && (
+                <>
+                  <Divider sx={{ my: 2 }} />
+                  <Box sx={{ display: 'flex', gap: 1 }}>
+                    <LightbulbIcon color="warning" fontSize="small" sx={{ mt: 0.25 }} />
+                    <Box sx={{ flex: 1 }}>
+                      <Typography variant="body2" fontWeight="bold" gutterBottom>
+                        Explanation
+                      </Typography>
+                      <RichText text={item.explanation} format={item.textFormat} variant="body2" />
+                    </Box>
+                  </Box>
+                </>
+              )}
+            </Paper>
+          ))}
+        </>
+      )}
+    </Box>
+  );
+};
+
+export default ReviewSubmissionPage;
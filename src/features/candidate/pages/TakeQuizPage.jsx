@@ -1,19 +1,43 @@
 // src/pages/candidate/TakeQuizPage.jsx
 import React, { useState, useEffect, useRef } from 'react';
-import { useParams, useNavigate } from 'react-router-dom';
+import { useParams, useNavigate, useSearchParams } from 'react-router-dom';
 import {
   Box, Typography, Button, CircularProgress, Radio, RadioGroup,
   FormControlLabel, FormControl, Paper, LinearProgress, Chip, Alert,
-  Dialog, DialogTitle, DialogContent, DialogActions, DialogContentText, TextField
+  Dialog, DialogTitle, DialogContent, DialogActions, DialogContentText, TextField,
+  Checkbox, FormGroup, FormHelperText
 } from '@mui/material';
 import AccessTimeIcon from '@mui/icons-material/AccessTime';
+import FlagIcon from '@mui/icons-material/Flag';
+import OutlinedFlagIcon from '@mui/icons-material/OutlinedFlag';
 import { useAuth } from '../../auth/contexts/AuthContext';
 import Loader from '../../../components/Loader';
 import ProctoringSys from '../../../utils/ProctoringSys';
+import RichText from '../../../components/RichText';
+import QuestionNavigator from '../components/QuestionNavigator';
+import { getScoringRuleLabel } from '../../../utils/scoringRules';
+import { describeLatePenalty } from '../../../utils/latePenalty';
+import {
+  saveOfflineAnswers,
+  getOfflineAnswers,
+  queueSubmission,
+  getQueuedSubmission,
+  sendSubmission,
+  submitQueuedQuizzes,
+  clearOfflineQuiz,
+} from '../../../utils/offlineQuiz';
+import { createProctoringReporter } from '../../../utils/proctoringEvents';
+
+// An answer counts once any part of it is filled in (multi-part answers are arrays)
+const isAnswered = (answer) => (
+  Array.isArray(answer)
+    ? answer.some(value => String(value ?? '').trim() !== '')
+    : answer !== undefined && answer !== null && answer !== ''
+);
 
 // --- QuestionRenderer Component ---
 // This component decides which input to show based on question type
-const QuestionRenderer = ({ question, answer, onAnswerChange }) => {
+const QuestionRenderer = ({ question, answer, onAnswerChange, onAnswerValueChange }) => {
   switch (question.type) {
     case 'mcq':
       return (
@@ -29,7 +53,7 @@ const QuestionRenderer = ({ question, answer, onAnswerChange }) => {
                 control={<Radio />} 
                 label={
                   <Box sx={{ display: 'flex', flexDirection: 'column', gap: 1, width: '100%' }}>
-                    <Typography>{option}</Typography>
+                    <RichText text={option} format={question.textFormat} inline component="div" />
                     {question.optionImages && question.optionImages[index] && (
                       <Box sx={{ maxWidth: 300 }}>
                         <img 
@@ -109,6 +133,131 @@ const QuestionRenderer = ({ question, answer, onAnswerChange }) => {
         />
       );
       
+    case 'essay': {
+      const wordCount = String(answer || '').trim().split(/\s+/).filter(Boolean).length;
+      return (
+        <TextField
+          label="Your Answer"
+          variant="outlined"
+          fullWidth
+          multiline
+          minRows={8}
+          value={answer || ''}
+          onChange={onAnswerChange}
+          placeholder="Write your answer here..."
+          helperText={`${wordCount} word${wordCount === 1 ? '' : 's'} • This answer will be graded by your instructor.`}
+          sx={{
+            '& .MuiOutlinedInput-root': {
+              '&:hover fieldset': {
+                borderColor: 'primary.main',
+              },
+            },
+          }}
+        />
+      );
+    }
+
+    case 'multiple_select': {
+      const selected = Array.isArray(answer) ? answer : [];
+      const handleToggle = (option) => {
+        onAnswerValueChange(
+          selected.includes(option)
+            ? selected.filter(value => value !== option)
+            : [...selected, option]
+        );
+      };
+      return (
+        <FormControl component="fieldset" fullWidth>
+          <FormHelperText sx={{ mb: 1, ml: 0 }}>Select all that apply.</FormHelperText>
+          <FormGroup>
+            {question.options.map((option, index) => (
+              <FormControlLabel
+                key={index}
+                control={
+                  <Checkbox
+                    checked={selected.includes(option)}
+                    onChange={() => handleToggle(option)}
+                  />
+                }
+                label={
+                  <Box sx={{ display: 'flex', flexDirection: 'column', gap: 1, width: '100%' }}>
+                    <RichText text={option} format={question.textFormat} inline component="div" />
+                    {question.optionImages && question.optionImages[index] && (
+                      <Box sx={{ maxWidth: 300 }}>
+                        <img 
+                          src={question.optionImages[index]} 
+                          alt={`Option ${index + 1}`}
+                          style={{ 
+                            width: '100%', 
+                            maxHeight: '200px', 
+                            objectFit: 'contain',
+                            borderRadius: '4px',
+                            border: '1px solid #e0e0e0'
+                          }} 
+                        />
+                      </Box>
+                    )}
+                  </Box>
+                }
+                sx={{ 
+                  mb: 1, 
+                  mx: 0,
+                  p: 2, 
+                  border: '1px solid #e0e0e0', 
+                  borderRadius: 1,
+                  alignItems: 'flex-start',
+                  '&:hover': { bgcolor: '#f5f5f5' }
+                }}
+              />
+            ))}
+          </FormGroup>
+        </FormControl>
+      );
+    }
+
+    case 'numeric':
+      return (
+        <TextField
+          label="Your Answer"
+          variant="outlined"
+          fullWidth
+          type="number"
+          value={answer || ''}
+          onChange={onAnswerChange}
+          placeholder="Enter a number"
+          helperText="Enter a numeric value. Answers within the accepted tolerance are marked correct."
+          inputProps={{ step: 'any' }}
+        />
+      );
+
+    case 'fill_blank': {
+      const blankCount = question.blankCount || 1;
+      const responses = Array.isArray(answer) ? answer : [];
+      const handleBlankChange = (index, value) => {
+        const next = Array.from({ length: blankCount }, (_, i) => responses[i] || '');
+        next[index] = value;
+        onAnswerValueChange(next);
+      };
+      return (
+        <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2 }}>
+          {Array.from({ length: blankCount }, (_, index) => (
+            <TextField
+              key={index}
+              label={`Blank ${index + 1}`}
+              variant="outlined"
+              fullWidth
+              value={responses[index] || ''}
+              onChange={(e) => handleBlankChange(index, e.target.value)}
+              placeholder={`Fill in blank ${index + 1}`}
+            />
+          ))}
+          <FormHelperText sx={{ ml: 0 }}>
+            Blanks are numbered in the order they appear in the question. Capitalization doesn't matter.
+          </FormHelperText>
+        </Box>
+      );
+    }
+      
     default:
       return (
         <Alert severity="error">
@@ -119,9 +268,18 @@ const QuestionRenderer = ({ question, answer, onAnswerChange }) => {
 };
 // --- End of QuestionRenderer Component ---
 
+// How often answers are autosaved to the attempt on the server
+const AUTOSAVE_INTERVAL_MS = 15 * 1000;
+
+// How often proctoring events are sent to the server during an attempt
+const PROCTORING_FLUSH_INTERVAL_MS = 5 * 1000;
+
 const TakeQuizPage = () => {
   const { assignmentId } = useParams();
-  const { token } = useAuth();
+  const [searchParams] = useSearchParams();
+  const isRetake = searchParams.get('retake') === '1'; // Started from the Retake button
+  const { token, user } = useAuth();
+  const userId = user?._id;
   const navigate = useNavigate();
 
   const [quiz, setQuiz] = useState(null);
@@ -129,6 +287,11 @@ const TakeQuizPage = () => {
   const [error, setError] = useState('');
   const [currentQuestionIndex, setCurrentQuestionIndex] = useState(0);
   const [answers, setAnswers] = useState({}); // Stores user's answers
+  const [flaggedQuestions, setFlaggedQuestions] = useState([]); // Question ids marked for review
+  const [lastSavedAt, setLastSavedAt] = useState(null); // Last autosave on the server
+  const [restoredFrom, setRestoredFrom] = useState(null); // Autosave restored when resuming
+  const [isOnline, setIsOnline] = useState(navigator.onLine);
+  const [isSubmissionQueued, setIsSubmissionQueued] = useState(false); // Submitted offline, waiting to be sent
   const [timeLeft, setTimeLeft] = useState(null); // Time left in seconds
   const [confirmDialogOpen, setConfirmDialogOpen] = useState(false);
   const [resultDialogOpen, setResultDialogOpen] = useState(false);
@@ -155,6 +318,17 @@ const TakeQuizPage = () => {
   const warningTimeoutRef = useRef(null); // For warning display timeout
   const quizContainerRef = useRef(null); // For fullscreen container
   const intentionalExitRef = useRef(false); // Track intentional fullscreen exits
+  const attemptStartedRef = useRef(false); // Autosave only once the attempt has started
+  const progressRef = useRef({ answers: {}, flaggedQuestions: [] }); // Latest progress for autosave
+  const isDirtyRef = useRef(false); // Progress changed since the last autosave
+  const attemptNumberRef = useRef(null); // Attempt the answers kept on this device belong to
+  const clockOffsetRef = useRef(0); // Server clock minus this device's clock, in ms
+  const submissionResultRef = useRef(null); // Latest handleSubmissionResult, for the reconnect listener
+  const questionTimesRef = useRef({}); // Question id => seconds it has been on screen
+  const questionClockRef = useRef(null); // Adds the running time of the question on screen
+  const proctoringReporterRef = useRef(null); // Sends proctoring events to the server as they happen
+  const currentQuestionIndexRef = useRef(0); // Question on screen, for timing proctoring events
+  currentQuestionIndexRef.current = currentQuestionIndex;
   
   // Handle submit - defined before using in effects
   const handleSubmit = async (isAutoSubmit = false) => {
@@ -189,40 +363,80 @@ const TakeQuizPage = () => {
       }
     }
 
+    // When the candidate finished, on the server's clock
+    const completedAt = new Date(Date.now() + clockOffsetRef.current).toISOString();
+
+    // Send the last proctoring events while the attempt is still open
+    await proctoringReporterRef.current?.flush();
+
+    // An id for this submission, so a replay after reconnecting isn't recorded twice
+    questionClockRef.current?.();
+    const submission = {
+      answers: progressRef.current.answers,
+      questionTimes: questionTimesRef.current,
+      flaggedQuestions: progressRef.current.flaggedQuestions,
+      tabSwitchCount: tabSwitchCount,
+      escCount: escCount,
+      wasFullscreen: isFullscreen,
+      proctoringData: proctoringData,
+      clientSubmissionId: crypto.randomUUID()
+    };
+
+    let result;
     try {
-      const response = await fetch(`/api/candidate/submit-quiz/${assignmentId}`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${token}`
-        },
-        body: JSON.stringify({ 
-          answers: answers,
-          tabSwitchCount: tabSwitchCount,
-          escCount: escCount,
-          wasFullscreen: isFullscreen,
-          proctoringData: proctoringData
-        })
-      });
+      result = await sendSubmission(assignmentId, submission, token);
+    } catch (error) {
+      if (!(error instanceof TypeError)) {
+        alert(error.message);
+        hasSubmittedRef.current = false;
+        return;
+      }
 
-      const data = await response.json();
-      
-      if (!response.ok) {
-        throw new Error(data.message || 'Failed to submit quiz');
+      // No connection: keep the submission on this device until it comes back
+      try {
+        // Only a queued submission says when it was finished; the server
+        // times the ones it gets straight away by their arrival
+        await queueSubmission(userId, assignmentId, { ...submission, completedAt });
+        setIsSubmissionQueued(true);
+        await exitFullscreen();
+      } catch {
+        alert('Could not submit your quiz. Please check your connection and try again.');
+        hasSubmittedRef.current = false;
       }
+      return;
+    }
+
+    handleSubmissionResult(result, isAutoSubmit);
+  };
+
+  // Show the result of a submission, sent straight away or replayed after reconnecting
+  const handleSubmissionResult = async ({ ok, data }, isAutoSubmit = false) => {
+    setIsSubmissionQueued(false);
 
-      // Clean up localStorage
-      localStorage.removeItem(`quizEndTime_${assignmentId}`);
-      localStorage.removeItem(`quizTimeLimit_${assignmentId}`);
-      localStorage.removeItem(`quizUpdatedAt_${assignmentId}`);
+    try {
+      if (!ok) {
+        throw new Error(data.message || 'Failed to submit quiz');
+      }
+      clearOfflineQuiz(userId, assignmentId).catch(() => {});
 
       // Store result and show result dialog
       setQuizResult({
         score: data.score,
+        rawScore: data.rawScore,
+        latePenalty: data.latePenalty,
         correctCount: data.correctCount,
         totalQuestions: data.totalQuestions,
+        pointsEarned: data.pointsEarned,
+        totalPoints: data.totalPoints,
+        pendingGradingCount: data.pendingGradingCount || 0,
         isAutoSubmit: isAutoSubmit,
         showResults: data.showResults,
+        reviewAvailable: data.reviewAvailable,
+        attemptNumber: data.attemptNumber,
+        maxAttempts: data.maxAttempts,
+        finalScore: data.finalScore,
+        scoringRule: data.scoringRule,
+        resultsReleaseAt: data.resultsReleaseAt,
         isLateSubmission: data.isLateSubmission
       });
 
@@ -232,8 +446,9 @@ const TakeQuizPage = () => {
       setResultDialogOpen(true);
 
         // Force page reload after short delay to restore all permissions
+        // (without ?retake, so a finished attempt doesn't start the next one)
         setTimeout(() => {
-          window.location.reload();
+          window.location.replace(window.location.pathname);
         }, 1500); // 1.5s delay to allow result dialog to show
 
     } catch (error) {
@@ -241,6 +456,7 @@ const TakeQuizPage = () => {
       hasSubmittedRef.current = false; // Allow re-submission on error
     }
   };
+  submissionResultRef.current = handleSubmissionResult;
 
   // Handle closing result dialog and navigating back
   const handleCloseResult = () => {
@@ -277,6 +493,16 @@ const TakeQuizPage = () => {
       setIsLoading(true);
       setError('');
       try {
+        // A submission queued while offline is sent first; until it gets
+        // through, the quiz isn't started again
+        if (await getQueuedSubmission(userId, assignmentId).catch(() => null)) {
+          await submitQueuedQuizzes(userId, token).catch(() => []);
+          if (await getQueuedSubmission(userId, assignmentId).catch(() => null)) {
+            hasSubmittedRef.current = true;
+            throw new Error('Your submission is saved on this device and will be sent as soon as you are back online.');
+          }
+        }
+
         const response = await fetch(`/api/candidate/assignment/${assignmentId}`, {
           headers: { 
             'Authorization': `Bearer ${token}`,
@@ -284,13 +510,15 @@ const TakeQuizPage = () => {
           }
         });
         
+        const result = await response.json();
         if (!response.ok) {
-          throw new Error('Failed to fetch quiz');
+          // Not open yet, or closed
+          throw new Error(result.message || 'Failed to fetch quiz');
         }
         
-        const result = await response.json();
-        // Check if candidate has already submitted - redirect back to assignments
-        if (result.data.hasSubmitted) {
+        // Check if candidate has already submitted - redirect back to assignments,
+        // unless they chose to start another attempt and still have one
+        if (result.data.hasSubmitted && !((isRetake || result.data.inProgress) && result.data.canAttempt)) {
           // Redirect back to assignments page
           if (result.data.classId) {
             navigate(`/candidate/class/${result.data.classId}/assignments`);
@@ -335,7 +563,7 @@ const TakeQuizPage = () => {
       }
     };
 
-    if (token && assignmentId) {
+    if (token && userId && assignmentId) {
       fetchQuiz();
     }
 
@@ -354,7 +582,7 @@ const TakeQuizPage = () => {
         clearTimeout(warningTimeoutRef.current);
       }
     };
-  }, [assignmentId, token]);
+  }, [assignmentId, token, userId, isRetake]);
 
   // Anti-Cheat: Fullscreen enforcement (Quiz container only)
   const enterFullscreen = async () => {
@@ -402,82 +630,218 @@ const TakeQuizPage = () => {
 
     
     
-    // --- REFRESH-PROOF TIMER SETUP ---
-    const storageKey = `quizEndTime_${assignmentId}`;
-    const timeLimitKey = `quizTimeLimit_${assignmentId}`;
-    const updatedAtKey = `quizUpdatedAt_${assignmentId}`;
-    
-    let quizEndTime = localStorage.getItem(storageKey);
-    const storedTimeLimit = localStorage.getItem(timeLimitKey);
-    const storedUpdatedAt = localStorage.getItem(updatedAtKey);
-
     // Check if timeLimit is valid
     if (!quiz.timeLimit || quiz.timeLimit <= 0) {
       setError('Invalid quiz time limit. Please contact your instructor.');
       return;
     }
 
-    // Check if assignment was updated after timer was started
-    const assignmentWasUpdated = storedUpdatedAt && quiz.updatedAt && 
-                                  new Date(quiz.updatedAt) > new Date(storedUpdatedAt);
-    
-    // Check if time limit changed
-    const timeLimitChanged = storedTimeLimit && parseInt(storedTimeLimit) !== quiz.timeLimit;
-
-    if (assignmentWasUpdated || timeLimitChanged) {
-      
-      
-      
-      localStorage.removeItem(storageKey);
-      quizEndTime = null;
-    }
+    // The server starts the attempt and sets its deadline (the time limit, or
+    // the hard close if that comes first). Reloading the page picks up the
+    // same attempt, so the countdown can't be reset from the browser
+    const startAttempt = async () => {
+      try {
+        const response = await fetch(`/api/candidate/start-quiz/${assignmentId}`, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${token}`
+          }
+        });
+        const result = await response.json();
 
-    if (!quizEndTime) {
-      // Timer not started yet - create end time
-      const endTime = Date.now() + quiz.timeLimit * 60 * 1000;
-      localStorage.setItem(storageKey, endTime);
-      localStorage.setItem(timeLimitKey, quiz.timeLimit.toString());
-      localStorage.setItem(updatedAtKey, quiz.updatedAt || new Date().toISOString());
-      quizEndTime = endTime;
-      } else {
-      // Timer was already started (e.g., after refresh)
-      quizEndTime = parseInt(quizEndTime, 10);
-      const timeRemaining = Math.round((quizEndTime - Date.now()) / 1000);
-      
-      
-      // If stored time has already expired, clear it and restart
-      if (timeRemaining <= 0) {
-        
-        localStorage.removeItem(storageKey);
-        localStorage.removeItem(timeLimitKey);
-        localStorage.removeItem(updatedAtKey);
-        const endTime = Date.now() + quiz.timeLimit * 60 * 1000;
-        localStorage.setItem(storageKey, endTime);
-        localStorage.setItem(timeLimitKey, quiz.timeLimit.toString());
-        localStorage.setItem(updatedAtKey, quiz.updatedAt || new Date().toISOString());
-        quizEndTime = endTime;
+        if (!response.ok) {
+          throw new Error(result.message || 'Failed to start quiz');
+        }
+        const local = await getOfflineAnswers(userId, assignmentId).catch(() => null);
+        if (timerIntervalRef.current) return;
+
+        clockOffsetRef.current = new Date(result.data.serverTime) - Date.now();
+        attemptNumberRef.current = result.data.attemptNumber;
+
+        // A resumed attempt (after a crash, or from another device) picks up its
+        // autosaved answers, or those kept on this device if they are newer
+        // (answered offline after the last autosave)
+        const serverSavedAt = result.data.savedAt ? new Date(result.data.savedAt) - clockOffsetRef.current : 0;
+        if (local && local.attemptNumber === result.data.attemptNumber && local.updatedAt > serverSavedAt) {
+          setAnswers(prev => ({ ...prev, ...local.answers }));
+          setFlaggedQuestions(local.flaggedQuestions || []);
+          questionTimesRef.current = { ...local.questionTimes };
+          setRestoredFrom(new Date(local.updatedAt + clockOffsetRef.current));
+        } else if (result.data.savedAt) {
+          setAnswers(prev => ({ ...prev, ...result.data.answers }));
+          setFlaggedQuestions(result.data.flaggedQuestions || []);
+          questionTimesRef.current = { ...result.data.questionTimes };
+          setRestoredFrom(result.data.savedAt);
+        }
+        setLastSavedAt(result.data.savedAt);
+        attemptStartedRef.current = true;
+
+        // Counted from the server's clock, so a wrong device clock doesn't matter
+        const quizEndTime = Date.now() + (new Date(result.data.deadline) - new Date(result.data.serverTime));
+
+        // Start the countdown interval
+        timerIntervalRef.current = setInterval(() => {
+          const now = Date.now();
+          const remaining = Math.round((quizEndTime - now) / 1000); // in seconds
+
+          if (remaining <= 0) {
+            setTimeLeft(0);
+            clearInterval(timerIntervalRef.current);
+            // Auto-submit when time runs out
+            if (!hasSubmittedRef.current) {
+              alert("Time's up! Your quiz will be submitted automatically.");
+              handleSubmit(true); // true = auto-submit
+            }
+          } else {
+            setTimeLeft(remaining);
+          }
+        }, 1000);
+      } catch (err) {
+        setError(err.message || 'Failed to start quiz');
       }
+    };
+    startAttempt();
+  }, [quiz, quizReadyToStart, assignmentId, token, userId]);
+
+  // Keep the latest answers for autosave, and on this device in case the
+  // connection drops
+  useEffect(() => {
+    progressRef.current = { answers, flaggedQuestions };
+    isDirtyRef.current = true;
+    if (attemptStartedRef.current && !hasSubmittedRef.current) {
+      questionClockRef.current?.();
+      const questionTimes = questionTimesRef.current;
+      saveOfflineAnswers(userId, assignmentId, { attemptNumber: attemptNumberRef.current, answers, flaggedQuestions, questionTimes })
+        .catch(() => {}); // e.g. storage disabled in a private window; the server autosave still runs
     }
+  }, [answers, flaggedQuestions, userId, assignmentId]);
+
+  // Time each question while it is on screen; revisits add up, and the clock
+  // stops while the page is hidden
+  useEffect(() => {
+    const questionId = quiz?.questions[currentQuestionIndex]?._id;
+    if (!questionId || !quizReadyToStart) return;
 
-    // Start the countdown interval
-    timerIntervalRef.current = setInterval(() => {
+    let shownAt = document.hidden ? null : Date.now();
+    const addTime = () => {
+      if (shownAt === null) return;
       const now = Date.now();
-      const remaining = Math.round((quizEndTime - now) / 1000); // in seconds
+      const times = questionTimesRef.current;
+      times[questionId] = (times[questionId] || 0) + (now - shownAt) / 1000;
+      shownAt = now;
+    };
+    const handleVisibilityChange = () => {
+      addTime();
+      shownAt = document.hidden ? null : Date.now();
+    };
 
-      if (remaining <= 0) {
-        setTimeLeft(0);
-        clearInterval(timerIntervalRef.current);
-        // Auto-submit when time runs out
-        if (!hasSubmittedRef.current) {
-          alert("Time's up! Your quiz will be submitted automatically.");
-          handleSubmit(true); // true = auto-submit
+    questionClockRef.current = addTime;
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+
+    return () => {
+      addTime();
+      questionClockRef.current = null;
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+    };
+  }, [quiz, quizReadyToStart, currentQuestionIndex]);
+
+  // Track the connection, and send a queued submission as soon as it is back
+  useEffect(() => {
+    if (!userId) return;
+
+    const handleOnline = async () => {
+      setIsOnline(true);
+      const results = await submitQueuedQuizzes(userId, token).catch(() => []);
+      const result = results.find(item => item.assignmentId === assignmentId);
+      if (result) {
+        submissionResultRef.current(result);
+      }
+    };
+    const handleOffline = () => setIsOnline(false);
+
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+    };
+  }, [assignmentId, token, userId]);
+
+  // Autosave answers to the attempt on the server every few seconds, and when
+  // the page is hidden (switching app, closing the laptop, leaving the page)
+  useEffect(() => {
+    if (!quizReadyToStart) return;
+
+    const saveProgress = async (keepalive = false) => {
+      if (!attemptStartedRef.current || !isDirtyRef.current || hasSubmittedRef.current) return;
+      isDirtyRef.current = false;
+      questionClockRef.current?.();
+
+      try {
+        const response = await fetch(`/api/candidate/autosave/${assignmentId}`, {
+          method: 'PUT',
+          headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${token}`
+          },
+          body: JSON.stringify({ ...progressRef.current, questionTimes: questionTimesRef.current }),
+          keepalive
+        });
+        const result = await response.json();
+
+        if (response.ok) {
+          setLastSavedAt(result.data.savedAt);
+        } else if (response.status !== 409) {
+          // Try again next time; 409 means the attempt is over and nothing more is saved
+          isDirtyRef.current = true;
         }
-      } else {
-        setTimeLeft(remaining);
+      } catch {
+        isDirtyRef.current = true;
       }
-    }, 1000);
-    
-  }, [quiz, quizReadyToStart, assignmentId]);
+    };
+
+    const handleVisibilityChange = () => {
+      if (document.visibilityState === 'hidden') saveProgress(true);
+    };
+
+    const autosaveInterval = setInterval(() => saveProgress(), AUTOSAVE_INTERVAL_MS);
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+
+    return () => {
+      clearInterval(autosaveInterval);
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+    };
+  }, [quizReadyToStart, assignmentId, token]);
+
+  // Stream proctoring events to the attempt on the server every few seconds,
+  // and when the page is hidden
+  useEffect(() => {
+    if (!quizReadyToStart) return;
+
+    const reporter = createProctoringReporter({
+      assignmentId,
+      token,
+      getQuestionIndex: () => currentQuestionIndexRef.current,
+      getClockOffset: () => clockOffsetRef.current
+    });
+    proctoringReporterRef.current = reporter;
+
+    const handleVisibilityChange = () => {
+      if (document.visibilityState === 'hidden') reporter.flush(true);
+    };
+
+    const flushInterval = setInterval(() => reporter.flush(), PROCTORING_FLUSH_INTERVAL_MS);
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+
+    return () => {
+      clearInterval(flushInterval);
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+      reporter.flush(true);
+      proctoringReporterRef.current = null;
+    };
+  }, [quizReadyToStart, assignmentId, token]);
 
   // Handle proctoring permission request
   const handleGrantProctoringPermission = async () => {
@@ -497,7 +861,12 @@ const TakeQuizPage = () => {
         
         
         // Set up violation callback for real-time alerts
-        procSys.setViolationCallback((type, violations) => {
+        procSys.setViolationCallback((type, violations, event) => {
+          // Tab switches are reported by the page's own handler below
+          if (type !== 'tabSwitching') {
+            proctoringReporterRef.current?.record(event.type, event.confidence, event.timestamp);
+          }
+
           const messages = {
             'noFaceDetected': '⚠️ No face detected - Please stay in camera view',
             'multipleFacesDetected': '⚠️ Multiple faces detected',
@@ -577,6 +946,7 @@ const TakeQuizPage = () => {
       // Only show warning if it's not an intentional exit and quiz not submitted
       if (!isNowFullscreen && !hasSubmittedRef.current && !intentionalExitRef.current) {
         setEscCount(prev => prev + 1);
+        proctoringReporterRef.current?.record('fullscreenExit', 1);
         showWarningMessage('⚠️ Fullscreen exited! Click Next/Previous to re-enter.');
       }
       
@@ -610,6 +980,7 @@ const TakeQuizPage = () => {
 
     const handleVisibilityChange = () => {
       if (document.hidden && !hasSubmittedRef.current) {
+        proctoringReporterRef.current?.record('tabSwitch', 1);
         setTabSwitchCount(prev => {
           const newCount = prev + 1;
           showWarningMessage(`⚠️ Tab switch detected! (${newCount} time${newCount > 1 ? 's' : ''}) - This activity is being monitored.`);
@@ -620,6 +991,7 @@ const TakeQuizPage = () => {
 
     const handleBlur = () => {
       if (!hasSubmittedRef.current && document.hasFocus && !document.hasFocus()) {
+        proctoringReporterRef.current?.record('focusLost', 1);
         showWarningMessage('⚠️ Window focus lost! Please stay on this page.');
       }
     };
@@ -694,16 +1066,19 @@ const TakeQuizPage = () => {
   };
 
   // Handle changing an answer
-  const handleAnswerChange = (e) => {
-    const { value } = e.target;
+  const handleAnswerValueChange = (value) => {
     const questionId = quiz.questions[currentQuestionIndex]._id;
     setAnswers(prev => ({ ...prev, [questionId]: value }));
   };
 
+  const handleAnswerChange = (e) => {
+    handleAnswerValueChange(e.target.value);
+  };
+
   // Handle navigation
-  const goToNext = () => {
-    if (currentQuestionIndex < quiz.questions.length - 1) {
-      setCurrentQuestionIndex(prev => prev + 1);
+  const goToQuestion = (index) => {
+    if (index >= 0 && index < quiz.questions.length) {
+      setCurrentQuestionIndex(index);
     }
     // Re-enter fullscreen if user pressed ESC
     if (!isFullscreen && !hasSubmittedRef.current) {
@@ -711,14 +1086,22 @@ const TakeQuizPage = () => {
     }
   };
 
-  const goToPrev = () => {
-    if (currentQuestionIndex > 0) {
-      setCurrentQuestionIndex(prev => prev - 1);
-    }
-    // Re-enter fullscreen if user pressed ESC
-    if (!isFullscreen && !hasSubmittedRef.current) {
-      enterFullscreen();
-    }
+  const goToNext = () => goToQuestion(currentQuestionIndex + 1);
+
+  const goToPrev = () => goToQuestion(currentQuestionIndex - 1);
+
+  // Jump to a question listed in the confirmation dialog
+  const handleReviewQuestion = (index) => {
+    setConfirmDialogOpen(false);
+    goToQuestion(index);
+  };
+
+  // Mark the current question to come back to (saved with the attempt)
+  const toggleFlag = () => {
+    const questionId = quiz.questions[currentQuestionIndex]._id;
+    setFlaggedQuestions(prev => (
+      prev.includes(questionId) ? prev.filter(id => id !== questionId) : [...prev, questionId]
+    ));
   };
 
   // Format time remaining (MM:SS)
@@ -825,6 +1208,13 @@ const TakeQuizPage = () => {
   }
 
   const currentQuestion = quiz.questions[currentQuestionIndex];
+  const isCurrentFlagged = flaggedQuestions.includes(currentQuestion._id);
+  const questionStatuses = quiz.questions.map(question => ({
+    answered: isAnswered(answers[question._id]),
+    flagged: flaggedQuestions.includes(question._id),
+  }));
+  const unansweredIndexes = questionStatuses.flatMap((status, index) => (status.answered ? [] : [index]));
+  const flaggedIndexes = questionStatuses.flatMap((status, index) => (status.flagged ? [index] : []));
   const isTimeRunningOut = timeLeft && timeLeft < 60; // Less than 1 minute
   const isPastDue = quiz.dueDate && new Date() > new Date(quiz.dueDate);
   
@@ -900,6 +1290,14 @@ const TakeQuizPage = () => {
         </Paper>
       )}
 
+      {/* Accommodation / Extension Info */}
+      {(quiz.timeMultiplier > 1 || quiz.hasExtension) && (
+        <Alert severity="info" sx={{ mb: 3 }}>
+          Your time limit ({quiz.timeLimit} mins) and due date ({new Date(quiz.dueDate).toLocaleString()}) include your
+          {quiz.hasExtension ? ' extension' : ' extra time'}.
+        </Alert>
+      )}
+
       {/* Anti-Cheat Info Alert */}
       <Alert severity="warning" sx={{ mb: 3 }}>
         <strong>Anti-Cheat System Active:</strong>
@@ -917,6 +1315,8 @@ const TakeQuizPage = () => {
       {isPastDue && quiz.allowLateSubmissions && (
         <Alert severity="warning" sx={{ mb: 3 }}>
           <strong>Late Submission:</strong> This quiz is past the due date. Your submission will be marked as late.
+          {quiz.closesAt && ` It closes on ${new Date(quiz.closesAt).toLocaleString()}, after which nothing is accepted.`}
+          {describeLatePenalty(quiz.latePenalty) && ` Late penalty: ${describeLatePenalty(quiz.latePenalty)}.`}
         </Alert>
       )}
 
@@ -932,16 +1332,57 @@ const TakeQuizPage = () => {
           />
         </Box>
         <LinearProgress variant="determinate" value={progress} sx={{ height: 8, borderRadius: 4 }} />
-        <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
-          Question {currentQuestionIndex + 1} of {quiz.questions.length}
-        </Typography>
+        <Box sx={{ display: 'flex', justifyContent: 'space-between', mt: 1 }}>
+          <Typography variant="body2" color="text.secondary">
+            Question {currentQuestionIndex + 1} of {quiz.questions.length}
+          </Typography>
+          {lastSavedAt && (
+            <Typography variant="body2" color="text.secondary">
+              Answers saved at {new Date(lastSavedAt).toLocaleTimeString()}
+            </Typography>
+          )}
+        </Box>
       </Paper>
 
+      {restoredFrom && (
+        <Alert severity="info" sx={{ mb: 3 }} onClose={() => setRestoredFrom(null)}>
+          Welcome back. Your answers saved at {new Date(restoredFrom).toLocaleString()} have been restored, and the timer has kept running.
+        </Alert>
+      )}
+
+      {!isOnline && !isSubmissionQueued && (
+        <Alert severity="warning" sx={{ mb: 3 }}>
+          You are offline. Keep going: your answers are kept on this device, and if you submit
+          before the connection comes back, your submission will be sent as soon as it does.
+        </Alert>
+      )}
+
+      <QuestionNavigator
+        questions={questionStatuses}
+        currentIndex={currentQuestionIndex}
+        onSelect={goToQuestion}
+      />
+
       {/* Question */}
       <Paper elevation={2} sx={{ p: 4, mb: 3 }}>
-        <Typography variant="subtitle1" sx={{ mb: 3, fontWeight: 'bold', fontSize: '1.25rem' }}>
-          {currentQuestion.text}
-        </Typography>
+        <Box sx={{ display: 'flex', justifyContent: 'flex-end', mb: 1 }}>
+          <Button
+            size="small"
+            color="warning"
+            variant={isCurrentFlagged ? 'contained' : 'text'}
+            startIcon={isCurrentFlagged ? <FlagIcon /> : <OutlinedFlagIcon />}
+            onClick={toggleFlag}
+          >
+            {isCurrentFlagged ? 'Flagged for review' : 'Flag for review'}
+          </Button>
+        </Box>
+        <RichText
+          text={currentQuestion.text}
+          format={currentQuestion.textFormat}
+          variant="subtitle1"
+          component="div"
+          sx={{ mb: 3, fontWeight: 'bold', fontSize: '1.25rem' }}
+        />
 
         {/* Question Image */}
         {currentQuestion.questionImage && (
@@ -965,6 +1406,7 @@ const TakeQuizPage = () => {
           question={currentQuestion}
           answer={answers[currentQuestion._id]}
           onAnswerChange={handleAnswerChange}
+          onAnswerValueChange={handleAnswerValueChange}
         />
       </Paper>
 
@@ -980,7 +1422,7 @@ const TakeQuizPage = () => {
         </Button>
         
         <Typography variant="body2" color="text.secondary">
-          {Object.values(answers).filter(a => a !== '').length} of {quiz.questions.length} answered
+          {quiz.questions.length - unansweredIndexes.length} of {quiz.questions.length} answered
         </Typography>
         
         {currentQuestionIndex === quiz.questions.length - 1 ? (
@@ -1016,11 +1458,34 @@ const TakeQuizPage = () => {
         <DialogContent>
           <DialogContentText id="confirm-dialog-description">
             Are you sure you want to submit your quiz? You have answered{' '}
-            <strong>{Object.values(answers).filter(a => a !== '').length}</strong> out of{' '}
+            <strong>{quiz.questions.length - unansweredIndexes.length}</strong> out of{' '}
             <strong>{quiz.questions.length}</strong> questions.
             <br /><br />
             Once submitted, you cannot change your answers.
           </DialogContentText>
+
+          {[
+            { label: 'Unanswered', indexes: unansweredIndexes, color: 'default' },
+            { label: 'Flagged for review', indexes: flaggedIndexes, color: 'warning' },
+          ].filter(group => group.indexes.length > 0).map(group => (
+            <Box key={group.label} sx={{ mt: 2 }}>
+              <Typography variant="subtitle2" sx={{ mb: 1 }}>
+                {group.label} ({group.indexes.length})
+              </Typography>
+              <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5 }}>
+                {group.indexes.map(index => (
+                  <Chip
+                    key={index}
+                    label={`Q${index + 1}`}
+                    size="small"
+                    color={group.color}
+                    variant="outlined"
+                    onClick={() => handleReviewQuestion(index)}
+                  />
+                ))}
+              </Box>
+            </Box>
+          ))}
         </DialogContent>
         <DialogActions>
           <Button onClick={handleCancelSubmit} color="inherit">
@@ -1032,6 +1497,24 @@ const TakeQuizPage = () => {
         </DialogActions>
       </Dialog>
 
+      {/* Submitted while offline: waiting for the connection */}
+      <Dialog open={isSubmissionQueued} maxWidth="xs" fullWidth>
+        <DialogTitle>Submission Saved</DialogTitle>
+        <DialogContent>
+          <DialogContentText>
+            You are offline, so your quiz could not be sent yet. It is saved on this device with the
+            time you finished, and will be sent automatically as soon as you are back online.
+            Please keep this page open, or come back to it once you are connected.
+          </DialogContentText>
+          <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, mt: 2 }}>
+            <CircularProgress size={20} />
+            <Typography variant="body2" color="text.secondary">
+              Waiting for the connection...
+            </Typography>
+          </Box>
+        </DialogContent>
+      </Dialog>
+
       {/* AI Proctoring Permission Dialog */}
       <Dialog
         open={showProctoringDialog}
@@ -1169,10 +1652,17 @@ const TakeQuizPage = () => {
                 {quizResult.isAutoSubmit ? "Time's Up!" : 'Quiz Submitted!'}
               </Typography>
 
+              {quizResult.maxAttempts > 1 && quizResult.attemptNumber && (
+                <Typography variant="subtitle1" color="text.secondary" gutterBottom>
+                  Attempt {quizResult.attemptNumber} of {quizResult.maxAttempts}
+                </Typography>
+              )}
+
               {/* Late Submission Warning */}
               {quizResult.isLateSubmission && (
                 <Alert severity="warning" sx={{ mb: 2, textAlign: 'left' }}>
                   <strong>Late Submission</strong> - This quiz was submitted after the due date.
+                  {quizResult.latePenalty > 0 && ` A late penalty of ${quizResult.latePenalty}% was taken off your score of ${quizResult.rawScore.toFixed(1)}%.`}
                 </Alert>
               )}
 
@@ -1187,6 +1677,22 @@ const TakeQuizPage = () => {
                     <Typography variant="body1" color="text.secondary">
                       You got <strong>{quizResult.correctCount}</strong> out of <strong>{quizResult.totalQuestions}</strong> questions correct
                     </Typography>
+                    {quizResult.totalPoints !== null && quizResult.totalPoints !== undefined && (
+                      <Typography variant="body2" color="text.secondary" sx={{ mt: 0.5 }}>
+                        Points: <strong>{quizResult.pointsEarned}</strong> / <strong>{quizResult.totalPoints}</strong>
+                      </Typography>
+                    )}
+                    {quizResult.pendingGradingCount > 0 && (
+                      <Alert severity="info" sx={{ mt: 2, textAlign: 'left' }}>
+                        {quizResult.pendingGradingCount} written answer{quizResult.pendingGradingCount === 1 ? ' is' : 's are'} waiting
+                        to be graded by your instructor. This score is provisional and will update once grading is complete.
+                      </Alert>
+                    )}
+                    {quizResult.maxAttempts > 1 && quizResult.finalScore !== null && quizResult.finalScore !== undefined && (
+                      <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
+                        Final score so far ({getScoringRuleLabel(quizResult.scoringRule).toLowerCase()}): <strong>{quizResult.finalScore.toFixed(1)}%</strong>
+                      </Typography>
+                    )}
                   </Box>
 
                   {/* Performance Message */}
@@ -1218,7 +1724,9 @@ const TakeQuizPage = () => {
                       Submission Successful!
                     </Typography>
                     <Typography variant="body1" color="text.secondary">
-                      Your quiz has been submitted successfully. Results will be shared by your instructor.
+                      {quizResult.resultsReleaseAt
+                        ? `Your quiz has been submitted successfully. Results will be released on ${new Date(quizResult.resultsReleaseAt).toLocaleString()}, and you'll get an email when they are.`
+                        : 'Your quiz has been submitted successfully. Results will be shared by your instructor.'}
                     </Typography>
                   </Box>
                 </>
@@ -1234,6 +1742,16 @@ const TakeQuizPage = () => {
           )}
         </DialogContent>
         <DialogActions sx={{ justifyContent: 'center', pb: 3 }}>
+          {quizResult?.reviewAvailable && (
+            <Button
+              onClick={() => navigate(`/candidate/assignment/${assignmentId}/review`)}
+              variant="outlined"
+              size="large"
+              sx={{ px: 4, py: 1.5, borderRadius: 2 }}
+            >
+              Review Answers
+            </Button>
+          )}
           <Button 
             onClick={handleCloseResult} 
             variant="contained" 
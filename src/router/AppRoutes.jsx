@@ -20,6 +20,7 @@ import ContentLibrary from '../features/admin/pages/ContentLibrary';
 import CreateContentPage from '../features/admin/pages/CreateContentPage';
 import EditQuizPage from '../features/admin/pages/EditQuizPage';
 import SubmissionsPage from '../features/admin/pages/SubmissionsPage';
+import GradingQueuePage from '../features/admin/pages/GradingQueuePage';
 import DetailedReportPage from '../features/admin/pages/DetailedReportPage';
 import Analytics from '../features/admin/pages/Analytics';
 import AdminProfilePage from '../features/admin/pages/ProfilePage';
@@ -31,6 +32,7 @@ import JoinClassPage from '../features/candidate/pages/JoinClassPage';
 import CandidateMyClassesPage from '../features/candidate/pages/MyClassesPage';
 import ClassAssignmentsPage from '../features/candidate/pages/ClassAssignmentsPage';
 import TakeQuizPage from '../features/candidate/pages/TakeQuizPage';
+import ReviewSubmissionPage from '../features/candidate/pages/ReviewSubmissionPage';
 import CandidateDashboard from '../features/candidate/pages/CandidateDashboard';
 import CandidateProfilePage from '../features/candidate/pages/ProfilePage';
 import ClassRosterPage from '../features/candidate/pages/ClassRosterPage';
@@ -72,6 +74,7 @@ const AppRoutes = () => {
         <Route path="analytics" element={<Analytics />} />
         <Route path="cheat-activity" element={<CheatActivityPage />} />
         <Route path="assignment/:assignmentId/submissions" element={<SubmissionsPage />} />
+        <Route path="assignment/:assignmentId/grading" element={<GradingQueuePage />} />
         <Route path="submission/:assignmentId/:submissionId" element={<DetailedReportPage />} />
         <Route path="profile" element={<AdminProfilePage />} />
       </Route>
@@ -93,6 +96,7 @@ const AppRoutes = () => {
         <Route path="class/:classId/roster" element={<ClassRosterPage />} />
         <Route path="class/:classId/leaderboard" element={<ClassLeaderboardPage />} />
         <Route path="assignment/:assignmentId" element={<TakeQuizPage />} />
+        <Route path="assignment/:assignmentId/review" element={<ReviewSubmissionPage />} />
         <Route path="profile" element={<CandidateProfilePage />} />
       </Route>
 
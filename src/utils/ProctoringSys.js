@@ -207,23 +207,25 @@ class ProctoringSys {
     if (numFaces === 0) {
       this.recordViolation('noFaceDetected');
     }
-    // Multiple faces detected
+    // Multiple faces detected (as sure as the detector is of the second face)
     else if (numFaces > 1) {
-      this.recordViolation('multipleFacesDetected');
+      const scores = detections.map(d => d.detection.score).sort((a, b) => b - a);
+      this.recordViolation('multipleFacesDetected', scores[1]);
     }
     // Single face - check orientation
     else if (numFaces === 1) {
       const landmarks = detections[0].landmarks;
       const facePosition = landmarks.getNose()[0];
+      const faceScore = detections[0].detection.score;
       
       // Check if looking away (head pose estimation)
       if (this.isLookingAway(landmarks)) {
-        this.recordViolation('lookingAway');
+        this.recordViolation('lookingAway', faceScore);
       }
 
       // Check for suspicious movements
       if (this.lastFacePosition && this.isSuspiciousMovement(this.lastFacePosition, facePosition)) {
-        this.recordViolation('suspiciousMovements');
+        this.recordViolation('suspiciousMovements', faceScore);
       }
 
       this.lastFacePosition = facePosition;
@@ -262,7 +264,7 @@ class ProctoringSys {
       const motion = this.calculateMotion(imageData, this.lastFrameData);
 
       if (motion > 0.3) { // Threshold for suspicious movement
-        this.recordViolation('suspiciousMovements');
+        this.recordViolation('suspiciousMovements', this.getConfidence(motion, 0.3));
       }
     }
 
@@ -365,7 +367,7 @@ class ProctoringSys {
         
         // Trigger if 45%+ of dark region is near skin
         if (darkNearSkin > sampleSize * 0.45) {
-          this.recordViolation('phoneDetected');
+          this.recordViolation('phoneDetected', this.getConfidence(darkNearSkin / sampleSize, 0.45));
         }
       }
     }
@@ -547,21 +549,32 @@ class ProctoringSys {
 
     // Detect loud sounds or conversations
     if (average > 50 || max > 120) { // More sensitive thresholds
-      this.recordViolation('audioAnomalies');
+      this.recordViolation('audioAnomalies', Math.max(this.getConfidence(average, 50), this.getConfidence(max, 120)));
     }
   }
 
+  /**
+   * Confidence (0-1) for a heuristic reading: 0.5 at its threshold, rising
+   * to 1 at twice the threshold
+   */
+  getConfidence(value, threshold) {
+    return Math.round(Math.min(1, value / (2 * threshold)) * 100) / 100;
+  }
+
   /**
    * Record a violation with timestamp
+   * @param {String} type
+   * @param {Number|null} confidence - How sure the detection is (0-1), null if unscored
    */
-  recordViolation(type) {
+  recordViolation(type, confidence = null) {
+    const timestamp = new Date();
     this.violations[type]++;
     this.violations.totalViolations++;
-    this.violations.timestamps.push(new Date());
+    this.violations.timestamps.push(timestamp);
     
-    // Trigger callback if set
+    // Trigger callback if set, with the single event for streaming to the server
     if (this.onViolation) {
-      this.onViolation(type, this.violations);
+      this.onViolation(type, this.violations, { type, timestamp, confidence });
     }
   }
 
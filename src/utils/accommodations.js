@@ -0,0 +1,52 @@
+/**
+ * Accommodations and extensions
+ * Mirrors validateAccommodation and validateExtension in
+ * backend/utils/accommodationUtils.js. A class accommodation multiplies every
+ * time limit; an extension gives one candidate later dates or their own time
+ * limit on one assignment
+ */
+
+export const MAX_TIME_MULTIPLIER = 4;
+
+export const TIME_MULTIPLIER_OPTIONS = [1.25, 1.5, 2];
+
+/**
+ * Check an accommodation before saving
+ * @param {Object} value - { timeMultiplier } as entered
+ * @returns {String} Error message, or '' when it is valid
+ */
+export const getAccommodationError = ({ timeMultiplier }) => {
+  const multiplier = Number(timeMultiplier);
+  if (!(multiplier >= 1 && multiplier <= MAX_TIME_MULTIPLIER)) {
+    return `Extra time must be between 1x and ${MAX_TIME_MULTIPLIER}x the time limit.`;
+  }
+  return '';
+};
+
+/**
+ * Check an extension before saving
+ * @param {Object} value - { candidateId, dueDate, closeDate, timeLimit } as entered
+ * @param {Object} assignment - The assignment it extends
+ * @returns {String} Error message, or '' when it is valid
+ */
+export const getExtensionError = ({ candidateId, dueDate, closeDate, timeLimit }, assignment) => {
+  if (!candidateId) return 'Please choose a candidate.';
+  if (!dueDate && !closeDate && !timeLimit) {
+    return 'Please give a new due date, close date or time limit.';
+  }
+  const effectiveDue = new Date(dueDate || assignment.dueDate);
+  if (closeDate && new Date(closeDate) < effectiveDue) {
+    return 'The close date cannot be before the due date.';
+  }
+  if (timeLimit && !(parseInt(timeLimit) > 0)) {
+    return 'Time limit must be a positive number of minutes.';
+  }
+  return '';
+};
+
+/**
+ * Short label for a time multiplier
+ * @param {Number} multiplier
+ * @returns {String} e.g. '1.5× time'
+ */
+export const formatTimeMultiplier = (multiplier) => `${Number(multiplier)}× time`;
@@ -0,0 +1,44 @@
+/**
+ * Attempt timing
+ * Each attempt is started on the server, which records startedAt and a
+ * deadline; submissions arriving after the deadline (and a short grace
+ * period) carry overtimeSeconds. Submissions queued while the candidate was
+ * offline count from when they finished; receivedAt is when they arrived
+ */
+
+/**
+ * Short duration such as '1h 5m', '12m 30s' or '45s'
+ * @param {Number} seconds
+ * @returns {String}
+ */
+export const formatDuration = (seconds) => {
+  const total = Math.max(0, Math.round(seconds));
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const secs = total % 60;
+  if (hours > 0) return `${hours}h ${minutes}m`;
+  if (minutes > 0) return secs > 0 ? `${minutes}m ${secs}s` : `${minutes}m`;
+  return `${secs}s`;
+};
+
+/**
+ * How long an attempt took, from its server-side start
+ * @param {Object} submission - With startedAt and submittedAt
+ * @returns {Number|null} Seconds, or null for attempts that were not timed
+ */
+export const getTimeTaken = (submission) => (
+  submission?.startedAt
+    ? (new Date(submission.submittedAt) - new Date(submission.startedAt)) / 1000
+    : null
+);
+
+/**
+ * How long a submission queued offline took to reach the server
+ * @param {Object} submission - With submittedAt and receivedAt
+ * @returns {Number} Seconds; 0 for submissions sent straight away
+ */
+export const getDeliveryDelay = (submission) => (
+  submission?.receivedAt
+    ? Math.max(0, (new Date(submission.receivedAt) - new Date(submission.submittedAt)) / 1000)
+    : 0
+);
@@ -0,0 +1,30 @@
+/**
+ * Assignment availability window
+ * Mirrors validateAvailability in backend/utils/availabilityUtils.js. The open
+ * and close dates are optional: without an open date the quiz is available as
+ * soon as it is assigned, and without a close date the class's late submission
+ * setting decides
+ */
+
+/**
+ * Check the window before saving
+ * @param {Object} window - { availableFrom, dueDate, closeDate } as Dates,
+ *   datetime-local strings or empty
+ * @returns {String} Error message, or '' when the window is valid
+ */
+export const getAvailabilityError = ({ availableFrom, dueDate, closeDate }) => {
+  if (availableFrom && dueDate && new Date(availableFrom) >= new Date(dueDate)) {
+    return 'The open date must be before the due date.';
+  }
+  if (closeDate && dueDate && new Date(closeDate) < new Date(dueDate)) {
+    return 'The close date cannot be before the due date.';
+  }
+  return '';
+};
+
+/**
+ * Request body value for an optional window date
+ * @param {Date|String} value
+ * @returns {String|null} ISO date, or null to clear it
+ */
+export const toOptionalISODate = (value) => (value ? new Date(value).toISOString() : null);
@@ -0,0 +1,36 @@
+/**
+ * Question and option image uploads
+ * Images are stored by the backend (POST /api/images); questions keep only the URL
+ */
+
+export const MAX_IMAGE_SIZE = 5 * 1024 * 1024; // 5MB, same limit as the backend
+
+/**
+ * Upload an image file and get the URL to store on the question
+ * @param {File} file - Image chosen by the user
+ * @param {String} token - Auth token
+ * @returns {Promise<String>} Image URL
+ */
+export const uploadImage = async (file, token) => {
+  if (file.size > MAX_IMAGE_SIZE) {
+    throw new Error('Image size must be less than 5MB');
+  }
+
+  const formData = new FormData();
+  formData.append('image', file);
+
+  const response = await fetch('/api/images', {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${token}`
+    },
+    body: formData,
+  });
+
+  const data = await response.json();
+  if (!response.ok || !data.success) {
+    throw new Error(data.error || data.message || 'Failed to upload image');
+  }
+
+  return data.data.url;
+};
@@ -0,0 +1,82 @@
+/**
+ * Late penalty settings
+ * Mirrors LATE_PENALTY_POLICIES in backend/models/Class.js. Deductions are
+ * percentage points off the score; on an assignment a blank policy means the
+ * class's late penalty applies
+ */
+
+export const LATE_PENALTY_POLICIES = [
+  { value: 'none', label: 'No penalty' },
+  { value: 'per_day', label: 'Deduction per day late' },
+  { value: 'flat', label: 'Flat deduction' },
+  { value: 'zero_after', label: 'Zero after a number of hours' },
+];
+
+export const EMPTY_LATE_PENALTY = { policy: '', percent: '10', maxPercent: '50', hours: '48' };
+
+/**
+ * Form state for stored late penalty settings
+ * @param {Object} settings - An assignment's or class's latePenalty
+ * @returns {Object} { policy, percent, maxPercent, hours }
+ */
+export const latePenaltyFromSettings = (settings) => {
+  if (!settings?.policy) return EMPTY_LATE_PENALTY;
+  return {
+    policy: settings.policy,
+    percent: String(settings.percent ?? 0),
+    maxPercent: String(settings.maxPercent ?? 100),
+    hours: String(settings.hours ?? 0),
+  };
+};
+
+const isPercent = (value) => value !== '' && Number(value) >= 0 && Number(value) <= 100;
+
+/**
+ * Check the form before saving
+ * @param {Object} value - Form state
+ * @returns {String} Error message, or '' when the settings are valid
+ */
+export const getLatePenaltyError = (value) => {
+  if (['per_day', 'flat', 'zero_after'].includes(value.policy) && !isPercent(value.percent)) {
+    return 'The late penalty must be between 0 and 100 percent.';
+  }
+  if (value.policy === 'per_day' && !isPercent(value.maxPercent)) {
+    return 'The late penalty cap must be between 0 and 100 percent.';
+  }
+  if (value.policy === 'zero_after' && !(value.hours !== '' && Number(value.hours) >= 0)) {
+    return 'Please enter how many hours late a submission can be before it scores zero.';
+  }
+  return '';
+};
+
+/**
+ * Request body for the late penalty
+ * @param {Object} value - Form state
+ * @returns {Object} A blank policy is sent as null (use the class's penalty)
+ */
+export const toLatePenaltyPayload = (value) => ({
+  policy: value.policy || null,
+  percent: Number(value.percent) || 0,
+  maxPercent: value.policy === 'per_day' ? Number(value.maxPercent) : 100,
+  hours: value.policy === 'zero_after' ? Number(value.hours) : 0,
+});
+
+/**
+ * Short description of a late penalty for candidates
+ * @param {Object} settings - { policy, percent, maxPercent, hours }
+ * @returns {String} '' when late submissions are not penalised
+ */
+export const describeLatePenalty = (settings) => {
+  switch (settings?.policy) {
+    case 'per_day':
+      return `${settings.percent}% off per day late, up to ${settings.maxPercent}%`;
+    case 'flat':
+      return `${settings.percent}% off late submissions`;
+    case 'zero_after':
+      return settings.percent > 0
+        ? `${settings.percent}% off late submissions, and a score of 0 after ${settings.hours} hours`
+        : `A score of 0 for submissions more than ${settings.hours} hours late`;
+    default:
+      return '';
+  }
+};
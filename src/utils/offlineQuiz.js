@@ -0,0 +1,171 @@
+/**
+ * Offline quiz taking
+ * While a quiz is open its answers are also kept in IndexedDB, so a dropped
+ * connection or a reload doesn't lose them. A submission that can't reach the
+ * server is queued there and sent by submitQueuedQuizzes once the browser is
+ * back online; the server times it by completedAt (see
+ * OFFLINE_SUBMISSION_TOLERANCE_MINUTES). public/sw.js keeps the app itself
+ * loading without a connection. Records are per user, so a shared computer
+ * never sends one candidate's answers with another's login
+ */
+
+const DB_NAME = 'theodoraq-offline';
+const DB_VERSION = 1;
+const ANSWERS_STORE = 'answers';
+const SUBMISSIONS_STORE = 'submissions';
+
+const toKey = (userId, assignmentId) => `${userId}:${assignmentId}`;
+
+const openDatabase = () => new Promise((resolve, reject) => {
+  const request = indexedDB.open(DB_NAME, DB_VERSION);
+  request.onupgradeneeded = () => {
+    request.result.createObjectStore(ANSWERS_STORE, { keyPath: 'key' });
+    request.result.createObjectStore(SUBMISSIONS_STORE, { keyPath: 'key' });
+  };
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+// Run one request on a store and resolve with its result once committed
+const withStore = async (storeName, mode, run) => {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = run(transaction.objectStore(storeName));
+    transaction.oncomplete = () => {
+      db.close();
+      resolve(request.result);
+    };
+    transaction.onerror = () => {
+      db.close();
+      reject(transaction.error);
+    };
+  });
+};
+
+/**
+ * Keep an attempt's answers on this device
+ * @param {String} userId
+ * @param {String} assignmentId
+ * @param {Object} progress - { attemptNumber, answers, flaggedQuestions, questionTimes }
+ */
+export const saveOfflineAnswers = (userId, assignmentId, { attemptNumber, answers, flaggedQuestions, questionTimes }) => (
+  withStore(ANSWERS_STORE, 'readwrite', store => store.put({
+    key: toKey(userId, assignmentId),
+    attemptNumber,
+    answers,
+    flaggedQuestions,
+    questionTimes,
+    updatedAt: Date.now(),
+  }))
+);
+
+/**
+ * Answers kept on this device for an assignment
+ * @param {String} userId
+ * @param {String} assignmentId
+ * @returns {Promise<Object|undefined>} { attemptNumber, answers, flaggedQuestions, questionTimes, updatedAt }
+ */
+export const getOfflineAnswers = (userId, assignmentId) => (
+  withStore(ANSWERS_STORE, 'readonly', store => store.get(toKey(userId, assignmentId)))
+);
+
+/**
+ * Queue a submission to send when the connection returns
+ * @param {String} userId
+ * @param {String} assignmentId
+ * @param {Object} body - The submit-quiz request body
+ */
+export const queueSubmission = (userId, assignmentId, body) => (
+  withStore(SUBMISSIONS_STORE, 'readwrite', store => store.put({
+    key: toKey(userId, assignmentId),
+    userId,
+    assignmentId,
+    body,
+    queuedAt: Date.now(),
+  }))
+);
+
+/**
+ * A submission still waiting to be sent
+ * @param {String} userId
+ * @param {String} assignmentId
+ * @returns {Promise<Object|undefined>} { assignmentId, body, queuedAt }
+ */
+export const getQueuedSubmission = (userId, assignmentId) => (
+  withStore(SUBMISSIONS_STORE, 'readonly', store => store.get(toKey(userId, assignmentId)))
+);
+
+/**
+ * Forget an assignment's answers and queued submission once the server has
+ * decided on it
+ * @param {String} userId
+ * @param {String} assignmentId
+ */
+export const clearOfflineQuiz = async (userId, assignmentId) => {
+  const key = toKey(userId, assignmentId);
+  await withStore(SUBMISSIONS_STORE, 'readwrite', store => store.delete(key));
+  await withStore(ANSWERS_STORE, 'readwrite', store => store.delete(key));
+};
+
+/**
+ * Send a quiz submission
+ * @param {String} assignmentId
+ * @param {Object} body - The submit-quiz request body
+ * @param {String} token
+ * @returns {Promise<Object>} { ok, status, data }; rejects (with fetch's
+ *   TypeError) only when the server can't be reached
+ */
+export const sendSubmission = async (assignmentId, body, token) => {
+  const response = await fetch(`/api/candidate/submit-quiz/${assignmentId}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${token}`
+    },
+    body: JSON.stringify(body)
+  });
+  // Error pages from a proxy or a failing server may not be JSON
+  const data = await response.json().catch(() => null);
+  return {
+    ok: response.ok && data !== null,
+    status: response.status,
+    data: data || { message: `The server could not record the submission (error ${response.status})` },
+  };
+};
+
+let replaying = null;
+
+/**
+ * Send the user's queued submissions. Each is removed once the server has
+ * decided on it, accepted or not; ones that can't get through, or hit a
+ * server error, stay queued
+ * @param {String} userId
+ * @param {String} token
+ * @returns {Promise<Array>} { assignmentId, ok, data } for each one the server answered
+ */
+export const submitQueuedQuizzes = (userId, token) => {
+  // Reconnecting can fire several times; one replay at a time
+  if (replaying) return replaying;
+
+  replaying = (async () => {
+    const queued = await withStore(SUBMISSIONS_STORE, 'readonly', store => store.getAll());
+    const results = [];
+    for (const { assignmentId, body } of queued.filter(item => item.userId === userId)) {
+      try {
+        const result = await sendSubmission(assignmentId, body, token);
+        if (result.status >= 500) continue;
+        await clearOfflineQuiz(userId, assignmentId);
+        results.push({ assignmentId, ...result });
+      } catch (error) {
+        // Still offline: try again next time
+        if (!(error instanceof TypeError)) throw error;
+      }
+    }
+    return results;
+  })().finally(() => {
+    replaying = null;
+  });
+
+  return replaying;
+};
@@ -0,0 +1,64 @@
+/**
+ * Proctoring event streaming
+ * During an attempt the quiz page records each proctoring event (camera and
+ * microphone detections, tab switches, lost focus, leaving fullscreen) with
+ * the question on screen, and sends them to the server in small batches so
+ * instructors get a timeline of the attempt rather than totals at the end
+ */
+
+// Same as MAX_EVENTS_PER_REQUEST on the server
+const MAX_EVENTS_PER_REQUEST = 100;
+
+/**
+ * Buffer and send the proctoring events of an attempt
+ * @param {Object} options
+ * @param {String} options.assignmentId
+ * @param {String} options.token
+ * @param {Function} options.getQuestionIndex - The question on screen, counting from 0
+ * @param {Function} options.getClockOffset - Server clock minus this device's clock, in ms
+ * @returns {Object} { record(type, confidence, at), flush(keepalive) }
+ */
+export const createProctoringReporter = ({ assignmentId, token, getQuestionIndex, getClockOffset }) => {
+  let pending = [];
+
+  const flush = async (keepalive = false) => {
+    while (pending.length > 0) {
+      const batch = pending.splice(0, MAX_EVENTS_PER_REQUEST);
+      try {
+        const response = await fetch(`/api/candidate/proctoring-events/${assignmentId}`, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${token}`
+          },
+          body: JSON.stringify({ events: batch }),
+          keepalive
+        });
+        if (response.status >= 500) throw new Error('Server error');
+        // Anything else is settled: stored, or refused because the attempt is over
+      } catch {
+        // Offline or server trouble: keep them for the next flush
+        pending = [...batch, ...pending];
+        return;
+      }
+    }
+  };
+
+  /**
+   * Record an event, timed on the server's clock
+   * @param {String} type - One of the server's PROCTORING_EVENT_TYPES
+   * @param {Number|null} confidence - 0-1, null if unscored
+   * @param {Date} at - When it happened on this device (default now)
+   */
+  const record = (type, confidence = null, at = new Date()) => {
+    pending.push({
+      type,
+      timestamp: new Date(new Date(at).getTime() + getClockOffset()).toISOString(),
+      questionIndex: getQuestionIndex(),
+      confidence,
+    });
+    if (pending.length >= MAX_EVENTS_PER_REQUEST) flush();
+  };
+
+  return { record, flush };
+};
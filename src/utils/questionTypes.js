@@ -0,0 +1,134 @@
+/**
+ * Question type helpers shared by the quiz editors
+ * Mirrors the question types accepted by backend/models/Quiz.js
+ */
+
+export const QUESTION_TYPES = [
+  { value: 'mcq', label: 'Multiple Choice' },
+  { value: 'multiple_select', label: 'Multiple Select (all that apply)' },
+  { value: 'true_false', label: 'True/False' },
+  { value: 'short_answer', label: 'Short Answer' },
+  { value: 'numeric', label: 'Numeric' },
+  { value: 'fill_blank', label: 'Fill in the Blanks' },
+  { value: 'essay', label: 'Essay (graded manually)' },
+];
+
+// Question bank metadata, mirrors backend/models/BankQuestion.js
+export const DIFFICULTY_LEVELS = [
+  { value: 'easy', label: 'Easy' },
+  { value: 'medium', label: 'Medium' },
+  { value: 'hard', label: 'Hard' },
+];
+
+export const BLOOMS_LEVELS = [
+  { value: 'remember', label: 'Remember' },
+  { value: 'understand', label: 'Understand' },
+  { value: 'apply', label: 'Apply' },
+  { value: 'analyze', label: 'Analyze' },
+  { value: 'evaluate', label: 'Evaluate' },
+  { value: 'create', label: 'Create' },
+];
+
+// Blanks are written in the question text as three or more underscores
+const BLANK_PATTERN = /_{3,}/g;
+
+/**
+ * Count the blanks in a fill-in-the-blank question text
+ */
+export const countBlanks = (text) => (String(text || '').match(BLANK_PATTERN) || []).length;
+
+/**
+ * Resize a question's blanks array to match the blanks in its text,
+ * keeping the accepted answers already entered
+ */
+export const syncBlanks = (question) => {
+  const blankCount = countBlanks(question.text);
+  const blanks = question.blanks || [];
+  return Array.from({ length: blankCount }, (_, i) => blanks[i] || { acceptedAnswers: [] });
+};
+
+/**
+ * Validate the answer key of a single question
+ * @returns {String} Error message, or an empty string when the question is valid
+ */
+export const validateAnswerKey = (question) => {
+  if (question.points !== undefined && question.points !== '' && (isNaN(Number(question.points)) || Number(question.points) < 0)) {
+    return 'Points must be zero or a positive number';
+  }
+
+  switch (question.type) {
+    case 'multiple_select':
+      if (question.options.some(opt => !opt.trim())) {
+        return 'All options must be filled';
+      }
+      if (!question.correctOptions || question.correctOptions.length === 0) {
+        return 'Select at least one correct option';
+      }
+      if (question.correctOptions.some(opt => !question.options.includes(opt))) {
+        return 'Correct options must match the options exactly';
+      }
+      return '';
+
+    case 'numeric': {
+      const hasMin = question.rangeMin !== null && question.rangeMin !== undefined && question.rangeMin !== '';
+      const hasMax = question.rangeMax !== null && question.rangeMax !== undefined && question.rangeMax !== '';
+      if (hasMin !== hasMax) {
+        return 'Enter both ends of the accepted range, or neither';
+      }
+      if (hasMin && Number(question.rangeMin) > Number(question.rangeMax)) {
+        return 'Range minimum cannot be greater than the maximum';
+      }
+      if (!hasMin && (question.answer === '' || question.answer === undefined || isNaN(Number(question.answer)))) {
+        return 'Numeric answer must be a number';
+      }
+      if (Number(question.tolerance || 0) < 0) {
+        return 'Tolerance cannot be negative';
+      }
+      return '';
+    }
+
+    case 'fill_blank': {
+      const blankCount = countBlanks(question.text);
+      if (blankCount === 0) {
+        return 'Add at least one blank (___) to the question text';
+      }
+      const blanks = question.blanks || [];
+      for (let i = 0; i < blankCount; i++) {
+        if (!blanks[i] || !blanks[i].acceptedAnswers.some(ans => ans.trim())) {
+          return `Blank ${i + 1} needs at least one accepted answer`;
+        }
+      }
+      return '';
+    }
+
+    case 'essay':
+      // The model answer is optional guidance for the grader
+      return '';
+
+    default:
+      if (!question.answer || !question.answer.trim()) {
+        return 'Answer is required';
+      }
+      return '';
+  }
+};
+
+/**
+ * Convert numeric fields (points, numeric answer keys) entered as strings
+ * before sending a question to the API
+ */
+export const normalizeQuestion = (question) => {
+  const points = question.points === '' || question.points === undefined || question.points === null
+    ? 1
+    : Number(question.points);
+  if (question.type !== 'numeric') return { ...question, points };
+  const toNumberOrNull = (value) => (value === '' || value === null || value === undefined ? null : Number(value));
+  return {
+    ...question,
+    points,
+    answer: question.answer === undefined || question.answer === null ? '' : String(question.answer),
+    tolerance: Number(question.tolerance || 0),
+    rangeMin: toNumberOrNull(question.rangeMin),
+    rangeMax: toNumberOrNull(question.rangeMax),
+  };
+};
@@ -0,0 +1,11 @@
+/**
+ * Quiz file formats that can be imported and exported
+ * Mirrors backend/utils/quizFormats/index.js
+ */
+
+export const QUIZ_FILE_FORMATS = [
+  { value: 'moodle', label: 'Moodle XML (.xml)' },
+  { value: 'gift', label: 'GIFT (.gift, .txt)' },
+  { value: 'aiken', label: 'Aiken (.txt)' },
+  { value: 'qti', label: 'QTI 2.1 (.zip, .xml)' },
+];
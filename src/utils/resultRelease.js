@@ -0,0 +1,69 @@
+/**
+ * Per-assignment result release settings
+ * Mirrors RESULT_RELEASE_LEVELS and RESULT_RELEASE_TIMINGS in backend/models/Assignment.js.
+ * A blank level means the class's "Show Results to Candidates" default
+ */
+
+export const RESULT_RELEASE_LEVELS = [
+  { value: 'none', label: 'Nothing (keep results hidden)' },
+  { value: 'score', label: 'Score only' },
+  { value: 'correctness', label: 'Score and which answers were right' },
+  { value: 'answer_key', label: 'Full answer key with explanations' },
+];
+
+export const RESULT_RELEASE_TIMINGS = [
+  { value: 'immediately', label: 'On submission' },
+  { value: 'after_due', label: 'After the due date' },
+  { value: 'scheduled', label: 'At a set date and time' },
+];
+
+export const EMPTY_RESULT_RELEASE = { level: '', timing: 'immediately', releaseAt: '' };
+
+// Value for a datetime-local input, in the browser's time zone
+const toLocalDateTime = (date) => {
+  const d = new Date(date);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}T${pad(d.getHours())}:${pad(d.getMinutes())}`;
+};
+
+/**
+ * Form state for an existing assignment's release settings
+ * @param {Object} assignment
+ * @returns {Object} { level, timing, releaseAt }
+ */
+export const resultReleaseFromAssignment = (assignment) => {
+  const settings = assignment?.resultRelease || {};
+  return {
+    level: settings.level || '',
+    timing: settings.timing || 'immediately',
+    releaseAt: settings.releaseAt ? toLocalDateTime(settings.releaseAt) : '',
+  };
+};
+
+/**
+ * Check the form before saving
+ * @param {Object} value - Form state
+ * @returns {String} Error message, or '' when the settings are valid
+ */
+export const getResultReleaseError = (value) => {
+  if (value.level && value.level !== 'none' && value.timing === 'scheduled' && !value.releaseAt) {
+    return 'Please choose when results are released.';
+  }
+  return '';
+};
+
+/**
+ * Request body for the release settings
+ * @param {Object} value - Form state
+ * @returns {Object|undefined} Undefined when the class default is kept
+ */
+export const toResultReleasePayload = (value) => {
+  if (!value.level) return undefined;
+  // Hidden results have nothing to release
+  const timing = value.level === 'none' ? 'immediately' : value.timing;
+  return {
+    level: value.level,
+    timing,
+    releaseAt: timing === 'scheduled' ? new Date(value.releaseAt).toISOString() : null,
+  };
+};
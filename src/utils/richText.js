@@ -0,0 +1,92 @@
+/**
+ * Rich text for questions, options and explanations
+ * Markdown with inline ($...$) and display ($$...$$) LaTeX and fenced code
+ * blocks with syntax highlighting. The output is always sanitized, since the
+ * text may come from other users or from AI generation
+ */
+
+import { Marked } from 'marked';
+import katex from 'katex';
+import hljs from 'highlight.js/lib/common';
+import DOMPurify from 'dompurify';
+
+const renderMath = (tex, displayMode) => katex.renderToString(tex, {
+  displayMode,
+  throwOnError: false, // Show the broken LaTeX in red instead of failing the whole text
+  trust: false, // No \href, \includegraphics and friends
+});
+
+// $$...$$ on its own lines
+const blockMath = {
+  name: 'blockMath',
+  level: 'block',
+  start: (src) => src.match(/^\$\$/m)?.index,
+  tokenizer(src) {
+    const match = /^\$\$\n?([\s\S]+?)\n?\$\$(?:\n|$)/.exec(src);
+    if (match) return { type: 'blockMath', raw: match[0], text: match[1].trim() };
+    return undefined;
+  },
+  renderer: (token) => `<div class="rich-text-math">${renderMath(token.text, true)}</div>`,
+};
+
+// $$...$$ or $...$ inside a line. A single $ must hug its content ("$x^2$"),
+// so amounts like "$5 and $10" stay plain text
+const inlineMath = {
+  name: 'inlineMath',
+  level: 'inline',
+  start: (src) => src.indexOf('$'),
+  tokenizer(src) {
+    const match = /^\$\$([^$]+?)\$\$/.exec(src) || /^\$(?=\S)([^$\n]*?\S)\$(?!\d)/.exec(src);
+    if (match) return { type: 'inlineMath', raw: match[0], text: match[1], display: match[0].startsWith('$$') };
+    return undefined;
+  },
+  renderer: (token) => renderMath(token.text, token.display),
+};
+
+// Fill-in-the-blank gaps (___) would otherwise be read as emphasis
+const blank = {
+  name: 'blank',
+  level: 'inline',
+  start: (src) => src.indexOf('___'),
+  tokenizer(src) {
+    const match = /^_{3,}/.exec(src);
+    if (match) return { type: 'blank', raw: match[0] };
+    return undefined;
+  },
+  renderer: () => '<span class="rich-text-blank">______</span>',
+};
+
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const markdown = new Marked({
+  gfm: true,
+  breaks: true,
+  extensions: [blockMath, inlineMath, blank],
+  renderer: {
+    code({ text, lang }) {
+      const language = (lang || '').split(/\s/)[0];
+      const highlighted = language && hljs.getLanguage(language)
+        ? hljs.highlight(text, { language }).value
+        : escapeHtml(text);
+      return `<pre><code class="hljs${language ? ` language-${escapeHtml(language)}` : ''}">${highlighted}</code></pre>`;
+    },
+  },
+});
+
+/**
+ * Render rich text to sanitized HTML
+ * @param {String} text - Markdown source
+ * @param {Object} options
+ * @param {Boolean} options.inline - Render without block elements (for options and labels)
+ * @returns {String} HTML that is safe to insert into the page
+ */
+export const renderRichText = (text, { inline = false } = {}) => {
+  const source = String(text ?? '');
+  const html = inline ? markdown.parseInline(source) : markdown.parse(source);
+  // KaTeX's MathML (read by screen readers) keeps the LaTeX source in <annotation>
+  return DOMPurify.sanitize(html, { ADD_TAGS: ['semantics', 'annotation'], ADD_ATTR: ['encoding'] });
+};
@@ -0,0 +1,15 @@
+/**
+ * Retake scoring rules
+ * Mirrors SCORING_RULES in backend/models/Assignment.js
+ */
+
+export const SCORING_RULES = [
+  { value: 'highest', label: 'Highest score' },
+  { value: 'latest', label: 'Latest attempt' },
+  { value: 'average', label: 'Average of all attempts' },
+  { value: 'first', label: 'First attempt' },
+];
+
+export const getScoringRuleLabel = (value) => (
+  SCORING_RULES.find(rule => rule.value === value)?.label || SCORING_RULES[0].label
+);